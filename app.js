@@ -16,7 +16,13 @@ import transactionHistoryRouter from "./routes/transactionHistory.js";
 import tankDetailsRouter from "./routes/tankDetails.js";
 import transactionHistoryBasicRouter from "./routes/transactionHistoryBasic.js";
 import tankHistoryByTankRouter from "./routes/tankHistoryByTank.js";
+import tankAnomaliesRouter from "./routes/tankAnomalies.js";
+import tankConsumptionRouter from "./routes/tankConsumption.js";
+import tankForecastRouter from "./routes/tankForecast.js";
+import tankRollupsRouter from "./routes/tankRollups.js";
 import tankMasterRouter from "./routes/tankMaster.js";
+import tankCalibrationRouter from "./routes/tankCalibration.js";
+import tankMaintenanceRouter from "./routes/tankMaintenance.js";
 import tankUpdateRouter from "./routes/tankUpdate.js";
 import updateInstallationRouter from "./routes/updateInstallation.js";
 import updateDataRouter from "./routes/updateData.js";
@@ -24,6 +30,22 @@ import authRouter from "./routes/auth.js"; // ✅ auth (username+password, JWT)
 import reportsRouter from "./routes/reports.js";
 import smsLogRouter from "./routes/smsLog.js";
 import userRouter from "./routes/user.js";
+import mqttRouter from "./routes/mqtt.js";
+import alarmsRouter from "./routes/alarms.js";
+import escalationPoliciesRouter from "./routes/escalationPolicies.js";
+import notificationChannelsRouter from "./routes/notificationChannels.js";
+import webhooksRouter from "./routes/webhooks.js";
+import digestRouter from "./routes/digest.js";
+import alertRulesRouter from "./routes/alertRules.js";
+import { startMqttIngest } from "./services/mqttIngest.js";
+import { startSmsWorker } from "./services/smsQueue.js";
+import { startEscalationScheduler } from "./services/escalation.js";
+import { startNotificationWorker } from "./services/notificationQueue.js";
+import { startDigestScheduler } from "./services/digest.js";
+import { startAlertRuleScheduler } from "./services/alertRules.js";
+import { startAnomalyScanner } from "./services/anomalies.js";
+import { startRollupJob } from "./services/rollups.js";
+import { startDedupePruner } from "./services/ingest.js";
 
 dotenv.config();
 
@@ -38,6 +60,12 @@ app.use(
     credentials: true,
   })
 );
+// batch ingestion carries hundreds of readings (JSON array or NDJSON)
+app.use(
+  "/api/transactions/batch",
+  express.json({ limit: "5mb" }),
+  express.text({ type: "application/x-ndjson", limit: "5mb" })
+);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -59,10 +87,25 @@ app.get("/", (req, res) => {
 
 app.use("/api/user", userRouter);
 
+app.use("/api/tank-master/:tank_no/calibration", tankCalibrationRouter);
+app.use("/api/tank-master/:tank_no", tankMaintenanceRouter); // /alerts, /maintenance
 app.use("/api/tank-master", tankMasterRouter);
 
 // 2) Notifications (last 15 days from tank_status)
+//    + email / webhook delivery log and templates
+app.use("/api/notifications", notificationChannelsRouter);
 app.use("/api/notifications", notificationsRouter);
+app.use("/api/webhooks", webhooksRouter);
+app.use("/api/digest", digestRouter);
+
+// 2b) Alarms (raise / ack / shelve / clear lifecycle)
+app.use("/api/alarms", alarmsRouter);
+
+// 2c) Escalation policies for unacknowledged alarms
+app.use("/api/escalation-policies", escalationPoliciesRouter);
+
+// 2d) User-defined alert rules (fill drop, required volume, no reading, stuck sensor)
+app.use("/api/alert-rules", alertRulesRouter);
 
 // 3) Core tank routes (legacy /api/tank, etc.)
 app.use("/api", tanksRoutes);
@@ -76,8 +119,9 @@ app.use("/api/tank-details", tankDetailsRouter);
 // 5) Device latest
 app.use("/api/device-latest", deviceLatestRouter);
 
-// 6) Transactions (MQTT bridge hits this)
+// 6) Transactions (HTTP ingestion; MQTT is handled in-process below)
 app.use("/api/transactions", transactionsRouter);
+app.use("/api/mqtt", mqttRouter);
 
 // 7) Historical data
 app.use("/api/transactions-history", transactionHistoryRouter);
@@ -85,6 +129,10 @@ app.use("/api/transactions-history/basic", transactionHistoryBasicRouter);
 
 // 8) Historical volume by tank_no + date range
 app.use("/api/tanks", tankHistoryByTankRouter);
+app.use("/api/tanks", tankConsumptionRouter); // /consumption, /:tank_no/events
+app.use("/api/tanks/:tank_no", tankAnomaliesRouter); // /anomalies, /anomaly-settings
+app.use("/api/tanks/:tank_no", tankForecastRouter); // /forecast
+app.use("/api/tanks/:tank_no", tankRollupsRouter); // /rollups, /rollups/rebuild
 
 // 9) Users (old users router, if you still use it)
 // app.use("/api/users", usersRouter);
@@ -95,7 +143,7 @@ app.use("/api/tank-update", tankUpdateRouter);
 // 11) Installation date update
 app.use("/api/update-installation", updateInstallationRouter);
 
-// 12) UPDATE-DATA → called from transactions.js to populate tank_status
+// 12) UPDATE-DATA → manual replay of tank_status derivation
 app.use("/api/update-data", updateDataRouter);
 
 // 13) AUTH (username/password + JWT)
@@ -119,4 +167,49 @@ app.listen(port, () => {
   console.log(`API listening on :${port}`);
 });
 
+// ---------- MQTT subscriber (MQTT_URL + MQTT_TOPIC, MQTT_INGEST=0 disables) ----------
+if (process.env.MQTT_INGEST !== "0") {
+  startMqttIngest();
+}
+
+// ---------- SMS queue worker (SMS_PROVIDER, SMS_WORKER=0 disables) ----------
+if (process.env.SMS_WORKER !== "0") {
+  startSmsWorker();
+}
+
+// ---------- Email + webhook worker (SMTP_*, NOTIFY_WORKER=0 disables) ----------
+if (process.env.NOTIFY_WORKER !== "0") {
+  startNotificationWorker();
+}
+
+// ---------- Daily / shift digests (DIGEST_SCHEDULER=0 disables) ----------
+if (process.env.DIGEST_SCHEDULER !== "0") {
+  startDigestScheduler();
+}
+
+// ---------- NO_READING alert rules (ALERT_RULES_SCHEDULER=0 disables) ----------
+if (process.env.ALERT_RULES_SCHEDULER !== "0") {
+  startAlertRuleScheduler();
+}
+
+// ---------- Leak / theft scanner (ANOMALY_SCANNER=0 disables) ----------
+if (process.env.ANOMALY_SCANNER !== "0") {
+  startAnomalyScanner();
+}
+
+// ---------- Hourly / daily rollups (ROLLUP_JOB=0 disables) ----------
+if (process.env.ROLLUP_JOB !== "0") {
+  startRollupJob();
+}
+
+// ---------- ingest_dedupe retention (DEDUPE_PRUNER=0 disables) ----------
+if (process.env.DEDUPE_PRUNER !== "0") {
+  startDedupePruner();
+}
+
+// ---------- Alarm escalation (ESCALATION_SCHEDULER=0 disables) ----------
+if (process.env.ESCALATION_SCHEDULER !== "0") {
+  startEscalationScheduler();
+}
+
 export default app;
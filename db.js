@@ -14,12 +14,17 @@ dotenv.config();
 //   queueLimit: 0,
 // });
 
-export const pool = mysql.createPool({
+// shared with migrate.js, which opens its own connection
+export const dbConfig = {
   host: process.env.DB_HOST,
   port: Number(process.env.DB_PORT || 3306),
   user: process.env.DB_USER,
   password: process.env.DB_PASSWORD,
-  database: process.env.DB_NAME,
+  database: process.env.DB_NAME
+};
+
+export const pool = mysql.createPool({
+  ...dbConfig,
   waitForConnections: true,
   connectionLimit: 10,
   queueLimit: 0
@@ -0,0 +1,117 @@
+// migrate.js – schema migrations CLI (see services/migrations.js)
+//
+//   node migrate.js status
+//   node migrate.js up   [--to <version>]
+//   node migrate.js down [--steps <n> | --to <version>]
+//   node migrate.js mark <version>    record 1..<version> as applied without
+//                                     running them (DB created before this tool)
+//   node migrate.js create <name>     new empty up/down pair
+//
+// A fresh database only needs "up": 001_bootstrap creates every table
+// the routes use, later migrations bring it to the current schema.
+import mysql from "mysql2/promise";
+import { dbConfig } from "./db.js";
+import {
+  migrationStatus,
+  migrateUp,
+  migrateDown,
+  markApplied,
+  createMigration,
+} from "./services/migrations.js";
+
+function option(args, name) {
+  const idx = args.indexOf(name);
+  if (idx === -1) return undefined;
+  const n = Number(args[idx + 1]);
+  if (!Number.isInteger(n) || n < 0) {
+    throw new Error(`${name} expects a non-negative integer`);
+  }
+  return n;
+}
+
+function printStatus(rows) {
+  if (!rows.length) {
+    console.log("no migrations found");
+    return;
+  }
+  for (const r of rows) {
+    const state = r.missing
+      ? "applied (files missing!)"
+      : r.applied
+        ? `applied ${new Date(r.applied_at).toISOString()}`
+        : "pending";
+    const notes = [
+      r.changed ? "up script changed since it ran" : null,
+      r.reversible === false ? "irreversible" : null,
+    ].filter(Boolean);
+    console.log(
+      `${String(r.version).padStart(3, "0")}_${r.name}  ${state}` +
+        (notes.length ? `  [${notes.join(", ")}]` : "")
+    );
+  }
+}
+
+const run = async () => {
+  const [command = "status", ...args] = process.argv.slice(2);
+
+  if (command === "create") {
+    const { upFile, downFile } = await createMigration(args.join(" "));
+    console.log("✅ created", upFile);
+    console.log("✅ created", downFile);
+    return;
+  }
+
+  const conn = await mysql.createConnection({
+    ...dbConfig,
+    multipleStatements: true,
+  });
+
+  try {
+    switch (command) {
+      case "status":
+        printStatus(await migrationStatus(conn));
+        break;
+
+      case "up": {
+        const done = await migrateUp(conn, { to: option(args, "--to") });
+        console.log(
+          done.length
+            ? `✅ applied ${done.length} migration(s)`
+            : "✅ already up to date"
+        );
+        break;
+      }
+
+      case "down": {
+        const done = await migrateDown(conn, {
+          steps: option(args, "--steps") ?? 1,
+          to: option(args, "--to") ?? null,
+        });
+        console.log(`✅ reverted ${done.length} migration(s)`);
+        break;
+      }
+
+      case "mark": {
+        const to = Number(args[0]);
+        if (!Number.isInteger(to) || to <= 0) {
+          throw new Error("mark expects a version, e.g. node migrate.js mark 7");
+        }
+        const done = await markApplied(conn, { to });
+        console.log(`✅ marked ${done.length} migration(s) as applied`);
+        break;
+      }
+
+      default:
+        throw new Error(`unknown command "${command}"`);
+    }
+  } finally {
+    await conn.end();
+  }
+};
+
+run()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error("❌ Migration failed:", err.message || err);
+    process.exit(1);
+  });
@@ -0,0 +1,105 @@
+-- migrations/001_bootstrap.up.sql
+-- Baseline: every table the routes use, as they were before versioned
+-- migrations. Later migrations add to this.
+--
+-- Existing databases already have these tables (IF NOT EXISTS makes this
+-- a no-op there); run "node migrate.js mark <version>" for whatever
+-- was applied by hand from the old sql/ folder.
+--
+-- Irreversible on purpose: there is no down script that drops all data.
+
+-- device ↔ tank mapping (one row per device)
+CREATE TABLE IF NOT EXISTS Master_Tables (
+  device_id VARCHAR(50)  NOT NULL PRIMARY KEY,
+  tank_no   VARCHAR(50)  NOT NULL,
+  location  VARCHAR(100) NULL,
+  KEY idx_master_tables_tank (tank_no)
+);
+
+-- SIM / IMEI / SSID / installation per tank
+CREATE TABLE IF NOT EXISTS tanks_master (
+  id                INT          AUTO_INCREMENT PRIMARY KEY,
+  serial_no         INT          NULL,
+  tank_no           VARCHAR(50)  NOT NULL,
+  sim               VARCHAR(30)  NULL,
+  imei              VARCHAR(30)  NULL,
+  ssid              VARCHAR(100) NULL,
+  ultrasonic_status VARCHAR(50)  NULL,
+  installation_date DATE         NULL,
+  UNIQUE KEY uq_tanks_master_tank (tank_no)
+);
+
+-- dimensions (m), capacity (L) and safe limits (L) per tank
+CREATE TABLE IF NOT EXISTS Tank_Parameters (
+  tank_no              VARCHAR(50)   NOT NULL PRIMARY KEY,
+  diameter_breadth     DECIMAL(10,3) NULL,
+  length               DECIMAL(10,3) NULL,
+  height               DECIMAL(10,3) NULL,
+  tank_volume          DECIMAL(14,3) NULL,
+  upper_safe_limit_pct DECIMAL(14,3) NULL,
+  lower_safe_limit_pct DECIMAL(14,3) NULL,
+  pipe_size            VARCHAR(30)   NULL,
+  pipe_dia             DECIMAL(10,3) NULL,
+  pipe_volume          DECIMAL(14,3) NULL,
+  required_volume      DECIMAL(14,3) NULL
+);
+
+-- mm dimensions written by /api/tank-update (folded into
+-- Tank_Parameters by 008_consolidate_tank_tables)
+CREATE TABLE IF NOT EXISTS tank_specifications (
+  tank_no              VARCHAR(50)   NOT NULL PRIMARY KEY,
+  diameter_mm          DECIMAL(10,1) NULL,
+  length_mm            DECIMAL(10,1) NULL,
+  height_mm            DECIMAL(10,1) NULL,
+  tank_volume_m3       DECIMAL(12,3) NULL,
+  free_volume_m3       DECIMAL(12,3) NULL,
+  upper_safe_limit_pct DECIMAL(5,2)  NULL,
+  lower_safe_limit_pct DECIMAL(5,2)  NULL
+);
+
+-- raw device readings (no id column; one row per device + timestamp)
+CREATE TABLE IF NOT EXISTS Transaction_Table (
+  device_id    VARCHAR(50)   NOT NULL,
+  tank_no      VARCHAR(50)   NULL,
+  location     VARCHAR(100)  NULL,
+  ultra_height DECIMAL(10,3) NULL,
+  lidar_height DECIMAL(10,3) NULL,
+  ul_status    VARCHAR(50)   NULL,
+  date_time    DATETIME      NOT NULL,
+  PRIMARY KEY (device_id, date_time),
+  KEY idx_transaction_tank_time (tank_no, date_time)
+);
+
+-- derived status, one row per processed reading
+CREATE TABLE IF NOT EXISTS tank_status (
+  id                 INT           AUTO_INCREMENT PRIMARY KEY,
+  tank_no            VARCHAR(50)   NOT NULL,
+  location           VARCHAR(100)  NOT NULL,
+  currentLevel       DECIMAL(14,3) NULL,
+  fillPercentage     DECIMAL(6,2)  NULL,
+  flowStatus         VARCHAR(20)   NULL,
+  tank_status        VARCHAR(20)   NULL,
+  tank_alert_message VARCHAR(100)  NULL,
+  under_maintenance  TINYINT(1)    NOT NULL DEFAULT 0,
+  disable_alert      TINYINT(1)    NOT NULL DEFAULT 0,
+  `current_time`     TIMESTAMP     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_tank_status_tank_time (tank_no, `current_time`),
+  KEY idx_tank_status_time (`current_time`)
+);
+
+-- SMS recipients (/api/user, seed.js)
+CREATE TABLE IF NOT EXISTS users (
+  id    INT          PRIMARY KEY,
+  name  VARCHAR(100) NOT NULL,
+  phone VARCHAR(15)  NOT NULL
+);
+
+-- login accounts (/api/auth)
+CREATE TABLE IF NOT EXISTS User_Details (
+  id         INT          AUTO_INCREMENT PRIMARY KEY,
+  username   VARCHAR(100) NOT NULL,
+  password   VARCHAR(255) NOT NULL,
+  post       VARCHAR(50)  NULL,
+  created_at DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_user_details_username (username)
+);
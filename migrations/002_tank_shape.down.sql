@@ -0,0 +1,7 @@
+-- migrations/002_tank_shape.down.sql
+-- FIRE-TANK keeps its dimensions; only the shape columns go.
+
+ALTER TABLE Tank_Parameters
+  DROP COLUMN shape,
+  DROP COLUMN head_depth,
+  DROP COLUMN cone_height;
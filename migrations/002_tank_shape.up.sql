@@ -0,0 +1,26 @@
+-- migrations/002_tank_shape.up.sql
+-- Per-tank shape for the geometry engine in utils/geometry.js.
+--
+-- shape values:
+--   horizontal_cylinder         diameter_breadth, length
+--   vertical_cylinder           diameter_breadth, height
+--   rectangular                 diameter_breadth (= breadth), length, height
+--   capsule                     diameter_breadth, length (straight shell)
+--   dished_horizontal_cylinder  diameter_breadth, length (straight shell), head_depth
+--   cone_bottom_silo            diameter_breadth, height (total), cone_height
+--
+-- All dimensions in meters.
+
+ALTER TABLE Tank_Parameters
+  ADD COLUMN shape       VARCHAR(40)   NOT NULL DEFAULT 'horizontal_cylinder',
+  ADD COLUMN head_depth  DECIMAL(10,3) NULL,
+  ADD COLUMN cone_height DECIMAL(10,3) NULL;
+
+-- FIRE-TANK used to be hard-coded in the routes as 8.9 x 5.15 x 17.9 m
+UPDATE Tank_Parameters
+SET
+  shape            = 'rectangular',
+  diameter_breadth = 8.9,
+  length           = 5.15,
+  height           = 17.9
+WHERE tank_no = 'FIRE-TANK';
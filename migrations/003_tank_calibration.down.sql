@@ -0,0 +1,3 @@
+-- migrations/003_tank_calibration.down.sql
+
+DROP TABLE IF EXISTS tank_calibration;
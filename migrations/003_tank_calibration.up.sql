@@ -0,0 +1,13 @@
+-- migrations/003_tank_calibration.up.sql
+-- Vendor dip / strapping chart per tank (depth mm -> litres).
+-- When a tank has rows here the routes interpolate volume from them
+-- instead of using the shape formula (see utils/calibration.js).
+
+CREATE TABLE IF NOT EXISTS tank_calibration (
+  tank_no    VARCHAR(50)   NOT NULL,
+  depth_mm   DECIMAL(10,2) NOT NULL,
+  volume_l   DECIMAL(14,3) NOT NULL,
+  source     VARCHAR(20)   NULL,          -- 'json' | 'csv'
+  created_at TIMESTAMP     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (tank_no, depth_mm)
+);
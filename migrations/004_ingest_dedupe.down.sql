@@ -0,0 +1,3 @@
+-- migrations/004_ingest_dedupe.down.sql
+
+DROP TABLE IF EXISTS ingest_dedupe;
@@ -0,0 +1,20 @@
+-- migrations/004_ingest_dedupe.up.sql
+-- seq / message_id already seen per device (see services/ingest.js).
+-- A reading whose key is already here is answered DUPLICATE_IGNORED
+-- and never touches Transaction_Table / tank_status again.
+--
+-- message_key = 'id:<message_id>' or 'seq:<seq>'
+-- batch_id    = set by POST /api/transactions/batch to tell which keys
+--               a batch claimed itself
+
+CREATE TABLE IF NOT EXISTS ingest_dedupe (
+  device_id   VARCHAR(50)  NOT NULL,
+  message_key VARCHAR(110) NOT NULL,
+  tank_no     VARCHAR(50)  NULL,
+  date_time   DATETIME     NULL,
+  batch_id    CHAR(36)     NULL,
+  received_at TIMESTAMP    NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (device_id, message_key),
+  KEY idx_ingest_dedupe_batch (batch_id),
+  KEY idx_ingest_dedupe_received (received_at)
+);
@@ -0,0 +1,10 @@
+-- migrations/005_reading_validation.down.sql
+-- Quarantined readings are lost; accept or discard them first.
+
+DROP TABLE IF EXISTS reading_quarantine;
+
+ALTER TABLE Tank_Parameters
+  DROP COLUMN validation_mode,
+  DROP COLUMN max_rate_m_per_min,
+  DROP COLUMN spike_window,
+  DROP COLUMN spike_threshold_m;
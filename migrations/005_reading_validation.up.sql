@@ -0,0 +1,36 @@
+-- migrations/005_reading_validation.up.sql
+-- Ingest validation stage (utils/readingValidation.js).
+--
+-- Per-tank overrides on Tank_Parameters (NULL = env default):
+--   validation_mode     'off' | 'flag' | 'quarantine'  (READING_VALIDATION_MODE, default flag)
+--   max_rate_m_per_min  max |Δ ultra_height| per minute (READING_MAX_RATE_M_PER_MIN, 0.5)
+--   spike_window        N for the median-of-N filter    (READING_SPIKE_WINDOW, 5)
+--   spike_threshold_m   max deviation from that median  (READING_SPIKE_THRESHOLD_M, 0.5)
+
+ALTER TABLE Tank_Parameters
+  ADD COLUMN validation_mode    VARCHAR(12)   NULL,
+  ADD COLUMN max_rate_m_per_min DECIMAL(10,3) NULL,
+  ADD COLUMN spike_window       INT           NULL,
+  ADD COLUMN spike_threshold_m  DECIMAL(10,3) NULL;
+
+-- Suspicious readings.
+--   QUARANTINED : held back, not in Transaction_Table
+--   FLAGGED     : written anyway (validation_mode = flag)
+--   ACCEPTED / DISCARDED : operator decision on a quarantined reading
+CREATE TABLE IF NOT EXISTS reading_quarantine (
+  id              INT AUTO_INCREMENT PRIMARY KEY,
+  device_id       VARCHAR(50)   NOT NULL,
+  tank_no         VARCHAR(50)   NOT NULL,
+  location        VARCHAR(100)  NULL,
+  ultra_height    DECIMAL(10,3) NULL,
+  date_time       DATETIME      NOT NULL,
+  message_key     VARCHAR(110)  NULL,
+  reasons         TEXT          NOT NULL,
+  status          VARCHAR(12)   NOT NULL DEFAULT 'QUARANTINED',
+  created_at      TIMESTAMP     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  resolved_at     DATETIME      NULL,
+  resolved_by     VARCHAR(100)  NULL,
+  resolution_note VARCHAR(255)  NULL,
+  KEY idx_quarantine_device_time (device_id, date_time),
+  KEY idx_quarantine_status (status, date_time)
+);
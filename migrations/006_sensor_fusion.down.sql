@@ -0,0 +1,9 @@
+-- migrations/006_sensor_fusion.down.sql
+
+ALTER TABLE reading_quarantine
+  DROP COLUMN lidar_height,
+  DROP COLUMN ul_status;
+
+ALTER TABLE Tank_Parameters
+  DROP COLUMN sensor_fusion,
+  DROP COLUMN fusion_threshold_m;
@@ -0,0 +1,17 @@
+-- migrations/006_sensor_fusion.up.sql
+-- Ultrasonic / lidar fusion (utils/sensorFusion.js).
+--
+-- Per-tank settings on Tank_Parameters (NULL = env default):
+--   sensor_fusion       'ultrasonic' | 'lidar' | 'average' | 'auto'
+--                       (SENSOR_FUSION_MODE, default ultrasonic)
+--   fusion_threshold_m  auto: switch to lidar when |ultra - lidar| exceeds this
+--                       (SENSOR_DISAGREEMENT_M, default 0.1)
+
+ALTER TABLE Tank_Parameters
+  ADD COLUMN sensor_fusion      VARCHAR(12)   NULL,
+  ADD COLUMN fusion_threshold_m DECIMAL(10,3) NULL;
+
+-- Quarantined readings keep both sensors so an accept replays them intact.
+ALTER TABLE reading_quarantine
+  ADD COLUMN lidar_height DECIMAL(10,3) NULL AFTER ultra_height,
+  ADD COLUMN ul_status    VARCHAR(50)   NULL AFTER lidar_height;
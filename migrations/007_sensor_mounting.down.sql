@@ -0,0 +1,6 @@
+-- migrations/007_sensor_mounting.down.sql
+
+ALTER TABLE Tank_Parameters
+  DROP COLUMN nozzle_height_m,
+  DROP COLUMN sensor_offset_m,
+  DROP COLUMN blind_zone_m;
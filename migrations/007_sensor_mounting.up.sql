@@ -0,0 +1,14 @@
+-- migrations/007_sensor_mounting.up.sql
+-- Sensor mounting geometry (utils/geometry.js sensorMounting / computeTankLevel).
+--
+--   nozzle_height_m  nozzle / standpipe height above the tank crown
+--   sensor_offset_m  sensor face above the nozzle top (negative = recessed)
+--   blind_zone_m     closest distance the sensor can measure; readings at or
+--                    below it are reported as "full (blind zone)"
+--
+-- NULL = 0 (sensor face at the crown, no blind zone), i.e. the old behaviour.
+
+ALTER TABLE Tank_Parameters
+  ADD COLUMN nozzle_height_m DECIMAL(10,3) NULL,
+  ADD COLUMN sensor_offset_m DECIMAL(10,3) NULL,
+  ADD COLUMN blind_zone_m    DECIMAL(10,3) NULL;
@@ -0,0 +1,33 @@
+-- migrations/008_consolidate_tank_tables.down.sql
+-- Rebuilds tank_specifications from Tank_Parameters (free_volume_m3 stays
+-- NULL). The Tank_Parameters / tanks_master rows added by "up" are kept.
+
+CREATE TABLE IF NOT EXISTS tank_specifications (
+  tank_no              VARCHAR(50)   NOT NULL PRIMARY KEY,
+  diameter_mm          DECIMAL(10,1) NULL,
+  length_mm            DECIMAL(10,1) NULL,
+  height_mm            DECIMAL(10,1) NULL,
+  tank_volume_m3       DECIMAL(12,3) NULL,
+  free_volume_m3       DECIMAL(12,3) NULL,
+  upper_safe_limit_pct DECIMAL(5,2)  NULL,
+  lower_safe_limit_pct DECIMAL(5,2)  NULL
+);
+
+INSERT IGNORE INTO tank_specifications (
+  tank_no,
+  diameter_mm,
+  length_mm,
+  height_mm,
+  tank_volume_m3,
+  upper_safe_limit_pct,
+  lower_safe_limit_pct
+)
+SELECT
+  tank_no,
+  diameter_breadth * 1000,
+  length * 1000,
+  height * 1000,
+  tank_volume / 1000,
+  IF(tank_volume > 0, upper_safe_limit_pct / tank_volume * 100, NULL),
+  IF(tank_volume > 0, lower_safe_limit_pct / tank_volume * 100, NULL)
+FROM Tank_Parameters;
@@ -0,0 +1,45 @@
+-- migrations/008_consolidate_tank_tables.up.sql
+-- One place per fact about a tank:
+--   Master_Tables   : which device sits on which tank, and where
+--   tanks_master    : SIM / IMEI / SSID / installation
+--   Tank_Parameters : everything physical (dimensions m, capacity L,
+--                     safe limits L, shape, sensor settings)
+--
+-- tank_specifications duplicated Tank_Parameters in mm / m³ / % and was
+-- never read. Its values fill the gaps in Tank_Parameters, then it goes;
+-- /api/tank-update now writes Tank_Parameters directly.
+-- free_volume_m3 is a reading, not a parameter, and is not carried over.
+
+-- every tank known anywhere gets a Tank_Parameters row ...
+INSERT IGNORE INTO Tank_Parameters (tank_no)
+SELECT tank_no FROM Master_Tables WHERE tank_no IS NOT NULL
+UNION
+SELECT tank_no FROM tanks_master WHERE tank_no IS NOT NULL
+UNION
+SELECT tank_no FROM tank_specifications WHERE tank_no IS NOT NULL;
+
+-- ... and a tanks_master row
+INSERT INTO tanks_master (tank_no)
+SELECT DISTINCT tp.tank_no
+FROM Tank_Parameters tp
+LEFT JOIN tanks_master tm ON tm.tank_no = tp.tank_no
+WHERE tm.tank_no IS NULL;
+
+-- Tank_Parameters wins; tank_specifications only fills NULLs
+UPDATE Tank_Parameters tp
+JOIN tank_specifications ts ON ts.tank_no = tp.tank_no
+SET
+  tp.diameter_breadth = COALESCE(tp.diameter_breadth, ts.diameter_mm / 1000),
+  tp.length           = COALESCE(tp.length, ts.length_mm / 1000),
+  tp.height           = COALESCE(tp.height, ts.height_mm / 1000),
+  tp.tank_volume      = COALESCE(tp.tank_volume, ts.tank_volume_m3 * 1000),
+  tp.upper_safe_limit_pct = COALESCE(
+    tp.upper_safe_limit_pct,
+    ts.upper_safe_limit_pct / 100 * COALESCE(tp.tank_volume, ts.tank_volume_m3 * 1000)
+  ),
+  tp.lower_safe_limit_pct = COALESCE(
+    tp.lower_safe_limit_pct,
+    ts.lower_safe_limit_pct / 100 * COALESCE(tp.tank_volume, ts.tank_volume_m3 * 1000)
+  );
+
+DROP TABLE tank_specifications;
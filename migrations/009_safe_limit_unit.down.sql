@@ -0,0 +1,18 @@
+-- migrations/009_safe_limit_unit.down.sql
+-- Percent limits go back to litres; depth_mm limits need the tank
+-- geometry and are cleared instead (re-enter them in litres).
+
+UPDATE Tank_Parameters
+SET
+  upper_safe_limit_pct = upper_safe_limit_pct / 100 * tank_volume,
+  lower_safe_limit_pct = lower_safe_limit_pct / 100 * tank_volume
+WHERE safe_limit_unit = 'percent';
+
+UPDATE Tank_Parameters
+SET
+  upper_safe_limit_pct = NULL,
+  lower_safe_limit_pct = NULL
+WHERE safe_limit_unit = 'depth_mm';
+
+ALTER TABLE Tank_Parameters
+  DROP COLUMN safe_limit_unit;
@@ -0,0 +1,9 @@
+-- migrations/009_safe_limit_unit.up.sql
+-- Unit of Tank_Parameters.upper_safe_limit_pct / lower_safe_limit_pct
+-- (names are historic; see utils/safeLimits.js):
+--   'litres'   liquid volume (what the status routes always used)
+--   'percent'  % of tank_volume
+--   'depth_mm' liquid depth from the bottom
+
+ALTER TABLE Tank_Parameters
+  ADD COLUMN safe_limit_unit VARCHAR(10) NOT NULL DEFAULT 'litres';
@@ -0,0 +1,24 @@
+-- migrations/010_alarm_levels.down.sql
+-- LL / HH rows fall back to the plain High / Low wording.
+
+UPDATE tank_status
+SET
+  tank_status = 'Warning',
+  tank_alert_message = CASE alarm_level
+    WHEN 'HH' THEN 'High level'
+    WHEN 'LL' THEN 'Low level'
+  END
+WHERE alarm_level IN ('HH', 'LL');
+
+ALTER TABLE tank_status
+  DROP KEY idx_tank_status_severity,
+  DROP COLUMN alarm_level,
+  DROP COLUMN severity;
+
+DROP TABLE IF EXISTS tank_alarm_state;
+
+ALTER TABLE Tank_Parameters
+  DROP COLUMN low_low_limit,
+  DROP COLUMN high_high_limit,
+  DROP COLUMN alarm_hysteresis,
+  DROP COLUMN alarm_dwell_s;
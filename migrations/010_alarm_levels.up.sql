@@ -0,0 +1,46 @@
+-- migrations/010_alarm_levels.up.sql
+-- Four-level alarms (utils/safeLimits.js classifyAlarmLevel / applyAlarmDwell).
+--
+-- Tank_Parameters, all in safe_limit_unit like the High / Low limits:
+--   low_low_limit     LL (critical)   – L is lower_safe_limit_pct
+--   high_high_limit   HH (critical)   – H is upper_safe_limit_pct
+--   alarm_hysteresis  deadband a crossed limit needs to clear
+--   alarm_dwell_s     seconds a new level must persist before it applies
+-- NULL = not set (no LL / HH, no deadband, switch at once).
+
+ALTER TABLE Tank_Parameters
+  ADD COLUMN low_low_limit    DECIMAL(14,3) NULL,
+  ADD COLUMN high_high_limit  DECIMAL(14,3) NULL,
+  ADD COLUMN alarm_hysteresis DECIMAL(14,3) NULL,
+  ADD COLUMN alarm_dwell_s    INT           NULL;
+
+-- Level in force per tank, plus a level waiting out its dwell time.
+CREATE TABLE IF NOT EXISTS tank_alarm_state (
+  tank_no       VARCHAR(50) NOT NULL PRIMARY KEY,
+  alarm_level   VARCHAR(6)  NOT NULL,
+  pending_level VARCHAR(6)  NULL,
+  pending_since DATETIME    NULL,
+  changed_at    DATETIME    NOT NULL,
+  updated_at    TIMESTAMP   NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Graded status on every tank_status row:
+--   alarm_level  LL | L | NORMAL | H | HH   (NULL = no data)
+--   severity     ok | warning | critical    (NULL = no data)
+ALTER TABLE tank_status
+  ADD COLUMN alarm_level VARCHAR(6)  NULL,
+  ADD COLUMN severity    VARCHAR(10) NULL,
+  ADD KEY idx_tank_status_severity (severity, `current_time`);
+
+UPDATE tank_status
+SET
+  alarm_level = CASE tank_alert_message
+    WHEN 'High level' THEN 'H'
+    WHEN 'Low level'  THEN 'L'
+    WHEN 'Normal'     THEN 'NORMAL'
+  END,
+  severity = CASE tank_alert_message
+    WHEN 'High level' THEN 'warning'
+    WHEN 'Low level'  THEN 'warning'
+    WHEN 'Normal'     THEN 'ok'
+  END;
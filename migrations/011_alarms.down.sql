@@ -0,0 +1,4 @@
+-- migrations/011_alarms.down.sql
+
+DROP TABLE IF EXISTS alarm_events;
+DROP TABLE IF EXISTS alarms;
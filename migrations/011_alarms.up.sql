@@ -0,0 +1,52 @@
+-- migrations/011_alarms.up.sql
+-- Alarm lifecycle (services/alarms.js, /api/alarms).
+--
+-- One alarm per excursion: raised when a tank leaves NORMAL, updated
+-- while it stays on the same side (H <-> HH, L <-> LL), cleared when it
+-- returns to NORMAL or crosses to the other side.
+--
+--   state  ACTIVE   raised, nobody acknowledged it yet
+--          ACKED    acknowledged by an operator
+--          SHELVED  suppressed until shelved_until
+--          CLEARED  back to normal (closed)
+
+CREATE TABLE IF NOT EXISTS alarms (
+  id             INT AUTO_INCREMENT PRIMARY KEY,
+  tank_no        VARCHAR(50)  NOT NULL,
+  alarm_level    VARCHAR(6)   NOT NULL,
+  peak_level     VARCHAR(6)   NOT NULL,
+  severity       VARCHAR(10)  NOT NULL,
+  message        VARCHAR(100) NULL,
+  state          VARCHAR(10)  NOT NULL DEFAULT 'ACTIVE',
+  raised_at      DATETIME     NOT NULL,
+  raised_status_id INT        NULL,
+  updated_at     DATETIME     NOT NULL,
+  acked_at       DATETIME     NULL,
+  acked_by_id    INT          NULL,
+  acked_by       VARCHAR(100) NULL,
+  ack_comment    VARCHAR(255) NULL,
+  shelved_at     DATETIME     NULL,
+  shelved_until  DATETIME     NULL,
+  shelved_by_id  INT          NULL,
+  shelved_by     VARCHAR(100) NULL,
+  shelve_comment VARCHAR(255) NULL,
+  cleared_at     DATETIME     NULL,
+  -- at most one open alarm per tank
+  open_tank_no   VARCHAR(50)  AS (IF(state <> 'CLEARED', tank_no, NULL)) STORED,
+  UNIQUE KEY uq_alarms_open_tank (open_tank_no),
+  KEY idx_alarms_tank_time (tank_no, raised_at),
+  KEY idx_alarms_state_time (state, raised_at)
+);
+
+-- Audit trail: RAISED, LEVEL_CHANGED, ACKED, SHELVED, UNSHELVED, CLEARED
+CREATE TABLE IF NOT EXISTS alarm_events (
+  id          INT AUTO_INCREMENT PRIMARY KEY,
+  alarm_id    INT          NOT NULL,
+  event       VARCHAR(20)  NOT NULL,
+  alarm_level VARCHAR(6)   NULL,
+  user_id     INT          NULL,
+  username    VARCHAR(100) NULL,
+  comment     VARCHAR(255) NULL,
+  created_at  DATETIME     NOT NULL,
+  KEY idx_alarm_events_alarm (alarm_id, id)
+);
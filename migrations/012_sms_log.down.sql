@@ -0,0 +1,4 @@
+-- migrations/012_sms_log.down.sql
+
+DROP TABLE IF EXISTS sms_attempts;
+DROP TABLE IF EXISTS sms_log;
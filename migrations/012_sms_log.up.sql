@@ -0,0 +1,46 @@
+-- migrations/012_sms_log.up.sql
+-- Outbound SMS queue + delivery history (services/smsQueue.js).
+--
+--   status  QUEUED   waiting for the worker
+--           SENDING  claimed by the worker
+--           RETRY    last attempt failed, next try at next_attempt_at
+--           SENT     provider accepted it
+--           FAILED   gave up after max_attempts (or a permanent error)
+
+CREATE TABLE IF NOT EXISTS sms_log (
+  id                  INT AUTO_INCREMENT PRIMARY KEY,
+  alarm_id            INT          NULL,
+  tank_no             VARCHAR(50)  NULL,
+  alarm_level         VARCHAR(6)   NULL,
+  severity            VARCHAR(10)  NULL,
+  user_id             INT          NULL,
+  phone               VARCHAR(20)  NOT NULL,
+  message             VARCHAR(480) NOT NULL,
+  status              VARCHAR(10)  NOT NULL DEFAULT 'QUEUED',
+  provider            VARCHAR(30)  NULL,
+  provider_message_id VARCHAR(100) NULL,
+  attempts            INT          NOT NULL DEFAULT 0,
+  max_attempts        INT          NOT NULL DEFAULT 5,
+  next_attempt_at     DATETIME     NOT NULL,
+  last_error          VARCHAR(255) NULL,
+  created_at          DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at          DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  sent_at             DATETIME     NULL,
+  KEY idx_sms_log_due (status, next_attempt_at),
+  KEY idx_sms_log_created (created_at),
+  KEY idx_sms_log_tank (tank_no, created_at)
+);
+
+-- One row per provider call.
+CREATE TABLE IF NOT EXISTS sms_attempts (
+  id                INT AUTO_INCREMENT PRIMARY KEY,
+  sms_id            INT          NOT NULL,
+  attempt           INT          NOT NULL,
+  provider          VARCHAR(30)  NOT NULL,
+  status            VARCHAR(10)  NOT NULL,   -- SENT | FAILED
+  provider_response TEXT         NULL,
+  error             VARCHAR(255) NULL,
+  duration_ms       INT          NULL,
+  created_at        DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_sms_attempts_sms (sms_id, attempt)
+);
@@ -0,0 +1,6 @@
+-- migrations/013_contact_subscriptions.down.sql
+
+ALTER TABLE sms_log
+  DROP COLUMN subscription_id;
+
+DROP TABLE IF EXISTS contact_subscriptions;
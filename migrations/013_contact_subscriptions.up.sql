@@ -0,0 +1,39 @@
+-- migrations/013_contact_subscriptions.up.sql
+-- Which contacts (users) hear about which tanks (services/subscriptions.js).
+--
+-- Scope: tank_no set => that tank; else location set => every tank at
+-- that location; both NULL => every tank.
+--   channels      comma list, e.g. 'sms'
+--   min_severity  warning | critical
+--   quiet_start / quiet_end  server local time; messages due inside the
+--                 window are held until it ends (critical ones too unless
+--                 quiet_allow_critical = 1)
+
+CREATE TABLE IF NOT EXISTS contact_subscriptions (
+  id                   INT AUTO_INCREMENT PRIMARY KEY,
+  user_id              INT          NOT NULL,
+  tank_no              VARCHAR(50)  NULL,
+  location             VARCHAR(100) NULL,
+  channels             VARCHAR(100) NOT NULL DEFAULT 'sms',
+  min_severity         VARCHAR(10)  NOT NULL DEFAULT 'warning',
+  quiet_start          TIME         NULL,
+  quiet_end            TIME         NULL,
+  quiet_allow_critical TINYINT(1)   NOT NULL DEFAULT 1,
+  enabled              TINYINT(1)   NOT NULL DEFAULT 1,
+  created_at           DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at           DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  KEY idx_subscriptions_user (user_id),
+  KEY idx_subscriptions_tank (tank_no),
+  KEY idx_subscriptions_location (location)
+);
+
+-- keep today's behaviour: every existing contact hears about every tank
+INSERT INTO contact_subscriptions (user_id)
+SELECT u.id
+FROM users u
+WHERE NOT EXISTS (
+  SELECT 1 FROM contact_subscriptions s WHERE s.user_id = u.id
+);
+
+ALTER TABLE sms_log
+  ADD COLUMN subscription_id INT NULL AFTER user_id;
@@ -0,0 +1,5 @@
+-- migrations/014_escalation_policies.down.sql
+
+DROP TABLE IF EXISTS alarm_escalations;
+DROP TABLE IF EXISTS escalation_steps;
+DROP TABLE IF EXISTS escalation_policies;
@@ -0,0 +1,43 @@
+-- migrations/014_escalation_policies.up.sql
+-- Escalation of unacknowledged alarms (services/escalation.js).
+--
+-- A policy applies to one tank (tank_no), every tank at a location
+-- (location) or every tank (neither); the most specific enabled one
+-- wins. Its steps fire delay_minutes after the alarm was raised while
+-- the alarm is still ACTIVE (acknowledging or shelving stops it).
+
+CREATE TABLE IF NOT EXISTS escalation_policies (
+  id           INT AUTO_INCREMENT PRIMARY KEY,
+  name         VARCHAR(100) NOT NULL,
+  tank_no      VARCHAR(50)  NULL,
+  location     VARCHAR(100) NULL,
+  min_severity VARCHAR(10)  NOT NULL DEFAULT 'warning',
+  enabled      TINYINT(1)   NOT NULL DEFAULT 1,
+  created_at   DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at   DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  KEY idx_escalation_policies_tank (tank_no),
+  KEY idx_escalation_policies_location (location)
+);
+
+-- user_ids: comma list of users.id to notify at this step
+CREATE TABLE IF NOT EXISTS escalation_steps (
+  id            INT AUTO_INCREMENT PRIMARY KEY,
+  policy_id     INT          NOT NULL,
+  step_no       INT          NOT NULL,
+  delay_minutes INT          NOT NULL,
+  label         VARCHAR(100) NULL,
+  user_ids      VARCHAR(255) NOT NULL,
+  UNIQUE KEY uq_escalation_steps (policy_id, step_no)
+);
+
+-- One row per step that fired for an alarm.
+CREATE TABLE IF NOT EXISTS alarm_escalations (
+  id          INT AUTO_INCREMENT PRIMARY KEY,
+  alarm_id    INT          NOT NULL,
+  policy_id   INT          NOT NULL,
+  step_no     INT          NOT NULL,
+  label       VARCHAR(100) NULL,
+  recipients  INT          NOT NULL DEFAULT 0,
+  notified_at DATETIME     NOT NULL,
+  UNIQUE KEY uq_alarm_escalations (alarm_id, step_no)
+);
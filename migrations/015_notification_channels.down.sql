@@ -0,0 +1,12 @@
+-- migrations/015_notification_channels.down.sql
+DROP TABLE IF EXISTS notification_attempts;
+DROP TABLE IF EXISTS notification_log;
+DROP TABLE IF EXISTS notification_templates;
+DROP TABLE IF EXISTS webhook_endpoints;
+
+-- back to SMS-only subscriptions (email-only ones go away)
+DELETE FROM contact_subscriptions WHERE channels <> 'sms' AND FIND_IN_SET('sms', channels) = 0;
+UPDATE contact_subscriptions SET channels = 'sms' WHERE channels <> 'sms';
+
+ALTER TABLE users
+  DROP COLUMN email;
@@ -0,0 +1,81 @@
+-- migrations/015_notification_channels.up.sql
+-- Email and webhook alarm notifications (services/notificationQueue.js).
+--
+-- Email goes to contacts (users.email) subscribed with channel 'email'
+-- (contact_subscriptions); webhooks go to every matching endpoint in
+-- webhook_endpoints. Both share one queue / delivery history with the
+-- same statuses as sms_log (QUEUED, SENDING, RETRY, SENT, FAILED).
+
+ALTER TABLE users
+  ADD COLUMN email VARCHAR(255) NULL AFTER phone;
+
+-- Scope like contact_subscriptions: tank_no, else location, else all.
+--   events  comma list of RAISED, LEVEL_CHANGED, CLEARED
+--   secret  HMAC-SHA256 key for the X-Webhook-Signature header
+CREATE TABLE IF NOT EXISTS webhook_endpoints (
+  id           INT AUTO_INCREMENT PRIMARY KEY,
+  name         VARCHAR(100) NOT NULL,
+  url          VARCHAR(500) NOT NULL,
+  secret       VARCHAR(255) NOT NULL,
+  tank_no      VARCHAR(50)  NULL,
+  location     VARCHAR(100) NULL,
+  events       VARCHAR(100) NOT NULL DEFAULT 'RAISED,LEVEL_CHANGED,CLEARED',
+  min_severity VARCHAR(10)  NOT NULL DEFAULT 'warning',
+  enabled      TINYINT(1)   NOT NULL DEFAULT 1,
+  created_at   DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at   DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Overrides of the built-in templates (utils/notificationTemplates.js).
+CREATE TABLE IF NOT EXISTS notification_templates (
+  channel    VARCHAR(10)  NOT NULL,
+  event      VARCHAR(20)  NOT NULL,
+  subject    VARCHAR(255) NULL,
+  body       TEXT         NOT NULL,
+  updated_at DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (channel, event)
+);
+
+--   recipient  email address or webhook URL
+--   body       rendered email text / webhook JSON payload
+CREATE TABLE IF NOT EXISTS notification_log (
+  id                  INT AUTO_INCREMENT PRIMARY KEY,
+  channel             VARCHAR(10)  NOT NULL,
+  event               VARCHAR(20)  NOT NULL,
+  alarm_id            INT          NULL,
+  tank_no             VARCHAR(50)  NULL,
+  alarm_level         VARCHAR(6)   NULL,
+  severity            VARCHAR(10)  NULL,
+  user_id             INT          NULL,
+  subscription_id     INT          NULL,
+  webhook_id          INT          NULL,
+  recipient           VARCHAR(500) NOT NULL,
+  subject             VARCHAR(255) NULL,
+  body                TEXT         NOT NULL,
+  status              VARCHAR(10)  NOT NULL DEFAULT 'QUEUED',
+  provider_message_id VARCHAR(255) NULL,
+  attempts            INT          NOT NULL DEFAULT 0,
+  max_attempts        INT          NOT NULL DEFAULT 5,
+  next_attempt_at     DATETIME     NOT NULL,
+  last_error          VARCHAR(255) NULL,
+  created_at          DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at          DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  sent_at             DATETIME     NULL,
+  KEY idx_notification_log_due (status, next_attempt_at),
+  KEY idx_notification_log_created (created_at),
+  KEY idx_notification_log_tank (tank_no, created_at)
+);
+
+-- One row per SMTP / HTTP call.
+CREATE TABLE IF NOT EXISTS notification_attempts (
+  id              INT AUTO_INCREMENT PRIMARY KEY,
+  notification_id INT          NOT NULL,
+  attempt         INT          NOT NULL,
+  status          VARCHAR(10)  NOT NULL,   -- SENT | FAILED
+  response_code   INT          NULL,
+  response        TEXT         NULL,
+  error           VARCHAR(255) NULL,
+  duration_ms     INT          NULL,
+  created_at      DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_notification_attempts_log (notification_id, attempt)
+);
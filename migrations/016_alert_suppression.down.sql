@@ -0,0 +1,3 @@
+-- migrations/016_alert_suppression.down.sql
+DROP TABLE IF EXISTS tank_alert_settings;
+DROP TABLE IF EXISTS tank_maintenance_windows;
@@ -0,0 +1,32 @@
+-- migrations/016_alert_suppression.up.sql
+-- Maintenance windows and the alert-disable toggle per tank
+-- (services/alertSuppression.js). Every new tank_status row copies the
+-- tank's state into under_maintenance / disable_alert; while either is
+-- set the tank's alarms still open and close but notify nobody.
+
+--   cancelled_at  set when a window is called off (DELETE); the row stays
+--                 so tank_status rows written during it can be explained
+CREATE TABLE IF NOT EXISTS tank_maintenance_windows (
+  id              INT AUTO_INCREMENT PRIMARY KEY,
+  tank_no         VARCHAR(50)  NOT NULL,
+  starts_at       DATETIME     NOT NULL,
+  ends_at         DATETIME     NOT NULL,
+  reason          VARCHAR(255) NULL,
+  created_by_id   INT          NULL,
+  created_by      VARCHAR(100) NULL,
+  created_at      DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  cancelled_at    DATETIME     NULL,
+  cancelled_by_id INT          NULL,
+  cancelled_by    VARCHAR(100) NULL,
+  KEY idx_maintenance_tank (tank_no, starts_at, ends_at)
+);
+
+-- One row per tank that ever had its alerts toggled.
+CREATE TABLE IF NOT EXISTS tank_alert_settings (
+  tank_no         VARCHAR(50)  NOT NULL PRIMARY KEY,
+  alerts_disabled TINYINT(1)   NOT NULL DEFAULT 0,
+  reason          VARCHAR(255) NULL,
+  updated_by_id   INT          NULL,
+  updated_by      VARCHAR(100) NULL,
+  updated_at      DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
@@ -0,0 +1,5 @@
+-- migrations/017_digests.down.sql
+ALTER TABLE notification_log
+  DROP COLUMN html;
+
+DROP TABLE IF EXISTS digest_settings;
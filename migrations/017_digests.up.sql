@@ -0,0 +1,22 @@
+-- migrations/017_digests.up.sql
+-- Daily / per-shift alert digests (services/digest.js).
+--
+--   send_times       comma list of HH:MM (server local time); each digest
+--                    covers the time since the previous one – a single
+--                    time is a daily digest, "06:00,14:00,22:00" one per shift
+--   channels         email and/or sms
+--   last_period_end  end of the last period sent (no double sends)
+
+CREATE TABLE IF NOT EXISTS digest_settings (
+  user_id         INT          NOT NULL PRIMARY KEY,
+  enabled         TINYINT(1)   NOT NULL DEFAULT 1,
+  channels        VARCHAR(50)  NOT NULL DEFAULT 'email',
+  send_times      VARCHAR(100) NOT NULL DEFAULT '07:00',
+  last_period_end DATETIME     NULL,
+  created_at      DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at      DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- HTML part of an email (digests); body stays the plain-text part
+ALTER TABLE notification_log
+  ADD COLUMN html MEDIUMTEXT NULL AFTER body;
@@ -0,0 +1,3 @@
+-- migrations/018_alert_rules.down.sql
+DROP TABLE IF EXISTS alert_rule_hits;
+DROP TABLE IF EXISTS alert_rules;
@@ -0,0 +1,58 @@
+-- migrations/018_alert_rules.up.sql
+-- User-defined alert rules (services/alertRules.js), evaluated on every
+-- ingested reading next to the fixed LL / L / H / HH levels.
+--
+--   rule_type  FILL_DROP              fill % fell by >= threshold points
+--                                     within window_minutes
+--              BELOW_REQUIRED_VOLUME  volume < Tank_Parameters.required_volume
+--              NO_READING             no reading for window_minutes
+--              STUCK_SENSOR           level moved <= threshold m across
+--                                     every reading of window_minutes
+--   message    text of the notification (default: built from the values)
+--   notify     0 = record hits only, 1 = also SMS / email the contacts
+--              subscribed to the tank (contact_subscriptions)
+-- Scope like escalation_policies: tank_no, else location, else all.
+CREATE TABLE IF NOT EXISTS alert_rules (
+  id             INT AUTO_INCREMENT PRIMARY KEY,
+  name           VARCHAR(100)  NOT NULL,
+  rule_type      VARCHAR(30)   NOT NULL,
+  tank_no        VARCHAR(50)   NULL,
+  location       VARCHAR(100)  NULL,
+  threshold      DECIMAL(14,3) NULL,
+  window_minutes INT           NULL,
+  severity       VARCHAR(10)   NOT NULL DEFAULT 'warning',
+  message        VARCHAR(255)  NULL,
+  notify         TINYINT(1)    NOT NULL DEFAULT 1,
+  enabled        TINYINT(1)    NOT NULL DEFAULT 1,
+  created_by_id  INT           NULL,
+  created_by     VARCHAR(100)  NULL,
+  created_at     DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at     DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  KEY idx_alert_rules_tank (tank_no),
+  KEY idx_alert_rules_location (location)
+);
+
+-- One row per time a rule's condition became true for a tank; it stays
+-- open (cleared_at NULL) until the condition is false again, so a rule
+-- fires once per excursion, not once per reading.
+--   value       the measured value (drop in %, litres, minutes, metres)
+--   status_id   tank_status row that raised it (NULL from the scheduler)
+--   suppressed  tank under maintenance / alerts disabled: nobody notified
+--   notified    SMS + emails queued
+CREATE TABLE IF NOT EXISTS alert_rule_hits (
+  id         INT AUTO_INCREMENT PRIMARY KEY,
+  rule_id    INT           NOT NULL,
+  tank_no    VARCHAR(50)   NOT NULL,
+  rule_type  VARCHAR(30)   NOT NULL,
+  severity   VARCHAR(10)   NOT NULL,
+  message    VARCHAR(255)  NOT NULL,
+  value      DECIMAL(14,3) NULL,
+  status_id  INT           NULL,
+  suppressed TINYINT(1)    NOT NULL DEFAULT 0,
+  notified   INT           NOT NULL DEFAULT 0,
+  raised_at  DATETIME      NOT NULL,
+  cleared_at DATETIME      NULL,
+  KEY idx_alert_rule_hits_open (rule_id, tank_no, cleared_at),
+  KEY idx_alert_rule_hits_tank (tank_no, raised_at),
+  KEY idx_alert_rule_hits_time (raised_at)
+);
@@ -0,0 +1,3 @@
+-- migrations/019_tank_anomalies.down.sql
+DROP TABLE IF EXISTS tank_anomalies;
+DROP TABLE IF EXISTS tank_anomaly_settings;
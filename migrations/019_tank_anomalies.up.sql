@@ -0,0 +1,43 @@
+-- migrations/019_tank_anomalies.up.sql
+-- Leak / theft detection from the level history (services/anomalies.js,
+-- utils/anomalies.js).
+--
+-- Per-tank settings; a NULL column uses the default (ANOMALY_* env,
+-- rates as a share of tank_volume).
+--   operating_hours  comma list of HH:MM-HH:MM when draw-off is expected;
+--                    '' = none (every hour watched), NULL = default
+CREATE TABLE IF NOT EXISTS tank_anomaly_settings (
+  tank_no               VARCHAR(50)   NOT NULL PRIMARY KEY,
+  enabled               TINYINT(1)    NOT NULL DEFAULT 1,
+  operating_hours       VARCHAR(255)  NULL,
+  steady_window_minutes INT           NULL,
+  steady_rate_lph       DECIMAL(14,3) NULL,
+  step_minutes          INT           NULL,
+  step_loss_l           DECIMAL(14,3) NULL,
+  updated_by_id         INT           NULL,
+  updated_by            VARCHAR(100)  NULL,
+  updated_at            DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- One row per finding. A later scan that sees the same drop again
+-- widens the row instead of adding one, so each drop notifies once.
+--   kind  STEADY_DROP (leak) | STEP_LOSS (theft / burst)
+CREATE TABLE IF NOT EXISTS tank_anomalies (
+  id             INT AUTO_INCREMENT PRIMARY KEY,
+  tank_no        VARCHAR(50)   NOT NULL,
+  kind           VARCHAR(20)   NOT NULL,
+  severity       VARCHAR(10)   NOT NULL,
+  started_at     DATETIME      NOT NULL,
+  ended_at       DATETIME      NOT NULL,
+  volume_start_l DECIMAL(14,3) NOT NULL,
+  volume_end_l   DECIMAL(14,3) NOT NULL,
+  loss_l         DECIMAL(14,3) NOT NULL,
+  rate_lph       DECIMAL(14,3) NULL,
+  readings       INT           NOT NULL,
+  suppressed     TINYINT(1)    NOT NULL DEFAULT 0,
+  notified       INT           NOT NULL DEFAULT 0,
+  detected_at    DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at     DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  KEY idx_tank_anomalies_tank (tank_no, kind, started_at),
+  KEY idx_tank_anomalies_detected (detected_at)
+);
@@ -0,0 +1,3 @@
+-- migrations/020_tank_rollups.down.sql
+DROP TABLE IF EXISTS tank_rollup_state;
+DROP TABLE IF EXISTS tank_rollups;
@@ -0,0 +1,37 @@
+-- migrations/020_tank_rollups.up.sql
+-- Hourly and daily statistics per tank (services/rollups.js), so long
+-- history ranges and the offline report do not scan Transaction_Table.
+--
+--   period          'hour' | 'day' (local day, summed from the hours)
+--   samples         readings in the bucket, with or without a volume
+--   *_volume_l      over the readings that gave a volume (NULL if none)
+--   first/last_*    earliest / latest reading of the bucket
+--   uptime_minutes  time covered by readings at most
+--                   ROLLUP_UPTIME_GAP_MINUTES (30) apart
+CREATE TABLE IF NOT EXISTS tank_rollups (
+  tank_no         VARCHAR(50)   NOT NULL,
+  period          VARCHAR(4)    NOT NULL,
+  bucket_start    DATETIME      NOT NULL,
+  samples         INT           NOT NULL,
+  min_volume_l    DECIMAL(14,3) NULL,
+  max_volume_l    DECIMAL(14,3) NULL,
+  avg_volume_l    DECIMAL(14,3) NULL,
+  volume_samples  INT           NOT NULL DEFAULT 0,
+  first_at        DATETIME      NOT NULL,
+  last_at         DATETIME      NOT NULL,
+  first_level_m   DECIMAL(10,3) NULL,
+  last_level_m    DECIMAL(10,3) NULL,
+  first_volume_l  DECIMAL(14,3) NULL,
+  last_volume_l   DECIMAL(14,3) NULL,
+  uptime_minutes  DECIMAL(8,1)  NOT NULL DEFAULT 0,
+  updated_at      DATETIME      NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (tank_no, period, bucket_start)
+);
+
+-- How far each tank is rolled up: every hour before rolled_until is in
+-- tank_rollups. The job resumes from here after a restart.
+CREATE TABLE IF NOT EXISTS tank_rollup_state (
+  tank_no        VARCHAR(50) NOT NULL PRIMARY KEY,
+  rolled_until   DATETIME    NOT NULL,
+  updated_at     DATETIME    NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
@@ -0,0 +1,5 @@
+-- migrations/021_tank_status_reading_time.down.sql
+
+ALTER TABLE tank_status
+  DROP KEY idx_tank_status_tank_reading,
+  DROP COLUMN reading_time;
@@ -0,0 +1,11 @@
+-- migrations/021_tank_status_reading_time.up.sql
+-- Time of the reading a tank_status row was derived from. current_time
+-- is when the row was inserted, which for backfills and gateway flushes
+-- is hours after the reading; FILL_DROP rules window on reading_time
+-- (services/alertRules.js). Existing rows get their insert time.
+
+ALTER TABLE tank_status
+  ADD COLUMN reading_time DATETIME NULL,
+  ADD KEY idx_tank_status_tank_reading (tank_no, reading_time);
+
+UPDATE tank_status SET reading_time = `current_time` WHERE reading_time IS NULL;
@@ -0,0 +1,153 @@
+// routes/alarms.js
+import express from "express";
+import { requireAuth } from "./auth.js";
+import {
+  ALARM_STATES,
+  listAlarms,
+  getAlarm,
+  acknowledgeAlarm,
+  shelveAlarm,
+  unshelveAlarm,
+} from "../services/alarms.js";
+import { SEVERITIES, severityFilter } from "../utils/safeLimits.js";
+
+const router = express.Router();
+
+/**
+ * GET /api/alarms
+ *
+ * Query:
+ *  - state     ACTIVE,ACKED,SHELVED (default: open alarms) | CLEARED | ALL
+ *  - tank_no   (optional)
+ *  - severity / min_severity  (warning | critical)
+ *  - limit     (default 100, max 1000)
+ */
+router.get("/", async (req, res) => {
+  try {
+    const stateRaw = String(req.query.state || "ACTIVE,ACKED,SHELVED")
+      .toUpperCase()
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean);
+
+    const all = stateRaw.includes("ALL");
+    if (!all && !stateRaw.every((s) => ALARM_STATES.includes(s))) {
+      return res.status(400).json({
+        ok: false,
+        error: "INVALID_STATE",
+        allowed: [...ALARM_STATES, "ALL"],
+      });
+    }
+
+    const severities = severityFilter(req.query);
+    if (severities === null) {
+      return res.status(400).json({
+        ok: false,
+        error: "INVALID_SEVERITY",
+        allowed: SEVERITIES,
+      });
+    }
+
+    const rows = await listAlarms({
+      states: all ? null : stateRaw,
+      tank_no: req.query.tank_no ? String(req.query.tank_no).trim() : null,
+      severities,
+      limit: Math.min(Number(req.query.limit || 100) || 100, 1000),
+    });
+
+    return res.json({ ok: true, count: rows.length, data: rows });
+  } catch (err) {
+    console.error("GET /api/alarms error:", err);
+    return res.status(500).json({
+      ok: false,
+      error: "DB_READ_FAILED",
+      details: String(err),
+    });
+  }
+});
+
+/**
+ * GET /api/alarms/:id
+ * One alarm with its event history.
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ ok: false, error: "INVALID_ID" });
+    }
+
+    const alarm = await getAlarm(id);
+    if (!alarm) {
+      return res.status(404).json({ ok: false, error: "NOT_FOUND" });
+    }
+    return res.json({ ok: true, data: alarm });
+  } catch (err) {
+    console.error("GET /api/alarms/:id error:", err);
+    return res.status(500).json({
+      ok: false,
+      error: "DB_READ_FAILED",
+      details: String(err),
+    });
+  }
+});
+
+/**
+ * POST /api/alarms/:id/ack        body: { comment? }
+ * POST /api/alarms/:id/shelve     body: { minutes, comment? }
+ * POST /api/alarms/:id/unshelve   body: { comment? }
+ * comment: at most 255 characters (400 INVALID_COMMENT).
+ *
+ * headers: Authorization: Bearer <token> – the operator is the JWT user.
+ */
+function alarmAction(action) {
+  return async (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      if (!Number.isInteger(id) || id <= 0) {
+        return res.status(400).json({ ok: false, error: "INVALID_ID" });
+      }
+
+      const user = { id: req.auth.id, username: req.auth.username };
+      const result = await action(id, user, req.body || {});
+
+      if (!result.ok) {
+        const status =
+          result.error === "NOT_FOUND"
+            ? 404
+            : ["INVALID_SHELVE_DURATION", "INVALID_COMMENT"].includes(result.error)
+              ? 400
+              : 409;
+        return res.status(status).json(result);
+      }
+      return res.json(result);
+    } catch (err) {
+      console.error(`POST ${req.originalUrl} error:`, err);
+      return res.status(500).json({
+        ok: false,
+        error: "DB_WRITE_FAILED",
+        details: String(err),
+      });
+    }
+  };
+}
+
+router.post(
+  "/:id/ack",
+  requireAuth,
+  alarmAction((id, user, body) => acknowledgeAlarm(id, user, body.comment))
+);
+router.post(
+  "/:id/shelve",
+  requireAuth,
+  alarmAction((id, user, body) =>
+    shelveAlarm(id, user, body.minutes, body.comment)
+  )
+);
+router.post(
+  "/:id/unshelve",
+  requireAuth,
+  alarmAction((id, user, body) => unshelveAlarm(id, user, body.comment))
+);
+
+export default router;
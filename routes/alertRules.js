@@ -0,0 +1,228 @@
+// routes/alertRules.js
+import express from "express";
+import { requireAuth } from "./auth.js";
+import { SEVERITIES, severityFilter } from "../utils/safeLimits.js";
+import { validateRule } from "../utils/alertRules.js";
+import {
+  listRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  listHits,
+} from "../services/alertRules.js";
+
+const router = express.Router();
+
+function parseId(req, res) {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) {
+    res.status(400).json({ ok: false, error: "INVALID_ID" });
+    return null;
+  }
+  return id;
+}
+
+/**
+ * GET /api/alert-rules
+ * Every rule, enabled or not.
+ */
+router.get("/", async (req, res) => {
+  try {
+    const rows = await listRules();
+    return res.json({ ok: true, count: rows.length, data: rows });
+  } catch (err) {
+    console.error("GET /api/alert-rules error:", err);
+    return res.status(500).json({
+      ok: false,
+      error: "DB_READ_FAILED",
+      details: String(err),
+    });
+  }
+});
+
+/**
+ * GET /api/alert-rules/hits
+ *
+ * Rule hits, newest first.
+ *
+ * Query:
+ *   rule_id, tank_no, location
+ *   open=1                      only hits whose condition still holds
+ *   severity=critical / min_severity=warning
+ *   limit (default 100, max 1000)
+ */
+router.get("/hits", async (req, res) => {
+  const severities = severityFilter(req.query);
+  if (severities === null) {
+    return res.status(400).json({
+      ok: false,
+      error: "INVALID_SEVERITY",
+      allowed: SEVERITIES,
+    });
+  }
+
+  let ruleId = null;
+  if (req.query.rule_id !== undefined) {
+    ruleId = Number(req.query.rule_id);
+    if (!Number.isInteger(ruleId) || ruleId <= 0) {
+      return res.status(400).json({ ok: false, error: "INVALID_RULE_ID" });
+    }
+  }
+
+  try {
+    const rows = await listHits({
+      rule_id: ruleId,
+      tank_no: req.query.tank_no ? String(req.query.tank_no).trim() : null,
+      location: req.query.location ? String(req.query.location).trim() : null,
+      open: req.query.open === "1" || req.query.open === "true",
+      severities,
+      limit: Math.min(parseInt(req.query.limit) || 100, 1000),
+    });
+    return res.json({ ok: true, count: rows.length, data: rows });
+  } catch (err) {
+    console.error("GET /api/alert-rules/hits error:", err);
+    return res.status(500).json({
+      ok: false,
+      error: "DB_READ_FAILED",
+      details: String(err),
+    });
+  }
+});
+
+/**
+ * GET /api/alert-rules/:id
+ */
+router.get("/:id", async (req, res) => {
+  const id = parseId(req, res);
+  if (id == null) return;
+
+  try {
+    const rule = await getRule(id);
+    if (!rule) {
+      return res.status(404).json({ ok: false, error: "NOT_FOUND" });
+    }
+    return res.json({ ok: true, data: rule });
+  } catch (err) {
+    console.error("GET /api/alert-rules/:id error:", err);
+    return res.status(500).json({
+      ok: false,
+      error: "DB_READ_FAILED",
+      details: String(err),
+    });
+  }
+});
+
+/**
+ * POST /api/alert-rules   (JWT)
+ *
+ * body:
+ * {
+ *   "name": "Fast draw",
+ *   "rule_type": "FILL_DROP",    // FILL_DROP | BELOW_REQUIRED_VOLUME
+ *                                // | NO_READING | STUCK_SENSOR
+ *   "tank_no": "T-101",          // or "location": "Plant A", or neither
+ *   "threshold": 10,             // FILL_DROP: % points, STUCK_SENSOR: m
+ *   "window_minutes": 60,        // FILL_DROP, NO_READING, STUCK_SENSOR
+ *   "severity": "warning",       // warning | critical
+ *   "message": "Possible leak",  // optional, default built from the values
+ *   "notify": true,              // SMS / email the tank's subscribers
+ *   "enabled": true
+ * }
+ * Parameters per type: utils/alertRules.js.
+ */
+router.post("/", requireAuth, async (req, res) => {
+  const { values, error, details } = validateRule(req.body || {});
+  if (error) {
+    return res.status(400).json({ ok: false, error, details });
+  }
+
+  try {
+    const rule = await createRule(values, {
+      id: req.auth.id,
+      username: req.auth.username,
+    });
+    return res.status(201).json({ ok: true, data: rule });
+  } catch (err) {
+    console.error("POST /api/alert-rules error:", err);
+    return res.status(500).json({
+      ok: false,
+      error: "DB_WRITE_FAILED",
+      details: String(err),
+    });
+  }
+});
+
+/**
+ * PUT /api/alert-rules/:id   (JWT)
+ * Fields as for POST; the ones left out keep their value. A change of
+ * rule_type, tank_no, location, threshold, window_minutes or enabled
+ * closes the rule's open hits – it is evaluated afresh from the next
+ * reading; name, severity, message or notify alone leave them open.
+ */
+router.put("/:id", requireAuth, async (req, res) => {
+  const id = parseId(req, res);
+  if (id == null) return;
+
+  try {
+    const current = await getRule(id);
+    if (!current) {
+      return res.status(404).json({ ok: false, error: "NOT_FOUND" });
+    }
+
+    const body = req.body || {};
+    const merged = { ...current, ...body };
+    // a new type brings its own parameter defaults
+    if (
+      body.rule_type !== undefined &&
+      String(body.rule_type).trim().toUpperCase() !== current.rule_type
+    ) {
+      if (body.threshold === undefined) merged.threshold = null;
+      if (body.window_minutes === undefined) merged.window_minutes = null;
+    }
+
+    const { values, error, details } = validateRule(merged);
+    if (error) {
+      return res.status(400).json({ ok: false, error, details });
+    }
+
+    const rule = await updateRule(id, values);
+    if (!rule) {
+      return res.status(404).json({ ok: false, error: "NOT_FOUND" });
+    }
+    return res.json({ ok: true, data: rule });
+  } catch (err) {
+    console.error("PUT /api/alert-rules/:id error:", err);
+    return res.status(500).json({
+      ok: false,
+      error: "DB_WRITE_FAILED",
+      details: String(err),
+    });
+  }
+});
+
+/**
+ * DELETE /api/alert-rules/:id   (JWT)
+ * Its hits stay in the history (closed).
+ */
+router.delete("/:id", requireAuth, async (req, res) => {
+  const id = parseId(req, res);
+  if (id == null) return;
+
+  try {
+    const deleted = await deleteRule(id);
+    if (!deleted) {
+      return res.status(404).json({ ok: false, error: "NOT_FOUND" });
+    }
+    return res.json({ ok: true, deleted: id });
+  } catch (err) {
+    console.error("DELETE /api/alert-rules/:id error:", err);
+    return res.status(500).json({
+      ok: false,
+      error: "DB_WRITE_FAILED",
+      details: String(err),
+    });
+  }
+});
+
+export default router;
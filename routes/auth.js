@@ -32,7 +32,8 @@ function generateToken(user) {
 }
 
 // Middleware: verify JWT from Authorization: Bearer <token>
-async function requireAuth(req, res, next) {
+// (also used by routes/alarms.js and routes/tankMaintenance.js)
+export async function requireAuth(req, res, next) {
   try {
     const authHeader = req.headers.authorization || "";
     const parts = authHeader.split(" ");
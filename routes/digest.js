@@ -0,0 +1,97 @@
+// routes/digest.js
+import express from "express";
+import { previewDigest } from "../services/digest.js";
+import { parseTimeOfDay } from "../utils/quietHours.js";
+import { formatSendTimes } from "../utils/digest.js";
+
+const router = express.Router();
+
+const dayKey = (d) =>
+  `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+
+// "2024-02-30" does not exist (Date would roll it over to March 1)
+function validDate(value) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  return !!m && dayKey(new Date(+m[1], +m[2] - 1, +m[3])) === value;
+}
+
+/**
+ * GET /api/digest/preview?date=2024-05-01
+ *
+ * The digest that went out (or would go out) on `date`, without sending it.
+ *
+ * Query:
+ *   date     YYYY-MM-DD, a real calendar day (default today, server time)
+ *   user_id  that contact's tanks and send times (/api/user/:id/digest);
+ *            default: every tank, daily at 07:00
+ *   time     HH:MM (or H:MM, HH:MM:SS) – latest send time at or before it
+ *            (default end of day)
+ *   format   json (default) | text | html | sms
+ */
+router.get("/preview", async (req, res) => {
+  const date = String(req.query.date || dayKey(new Date()));
+  if (!validDate(date)) {
+    return res.status(400).json({
+      ok: false,
+      error: "INVALID_DATE",
+      details: "expected YYYY-MM-DD",
+    });
+  }
+
+  // send times are whole minutes: "7:00:30" → "07:00:00"
+  const minutes = req.query.time ? parseTimeOfDay(req.query.time) : null;
+  if (req.query.time && minutes == null) {
+    return res.status(400).json({
+      ok: false,
+      error: "INVALID_TIME",
+      details: "expected HH:MM",
+    });
+  }
+
+  let userId = null;
+  if (req.query.user_id !== undefined) {
+    userId = Number(req.query.user_id);
+    if (!Number.isInteger(userId)) {
+      return res.status(400).json({ ok: false, error: "INVALID_USER_ID" });
+    }
+  }
+
+  const format = String(req.query.format || "json").toLowerCase();
+  if (!["json", "text", "html", "sms"].includes(format)) {
+    return res.status(400).json({
+      ok: false,
+      error: "INVALID_FORMAT",
+      allowed: ["json", "text", "html", "sms"],
+    });
+  }
+
+  try {
+    const result = await previewDigest({
+      date,
+      time: minutes == null ? null : `${formatSendTimes([minutes])}:00`,
+      userId,
+    });
+    if (!result.ok) return res.status(404).json(result);
+
+    if (format === "html") return res.type("html").send(result.html);
+    if (format === "text") return res.type("text").send(result.text);
+    if (format === "sms") return res.type("text").send(result.sms);
+
+    return res.json({
+      ok: true,
+      user_id: userId,
+      data: result.digest,
+      text: result.text,
+      sms: result.sms,
+    });
+  } catch (err) {
+    console.error("GET /api/digest/preview error:", err);
+    return res.status(500).json({
+      ok: false,
+      error: "DB_READ_FAILED",
+      details: String(err),
+    });
+  }
+});
+
+export default router;
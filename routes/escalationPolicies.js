@@ -0,0 +1,146 @@
+// routes/escalationPolicies.js
+import express from "express";
+import {
+  validatePolicy,
+  unknownStepUsers,
+  listPolicies,
+  getPolicy,
+  savePolicy,
+  deletePolicy,
+} from "../services/escalation.js";
+
+const router = express.Router();
+
+function parseId(req, res) {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) {
+    res.status(400).json({ ok: false, error: "INVALID_ID" });
+    return null;
+  }
+  return id;
+}
+
+/**
+ * GET /api/escalation-policies
+ * Every policy with its steps.
+ */
+router.get("/", async (req, res) => {
+  try {
+    const rows = await listPolicies();
+    return res.json({ ok: true, count: rows.length, data: rows });
+  } catch (err) {
+    console.error("GET /api/escalation-policies error:", err);
+    return res.status(500).json({
+      ok: false,
+      error: "DB_READ_FAILED",
+      details: String(err),
+    });
+  }
+});
+
+/**
+ * GET /api/escalation-policies/:id
+ */
+router.get("/:id", async (req, res) => {
+  const id = parseId(req, res);
+  if (id == null) return;
+
+  try {
+    const policy = await getPolicy(id);
+    if (!policy) {
+      return res.status(404).json({ ok: false, error: "NOT_FOUND" });
+    }
+    return res.json({ ok: true, data: policy });
+  } catch (err) {
+    console.error("GET /api/escalation-policies/:id error:", err);
+    return res.status(500).json({
+      ok: false,
+      error: "DB_READ_FAILED",
+      details: String(err),
+    });
+  }
+});
+
+/**
+ * POST /api/escalation-policies
+ * PUT  /api/escalation-policies/:id   (replaces the policy and its steps)
+ *
+ * body:
+ * {
+ *   "name": "Fire water",
+ *   "tank_no": "FW-1",            // or "location": "Plant A", or neither
+ *   "min_severity": "warning",    // warning | critical
+ *   "enabled": true,
+ *   "steps": [
+ *     { "delay_minutes": 0,  "label": "shift operator", "user_ids": [3] },
+ *     { "delay_minutes": 15, "label": "supervisor",     "user_ids": [5] },
+ *     { "delay_minutes": 30, "label": "plant manager",  "user_ids": [1] }
+ *   ]
+ * }
+ * A step's user_ids must fit 255 characters as a comma list (about 50
+ * contacts).
+ */
+async function save(req, res, id) {
+  const { values, steps, error, details } = validatePolicy(req.body || {});
+  if (error) {
+    return res.status(400).json({ ok: false, error, details });
+  }
+
+  try {
+    const unknown = await unknownStepUsers(steps);
+    if (unknown.length) {
+      return res.status(400).json({
+        ok: false,
+        error: "USER_NOT_FOUND",
+        details: { user_ids: unknown },
+      });
+    }
+
+    const policy = await savePolicy(id, values, steps);
+    if (!policy) {
+      return res.status(404).json({ ok: false, error: "NOT_FOUND" });
+    }
+    return res.status(id == null ? 201 : 200).json({ ok: true, data: policy });
+  } catch (err) {
+    console.error(`${req.method} ${req.originalUrl} error:`, err);
+    return res.status(500).json({
+      ok: false,
+      error: "DB_WRITE_FAILED",
+      details: String(err),
+    });
+  }
+}
+
+router.post("/", (req, res) => save(req, res, null));
+
+router.put("/:id", (req, res) => {
+  const id = parseId(req, res);
+  if (id == null) return;
+  return save(req, res, id);
+});
+
+/**
+ * DELETE /api/escalation-policies/:id
+ * Steps already fired stay in alarm_escalations.
+ */
+router.delete("/:id", async (req, res) => {
+  const id = parseId(req, res);
+  if (id == null) return;
+
+  try {
+    const deleted = await deletePolicy(id);
+    if (!deleted) {
+      return res.status(404).json({ ok: false, error: "NOT_FOUND" });
+    }
+    return res.json({ ok: true, deleted: id });
+  } catch (err) {
+    console.error("DELETE /api/escalation-policies/:id error:", err);
+    return res.status(500).json({
+      ok: false,
+      error: "DB_WRITE_FAILED",
+      details: String(err),
+    });
+  }
+});
+
+export default router;
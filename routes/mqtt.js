@@ -0,0 +1,20 @@
+// routes/mqtt.js
+import express from "express";
+import { getMqttStatus } from "../services/mqttIngest.js";
+
+const router = express.Router();
+
+/**
+ * GET /api/mqtt/status
+ *
+ * Connection state + message counters of the in-process subscriber
+ * (services/mqttIngest.js):
+ *   received / accepted / duplicates (seq or message_id seen before)
+ *   / quarantined (failed validation) / rejected (bad payload, unknown device) / failed (DB error),
+ *   overall and per topic.
+ */
+router.get("/status", (_req, res) => {
+  return res.json({ ok: true, mqtt: getMqttStatus() });
+});
+
+export default router;
@@ -0,0 +1,339 @@
+// routes/notificationChannels.js
+import express from "express";
+import { pool } from "../db.js";
+import { SEVERITIES, severityFilter } from "../utils/safeLimits.js";
+import { NOTIFICATION_EVENTS } from "../utils/notificationTemplates.js";
+import {
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_STATUSES,
+  DELIVERY_EVENTS,
+  listTemplates,
+  saveTemplate,
+  resetTemplate,
+  retryNotification,
+} from "../services/notificationQueue.js";
+
+/**
+ * Email / webhook delivery log and templates, mounted at /api/notifications
+ * next to the tank_status feed (routes/notifications.js).
+ */
+const router = express.Router();
+
+function csvFilter(value, allowed, { upper = true } = {}) {
+  if (!value) return undefined;
+  const list = String(value)
+    .split(",")
+    .map((s) => (upper ? s.trim().toUpperCase() : s.trim().toLowerCase()))
+    .filter(Boolean);
+  return list.every((s) => allowed.includes(s)) ? list : null;
+}
+
+/**
+ * GET /api/notifications/deliveries?page=&limit=
+ *
+ * Email and webhook deliveries (notification_log), newest first.
+ *
+ * Query:
+ *   channel=email,webhook
+ *   status=FAILED,RETRY         QUEUED | SENDING | RETRY | SENT | FAILED | SUPPRESSED
+ *   event=RAISED                RAISED | LEVEL_CHANGED | CLEARED | TEST | DIGEST | RULE | ANOMALY
+ *   tank_no, alarm_id
+ *   severity=critical / min_severity=warning
+ */
+router.get("/deliveries", async (req, res) => {
+  const channels = csvFilter(req.query.channel, NOTIFICATION_CHANNELS, { upper: false });
+  const statuses = csvFilter(req.query.status, NOTIFICATION_STATUSES);
+  const events = csvFilter(req.query.event, DELIVERY_EVENTS);
+  const severities = severityFilter(req.query);
+
+  const invalid =
+    channels === null
+      ? { error: "INVALID_CHANNEL", allowed: NOTIFICATION_CHANNELS }
+      : statuses === null
+        ? { error: "INVALID_STATUS", allowed: NOTIFICATION_STATUSES }
+        : events === null
+          ? { error: "INVALID_EVENT", allowed: DELIVERY_EVENTS }
+          : severities === null
+            ? { error: "INVALID_SEVERITY", allowed: SEVERITIES }
+            : null;
+  if (invalid) return res.status(400).json({ ok: false, ...invalid });
+
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+    const offset = (page - 1) * limit;
+
+    const where = [];
+    const params = [];
+
+    if (channels) {
+      where.push("n.channel IN (?)");
+      params.push(channels);
+    }
+    if (statuses) {
+      where.push("n.status IN (?)");
+      params.push(statuses);
+    }
+    if (events) {
+      where.push("n.event IN (?)");
+      params.push(events);
+    }
+    if (severities) {
+      where.push("n.severity IN (?)");
+      params.push(severities);
+    }
+    if (req.query.tank_no) {
+      where.push("n.tank_no = ?");
+      params.push(String(req.query.tank_no).trim());
+    }
+    if (req.query.alarm_id) {
+      where.push("n.alarm_id = ?");
+      params.push(Number(req.query.alarm_id));
+    }
+
+    const whereSql = where.length ? "WHERE " + where.join(" AND ") : "";
+
+    const [[{ total }]] = await pool.query(
+      `SELECT COUNT(*) AS total FROM notification_log n ${whereSql}`,
+      params
+    );
+
+    const [rows] = await pool.query(
+      `
+        SELECT
+          n.id, n.channel, n.event, n.alarm_id, n.tank_no, n.alarm_level,
+          n.severity, n.user_id, n.subscription_id, n.webhook_id, n.recipient,
+          n.subject, n.status, n.attempts, n.provider_message_id, n.last_error,
+          n.next_attempt_at, n.created_at, n.sent_at,
+          m.location,
+          u.name AS user_name,
+          w.name AS webhook_name
+        FROM notification_log n
+        LEFT JOIN (
+          SELECT tank_no, MAX(location) AS location
+          FROM Master_Tables
+          GROUP BY tank_no
+        ) m                     ON m.tank_no = n.tank_no
+        LEFT JOIN users u             ON u.id = n.user_id
+        LEFT JOIN webhook_endpoints w ON w.id = n.webhook_id
+        ${whereSql}
+        ORDER BY n.created_at DESC, n.id DESC
+        LIMIT ? OFFSET ?
+      `,
+      [...params, limit, offset]
+    );
+
+    const data = rows.map((row) => ({
+      id: row.id,
+      channel: row.channel,
+      event: row.event,
+      alarm_id: row.alarm_id,
+      tank_no: row.tank_no,
+      location: row.location ?? null,
+      alarm_level: row.alarm_level,
+      severity: row.severity,
+      recipient: row.recipient,
+      subject: row.subject,
+      status: row.status,
+      attempts: row.attempts,
+      provider_message_id: row.provider_message_id,
+      last_error: row.last_error,
+      time: row.created_at,
+      sent_at: row.sent_at,
+      next_attempt_at:
+        row.status === "QUEUED" || row.status === "RETRY"
+          ? row.next_attempt_at
+          : null,
+      user: row.user_id
+        ? { id: row.user_id, name: row.user_name ?? null }
+        : null,
+      subscription_id: row.subscription_id,
+      webhook: row.webhook_id
+        ? { id: row.webhook_id, name: row.webhook_name ?? null }
+        : null,
+    }));
+
+    res.json({
+      ok: true,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+      data,
+    });
+  } catch (err) {
+    console.error("GET /api/notifications/deliveries error:", err);
+    res.status(500).json({
+      ok: false,
+      error: "DB_READ_FAILED",
+      details: String(err),
+    });
+  }
+});
+
+/**
+ * GET /api/notifications/deliveries/:id
+ * One delivery with its body and every attempt.
+ */
+router.get("/deliveries/:id", async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({ ok: false, error: "INVALID_ID" });
+  }
+
+  try {
+    const [rows] = await pool.query(
+      "SELECT * FROM notification_log WHERE id = ?",
+      [id]
+    );
+    if (!rows.length) {
+      return res.status(404).json({ ok: false, error: "NOT_FOUND" });
+    }
+
+    const [attempts] = await pool.query(
+      `
+        SELECT attempt, status, response_code, response, error,
+               duration_ms, created_at
+        FROM notification_attempts
+        WHERE notification_id = ?
+        ORDER BY attempt ASC, id ASC
+      `,
+      [id]
+    );
+
+    res.json({ ok: true, data: { ...rows[0], attempts } });
+  } catch (err) {
+    console.error("GET /api/notifications/deliveries/:id error:", err);
+    res.status(500).json({
+      ok: false,
+      error: "DB_READ_FAILED",
+      details: String(err),
+    });
+  }
+});
+
+/**
+ * POST /api/notifications/deliveries/:id/retry
+ * Re-queue a FAILED delivery.
+ */
+router.post("/deliveries/:id/retry", async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({ ok: false, error: "INVALID_ID" });
+  }
+
+  try {
+    const result = await retryNotification(id);
+    if (!result.ok) {
+      return res
+        .status(result.error === "NOT_FOUND" ? 404 : 409)
+        .json(result);
+    }
+    res.json(result);
+  } catch (err) {
+    console.error("POST /api/notifications/deliveries/:id/retry error:", err);
+    res.status(500).json({
+      ok: false,
+      error: "DB_WRITE_FAILED",
+      details: String(err),
+    });
+  }
+});
+
+/**
+ * GET /api/notifications/templates
+ * The effective template of every channel + event (custom = overridden).
+ */
+router.get("/templates", async (req, res) => {
+  try {
+    const rows = await listTemplates();
+    res.json({ ok: true, count: rows.length, data: rows });
+  } catch (err) {
+    console.error("GET /api/notifications/templates error:", err);
+    res.status(500).json({
+      ok: false,
+      error: "DB_READ_FAILED",
+      details: String(err),
+    });
+  }
+});
+
+function templateKey(req, res) {
+  const channel = String(req.params.channel).toLowerCase();
+  const event = String(req.params.event).toUpperCase();
+  if (!NOTIFICATION_CHANNELS.includes(channel)) {
+    res.status(400).json({
+      ok: false,
+      error: "INVALID_CHANNEL",
+      allowed: NOTIFICATION_CHANNELS,
+    });
+    return null;
+  }
+  if (!NOTIFICATION_EVENTS.includes(event)) {
+    res.status(400).json({
+      ok: false,
+      error: "INVALID_EVENT",
+      allowed: NOTIFICATION_EVENTS,
+    });
+    return null;
+  }
+  return { channel, event };
+}
+
+/**
+ * PUT /api/notifications/templates/:channel/:event
+ * body: { subject?, body }   – subject is used by email only.
+ * Placeholders are listed in utils/notificationTemplates.js.
+ */
+router.put("/templates/:channel/:event", async (req, res) => {
+  const key = templateKey(req, res);
+  if (!key) return;
+
+  const { subject, body } = req.body || {};
+  if (!body || !String(body).trim()) {
+    return res.status(400).json({ ok: false, error: "BODY_REQUIRED" });
+  }
+  if (key.channel === "email" && !String(subject ?? "").trim()) {
+    return res.status(400).json({ ok: false, error: "SUBJECT_REQUIRED" });
+  }
+
+  try {
+    const template = await saveTemplate(key.channel, key.event, {
+      subject: key.channel === "email" ? String(subject).trim() : null,
+      body: String(body),
+    });
+    res.json({ ok: true, data: template });
+  } catch (err) {
+    console.error("PUT /api/notifications/templates error:", err);
+    res.status(500).json({
+      ok: false,
+      error: "DB_WRITE_FAILED",
+      details: String(err),
+    });
+  }
+});
+
+/**
+ * DELETE /api/notifications/templates/:channel/:event
+ * Back to the built-in template.
+ */
+router.delete("/templates/:channel/:event", async (req, res) => {
+  const key = templateKey(req, res);
+  if (!key) return;
+
+  try {
+    const template = await resetTemplate(key.channel, key.event);
+    res.json({ ok: true, data: template });
+  } catch (err) {
+    console.error("DELETE /api/notifications/templates error:", err);
+    res.status(500).json({
+      ok: false,
+      error: "DB_WRITE_FAILED",
+      details: String(err),
+    });
+  }
+});
+
+export default router;
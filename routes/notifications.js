@@ -1,9 +1,33 @@
 // routes/notifications.js
 import express from "express";
 import { pool } from "../db.js";
+import {
+  ALARM_LEVELS,
+  SEVERITIES,
+  normalizeAlarmLevel,
+  severityFilter,
+} from "../utils/safeLimits.js";
+import { listHits } from "../services/alertRules.js";
 
 const router = express.Router();
 
+/**
+ * GET /api/notifications
+ *
+ * tank_status rows of the last 15 days, newest first, and the alert rule
+ * hits of the same days (rule_hits, /api/alert-rules).
+ *
+ * Query:
+ *   tank_no, location, limit (default 500, max 2000)
+ *   severity=warning,critical   only these severities (ok | warning | critical)
+ *   min_severity=warning        this severity and worse
+ *   alarm_level=H,HH            only these levels (LL | L | NORMAL | H | HH);
+ *                               rule hits have no level and are left out
+ *   include_suppressed=1        also rows written while the tank was under
+ *                               maintenance or had alerts disabled
+ *                               (/api/tank-master/:tank_no/maintenance|alerts)
+ *   debug=1
+ */
 router.get("/", async (req, res) => {
   const debug =
     req.query.debug === "1" ||
@@ -30,6 +54,41 @@ router.get("/", async (req, res) => {
     params.push(location);
   }
 
+  const severities = severityFilter(req.query);
+  if (severities === null) {
+    return res.status(400).json({
+      ok: false,
+      error: "INVALID_SEVERITY",
+      allowed: SEVERITIES,
+    });
+  }
+  if (severities) {
+    where.push("t.severity IN (?)");
+    params.push(severities);
+  }
+
+  if (req.query.alarm_level) {
+    const levels = String(req.query.alarm_level)
+      .split(",")
+      .map(normalizeAlarmLevel);
+    if (levels.includes(null)) {
+      return res.status(400).json({
+        ok: false,
+        error: "INVALID_ALARM_LEVEL",
+        allowed: ALARM_LEVELS,
+      });
+    }
+    where.push("t.alarm_level IN (?)");
+    params.push(levels);
+  }
+
+  const includeSuppressed =
+    req.query.include_suppressed === "1" ||
+    req.query.include_suppressed === "true";
+  if (!includeSuppressed) {
+    where.push("t.under_maintenance = 0 AND t.disable_alert = 0");
+  }
+
   const whereSql = "WHERE " + where.join(" AND ");
 
   const sql = `
@@ -42,6 +101,8 @@ router.get("/", async (req, res) => {
       t.flowStatus,
       t.tank_status,
       t.tank_alert_message,
+      t.alarm_level,
+      t.severity,
       t.under_maintenance,
       t.disable_alert,
 
@@ -70,6 +131,17 @@ router.get("/", async (req, res) => {
 
     const [rows] = await pool.query(sql, params);
 
+    const ruleHits = req.query.alarm_level
+      ? []
+      : await listHits({
+          tank_no: tank_no || null,
+          location: location || null,
+          severities,
+          include_suppressed: includeSuppressed,
+          since_days: 15,
+          limit: safeLimit,
+        });
+
     if (debug) {
       console.log("Rows:", rows.length);
       console.log("Sample:", rows[0]);
@@ -79,6 +151,7 @@ router.get("/", async (req, res) => {
     return res.json({
       ok: true,
       rows,
+      rule_hits: ruleHits,
     });
   } catch (err) {
     console.error("❌ Error:", err);
@@ -11,26 +11,46 @@ reportsRouter.get("/", async (req, res) => {
 
     /**
      * Base query: get last two records per tank
+     *
+     * Rolled-up hours (tank_rollups, services/rollups.js) stand in for
+     * their readings by first_at / last_at: a gap of 120 min always lies
+     * between two hours, so it is the same gap. Readings from a tank's
+     * rolled_until on are read as they are.
      */
     const baseQuery = `
   FROM (
     SELECT
       tank_no,
-      date_time AS online_time,
-      LAG(date_time) OVER (
+      first_at AS online_time,
+      LAG(last_at) OVER (
         PARTITION BY tank_no
-        ORDER BY date_time
+        ORDER BY first_at
       ) AS offline_time,
       TIMESTAMPDIFF(
         MINUTE,
-        LAG(date_time) OVER (
+        LAG(last_at) OVER (
           PARTITION BY tank_no
-          ORDER BY date_time
+          ORDER BY first_at
         ),
-        date_time
+        first_at
       ) AS offline_minutes
-    FROM Transaction_Table
-    WHERE date_time <= NOW()   -- 🔥 CRITICAL FIX
+    FROM (
+      SELECT r.tank_no, r.first_at, r.last_at
+      FROM tank_rollups r
+      JOIN tank_rollup_state s
+        ON s.tank_no = r.tank_no
+       AND r.bucket_start < s.rolled_until
+      WHERE r.period = 'hour'
+
+      UNION ALL
+
+      SELECT tt.tank_no, tt.date_time AS first_at, tt.date_time AS last_at
+      FROM Transaction_Table tt
+      LEFT JOIN tank_rollup_state s
+        ON s.tank_no = tt.tank_no
+      WHERE tt.date_time <= NOW()   -- 🔥 CRITICAL FIX
+        AND (s.rolled_until IS NULL OR tt.date_time >= s.rolled_until)
+    ) readings
   ) t
   WHERE offline_time IS NOT NULL
     AND offline_minutes >= 120
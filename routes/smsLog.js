@@ -1,63 +1,110 @@
 import { pool } from "../db.js";
 import express from "express";
+import { SEVERITIES, severityFilter } from "../utils/safeLimits.js";
+import { SMS_STATUSES, retrySms } from "../services/smsQueue.js";
 
 const smsLogRouter = express.Router();
 
+/**
+ * GET /api/tank/sms-logs?page=&limit=
+ *
+ * Delivery history from sms_log (services/smsQueue.js), newest first.
+ * Alarms are only sent to contacts subscribed to the tank
+ * (/api/user/:id/subscriptions); subscription_id says which rule matched.
+ *
+ * Messages that came due while the tank was under maintenance or had
+ * alerts disabled are not sent (status SUPPRESSED, reason in last_error)
+ * and are left out unless asked for with status= or include_suppressed=1.
+ *
+ * Query:
+ *   status=SENT,FAILED          QUEUED | SENDING | RETRY | SENT | FAILED |
+ *                               SUPPRESSED
+ *   tank_no
+ *   severity=critical / min_severity=warning
+ *   include_suppressed=1
+ */
 smsLogRouter.get("/", async (req, res) => {
+  const severities = severityFilter(req.query);
+  if (severities === null) {
+    return res.status(400).json({
+      ok: false,
+      error: "INVALID_SEVERITY",
+      allowed: SEVERITIES,
+    });
+  }
+
+  const statuses = req.query.status
+    ? String(req.query.status)
+        .toUpperCase()
+        .split(",")
+        .map((s) => s.trim())
+        .filter(Boolean)
+    : null;
+  if (statuses && !statuses.every((s) => SMS_STATUSES.includes(s))) {
+    return res.status(400).json({
+      ok: false,
+      error: "INVALID_STATUS",
+      allowed: SMS_STATUSES,
+    });
+  }
+
   try {
     const page = Math.max(parseInt(req.query.page) || 1, 1);
     const limit = Math.min(parseInt(req.query.limit) || 10, 100);
     const offset = (page - 1) * limit;
 
+    const where = [];
+    const params = [];
+
+    if (statuses) {
+      where.push("s.status IN (?)");
+      params.push(statuses);
+    } else if (
+      req.query.include_suppressed !== "1" &&
+      req.query.include_suppressed !== "true"
+    ) {
+      where.push("s.status <> 'SUPPRESSED'");
+    }
+    if (severities) {
+      where.push("s.severity IN (?)");
+      params.push(severities);
+    }
+    if (req.query.tank_no) {
+      where.push("s.tank_no = ?");
+      params.push(String(req.query.tank_no).trim());
+    }
+
+    const whereSql = where.length ? "WHERE " + where.join(" AND ") : "";
+
     /* ==========================
-       TOTAL COUNT (LATEST ALERTS)
+       TOTAL COUNT
     ========================== */
-    const countQuery = `
-      SELECT COUNT(*) AS total
-      FROM (
-        SELECT 1
-        FROM tank_status ts
-        WHERE ts.tank_alert_message IN ('High level', 'Low level')
-          AND ts.disable_alert = 0
-        GROUP BY ts.tank_no, ts.tank_alert_message
-      ) x
-    `;
-
-    const [[{ total }]] = await pool.query(countQuery);
+    const [[{ total }]] = await pool.query(
+      `SELECT COUNT(*) AS total FROM sms_log s ${whereSql}`,
+      params
+    );
 
     /* ==========================
-       DATA (LATEST ALERT × USERS)
+       DATA (ONE ROW PER MESSAGE)
     ========================== */
     const dataQuery = `
       SELECT
-        t.id,
-        t.tank_no,
-        t.location,
-        t.tank_alert_message,
-        t.current_time,
-
-        u.id    AS user_id,
-        u.name  AS user_name,
-        u.phone AS user_phone
-
-      FROM (
-        SELECT
-          ts.*,
-          ROW_NUMBER() OVER (
-            PARTITION BY ts.tank_no, ts.tank_alert_message
-            ORDER BY ts.current_time DESC
-          ) AS rn
-        FROM tank_status ts
-        WHERE ts.tank_alert_message IN ('High level', 'Low level')
-          AND ts.disable_alert = 0
-      ) t
-      CROSS JOIN users u
-      WHERE t.rn = 1
-      ORDER BY t.current_time DESC
+        s.*,
+        m.location,
+        u.name AS user_name
+      FROM sms_log s
+      LEFT JOIN (
+        SELECT tank_no, MAX(location) AS location
+        FROM Master_Tables
+        GROUP BY tank_no
+      ) m ON m.tank_no = s.tank_no
+      LEFT JOIN users u         ON u.id = s.user_id
+      ${whereSql}
+      ORDER BY s.created_at DESC, s.id DESC
       LIMIT ? OFFSET ?
     `;
 
-    const [rows] = await pool.query(dataQuery, [limit, offset]);
+    const [rows] = await pool.query(dataQuery, [...params, limit, offset]);
 
     /* ==========================
        RESPONSE (YOUR STRUCTURE)
@@ -65,13 +112,27 @@ smsLogRouter.get("/", async (req, res) => {
     const response = rows.map((row) => ({
       id: row.id,
       tank_name: row.tank_no,
-      location: row.location,
-      alert: row.tank_alert_message,
-      time: row.current_time,
+      location: row.location ?? null,
+      alert: row.message,
+      alarm_id: row.alarm_id,
+      alarm_level: row.alarm_level,
+      severity: row.severity,
+      time: row.created_at,
+      status: row.status,
+      attempts: row.attempts,
+      provider: row.provider,
+      provider_message_id: row.provider_message_id,
+      last_error: row.last_error,
+      sent_at: row.sent_at,
+      next_attempt_at:
+        row.status === "QUEUED" || row.status === "RETRY"
+          ? row.next_attempt_at
+          : null,
+      subscription_id: row.subscription_id,
       user: {
         id: row.user_id,
-        name: row.user_name,
-        phone: row.user_phone,
+        name: row.user_name ?? null,
+        phone: row.phone,
       },
     }));
 
@@ -89,7 +150,71 @@ smsLogRouter.get("/", async (req, res) => {
     console.error("SMS LOG ALERT ERROR:", error);
     res.status(500).json({
       ok: false,
-      message: "Failed to fetch tank alerts",
+      message: "Failed to fetch SMS log",
+    });
+  }
+});
+
+/**
+ * GET /api/tank/sms-logs/:id
+ * One message with every provider attempt.
+ */
+smsLogRouter.get("/:id", async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({ ok: false, error: "INVALID_ID" });
+  }
+
+  try {
+    const [rows] = await pool.query("SELECT * FROM sms_log WHERE id = ?", [id]);
+    if (!rows.length) {
+      return res.status(404).json({ ok: false, error: "NOT_FOUND" });
+    }
+
+    const [attempts] = await pool.query(
+      `
+        SELECT attempt, provider, status, provider_response, error,
+               duration_ms, created_at
+        FROM sms_attempts
+        WHERE sms_id = ?
+        ORDER BY attempt ASC, id ASC
+      `,
+      [id]
+    );
+
+    res.json({ ok: true, data: { ...rows[0], attempts } });
+  } catch (error) {
+    console.error("SMS LOG DETAIL ERROR:", error);
+    res.status(500).json({
+      ok: false,
+      message: "Failed to fetch SMS",
+    });
+  }
+});
+
+/**
+ * POST /api/tank/sms-logs/:id/retry
+ * Re-queue a FAILED message.
+ */
+smsLogRouter.post("/:id/retry", async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({ ok: false, error: "INVALID_ID" });
+  }
+
+  try {
+    const result = await retrySms(id);
+    if (!result.ok) {
+      return res
+        .status(result.error === "NOT_FOUND" ? 404 : 409)
+        .json(result);
+    }
+    res.json(result);
+  } catch (error) {
+    console.error("SMS RETRY ERROR:", error);
+    res.status(500).json({
+      ok: false,
+      message: "Failed to re-queue SMS",
     });
   }
 });
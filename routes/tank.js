@@ -1,60 +1,87 @@
 // routes/tank.js (ESM)
 import express from "express";
 import { pool } from "../db.js";
+import { computeTankLevel } from "../utils/geometry.js";
+import { fusionConfig, fuseLevelReading } from "../utils/sensorFusion.js";
+import { evaluateSafeLimits } from "../utils/safeLimits.js";
+import { parseHistoryOptions, lttb } from "../utils/downsample.js";
+import {
+  loadCalibrationChart,
+  loadCalibrationCharts,
+} from "../services/calibration.js";
+import { selectReadings } from "../services/volumeHistory.js";
 
 const router = express.Router();
 
 /* ---------- helpers ---------- */
-function clamp(n, min, max) {
-  return Math.max(min, Math.min(max, n));
-}
 
 /**
- * Compute dashboard metrics from params + latest ultrasonic reading.
- * Assumptions:
- * - p.height is the tank internal height in meters.
- * - r.ultra_height is the distance (m) from sensor to liquid surface (top-mounted).
+ * Compute dashboard metrics from params + latest reading, with the same
+ * engine as /api/tank-current and tank_status:
+ * - ultrasonic / lidar per p.sensor_fusion
+ * - depth + volume per p.shape (or strapping chart), sensor mounting and
+ *   blind zone ("full (blind zone)")
+ * - LL / L / H / HH from the limits in p.safe_limit_unit, held by the
+ *   stored alarm state (p.alarm_level / pending_*) like tank_status
  * - p.tank_volume is total capacity (liters).
  */
-function computeMetrics(p, r) {
+function computeMetrics(p, r, chart = null) {
   const capacityL = Number(p?.tank_volume ?? 0);   // liters
-  const H = Number(p?.height ?? 0);                // meters
-  const ul = (r?.ultra_height ?? null);
 
-  if (!H || ul == null) {
+  const fused = fuseLevelReading(r, fusionConfig(p));
+  const level = computeTankLevel(p, fused.distance_m, chart);
+
+  if (level.volume_l == null) {
     return {
       level_pct: null,
       working_volume_l: null,
       free_volume_l: null,
       capacity_l: capacityL,
-      status_tag: r?.ul_status ?? null
+      status_tag: r?.ul_status ?? null,
+      alarm_level: null,
+      severity: null,
+      level_state: null,
+      level_source: fused.source
     };
   }
 
-  // liquid height = tank height - ultrasonic distance
-  let liquidH = H - Number(ul);
-  liquidH = clamp(liquidH, 0, H);
-
-  const levelPct = (liquidH / H) * 100;
-  const workingL = capacityL * (levelPct / 100);
+  const workingL = level.volume_l;
+  const levelPct = capacityL > 0
+    ? (workingL / capacityL) * 100
+    : (level.depth_m / level.max_depth_m) * 100;
   const freeL = Math.max(capacityL - workingL, 0);
 
-  const lowPct = Number(p?.lower_safe_limit_pct ?? NaN);
-  const upPct  = Number(p?.upper_safe_limit_pct ?? NaN);
+  const state = p?.alarm_level
+    ? {
+        alarm_level: p.alarm_level,
+        pending_level: p.pending_level,
+        pending_since: p.pending_since
+      }
+    : null;
+  const readAt = r?.date_time ? new Date(r.date_time) : new Date();
+  const verdict = evaluateSafeLimits(p, level, chart, state, readAt);
+  const hasLimits = [
+    verdict.limits.low_low,
+    verdict.limits.lower,
+    verdict.limits.upper,
+    verdict.limits.high_high
+  ].some(v => v != null);
   let tag = r?.ul_status ?? null;
 
-  if (!isNaN(lowPct) && !isNaN(upPct)) {
-    if (levelPct >= upPct) tag = "High";
-    else if (levelPct <= lowPct) tag = "Low";
-    else if (!tag) tag = "Normal";
-  }
+  if (verdict.decision === "HIGH") tag = "High";
+  else if (verdict.decision === "LOW") tag = "Low";
+  else if (hasLimits && !tag) tag = "Normal";
 
   return {
     level_pct: Number(levelPct.toFixed(1)),
     working_volume_l: Number(workingL.toFixed(1)),
     free_volume_l: Math.round(freeL),
     capacity_l: Math.round(capacityL),
-    status_tag: tag
+    status_tag: tag,
+    alarm_level: verdict.alarm_level,
+    severity: verdict.severity,
+    level_state: level.level_state,
+    level_source: fused.source
   };
 }
 
@@ -80,32 +107,36 @@ router.get("/cards", async (_req, res) => {
         m.device_id,
         m.tank_no,
         m.location           AS master_location,
-        p.diameter_breadth, p.length, p.height, p.tank_volume,
-        p.upper_safe_limit_pct, p.lower_safe_limit_pct,
+        p.shape, p.diameter_breadth, p.length, p.height,
+        p.head_depth, p.cone_height, p.tank_volume,
+        p.upper_safe_limit_pct, p.lower_safe_limit_pct, p.safe_limit_unit,
+        p.low_low_limit, p.high_high_limit, p.alarm_hysteresis, p.alarm_dwell_s,
+        a.alarm_level, a.pending_level, a.pending_since,
+        p.nozzle_height_m, p.sensor_offset_m, p.blind_zone_m,
+        p.sensor_fusion, p.fusion_threshold_m,
         p.pipe_size, p.pipe_dia, p.pipe_volume, p.required_volume,
         t.date_time, t.location AS tx_location,
         t.ultra_height, t.lidar_height, t.ul_status
       FROM Master_Tables m
       LEFT JOIN Tank_Parameters p  ON p.tank_no = m.tank_no
+      LEFT JOIN tank_alarm_state a ON a.tank_no = m.tank_no
       LEFT JOIN Transaction_Table t ON t.device_id = m.device_id
       ${LATEST_TX_JOIN}
       ORDER BY m.device_id;
     `;
     const [rows] = await pool.query(sql);
 
+    const charts = await loadCalibrationCharts(rows.map(r => r.tank_no));
+
     const data = rows.map(r => {
-      const params = {
-        height: r.height,
-        tank_volume: r.tank_volume,
-        upper_safe_limit_pct: r.upper_safe_limit_pct,
-        lower_safe_limit_pct: r.lower_safe_limit_pct
-      };
+      // the row carries every Tank_Parameters column computeMetrics needs
       const reading = {
         ultra_height: r.ultra_height,
         lidar_height: r.lidar_height,
-        ul_status: r.ul_status
+        ul_status: r.ul_status,
+        date_time: r.date_time
       };
-      const metrics = computeMetrics(params, reading);
+      const metrics = computeMetrics(r, reading, charts.get(r.tank_no));
 
       return {
         device_id: r.device_id,
@@ -122,6 +153,9 @@ router.get("/cards", async (_req, res) => {
           tank_volume_l: r.tank_volume ?? null,
           upper_safe_limit_pct: r.upper_safe_limit_pct ?? null,
           lower_safe_limit_pct: r.lower_safe_limit_pct ?? null,
+          safe_limit_unit: r.safe_limit_unit ?? null,
+          low_low_limit: r.low_low_limit ?? null,
+          high_high_limit: r.high_high_limit ?? null,
           pipe_size: r.pipe_size ?? null,
           pipe_dia: r.pipe_dia ?? null,
           pipe_volume: r.pipe_volume ?? null,
@@ -151,13 +185,19 @@ router.get("/:tank_no", async (req, res) => {
         m.device_id,
         m.tank_no,
         m.location           AS master_location,
-        p.diameter_breadth, p.length, p.height, p.tank_volume,
-        p.upper_safe_limit_pct, p.lower_safe_limit_pct,
+        p.shape, p.diameter_breadth, p.length, p.height,
+        p.head_depth, p.cone_height, p.tank_volume,
+        p.upper_safe_limit_pct, p.lower_safe_limit_pct, p.safe_limit_unit,
+        p.low_low_limit, p.high_high_limit, p.alarm_hysteresis, p.alarm_dwell_s,
+        a.alarm_level, a.pending_level, a.pending_since,
+        p.nozzle_height_m, p.sensor_offset_m, p.blind_zone_m,
+        p.sensor_fusion, p.fusion_threshold_m,
         p.pipe_size, p.pipe_dia, p.pipe_volume, p.required_volume,
         t.date_time, t.location AS tx_location,
         t.ultra_height, t.lidar_height, t.ul_status
       FROM Master_Tables m
       LEFT JOIN Tank_Parameters p  ON p.tank_no = m.tank_no
+      LEFT JOIN tank_alarm_state a ON a.tank_no = m.tank_no
       LEFT JOIN Transaction_Table t ON t.device_id = m.device_id
       ${LATEST_TX_JOIN}
       WHERE m.tank_no = ?
@@ -167,18 +207,14 @@ router.get("/:tank_no", async (req, res) => {
     if (!rows.length) return res.status(404).json({ ok: false, error: "TANK_NOT_FOUND" });
 
     const r = rows[0];
-    const params = {
-      height: r.height,
-      tank_volume: r.tank_volume,
-      upper_safe_limit_pct: r.upper_safe_limit_pct,
-      lower_safe_limit_pct: r.lower_safe_limit_pct
-    };
     const reading = {
       ultra_height: r.ultra_height,
       lidar_height: r.lidar_height,
-      ul_status: r.ul_status
+      ul_status: r.ul_status,
+      date_time: r.date_time
     };
-    const metrics = computeMetrics(params, reading);
+    const chart = await loadCalibrationChart(r.tank_no);
+    const metrics = computeMetrics(r, reading, chart);
 
     const payload = {
       device_id: r.device_id,
@@ -195,6 +231,9 @@ router.get("/:tank_no", async (req, res) => {
         tank_volume_l: r.tank_volume ?? null,
         upper_safe_limit_pct: r.upper_safe_limit_pct ?? null,
         lower_safe_limit_pct: r.lower_safe_limit_pct ?? null,
+        safe_limit_unit: r.safe_limit_unit ?? null,
+        low_low_limit: r.low_low_limit ?? null,
+        high_high_limit: r.high_high_limit ?? null,
         pipe_size: r.pipe_size ?? null,
         pipe_dia: r.pipe_dia ?? null,
         pipe_volume: r.pipe_volume ?? null,
@@ -212,33 +251,49 @@ router.get("/:tank_no", async (req, res) => {
 
 /* ============================================================
    GET /api/tanks/history/by-device/:device_id
-   Raw history (existing)
+   Raw history (existing), newest first
+   ?limit=300 (max 1000) rows or buckets
+   ?interval=5m|1h|1d..&agg=avg|min|max|last  one row per bucket (SQL)
+   ?points=N  LTTB on ultra_height down to N rows
    ============================================================ */
 router.get("/history/by-device/:device_id", async (req, res) => {
   try {
     const deviceId = String(req.params.device_id).trim();
     const limit = Math.min(Number(req.query.limit ?? 300), 1000);
 
-    const sql = `
-      SELECT device_id, date_time, tank_no, location, ultra_height, lidar_height, ul_status
-      FROM Transaction_Table
-      WHERE device_id = ?
-      ORDER BY date_time DESC
-      LIMIT ?;
-    `;
-    const [rows] = await pool.query(sql, [deviceId, limit]);
+    const opts = parseHistoryOptions(req.query);
+    if (opts.error) {
+      return res.status(400).json({ ok: false, error: opts.error, details: opts.details });
+    }
 
-    const data = rows.map(r => ({
+    const rows = await selectReadings("device_id", deviceId, {
+      interval: opts.interval,
+      agg: opts.agg,
+      newestFirst: true,
+      limit
+    });
+
+    let data = rows.map(r => ({
       device_id: r.device_id,
       date_time: r.date_time ? (r.date_time.toISOString?.() ?? r.date_time) : null,
       tank_no: r.tank_no ?? null,
       location: r.location ?? null,
       ultra_height: r.ultra_height ?? null,
       lidar_height: r.lidar_height ?? null,
-      ul_status: r.ul_status ?? null
+      ul_status: r.ul_status ?? null,
+      ...(opts.interval && { samples: Number(r.samples) })
     }));
 
-    res.json({ ok: true, count: data.length, data });
+    if (opts.points) {
+      data = lttb(
+        data.filter(d => d.ultra_height != null),
+        opts.points,
+        d => new Date(d.date_time).getTime(),
+        d => Number(d.ultra_height)
+      );
+    }
+
+    res.json({ ok: true, count: data.length, ...opts, data });
   } catch (err) {
     console.error("GET /api/tanks/history/by-device error:", err);
     res.status(500).json({ ok: false, error: "DB_READ_FAILED", details: String(err) });
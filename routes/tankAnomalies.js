@@ -0,0 +1,202 @@
+// routes/tankAnomalies.js
+import express from "express";
+import { requireAuth } from "./auth.js";
+import { loadTankParams } from "../services/volumeHistory.js";
+import { ANOMALY_KINDS } from "../utils/anomalies.js";
+import { parseDateRange } from "../utils/dateRange.js";
+import {
+  MAX_LIVE_SCAN_DAYS,
+  validateAnomalySettings,
+  getAnomalySettings,
+  saveAnomalySettings,
+  scanTank,
+  scanAndRecord,
+  listAnomalies,
+} from "../services/anomalies.js";
+
+// mounted at /api/tanks/:tank_no (leak / theft findings)
+const router = express.Router({ mergeParams: true });
+
+// 404s unknown tanks; returns Tank_Parameters or null
+async function checkTank(req, res) {
+  const tankNo = String(req.params.tank_no || "").trim();
+  const params = await loadTankParams(tankNo);
+  if (params) return params;
+  res.status(404).json({ ok: false, error: "TANK_NOT_FOUND", tank_no: tankNo });
+  return null;
+}
+
+function serverError(req, res, err, error) {
+  console.error(`[tank-anomalies][${req.method}] ERROR:`, err);
+  return res.status(500).json({ ok: false, error, details: String(err) });
+}
+
+/**
+ * GET /api/tanks/:tank_no/anomalies
+ *
+ * Leak (STEADY_DROP) and theft (STEP_LOSS) findings outside the tank's
+ * operating hours, newest first.
+ *
+ * Query:
+ *   from, to   YYYY-MM-DD or date-time (default the last 7 days)
+ *   kind       STEADY_DROP,STEP_LOSS
+ *   live=1     run the detector over from–to now instead of listing what
+ *              the scanner stored (nothing is stored or sent; max 31 days)
+ *   limit      default 100, max 1000 (stored findings)
+ */
+router.get("/anomalies", async (req, res) => {
+  try {
+    const params = await checkTank(req, res);
+    if (!params) return;
+
+    const live = req.query.live === "1" || req.query.live === "true";
+
+    const range = parseDateRange(req.query, {
+      maxDays: live ? MAX_LIVE_SCAN_DAYS : null,
+    });
+    if (range.error) {
+      return res.status(400).json({ ok: false, ...range });
+    }
+    const { from, to } = range;
+
+    let kinds = null;
+    if (req.query.kind) {
+      kinds = String(req.query.kind)
+        .split(",")
+        .map((k) => k.trim().toUpperCase())
+        .filter(Boolean);
+      if (!kinds.every((k) => ANOMALY_KINDS.includes(k))) {
+        return res.status(400).json({
+          ok: false,
+          error: "INVALID_KIND",
+          allowed: ANOMALY_KINDS,
+        });
+      }
+    }
+
+    if (live) {
+      const scan = await scanTank(params.tank_no, { from, to });
+      const findings = kinds
+        ? scan.findings.filter((f) => kinds.includes(f.kind))
+        : scan.findings;
+
+      return res.json({
+        ok: true,
+        tank_no: params.tank_no,
+        live: true,
+        range: { from, to },
+        settings: scan.settings.effective,
+        volume_source: scan.volume_source,
+        readings: scan.readings,
+        count: findings.length,
+        data: findings.reverse(),
+      });
+    }
+
+    const data = await listAnomalies(params.tank_no, {
+      from,
+      to,
+      kinds,
+      limit: Math.min(parseInt(req.query.limit) || 100, 1000),
+    });
+
+    return res.json({
+      ok: true,
+      tank_no: params.tank_no,
+      live: false,
+      range: { from, to },
+      count: data.length,
+      data,
+    });
+  } catch (err) {
+    return serverError(req, res, err, "DB_READ_FAILED");
+  }
+});
+
+/**
+ * POST /api/tanks/:tank_no/anomalies/scan   (JWT)
+ * body: { hours? }  – default ANOMALY_LOOKBACK_HOURS (24), max 744
+ * Scan now instead of waiting for the scanner; new findings are stored
+ * and notified like the scanner's.
+ */
+router.post("/anomalies/scan", requireAuth, async (req, res) => {
+  try {
+    const params = await checkTank(req, res);
+    if (!params) return;
+
+    let hours;
+    if (req.body?.hours !== undefined) {
+      hours = Number(req.body.hours);
+      if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_LIVE_SCAN_DAYS * 24) {
+        return res.status(400).json({
+          ok: false,
+          error: "INVALID_HOURS",
+          details: `1 to ${MAX_LIVE_SCAN_DAYS * 24}`,
+        });
+      }
+    }
+
+    const result = await scanAndRecord(params.tank_no, { hours });
+    return res.json({
+      ok: true,
+      tank_no: params.tank_no,
+      found: result.findings.length,
+      created: result.created.length,
+      data: result.findings,
+    });
+  } catch (err) {
+    return serverError(req, res, err, "SCAN_FAILED");
+  }
+});
+
+/**
+ * GET /api/tanks/:tank_no/anomaly-settings
+ * stored = this tank's own values (null = defaults), effective = what the
+ * detector uses.
+ */
+router.get("/anomaly-settings", async (req, res) => {
+  try {
+    const params = await checkTank(req, res);
+    if (!params) return;
+    const data = await getAnomalySettings(params.tank_no, params.tank_volume);
+    return res.json({ ok: true, data });
+  } catch (err) {
+    return serverError(req, res, err, "DB_READ_FAILED");
+  }
+});
+
+/**
+ * PUT /api/tanks/:tank_no/anomaly-settings   (JWT)
+ *
+ * body (any of; null = back to the default):
+ * {
+ *   "enabled": true,
+ *   "operating_hours": "06:00-18:00,20:00-22:00",   // "" = never expect draw-off
+ *   "steady_window_minutes": 120,
+ *   "steady_rate_lph": 50,       // leak: litres per hour
+ *   "step_minutes": 15,
+ *   "step_loss_l": 500           // theft: litres within step_minutes
+ * }
+ */
+router.put("/anomaly-settings", requireAuth, async (req, res) => {
+  const { values, error, details } = validateAnomalySettings(req.body || {});
+  if (error) {
+    return res.status(400).json({ ok: false, error, details });
+  }
+
+  try {
+    const params = await checkTank(req, res);
+    if (!params) return;
+
+    await saveAnomalySettings(params.tank_no, values, {
+      id: req.auth.id,
+      username: req.auth.username,
+    });
+    const data = await getAnomalySettings(params.tank_no, params.tank_volume);
+    return res.json({ ok: true, data });
+  } catch (err) {
+    return serverError(req, res, err, "DB_WRITE_FAILED");
+  }
+});
+
+export default router;
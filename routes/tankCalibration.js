@@ -0,0 +1,146 @@
+// routes/tankCalibration.js
+import express from "express";
+import { pool } from "../db.js";
+import {
+  normalizeCalibrationPoints,
+  parseCalibrationCsv,
+} from "../utils/calibration.js";
+import {
+  loadCalibrationChart,
+  replaceCalibrationChart,
+  deleteCalibrationChart,
+} from "../services/calibration.js";
+
+// mounted at /api/tank-master/:tank_no/calibration
+const router = express.Router({ mergeParams: true });
+
+// CSV uploads arrive as plain text
+router.use(express.text({ type: ["text/csv", "text/plain"], limit: "1mb" }));
+
+async function tankExists(tankNo) {
+  const [rows] = await pool.query(
+    "SELECT 1 FROM Tank_Parameters WHERE tank_no = ? LIMIT 1",
+    [tankNo]
+  );
+  return rows.length > 0;
+}
+
+/**
+ * GET /api/tank-master/:tank_no/calibration
+ * Returns the stored chart (empty => geometry is used).
+ */
+router.get("/", async (req, res) => {
+  const tankNo = String(req.params.tank_no || "").trim();
+
+  try {
+    const points = await loadCalibrationChart(tankNo);
+
+    return res.json({
+      ok: true,
+      tank_no: tankNo,
+      volume_source: points.length ? "calibration" : "geometry",
+      count: points.length,
+      points,
+    });
+  } catch (err) {
+    console.error("[tank-calibration][GET] ERROR:", err);
+    return res.status(500).json({
+      ok: false,
+      error: "DB_READ_FAILED",
+      details: String(err),
+    });
+  }
+});
+
+/**
+ * PUT|POST /api/tank-master/:tank_no/calibration
+ *
+ * Replaces the whole chart. Accepts:
+ *   - JSON: { "points": [{ "depth_mm": 0, "volume_l": 0 }, ...] }
+ *   - JSON: [{ "depth_mm": 0, "volume_l": 0 }, ...]
+ *   - JSON: { "csv": "depth_mm,volume_l\n0,0\n100,412.5" }
+ *   - text/csv body: "depth_mm,volume_l" lines
+ */
+async function handleReplace(req, res) {
+  const tankNo = String(req.params.tank_no || "").trim();
+  const body = req.body;
+
+  let raw;
+  let source;
+  let parseErrors = [];
+
+  if (typeof body === "string" || typeof body?.csv === "string") {
+    const parsed = parseCalibrationCsv(
+      typeof body === "string" ? body : body.csv
+    );
+    raw = parsed.rows;
+    parseErrors = parsed.errors;
+    source = "csv";
+  } else {
+    raw = Array.isArray(body) ? body : body?.points;
+    source = "json";
+  }
+
+  const { points, errors } = normalizeCalibrationPoints(raw);
+  const allErrors = [...parseErrors, ...errors];
+
+  if (allErrors.length > 0) {
+    return res.status(400).json({
+      ok: false,
+      error: "INVALID_CALIBRATION",
+      details: allErrors,
+    });
+  }
+
+  try {
+    if (!(await tankExists(tankNo))) {
+      return res.status(404).json({
+        ok: false,
+        error: "TANK_NOT_FOUND",
+        tank_no: tankNo,
+      });
+    }
+
+    const stored = await replaceCalibrationChart(tankNo, points, source);
+
+    return res.json({
+      ok: true,
+      tank_no: tankNo,
+      source,
+      count: stored,
+      points,
+    });
+  } catch (err) {
+    console.error("[tank-calibration][PUT] ERROR:", err);
+    return res.status(500).json({
+      ok: false,
+      error: "DB_WRITE_FAILED",
+      details: String(err),
+    });
+  }
+}
+
+router.put("/", handleReplace);
+router.post("/", handleReplace);
+
+/**
+ * DELETE /api/tank-master/:tank_no/calibration
+ * Drops the chart; volume falls back to the shape formula.
+ */
+router.delete("/", async (req, res) => {
+  const tankNo = String(req.params.tank_no || "").trim();
+
+  try {
+    const deleted = await deleteCalibrationChart(tankNo);
+    return res.json({ ok: true, tank_no: tankNo, deleted });
+  } catch (err) {
+    console.error("[tank-calibration][DELETE] ERROR:", err);
+    return res.status(500).json({
+      ok: false,
+      error: "DB_WRITE_FAILED",
+      details: String(err),
+    });
+  }
+});
+
+export default router;
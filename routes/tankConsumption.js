@@ -0,0 +1,152 @@
+// routes/tankConsumption.js
+import express from "express";
+import { loadTankParams } from "../services/volumeHistory.js";
+import { tankEvents, locationConsumption } from "../services/consumption.js";
+import { EVENT_TYPES } from "../utils/consumption.js";
+import { parseDateRange } from "../utils/dateRange.js";
+
+// mounted at /api/tanks (fill / draw / idle analysis of the level history)
+const router = express.Router();
+
+// longest range one request segments (every reading is loaded)
+const MAX_RANGE_DAYS = 31;
+
+/**
+ * Optional threshold overrides from the query string.
+ * returns { overrides } | { error, details }
+ */
+function thresholdOverrides(query) {
+  const overrides = {};
+  for (const field of ["min_flow_lph", "min_event_l", "merge_minutes"]) {
+    if (query[field] === undefined || query[field] === "") continue;
+    const n = Number(query[field]);
+    // with a flow threshold of 0 a level that does not move is a FILL
+    const positive = field === "min_flow_lph";
+    if (!Number.isFinite(n) || n < 0 || (positive && n === 0)) {
+      return {
+        error: "INVALID_" + field.toUpperCase(),
+        details: positive ? "a number > 0" : "a number >= 0",
+      };
+    }
+    overrides[field] = n;
+  }
+  return { overrides };
+}
+
+/**
+ * GET /api/tanks/consumption
+ *
+ * Daily consumption and refill totals per tank and summed, for one
+ * location or every tank.
+ *
+ * Query:
+ *   location                     default every tank
+ *   from, to                     YYYY-MM-DD or date-time (default the
+ *                                last 7 days, max 31 days)
+ *   min_flow_lph, min_event_l,   segmentation thresholds (default from
+ *   merge_minutes                each tank's capacity, see
+ *                                services/consumption.js); min_flow_lph
+ *                                must be > 0
+ */
+router.get("/consumption", async (req, res) => {
+  const range = parseDateRange(req.query, { maxDays: MAX_RANGE_DAYS });
+  if (range.error) return res.status(400).json({ ok: false, ...range });
+
+  const { overrides, error, details } = thresholdOverrides(req.query);
+  if (error) return res.status(400).json({ ok: false, error, details });
+
+  const location = req.query.location ? String(req.query.location).trim() : null;
+
+  try {
+    const result = await locationConsumption({ location, ...range, overrides });
+    return res.json({
+      ok: true,
+      location,
+      range,
+      tank_count: result.tanks.length,
+      totals: result.totals,
+      daily: result.daily,
+      tanks: result.tanks,
+    });
+  } catch (err) {
+    console.error("GET /api/tanks/consumption error:", err);
+    return res.status(500).json({
+      ok: false,
+      error: "DB_READ_FAILED",
+      details: String(err),
+    });
+  }
+});
+
+/**
+ * GET /api/tanks/:tank_no/events
+ *
+ * The tank's history cut into FILL, DRAW and IDLE events (start / end,
+ * litres moved, average flow) with daily totals.
+ *
+ * Query:
+ *   from, to      YYYY-MM-DD or date-time (default the last 7 days, max 31)
+ *   type          FILL,DRAW,IDLE – only these events in "events"
+ *                 (summary / daily always count every event)
+ *   min_flow_lph, min_event_l, merge_minutes   as for /consumption
+ */
+router.get("/:tank_no/events", async (req, res) => {
+  const tankNo = String(req.params.tank_no || "").trim();
+
+  const range = parseDateRange(req.query, { maxDays: MAX_RANGE_DAYS });
+  if (range.error) return res.status(400).json({ ok: false, ...range });
+
+  const { overrides, error, details } = thresholdOverrides(req.query);
+  if (error) return res.status(400).json({ ok: false, error, details });
+
+  let types = null;
+  if (req.query.type) {
+    types = String(req.query.type)
+      .split(",")
+      .map((t) => t.trim().toUpperCase())
+      .filter(Boolean);
+    if (!types.every((t) => EVENT_TYPES.includes(t))) {
+      return res.status(400).json({
+        ok: false,
+        error: "INVALID_TYPE",
+        allowed: EVENT_TYPES,
+      });
+    }
+  }
+
+  try {
+    if (!(await loadTankParams(tankNo))) {
+      return res
+        .status(404)
+        .json({ ok: false, error: "TANK_NOT_FOUND", tank_no: tankNo });
+    }
+
+    const result = await tankEvents(tankNo, { ...range, overrides });
+    const events = types
+      ? result.events.filter((e) => types.includes(e.type))
+      : result.events;
+
+    return res.json({
+      ok: true,
+      tank_no: tankNo,
+      range,
+      capacity_l: result.capacity_l,
+      volume_source: result.volume_source,
+      readings: result.readings,
+      thresholds: result.thresholds,
+      summary: result.summary,
+      daily: result.daily,
+      count: events.length,
+      events,
+    });
+  } catch (err) {
+    console.error("GET /api/tanks/:tank_no/events error:", err);
+    return res.status(500).json({
+      ok: false,
+      error: "DB_READ_FAILED",
+      details: String(err),
+    });
+  }
+});
+
+export default router;
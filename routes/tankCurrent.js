@@ -1,54 +1,31 @@
 import express from "express";
 import { pool } from "../db.js";
+import { computeTankLevel } from "../utils/geometry.js";
+import { fusionConfig, fuseLevelReading } from "../utils/sensorFusion.js";
+import { evaluateSafeLimits } from "../utils/safeLimits.js";
+import {
+  loadCalibrationChart,
+  loadCalibrationCharts,
+} from "../services/calibration.js";
+import { forecastSummaries } from "../services/forecast.js";
 
 const router = express.Router();
 
-/**
- * volume of horizontal cylinder partly filled
- * D = diameter (m)
- * L = length (m)
- * h = liquid depth from bottom (m)
- * returns m^3
- */
-function horizontalCylinderVolume(D, L, h) {
-  const R = D / 2;
-  if (h <= 0) return 0;
-  if (h >= D) return Math.PI * R * R * L; // full
-
-  // V = L * (R^2 * acos((R - h)/R) - (R - h) * sqrt(2Rh - h^2))
-  const term1 = R * R * Math.acos((R - h) / R);
-  const term2 = (R - h) * Math.sqrt(2 * R * h - h * h);
-  const area = term1 - term2; // m^2
-  return L * area; // m^3
-}
-
-/**
- * decide status + message from actual volume and safe limits (liters)
- */
-function statusFromLimits(actualL, minL, maxL) {
-  if (actualL == null) {
-    return { tank_status: "Unknown", tank_alert_message: "No reading" };
-  }
-
-  if (minL == null && maxL == null) {
-    return { tank_status: "OK", tank_alert_message: "Normal" };
-  }
-
-  if (maxL != null && actualL >= maxL) {
-    return { tank_status: "Warning", tank_alert_message: "High level" };
-  }
-
-  if (minL != null && actualL <= minL) {
-    return { tank_status: "Warning", tank_alert_message: "Low level" };
-  }
-
-  return { tank_status: "OK", tank_alert_message: "Normal" };
+// tank_alarm_state columns of a joined row
+function alarmStateOf(row) {
+  return row.alarm_level
+    ? {
+        alarm_level: row.alarm_level,
+        pending_level: row.pending_level,
+        pending_since: row.pending_since,
+      }
+    : null;
 }
 
 /**
  * Helper: build one tank object with 30-minute rule applied
  */
-function buildTankResponseRow(row) {
+function buildTankResponseRow(row, chart = null) {
   const now = new Date();
   const lastTime = row.date_time ? new Date(row.date_time) : null;
 
@@ -61,54 +38,29 @@ function buildTankResponseRow(row) {
     isStale = true;
   }
 
-  const tankNo = row.tank_no;
   const D = Number(row.diameter_breadth ?? 0); // m
   const L = Number(row.length ?? 0); // m
   const capacityL = row.tank_volume != null ? Number(row.tank_volume) : null;
-  const sensor =
-    row.ultra_height != null ? Number(row.ultra_height) : null;
 
-  // water depth from bottom
-  let depth = null;
-  if (sensor != null) {
-    if (tankNo === "FIRE-TANK") {
-      // 🔥 FIRE-TANK: rectangular height = 17.9 - ultra_height
-      const MAX_HEIGHT_M = 17.9;
-      depth = MAX_HEIGHT_M - sensor;
-      if (depth < 0) depth = 0;
-      if (depth > MAX_HEIGHT_M) depth = MAX_HEIGHT_M;
-    } else if (D > 0) {
-      // default cylindrical tanks: depth = D - sensor
-      depth = D - sensor;
-      if (depth < 0) depth = 0;
-      if (depth > D) depth = D;
-    }
-  }
-
-  // raw volume from last reading
-  let rawVolumeL = null;
-  if (depth != null) {
-    if (tankNo === "FIRE-TANK") {
-      // 🔥 FIRE-TANK rectangular volume:
-      // volume (m³) = 8.9 × 5.15 × depth
-      const WIDTH_M = 8.9;
-      const LENGTH_M = 5.15;
-      const volM3 = WIDTH_M * LENGTH_M * depth;
-      rawVolumeL = volM3 * 1000; // to liters
-    } else if (D > 0 && L > 0) {
-      const volM3 = horizontalCylinderVolume(D, L, depth);
-      rawVolumeL = volM3 * 1000; // to liters
-    }
-  }
-
-  const maxL =
-    row.upper_safe_limit_pct != null
-      ? Number(row.upper_safe_limit_pct)
-      : null;
-  const minL =
-    row.lower_safe_limit_pct != null
-      ? Number(row.lower_safe_limit_pct)
-      : null;
+  // ultrasonic / lidar per Tank_Parameters.sensor_fusion
+  const fused = fuseLevelReading(row, fusionConfig(row));
+  const sensor = fused.distance_m;
+
+  // water depth from bottom + raw volume
+  // (strapping chart if the tank has one, else Tank_Parameters.shape)
+  const level = computeTankLevel(row, sensor, chart);
+  const depth = level.depth_m;
+  const rawVolumeL = level.volume_l;
+
+  // LL / L / H / HH from the safe limits in their own unit; with the
+  // stored alarm state this is the level tank_status recorded
+  const verdict = evaluateSafeLimits(
+    row,
+    level,
+    chart,
+    alarmStateOf(row),
+    lastTime ?? now
+  );
 
   let effectiveVolumeL = rawVolumeL;
   let tank_status;
@@ -120,9 +72,8 @@ function buildTankResponseRow(row) {
     tank_status = "Inactive";
     tank_alert_message = "No reading in last 30 minutes";
   } else {
-    const s = statusFromLimits(rawVolumeL, minL, maxL);
-    tank_status = s.tank_status;
-    tank_alert_message = s.tank_alert_message;
+    tank_status = verdict.tank_status;
+    tank_alert_message = verdict.tank_alert_message;
   }
 
   let fillPct = null;
@@ -141,15 +92,25 @@ function buildTankResponseRow(row) {
     stale: isStale,
 
     geometry: {
+      shape: level.shape,
+      volume_source: level.volume_source,
       diameter_m: D,
       length_m: L,
+      height_m: level.max_depth_m,
       capacity_l: capacityL,
+      nozzle_height_m: row.nozzle_height_m != null ? Number(row.nozzle_height_m) : null,
+      sensor_offset_m: row.sensor_offset_m != null ? Number(row.sensor_offset_m) : null,
+      blind_zone_m: row.blind_zone_m != null ? Number(row.blind_zone_m) : null,
     },
 
     raw_reading: {
-      ultra_height_m: sensor,
+      ultra_height_m: row.ultra_height != null ? Number(row.ultra_height) : null,
+      lidar_height_m: row.lidar_height != null ? Number(row.lidar_height) : null,
+      ul_status: row.ul_status ?? null,
+      level_m: sensor,
       water_depth_m: depth,
       volume_l: rawVolumeL != null ? Number(rawVolumeL.toFixed(1)) : null,
+      level_state: level.level_state,
     },
 
     effective: {
@@ -158,9 +119,35 @@ function buildTankResponseRow(row) {
       fill_percentage: fillPct,
     },
 
+    sensor_fusion: {
+      mode: fused.mode,
+      source: fused.source,
+      reason: fused.reason,
+      disagreement_m: fused.disagreement_m,
+      ultrasonic_fault: fused.ultrasonic_fault,
+    },
+
     limits_l: {
-      min_l: minL,
-      max_l: maxL,
+      low_low_l: verdict.limits.low_low_l,
+      min_l: verdict.limits.lower_l,
+      max_l: verdict.limits.upper_l,
+      high_high_l: verdict.limits.high_high_l,
+    },
+
+    limits: {
+      unit: verdict.limits.unit,
+      low_low: verdict.limits.low_low,
+      lower: verdict.limits.lower,
+      upper: verdict.limits.upper,
+      high_high: verdict.limits.high_high,
+      hysteresis: verdict.limits.hysteresis,
+      dwell_s: verdict.limits.dwell_s,
+    },
+
+    alarm: {
+      level: isStale ? null : verdict.alarm_level,
+      severity: isStale ? null : verdict.severity,
+      pending_level: verdict.state?.pending_level ?? null,
     },
 
     tank_status,
@@ -175,8 +162,12 @@ function buildTankResponseRow(row) {
  *  - last transaction data (from Transaction_Table)
  *  - computed volume & fill%
  *  - 30-minute rule (stale => 0, Inactive)
+ *  - with ?forecast=1 only, forecast: time to Low / empty / full
+ *    (GET /api/tanks/:tank_no/forecast for the detail; null for stale
+ *    tanks). Off by default: a forecast not cached yet reads the tank's
+ *    whole lookback.
  */
-router.get("/all", async (_req, res) => {
+router.get("/all", async (req, res) => {
   try {
     const [rows] = await pool.query(
       `
@@ -184,16 +175,37 @@ router.get("/all", async (_req, res) => {
         m.device_id,
         m.tank_no,
         m.location,
+        p.shape,
         p.diameter_breadth,
         p.length,
+        p.height,
+        p.head_depth,
+        p.cone_height,
+        p.nozzle_height_m,
+        p.sensor_offset_m,
+        p.blind_zone_m,
         p.tank_volume,
         p.upper_safe_limit_pct,
         p.lower_safe_limit_pct,
+        p.safe_limit_unit,
+        p.low_low_limit,
+        p.high_high_limit,
+        p.alarm_hysteresis,
+        p.alarm_dwell_s,
+        a.alarm_level,
+        a.pending_level,
+        a.pending_since,
+        p.sensor_fusion,
+        p.fusion_threshold_m,
         t.ultra_height,
+        t.lidar_height,
+        t.ul_status,
         t.date_time
       FROM Master_Tables m
       LEFT JOIN Tank_Parameters p
         ON m.tank_no = p.tank_no
+      LEFT JOIN tank_alarm_state a
+        ON a.tank_no = m.tank_no
       LEFT JOIN (
         SELECT tt1.*
         FROM Transaction_Table tt1
@@ -210,7 +222,18 @@ router.get("/all", async (_req, res) => {
       `
     );
 
-    const data = rows.map((r) => buildTankResponseRow(r));
+    const charts = await loadCalibrationCharts(rows.map((r) => r.tank_no));
+    const data = rows.map((r) =>
+      buildTankResponseRow(r, charts.get(r.tank_no))
+    );
+
+    if (req.query.forecast === "1") {
+      const live = data.filter((t) => !t.stale).map((t) => t.tank_no);
+      const forecasts = await forecastSummaries(live);
+      for (const t of data) {
+        t.forecast = t.stale ? null : forecasts.get(t.tank_no) ?? null;
+      }
+    }
 
     return res.json({ ok: true, data });
   } catch (err) {
@@ -237,16 +260,37 @@ router.get("/current/:device_id", async (req, res) => {
         m.device_id,
         m.tank_no,
         m.location,
+        p.shape,
         p.diameter_breadth,
         p.length,
+        p.height,
+        p.head_depth,
+        p.cone_height,
+        p.nozzle_height_m,
+        p.sensor_offset_m,
+        p.blind_zone_m,
         p.tank_volume,
         p.upper_safe_limit_pct,
         p.lower_safe_limit_pct,
+        p.safe_limit_unit,
+        p.low_low_limit,
+        p.high_high_limit,
+        p.alarm_hysteresis,
+        p.alarm_dwell_s,
+        a.alarm_level,
+        a.pending_level,
+        a.pending_since,
+        p.sensor_fusion,
+        p.fusion_threshold_m,
         t.ultra_height,
+        t.lidar_height,
+        t.ul_status,
         t.date_time
       FROM Master_Tables m
       LEFT JOIN Tank_Parameters p
         ON m.tank_no = p.tank_no
+      LEFT JOIN tank_alarm_state a
+        ON a.tank_no = m.tank_no
       LEFT JOIN (
         SELECT tt1.*
         FROM Transaction_Table tt1
@@ -272,7 +316,8 @@ router.get("/current/:device_id", async (req, res) => {
         .json({ ok: false, error: "NO_DEVICE", device_id: deviceId });
     }
 
-    const obj = buildTankResponseRow(rows[0]);
+    const chart = await loadCalibrationChart(rows[0].tank_no);
+    const obj = buildTankResponseRow(rows[0], chart);
     return res.json({ ok: true, data: obj });
   } catch (err) {
     console.error("GET /api/tank-current/current/:device_id error:", err);
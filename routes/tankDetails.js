@@ -22,7 +22,7 @@ router.get("/:deviceId", async (req, res) => {
     SELECT 
         mt.device_id,
         mt.location,
-        ts.tankCode,
+        ts.tank_no                                  AS tankCode,
         ts.currentLevel                             AS working_volume_l,
         ts.fillPercentage                           AS fill_pct,
         tp.tank_volume                              AS capacity_l,
@@ -33,20 +33,22 @@ router.get("/:deviceId", async (req, res) => {
         ts.current_time                             AS updated_at
     FROM (
         -- get latest status per tank
+        -- (tank_status has tank_no, not tankCode; bare current_time
+        --  would be MySQL's CURRENT_TIME() function)
         SELECT ts.*
         FROM tank_status ts
         JOIN (
-            SELECT tankCode, MAX(current_time) AS max_time
-            FROM tank_status
-            GROUP BY tankCode
+            SELECT s.tank_no, MAX(s.current_time) AS max_time
+            FROM tank_status s
+            GROUP BY s.tank_no
         ) latest
-          ON ts.tankCode = latest.tankCode
+          ON ts.tank_no = latest.tank_no
          AND ts.current_time = latest.max_time
     ) ts
     JOIN Master_Tables mt
-      ON mt.tank_no = ts.tankCode
+      ON mt.tank_no = ts.tank_no
     LEFT JOIN Tank_Parameters tp
-      ON tp.tank_no = ts.tankCode
+      ON tp.tank_no = ts.tank_no
     WHERE mt.device_id = ?
     LIMIT 1;
   `;
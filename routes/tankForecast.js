@@ -0,0 +1,70 @@
+// routes/tankForecast.js
+import express from "express";
+import { MAX_LOOKBACK_DAYS, tankForecast } from "../services/forecast.js";
+
+// mounted at /api/tanks/:tank_no (time to low / empty / full)
+const router = express.Router({ mergeParams: true });
+
+/**
+ * GET /api/tanks/:tank_no/forecast
+ *
+ * When the tank reaches its Low limit and empty (draw-off alone, at the
+ * recent daily consumption) and full (current fill, else net daily gain),
+ * each with expected / earliest / latest times at 90 % confidence.
+ * status: REACHED | EXPECTED | BEYOND_HORIZON | NOT_TRENDING; a target
+ * the tank does not have (no Low limit, no capacity) is null.
+ *
+ * Query:
+ *   lookback_days   complete days fitted (default FORECAST_LOOKBACK_DAYS
+ *                   = 14, max 90)
+ *   seasonal=1      per-weekday rates (needs 2 samples of every weekday,
+ *                   else falls back to one rate; fit.seasonal says which)
+ *   max_days        horizon (default FORECAST_MAX_DAYS = 90, max 365)
+ */
+router.get("/forecast", async (req, res) => {
+  const tankNo = String(req.params.tank_no || "").trim();
+  const opts = {};
+
+  if (req.query.lookback_days !== undefined) {
+    const n = parseInt(req.query.lookback_days);
+    if (!(n >= 1 && n <= MAX_LOOKBACK_DAYS)) {
+      return res.status(400).json({
+        ok: false,
+        error: "INVALID_LOOKBACK_DAYS",
+        details: `1 to ${MAX_LOOKBACK_DAYS}`,
+      });
+    }
+    opts.lookback_days = n;
+  }
+  if (req.query.max_days !== undefined) {
+    const n = parseInt(req.query.max_days);
+    if (!(n >= 1 && n <= 365)) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "INVALID_MAX_DAYS", details: "1 to 365" });
+    }
+    opts.max_days = n;
+  }
+  if (req.query.seasonal !== undefined) {
+    opts.seasonal = req.query.seasonal === "1" || req.query.seasonal === "true";
+  }
+
+  try {
+    const data = await tankForecast(tankNo, opts);
+    if (!data) {
+      return res
+        .status(404)
+        .json({ ok: false, error: "TANK_NOT_FOUND", tank_no: tankNo });
+    }
+    return res.json({ ok: true, data });
+  } catch (err) {
+    console.error("GET /api/tanks/:tank_no/forecast error:", err);
+    return res.status(500).json({
+      ok: false,
+      error: "DB_READ_FAILED",
+      details: String(err),
+    });
+  }
+});
+
+export default router;
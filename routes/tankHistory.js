@@ -1,36 +1,27 @@
 // routes/tankHistoryByTank.js
 import express from "express";
-import { pool } from "../db.js";
+import { computeTankLevel } from "../utils/geometry.js";
+import { fusionConfig, fuseLevelReading } from "../utils/sensorFusion.js";
+import { parseHistoryOptions, downsampleHistory } from "../utils/downsample.js";
+import { loadCalibrationChart } from "../services/calibration.js";
+import { loadReadingRows } from "../services/volumeHistory.js";
+import { rollupHistory } from "../services/rollups.js";
 
 const router = express.Router();
 
-/**
- * Cylindrical horizontal tank volume (partially filled)
- * D = diameter (m)
- * L = length (m)
- * h = depth of water (m)
- * returns m^3
- */
-function horizontalCylinderVolume(D, L, h) {
-  const R = D / 2;
-  if (h <= 0) return 0;
-  if (h >= D) return Math.PI * R * R * L;
-
-  const term1 = R * R * Math.acos((R - h) / R);
-  const term2 = (R - h) * Math.sqrt(2 * R * h - h * h);
-  const area = term1 - term2; // m^2
-
-  return L * area; // m^3
-}
-
 /**
  * GET /api/tanks/history
  *
  * Query:
- *  - tank_no (required)
- *  - start   (YYYY-MM-DD, required)
- *  - end     (YYYY-MM-DD, required)
- *  - debug   (=1 optional)
+ *  - tank_no  (required)
+ *  - start    (YYYY-MM-DD, required)
+ *  - end      (YYYY-MM-DD, required)
+ *  - interval (optional: 1m 5m 15m 30m 1h 6h 1d – one point per bucket,
+ *              aggregated in SQL; ranges of ROLLUP_HISTORY_MIN_DAYS (7)
+ *              and more are read from the hourly rollups, 1h by default)
+ *  - agg      (optional with interval: avg | min | max | last, default avg)
+ *  - points   (optional: LTTB down to this many points, 3 – 10000)
+ *  - debug    (=1 optional)
  */
 router.get("/history", async (req, res) => {
   try {
@@ -48,97 +39,85 @@ router.get("/history", async (req, res) => {
       });
     }
 
+    const opts = parseHistoryOptions(req.query);
+    if (opts.error) {
+      return res
+        .status(400)
+        .json({ ok: false, error: opts.error, details: opts.details });
+    }
+
     const startDateTime = `${start} 00:00:00`;
     const endDateTime = `${end} 23:59:59`;
 
-    // Fetch from transactions + parameters
-    const [rows] = await pool.query(
-      `
-      SELECT
-        tt.device_id,
-        tt.tank_no,
-        tt.location,
-        tt.ultra_height,
-        tt.date_time,
-        tp.diameter_breadth,
-        tp.length,
-        tp.tank_volume
-      FROM Transaction_Table tt
-      JOIN Tank_Parameters tp
-        ON tp.tank_no = tt.tank_no
-      WHERE tt.tank_no = ?
-        AND tt.date_time BETWEEN ? AND ?
-      ORDER BY tt.date_time ASC;
-      `,
-      [tank_no, startDateTime, endDateTime]
-    );
+    // long ranges come from the hourly / daily rollups
+    const rolled = await rollupHistory(tank_no, {
+      from: new Date(`${start}T00:00:00`),
+      to: new Date(`${end}T23:59:59`),
+      interval: opts.interval,
+      agg: opts.agg,
+    });
+    if (rolled) {
+      const history = opts.points
+        ? downsampleHistory(rolled.points, opts.points)
+        : rolled.points;
+      return res.json({
+        ok: true,
+        meta: {
+          tank_no,
+          start,
+          end,
+          ...opts,
+          interval: rolled.interval,
+          agg: rolled.agg,
+          source: "rollups",
+          rolled_until: rolled.rolled_until,
+          source_points: rolled.points.length,
+        },
+        total_points: history.length,
+        history,
+      });
+    }
+
+    const rows = await loadReadingRows(tank_no, {
+      from: startDateTime,
+      to: endDateTime,
+      interval: opts.interval,
+      agg: opts.agg,
+    });
 
     console.log(
-      `[TANK_HISTORY] tank_no=${tank_no}, rows=${rows.length}, range=${startDateTime} -> ${endDateTime}`
+      `[TANK_HISTORY] tank_no=${tank_no}, rows=${rows.length}, range=${startDateTime} -> ${endDateTime}` +
+        (opts.interval ? `, interval=${opts.interval}/${opts.agg}` : "")
     );
 
     if (!rows.length) {
       return res.json({
         ok: true,
-        meta: { tank_no, start, end },
+        meta: { tank_no, start, end, ...opts },
         total_points: 0,
         history: [],
       });
     }
 
-    const history = rows.map((r, idx) => {
-      const isFireTank = r.tank_no === "FIRE-TANK";
+    // strapping chart (if any) is shared by every point of this tank
+    const chart = await loadCalibrationChart(tank_no);
+    // ultrasonic / lidar choice is per tank as well
+    const fusion = fusionConfig(rows[0]);
 
-      // Common fields
-      const sensor =
-        r.ultra_height != null ? Number(r.ultra_height) : null;
+    const points = rows.map((r, idx) => {
+      const fused = fuseLevelReading(r, fusion);
+      const sensor = fused.distance_m;
       const tankVolumeL =
         r.tank_volume != null ? Number(r.tank_volume) : 0;
 
-      let volumeL = null;
-      let volumePct = null;
-      let depth = null;
-
-      // 🔥 FIRE-TANK → use EXACT same rectangular formula as updateData.js
-      if (isFireTank && sensor != null) {
-        // NOTE: These constants intentionally match updateData.js
-        const WIDTH_M = 8.9;     // meters
-        const LENGTH_M = 5.15;   // meters
-        const MAX_HEIGHT_M = 17.9; // meters (total tank height)
-
-        // water height = total height – distance from top (ultra_height)
-        let waterHeightM = MAX_HEIGHT_M - sensor;
-
-        // clamp between 0 and MAX_HEIGHT_M
-        if (waterHeightM < 0) waterHeightM = 0;
-        if (waterHeightM > MAX_HEIGHT_M) waterHeightM = MAX_HEIGHT_M;
-
-        depth = waterHeightM; // for debug / output
-
-        const volumeM3 = WIDTH_M * LENGTH_M * waterHeightM; // m³
-        volumeL = volumeM3 * 1000; // litres
-
-        if (tankVolumeL > 0) {
-          volumePct = (volumeL / tankVolumeL) * 100;
-        }
-      }
-
-      // 🟢 NORMAL CYLINDRICAL TANKS
-      if (!isFireTank) {
-        const D = Number(r.diameter_breadth ?? 0); // m
-        const L = Number(r.length ?? 0);           // m
-
-        if (sensor != null && D > 0 && L > 0) {
-          const rawDepth = D - sensor;
-          depth = Math.max(0, Math.min(rawDepth, D));
-
-          const volM3 = horizontalCylinderVolume(D, L, depth);
-          volumeL = volM3 * 1000; // litres
+      // same volume engine as updateData.js / tankCurrent.js
+      const level = computeTankLevel(r, sensor, chart);
+      const depth = level.depth_m;
+      const volumeL = level.volume_l;
 
-          if (tankVolumeL > 0) {
-            volumePct = (volumeL / tankVolumeL) * 100;
-          }
-        }
+      let volumePct = null;
+      if (volumeL != null && tankVolumeL > 0) {
+        volumePct = (volumeL / tankVolumeL) * 100;
       }
 
       return {
@@ -148,8 +127,15 @@ router.get("/history", async (req, res) => {
         location: r.location,
         date_time: r.date_time,
 
-        ultra_height_m: sensor,
+        ultra_height_m:
+          r.ultra_height != null ? Number(r.ultra_height) : null,
+        lidar_height_m:
+          r.lidar_height != null ? Number(r.lidar_height) : null,
+        level_m: sensor,
+        level_source: fused.source,
+        sensor_disagreement_m: fused.disagreement_m,
         water_depth_m: depth,
+        level_state: level.level_state,
 
         tank_volume_l: tankVolumeL,
 
@@ -157,12 +143,31 @@ router.get("/history", async (req, res) => {
           volumeL != null ? Number(volumeL.toFixed(1)) : null,
         volume_percentage:
           volumePct != null ? Number(volumePct.toFixed(1)) : null,
+
+        // interval buckets only
+        ...(opts.interval && {
+          bucket_start: r.bucket_start,
+          samples: Number(r.samples),
+        }),
       };
     });
 
+    const history = opts.points
+      ? downsampleHistory(points, opts.points)
+      : points;
+
     const response = {
       ok: true,
-      meta: { tank_no, start, end },
+      meta: {
+        tank_no,
+        start,
+        end,
+        volume_source: chart.length ? "calibration" : "geometry",
+        sensor_fusion: fusion.mode,
+        ...opts,
+        source: "readings",
+        source_points: points.length,
+      },
       total_points: history.length,
       history,
     };
@@ -0,0 +1,190 @@
+// routes/tankMaintenance.js
+import express from "express";
+import { pool } from "../db.js";
+import { requireAuth } from "./auth.js";
+import {
+  validateWindow,
+  tankSuppression,
+  setAlertsDisabled,
+  listWindows,
+  getWindow,
+  createWindow,
+  updateWindow,
+  cancelWindow,
+} from "../services/alertSuppression.js";
+
+// mounted at /api/tank-master/:tank_no (maintenance windows + alert toggle)
+const router = express.Router({ mergeParams: true });
+
+async function tankExists(tankNo) {
+  const [rows] = await pool.query(
+    "SELECT 1 FROM Tank_Parameters WHERE tank_no = ? LIMIT 1",
+    [tankNo]
+  );
+  return rows.length > 0;
+}
+
+// 404s unknown tanks; returns the tank_no or null
+async function checkTank(req, res) {
+  const tankNo = String(req.params.tank_no || "").trim();
+  if (await tankExists(tankNo)) return tankNo;
+  res.status(404).json({ ok: false, error: "TANK_NOT_FOUND", tank_no: tankNo });
+  return null;
+}
+
+function authUser(req) {
+  return { id: req.auth.id, username: req.auth.username };
+}
+
+function serverError(req, res, err, error) {
+  console.error(`[tank-maintenance][${req.method}] ERROR:`, err);
+  return res.status(500).json({ ok: false, error, details: String(err) });
+}
+
+/**
+ * GET /api/tank-master/:tank_no/alerts
+ * Is the tank suppressed right now, and why.
+ */
+router.get("/alerts", async (req, res) => {
+  try {
+    const tankNo = await checkTank(req, res);
+    if (!tankNo) return;
+
+    const state = await tankSuppression(tankNo);
+    return res.json({ ok: true, tank_no: tankNo, ...state });
+  } catch (err) {
+    return serverError(req, res, err, "DB_READ_FAILED");
+  }
+});
+
+/**
+ * PUT /api/tank-master/:tank_no/alerts
+ * body: { "disabled": true, "reason": "sensor being replaced" }
+ * headers: Authorization: Bearer <token>
+ *
+ * Stays in force until switched back ({ "disabled": false }).
+ */
+router.put("/alerts", requireAuth, async (req, res) => {
+  const { disabled, reason } = req.body || {};
+  if (typeof disabled !== "boolean") {
+    return res.status(400).json({
+      ok: false,
+      error: "INVALID_DISABLED",
+      details: "expected { disabled: true | false }",
+    });
+  }
+
+  try {
+    const tankNo = await checkTank(req, res);
+    if (!tankNo) return;
+
+    const state = await setAlertsDisabled(tankNo, disabled, reason, authUser(req));
+    return res.json({ ok: true, tank_no: tankNo, ...state });
+  } catch (err) {
+    return serverError(req, res, err, "DB_WRITE_FAILED");
+  }
+});
+
+/**
+ * GET /api/tank-master/:tank_no/maintenance?all=1
+ * Running and upcoming windows (all=1: past and cancelled ones too).
+ */
+router.get("/maintenance", async (req, res) => {
+  try {
+    const tankNo = await checkTank(req, res);
+    if (!tankNo) return;
+
+    const all = req.query.all === "1" || req.query.all === "true";
+    const rows = await listWindows(tankNo, { all });
+    return res.json({ ok: true, tank_no: tankNo, count: rows.length, data: rows });
+  } catch (err) {
+    return serverError(req, res, err, "DB_READ_FAILED");
+  }
+});
+
+/**
+ * GET /api/tank-master/:tank_no/maintenance/:id
+ */
+router.get("/maintenance/:id", async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({ ok: false, error: "INVALID_ID" });
+  }
+
+  try {
+    const maintenance = await getWindow(String(req.params.tank_no).trim(), id);
+    if (!maintenance) {
+      return res.status(404).json({ ok: false, error: "NOT_FOUND" });
+    }
+    return res.json({ ok: true, data: maintenance });
+  } catch (err) {
+    return serverError(req, res, err, "DB_READ_FAILED");
+  }
+});
+
+/**
+ * POST /api/tank-master/:tank_no/maintenance
+ * body: { "starts_at": "2024-05-01T08:00:00Z",   // default now
+ *         "ends_at":   "2024-05-01T16:00:00Z",
+ *         "reason":    "tank cleaning" }
+ * headers: Authorization: Bearer <token> – recorded as created_by.
+ */
+router.post("/maintenance", requireAuth, async (req, res) => {
+  const { values, error, details } = validateWindow(req.body || {});
+  if (error) return res.status(400).json({ ok: false, error, details });
+
+  try {
+    const tankNo = await checkTank(req, res);
+    if (!tankNo) return;
+
+    const maintenance = await createWindow(tankNo, values, authUser(req));
+    return res.status(201).json({ ok: true, data: maintenance });
+  } catch (err) {
+    return serverError(req, res, err, "DB_WRITE_FAILED");
+  }
+});
+
+/**
+ * PUT /api/tank-master/:tank_no/maintenance/:id
+ * Move or extend a window that has not ended (same fields as POST).
+ *
+ * DELETE /api/tank-master/:tank_no/maintenance/:id
+ * Cancel it: a running window ends now.
+ */
+function windowAction(action) {
+  return async (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ ok: false, error: "INVALID_ID" });
+    }
+
+    try {
+      const result = await action(String(req.params.tank_no).trim(), id, req);
+      if (!result.ok) {
+        const status =
+          result.error === "NOT_FOUND"
+            ? 404
+            : result.error === "WINDOW_CLOSED"
+              ? 409
+              : 400;
+        return res.status(status).json(result);
+      }
+      return res.json(result);
+    } catch (err) {
+      return serverError(req, res, err, "DB_WRITE_FAILED");
+    }
+  };
+}
+
+router.put(
+  "/maintenance/:id",
+  requireAuth,
+  windowAction((tankNo, id, req) => updateWindow(tankNo, id, req.body || {}))
+);
+router.delete(
+  "/maintenance/:id",
+  requireAuth,
+  windowAction((tankNo, id, req) => cancelWindow(tankNo, id, authUser(req)))
+);
+
+export default router;
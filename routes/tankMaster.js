@@ -1,6 +1,20 @@
 // routes/tankMaster.js
 import express from "express";
 import { pool } from "../db.js";
+import { TANK_SHAPES, isKnownShape, normalizeShape } from "../utils/geometry.js";
+import { FUSION_MODES } from "../utils/sensorFusion.js";
+import {
+  LIMIT_UNITS,
+  normalizeLimitUnit,
+  limitContext,
+  safeLimits,
+  checkLimitOrder,
+  convertLimit,
+} from "../utils/safeLimits.js";
+import {
+  loadCalibrationChart,
+  loadCalibrationCharts,
+} from "../services/calibration.js";
 
 const router = express.Router();
 
@@ -9,9 +23,13 @@ const router = express.Router();
  *
  * Uses:
  *   - tanks_master      : SIM / IMEI / SSID / installation / ultrasonic
- *   - Tank_Parameters   : tank_volume, upper_safe_limit_pct, lower_safe_limit_pct
+ *   - Tank_Parameters   : tank_volume, shape + dimensions,
+ *                         safe limits + safe_limit_unit, LL / HH limits,
+ *                         alarm hysteresis / dwell, sensor_fusion
  *
- * Returns one combined row per tank.
+ * Returns one combined row per tank. safe_max_level / safe_min_level /
+ * low_low_limit / high_high_limit are as stored (in safe_limit_unit),
+ * the *_l fields converted to litres (utils/safeLimits.js).
  */
 router.get("/", async (req, res) => {
   const debug = req.query.debug === "1";
@@ -29,8 +47,24 @@ router.get("/", async (req, res) => {
 
       -- From Tank_Parameters
       tp.tank_volume,
-      tp.upper_safe_limit_pct          AS safe_max_level_l,
-      tp.lower_safe_limit_pct          AS safe_min_level_l
+      tp.shape,
+      tp.diameter_breadth,
+      tp.length,
+      tp.height,
+      tp.head_depth,
+      tp.cone_height,
+      tp.nozzle_height_m,
+      tp.sensor_offset_m,
+      tp.blind_zone_m,
+      tp.upper_safe_limit_pct          AS safe_max_level,
+      tp.lower_safe_limit_pct          AS safe_min_level,
+      tp.safe_limit_unit,
+      tp.low_low_limit,
+      tp.high_high_limit,
+      tp.alarm_hysteresis,
+      tp.alarm_dwell_s,
+      tp.sensor_fusion,
+      tp.fusion_threshold_m
 
     FROM tanks_master tm
     LEFT JOIN Tank_Parameters tp
@@ -43,7 +77,27 @@ router.get("/", async (req, res) => {
       console.log("[tank-master][GET] SQL =", sql.trim());
     }
 
-    const [rows] = await pool.query(sql);
+    const [dbRows] = await pool.query(sql);
+
+    const charts = await loadCalibrationCharts(dbRows.map((r) => r.tank_name));
+    const rows = dbRows.map((r) => {
+      const limits = safeLimits(
+        {
+          ...r,
+          upper_safe_limit_pct: r.safe_max_level,
+          lower_safe_limit_pct: r.safe_min_level,
+        },
+        limitContext(r, charts.get(r.tank_name))
+      );
+      return {
+        ...r,
+        safe_limit_unit: limits.unit,
+        safe_max_level_l: limits.upper_l,
+        safe_min_level_l: limits.lower_l,
+        low_low_limit_l: limits.low_low_l,
+        high_high_limit_l: limits.high_high_l,
+      };
+    });
 
     if (debug) {
       console.log("[tank-master][GET] rows =", rows.length);
@@ -63,6 +117,83 @@ router.get("/", async (req, res) => {
   }
 });
 
+/**
+ * GET /api/tank-master/shapes
+ *
+ * Lists the shapes the geometry engine understands and which
+ * Tank_Parameters columns each one needs.
+ */
+router.get("/shapes", (_req, res) => {
+  const columnFor = {
+    diameter: "diameter_breadth",
+    length: "length",
+    height: "height",
+  };
+
+  const shapes = Object.entries(TANK_SHAPES).map(([key, def]) => ({
+    shape: key,
+    label: def.label,
+    required_columns: def.requires.map((k) => columnFor[k] || k),
+  }));
+
+  return res.json({ ok: true, shapes });
+});
+
+// alarm levels sent in the same unit as the two safe limits
+const LIMIT_COLUMNS = ["low_low_limit", "high_high_limit"];
+
+/**
+ * Limits sent in litres → the stored safe_limit_unit of the tank.
+ * limits = { safeMax, safeMin }; LL / HH are converted in geometryVals
+ * (in place), against the stored geometry updated by this request.
+ * returns { values } | { error, details }
+ */
+async function litresToStoredUnit(tankNo, limits, geometryCols, geometryVals) {
+  const [[stored]] = await pool.query(
+    "SELECT * FROM Tank_Parameters WHERE tank_no = ? LIMIT 1",
+    [tankNo]
+  );
+  const unit = normalizeLimitUnit(stored?.safe_limit_unit) || "litres";
+  if (unit === "litres") return { values: limits };
+
+  if (geometryCols.includes("alarm_hysteresis")) {
+    return {
+      error: "SAFE_LIMIT_UNIT_REQUIRED",
+      details: `the tank's limits are in ${unit}: send safe_limit_unit with alarm_hysteresis`,
+    };
+  }
+
+  const params = { ...stored };
+  geometryCols.forEach((c, i) => (params[c] = geometryVals[i]));
+  const ctx = limitContext(params, await loadCalibrationChart(tankNo));
+
+  const convert = (name, litres) => {
+    if (litres == null) return { value: null };
+    const value = convertLimit(litres, "litres", unit, ctx);
+    return value == null
+      ? {
+          error: "SAFE_LIMIT_NOT_CONVERTIBLE",
+          details: `${name}=${litres} L cannot be stored as ${unit} for this tank`,
+        }
+      : { value };
+  };
+
+  const values = {};
+  for (const [name, litres] of Object.entries(limits)) {
+    const c = convert(name, litres);
+    if (c.error) return c;
+    values[name] = c.value;
+  }
+  for (const col of LIMIT_COLUMNS) {
+    const i = geometryCols.indexOf(col);
+    if (i === -1) continue;
+    const c = convert(col, geometryVals[i]);
+    if (c.error) return c;
+    geometryVals[i] = c.value;
+  }
+  return { values };
+}
+
 /**
  * POST /api/tank-master
  *
@@ -75,12 +206,42 @@ router.get("/", async (req, res) => {
  *   "ultrasonic_status": "...",   // optional
  *   "safe_max_level_l": 1287.26,  // HIGH limit  (Tank_Parameters.upper_safe_limit_pct)
  *   "safe_min_level_l": 1094.54,  // LOW limit   (Tank_Parameters.lower_safe_limit_pct)
- *   "installation_date": "2025-11-25"  // optional
+ *   "safe_limit_unit": "litres",  // optional: litres | percent | depth_mm
+ *                                 // (the two limits above are in this unit;
+ *                                 //  safe_max_level / safe_min_level work too;
+ *                                 //  omitted: litres; an existing tank
+ *                                 //  keeps its unit and the limits are
+ *                                 //  converted to it)
+ *
+ *   // optional alarm levels, same unit (utils/safeLimits.js)
+ *   "low_low_limit": 500,         // LL (critical), below the LOW limit
+ *   "high_high_limit": 1400,      // HH (critical), above the HIGH limit
+ *   "alarm_hysteresis": 20,       // a crossed limit clears this far back
+ *   "alarm_dwell_s": 120,         // a new level must last this long
+ *   "installation_date": "2025-11-25", // optional
+ *
+ *   // optional geometry (meters), see GET /api/tank-master/shapes
+ *   "shape": "rectangular",
+ *   "diameter_breadth": 8.9,
+ *   "length": 5.15,
+ *   "height": 17.9,
+ *   "head_depth": null,
+ *   "cone_height": null,
+ *
+ *   // optional sensor mounting (meters)
+ *   "nozzle_height_m": 0.15,      // nozzle above the tank crown
+ *   "sensor_offset_m": 0.02,      // sensor face above the nozzle top
+ *   "blind_zone_m": 0.25,         // closer readings = "full (blind zone)"
+ *
+ *   // optional ultrasonic / lidar fusion (utils/sensorFusion.js)
+ *   "sensor_fusion": "auto",      // ultrasonic | lidar | average | auto
+ *   "fusion_threshold_m": 0.1     // auto: switch to lidar above this gap
  * }
  *
  * This:
  *   1) UPSERTs into tanks_master  (SIM/IMEI/SSID/ultrasonic/install)
- *   2) UPSERTs into Tank_Parameters (only safe limits)
+ *   2) UPSERTs into Tank_Parameters (safe limits + any geometry /
+ *      fusion settings sent)
  */
 router.post("/", async (req, res) => {
   const debug = req.query.debug === "1";
@@ -94,7 +255,12 @@ router.post("/", async (req, res) => {
     ultrasonic_status,
     safe_max_level_l,
     safe_min_level_l,
+    safe_max_level,
+    safe_min_level,
+    safe_limit_unit,
     installation_date,
+    shape,
+    sensor_fusion,
   } = body;
 
   // ---------- Basic validation ----------
@@ -113,8 +279,92 @@ router.post("/", async (req, res) => {
     return Number.isNaN(n) ? null : n;
   };
 
-  const safeMax = toNullableNumber(safe_max_level_l);
-  const safeMin = toNullableNumber(safe_min_level_l);
+  const safeMax = toNullableNumber(safe_max_level ?? safe_max_level_l);
+  const safeMin = toNullableNumber(safe_min_level ?? safe_min_level_l);
+
+  // without safe_limit_unit a new tank gets litres, a stored unit stays
+  const unitSent = safe_limit_unit !== undefined && safe_limit_unit !== null;
+  const limitUnit = unitSent ? normalizeLimitUnit(safe_limit_unit) : "litres";
+
+  if (!limitUnit) {
+    return res.status(400).json({
+      ok: false,
+      error: "INVALID_SAFE_LIMIT_UNIT",
+      allowed: LIMIT_UNITS,
+    });
+  }
+
+  if (shape !== undefined && shape !== null && !isKnownShape(shape)) {
+    return res.status(400).json({
+      ok: false,
+      error: "INVALID_SHAPE",
+      allowed: Object.keys(TANK_SHAPES),
+    });
+  }
+
+  if (
+    sensor_fusion !== undefined &&
+    sensor_fusion !== null &&
+    !FUSION_MODES.includes(String(sensor_fusion).trim().toLowerCase())
+  ) {
+    return res.status(400).json({
+      ok: false,
+      error: "INVALID_SENSOR_FUSION",
+      allowed: FUSION_MODES,
+    });
+  }
+
+  // LL <= L <= H <= HH for the limits sent together
+  const orderError = checkLimitOrder({
+    low_low: toNullableNumber(body.low_low_limit),
+    lower: safeMin,
+    upper: safeMax,
+    high_high: toNullableNumber(body.high_high_limit),
+  });
+  if (orderError) {
+    return res.status(400).json({
+      ok: false,
+      error: "INVALID_ALARM_THRESHOLDS",
+      details: orderError,
+    });
+  }
+
+  // Geometry / fusion / alarm columns are only touched when present in the body
+  const geometryCols = [];
+  const geometryVals = [];
+
+  if (shape !== undefined && shape !== null) {
+    geometryCols.push("shape");
+    geometryVals.push(normalizeShape(shape));
+  }
+
+  for (const col of [
+    "diameter_breadth",
+    "length",
+    "height",
+    "head_depth",
+    "cone_height",
+    "nozzle_height_m",
+    "sensor_offset_m",
+    "blind_zone_m",
+    "fusion_threshold_m",
+    "low_low_limit",
+    "high_high_limit",
+    "alarm_hysteresis",
+    "alarm_dwell_s",
+  ]) {
+    if (body[col] !== undefined) {
+      geometryCols.push(col);
+      geometryVals.push(toNullableNumber(body[col]));
+    }
+  }
+
+  if (sensor_fusion !== undefined) {
+    geometryCols.push("sensor_fusion");
+    geometryVals.push(
+      sensor_fusion === null ? null : String(sensor_fusion).trim().toLowerCase()
+    );
+  }
 
   const installDate =
     installation_date && String(installation_date).trim() !== ""
@@ -131,6 +381,9 @@ router.post("/", async (req, res) => {
       safeMax,
       safeMin,
       installDate,
+      geometry: Object.fromEntries(
+        geometryCols.map((c, i) => [c, geometryVals[i]])
+      ),
     });
   }
 
@@ -165,23 +418,54 @@ router.post("/", async (req, res) => {
   ];
 
   // ======================================================
-  // 2) UPSERT INTO Tank_Parameters (only safe limits)
+  // 2) UPSERT INTO Tank_Parameters (safe limits + geometry)
   // ======================================================
+  const paramCols = [
+    "upper_safe_limit_pct",
+    "lower_safe_limit_pct",
+    "safe_limit_unit",
+    ...geometryCols,
+  ];
+
+  const updateCols = unitSent
+    ? paramCols
+    : paramCols.filter((c) => c !== "safe_limit_unit");
+
   const sqlParams = `
     INSERT INTO Tank_Parameters (
       tank_no,
-      upper_safe_limit_pct,
-      lower_safe_limit_pct
+      ${paramCols.join(",\n      ")}
     )
-    VALUES (?, ?, ?)
+    VALUES (?, ${paramCols.map(() => "?").join(", ")})
     ON DUPLICATE KEY UPDATE
-      upper_safe_limit_pct = VALUES(upper_safe_limit_pct),
-      lower_safe_limit_pct = VALUES(lower_safe_limit_pct)
+      ${updateCols.map((c) => `${c} = VALUES(${c})`).join(",\n      ")}
   `;
 
-  const paramsParams = [trimTankNo, safeMax, safeMin];
-
   try {
+    // without safe_limit_unit the limits are litres (safe_max_level_l …);
+    // an existing tank keeps its unit, so they are converted to it
+    let limitVals = { safeMax, safeMin };
+    if (!unitSent) {
+      const converted = await litresToStoredUnit(
+        trimTankNo,
+        { safeMax, safeMin },
+        geometryCols,
+        geometryVals
+      );
+      if (converted.error) {
+        return res.status(400).json({ ok: false, ...converted });
+      }
+      limitVals = converted.values;
+    }
+
+    const paramsParams = [
+      trimTankNo,
+      limitVals.safeMax,
+      limitVals.safeMin,
+      limitUnit,
+      ...geometryVals,
+    ];
+
     if (debug) {
       console.log("[tank-master][POST] SQL master =", sqlMaster.trim());
       console.log("[tank-master][POST] params master =", paramsMaster);
@@ -0,0 +1,110 @@
+// routes/tankRollups.js
+import express from "express";
+import { requireAuth } from "./auth.js";
+import { loadTankParams } from "../services/volumeHistory.js";
+import { listRollups, rebuildRollups } from "../services/rollups.js";
+import { ROLLUP_PERIODS } from "../utils/rollups.js";
+import { parseDateRange } from "../utils/dateRange.js";
+
+// mounted at /api/tanks/:tank_no (hourly / daily statistics)
+const router = express.Router({ mergeParams: true });
+
+// longest range per request, by period
+const MAX_RANGE_DAYS = { hour: 93, day: 3660 };
+
+// 404s unknown tanks; returns Tank_Parameters or null
+async function checkTank(req, res) {
+  const tankNo = String(req.params.tank_no || "").trim();
+  const params = await loadTankParams(tankNo);
+  if (params) return params;
+  res.status(404).json({ ok: false, error: "TANK_NOT_FOUND", tank_no: tankNo });
+  return null;
+}
+
+/**
+ * GET /api/tanks/:tank_no/rollups
+ *
+ * Stored hourly / daily statistics: min / max / avg volume, first / last
+ * level and volume, sample count, uptime minutes. Hours from rolled_until
+ * on are not rolled up yet.
+ *
+ * Query:
+ *   period     hour | day (default hour)
+ *   from, to   YYYY-MM-DD or date-time (default the last 7 days;
+ *              max 93 days of hours, 3660 of days)
+ */
+router.get("/rollups", async (req, res) => {
+  const period = String(req.query.period || "hour").toLowerCase();
+  if (!ROLLUP_PERIODS.includes(period)) {
+    return res
+      .status(400)
+      .json({ ok: false, error: "INVALID_PERIOD", allowed: ROLLUP_PERIODS });
+  }
+
+  const range = parseDateRange(req.query, { maxDays: MAX_RANGE_DAYS[period] });
+  if (range.error) return res.status(400).json({ ok: false, ...range });
+
+  try {
+    const params = await checkTank(req, res);
+    if (!params) return;
+
+    const { rolled_until, data } = await listRollups(params.tank_no, {
+      period,
+      ...range,
+    });
+    return res.json({
+      ok: true,
+      tank_no: params.tank_no,
+      period,
+      range,
+      rolled_until,
+      count: data.length,
+      data,
+    });
+  } catch (err) {
+    console.error("GET /api/tanks/:tank_no/rollups error:", err);
+    return res.status(500).json({
+      ok: false,
+      error: "DB_READ_FAILED",
+      details: String(err),
+    });
+  }
+});
+
+/**
+ * POST /api/tanks/:tank_no/rollups/rebuild   (JWT)
+ * body: { from }  – YYYY-MM-DD or date-time
+ * Rolls the tank up again from `from` (after a calibration or geometry
+ * change); the job works through it over its next runs.
+ */
+router.post("/rollups/rebuild", requireAuth, async (req, res) => {
+  const raw = req.body?.from ? String(req.body.from).trim() : "";
+  const from = new Date(/^\d{4}-\d{2}-\d{2}$/.test(raw) ? `${raw}T00:00:00` : raw);
+  if (!raw || Number.isNaN(from.getTime()) || from > new Date()) {
+    return res.status(400).json({
+      ok: false,
+      error: "INVALID_FROM",
+      details: "from: YYYY-MM-DD or a date-time, not in the future",
+    });
+  }
+
+  try {
+    const params = await checkTank(req, res);
+    if (!params) return;
+
+    await rebuildRollups(params.tank_no, from);
+    console.log(
+      `[rollups] ${params.tank_no} rebuild from ${from.toISOString()} by ${req.auth.username}`
+    );
+    return res.json({ ok: true, tank_no: params.tank_no, from });
+  } catch (err) {
+    console.error("POST /api/tanks/:tank_no/rollups/rebuild error:", err);
+    return res.status(500).json({
+      ok: false,
+      error: "DB_WRITE_FAILED",
+      details: String(err),
+    });
+  }
+});
+
+export default router;
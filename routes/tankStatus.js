@@ -32,6 +32,8 @@ router.get("/", async (_req, res) => {
         ts.flowStatus,
         ts.tank_status,
         ts.tank_alert_message,
+        ts.alarm_level,
+        ts.severity,
         ts.under_maintenance,
         ts.disable_alert,
         ts.current_time,
@@ -58,6 +60,8 @@ router.get("/", async (_req, res) => {
       flowStatus: r.flowStatus ?? "Inactive",
       tank_status: r.tank_status ?? "Inactive",
       tank_alert_message: r.tank_alert_message ?? "No Data",
+      alarm_level: r.alarm_level ?? null,
+      severity: r.severity ?? null,
       under_maintenance: r.under_maintenance ?? 0,
       disable_alert: r.disable_alert ?? 0,
       current_time: r.current_time ?? null,
@@ -89,6 +93,8 @@ router.get("/:deviceId", async (req, res) => {
         ts.flowStatus,
         ts.tank_status,
         ts.tank_alert_message,
+        ts.alarm_level,
+        ts.severity,
         ts.under_maintenance,
         ts.disable_alert,
         ts.current_time,
@@ -123,6 +129,8 @@ router.get("/:deviceId", async (req, res) => {
       flowStatus: r.flowStatus ?? "Inactive",
       tank_status: r.tank_status ?? "Inactive",
       tank_alert_message: r.tank_alert_message ?? "No Data",
+      alarm_level: r.alarm_level ?? null,
+      severity: r.severity ?? null,
       under_maintenance: r.under_maintenance ?? 0,
       disable_alert: r.disable_alert ?? 0,
       current_time: r.current_time ?? null,
@@ -1,15 +1,24 @@
 // routes/tankUpdate.js
 import express from "express";
 import { pool } from "../db.js";
+import { loadCalibrationChart } from "../services/calibration.js";
+import { limitContext, convertLimit } from "../utils/safeLimits.js";
 
 const router = express.Router();
 
 /**
  * Update tank info in:
  *   - tanks_master:  imei, sim, ssid, installation_date, ultrasonic_status (optional)
- *   - tank_specifications: diameter_mm, length_mm, height_mm,
- *                          tank_volume_m3, free_volume_m3,
- *                          upper_safe_limit_pct, lower_safe_limit_pct
+ *   - Tank_Parameters: diameter_mm, length_mm, height_mm, tank_volume_m3,
+ *                      upper_safe_limit_pct, lower_safe_limit_pct
+ *                      (converted to m / L; tank_specifications is gone,
+ *                      see migrations/008_consolidate_tank_tables)
+ *
+ * The % limits are converted into the tank's safe_limit_unit
+ * (utils/safeLimits.js) after the dimensions are updated.
+ *
+ * free_volume_m3 is still accepted but ignored – it is a reading,
+ * not a tank parameter.
  *
  * Accepts values from either query OR JSON body.
  *
@@ -76,30 +85,36 @@ async function handleTankUpdate(req, res) {
     }
   }
 
-  // ---------- Collect fields for tank_specifications ----------
+  // ---------- Collect fields for Tank_Parameters ----------
+  // mm / m³ in, m / L stored
   const specFieldMap = {
-    diameter_mm: "diameter_mm",
-    length_mm: "length_mm",
-    height_mm: "height_mm",
-    tank_volume_m3: "tank_volume_m3",
-    free_volume_m3: "free_volume_m3",
-    upper_safe_limit_pct: "upper_safe_limit_pct",
-    lower_safe_limit_pct: "lower_safe_limit_pct",
+    tank_volume_m3: "tank_volume = ? * 1000",
+    diameter_mm: "diameter_breadth = ? / 1000",
+    length_mm: "length = ? / 1000",
+    height_mm: "height = ? / 1000",
   };
 
   const specUpdates = [];
   const specParams = [];
 
-  for (const [inputName, columnName] of Object.entries(specFieldMap)) {
+  for (const [inputName, assignment] of Object.entries(specFieldMap)) {
     const value = readField(req, inputName);
     if (value !== undefined) {
-      specUpdates.push(`${columnName} = ?`);
+      specUpdates.push(assignment);
       specParams.push(value);
     }
   }
 
+  // % in, stored in whatever unit the tank's limits use
+  const limitInputs = {};
+  for (const column of ["upper_safe_limit_pct", "lower_safe_limit_pct"]) {
+    const value = readField(req, column);
+    if (value !== undefined) limitInputs[column] = value;
+  }
+  const hasLimits = Object.keys(limitInputs).length > 0;
+
   // If nothing to update, return bad request
-  if (masterUpdates.length === 0 && specUpdates.length === 0) {
+  if (masterUpdates.length === 0 && specUpdates.length === 0 && !hasLimits) {
     return res.status(400).json({
       ok: false,
       error: "NO_FIELDS_TO_UPDATE",
@@ -134,10 +149,10 @@ async function handleTankUpdate(req, res) {
       masterResult = result;
     }
 
-    // ----- Update tank_specifications if needed -----
+    // ----- Update Tank_Parameters if needed -----
     if (specUpdates.length > 0) {
       const specSql = `
-        UPDATE tank_specifications
+        UPDATE Tank_Parameters
         SET ${specUpdates.join(", ")}
         WHERE tank_no = ?
       `;
@@ -152,6 +167,57 @@ async function handleTankUpdate(req, res) {
       specResult = result;
     }
 
+    // ----- Safe limits (after the dimensions, so % uses the new capacity) -----
+    if (hasLimits) {
+      const [[params]] = await conn.query(
+        `
+        SELECT
+          tank_no, shape, diameter_breadth, length, height,
+          head_depth, cone_height, tank_volume, safe_limit_unit
+        FROM Tank_Parameters
+        WHERE tank_no = ?
+        FOR UPDATE
+        `,
+        [tank_no]
+      );
+
+      if (params) {
+        const chart = await loadCalibrationChart(tank_no, conn);
+        const ctx = limitContext(params, chart);
+        const unit = params.safe_limit_unit || "litres";
+
+        const assignments = [];
+        const values = [];
+        for (const [column, pct] of Object.entries(limitInputs)) {
+          const converted =
+            pct === null || pct === ""
+              ? null
+              : convertLimit(pct, "percent", unit, ctx);
+          if (converted === null && pct !== null && pct !== "") {
+            // e.g. no capacity / dimensions to convert % against
+            await conn.rollback();
+            return res.status(400).json({
+              ok: false,
+              error: "SAFE_LIMIT_NOT_CONVERTIBLE",
+              details: `${column}=${pct}% cannot be stored as ${unit} for this tank`,
+            });
+          }
+          assignments.push(`${column} = ?`);
+          values.push(converted);
+        }
+
+        if (debug) {
+          console.log("[TANK_UPDATE] limits (%):", limitInputs, "→", unit, values);
+        }
+
+        const [result] = await conn.query(
+          `UPDATE Tank_Parameters SET ${assignments.join(", ")} WHERE tank_no = ?`,
+          [...values, tank_no]
+        );
+        specResult = specResult ?? result;
+      }
+    }
+
     const masterAffected = masterResult?.affectedRows ?? 0;
     const specAffected = specResult?.affectedRows ?? 0;
 
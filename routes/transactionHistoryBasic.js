@@ -1,26 +1,12 @@
 // routes/tankHistoryByTank.js
 import express from "express";
 import { pool } from "../db.js";
+import { computeTankLevel } from "../utils/geometry.js";
+import { fusionConfig, fuseLevelReading } from "../utils/sensorFusion.js";
+import { loadCalibrationChart } from "../services/calibration.js";
 
 const router = express.Router();
 
-/**
- * Volume of a horizontal cylinder partly filled
- * D = diameter (m)
- * L = length (m)
- * h = liquid depth from bottom (m)
- * returns m^3
- */
-function horizontalCylinderVolume(D, L, h) {
-  const R = D / 2;
-  if (h <= 0) return 0;
-  if (h >= D) return Math.PI * R * R * L; // full
-  const term1 = R * R * Math.acos((R - h) / R);
-  const term2 = (R - h) * Math.sqrt(2 * R * h - h * h);
-  const area = term1 - term2; // m^2
-  return L * area;            // m^3
-}
-
 /**
  * GET /api/tanks/history
  *
@@ -32,7 +18,7 @@ function horizontalCylinderVolume(D, L, h) {
  *
  * Uses:
  *   Transaction_Table  (ultra_height, date_time, location, device_id)
- *   Tank_Parameters    (diameter_breadth, length, tank_volume)
+ *   Tank_Parameters    (shape + dimensions, tank_volume)
  *
  * Returns all points in that date range with:
  *   - water_volume_l      (litres)
@@ -65,10 +51,21 @@ router.get("/history", async (req, res) => {
         tt.tank_no,
         tt.location,
         tt.ultra_height,
+        tt.lidar_height,
+        tt.ul_status,
         tt.date_time,
+        tp.shape,
         tp.diameter_breadth,
         tp.length,
-        tp.tank_volume
+        tp.height,
+        tp.head_depth,
+        tp.cone_height,
+        tp.nozzle_height_m,
+        tp.sensor_offset_m,
+        tp.blind_zone_m,
+        tp.tank_volume,
+        tp.sensor_fusion,
+        tp.fusion_threshold_m
       FROM Transaction_Table tt
       JOIN Tank_Parameters tp
         ON tp.tank_no = tt.tank_no
@@ -102,31 +99,25 @@ router.get("/history", async (req, res) => {
       return res.json(resp);
     }
 
+    // strapping chart (if any) is shared by every point of this tank
+    const chart = await loadCalibrationChart(tank_no);
+    // ultrasonic / lidar choice is per tank as well
+    const fusion = fusionConfig(rows[0]);
+
     const history = rows.map((r, idx) => {
-      const D = Number(r.diameter_breadth ?? 0); // m
-      const L = Number(r.length ?? 0);           // m
-      const sensor =
-        r.ultra_height != null ? Number(r.ultra_height) : null; // m
+      const fused = fuseLevelReading(r, fusion);
+      const sensor = fused.distance_m; // m
       const tankVolumeL =
         r.tank_volume != null ? Number(r.tank_volume) : 0;      // L
 
-      // depth of water from bottom (sensor on top)
-      let depth = null;
-      if (sensor != null && D > 0) {
-        depth = D - sensor;
-        if (depth < 0) depth = 0;
-        if (depth > D) depth = D;
-      }
+      // depth of water from bottom (sensor on top) + volume, per shape
+      const level = computeTankLevel(r, sensor, chart);
+      const depth = level.depth_m;
+      const volumeL = level.volume_l;
 
-      let volumeL = null;
       let volumePct = null;
-
-      if (depth != null && D > 0 && L > 0) {
-        const volM3 = horizontalCylinderVolume(D, L, depth);
-        volumeL = volM3 * 1000; // m^3 → litres
-        if (tankVolumeL > 0) {
-          volumePct = (volumeL / tankVolumeL) * 100;
-        }
+      if (volumeL != null && tankVolumeL > 0) {
+        volumePct = (volumeL / tankVolumeL) * 100;
       }
 
       return {
@@ -138,8 +129,15 @@ router.get("/history", async (req, res) => {
         location: r.location,
         date_time: r.date_time,
 
-        ultra_height_m: sensor,
+        ultra_height_m:
+          r.ultra_height != null ? Number(r.ultra_height) : null,
+        lidar_height_m:
+          r.lidar_height != null ? Number(r.lidar_height) : null,
+        level_m: sensor,
+        level_source: fused.source,
+        sensor_disagreement_m: fused.disagreement_m,
         water_depth_m: depth,
+        level_state: level.level_state,
 
         tank_volume_l: tankVolumeL,
         water_volume_l:
@@ -151,7 +149,13 @@ router.get("/history", async (req, res) => {
 
     const response = {
       ok: true,
-      meta: { tank_no, start, end },
+      meta: {
+        tank_no,
+        start,
+        end,
+        volume_source: chart.length ? "calibration" : "geometry",
+        sensor_fusion: fusion.mode,
+      },
       total_points: history.length,
       history,
     };
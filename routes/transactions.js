@@ -1,16 +1,74 @@
 // routes/transactions.js
 import express from "express";
 import { pool } from "../db.js";
-import axios from "axios"; // required for calling update-data
+import {
+  recordReading,
+  recordReadingsBatch,
+  acceptQuarantinedReading,
+  discardQuarantinedReading,
+} from "../services/ingest.js";
+import {
+  listQuarantine,
+  QUARANTINE_STATUSES,
+} from "../services/readingValidation.js";
 
 const router = express.Router();
 
+const MAX_BATCH_ITEMS = 5000;
+
+/**
+ * NDJSON body → array of items. Lines that are not valid JSON are kept
+ * as { __parseError } so they get their own REJECTED result.
+ */
+function parseNdjson(text) {
+  return String(text || "")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return { __parseError: true };
+      }
+    });
+}
+
 /**
  * POST /api/transactions
+ * body: { device_id, tank_no, location, ultra_height?, lidar_height?,
+ *         ul_status?, date_time?, seq?, boot_id?, message_id? }
+ * date_time: "YYYY-MM-DD HH:MM:SS" (server local time) or ISO 8601 with
+ * Z / offset; anything else is INVALID_DATE_TIME. Default: now.
+ *
+ * Stores the reading and derives tank_status in-process.
+ * POST /api/update-data stays available for manual replays.
+ *
+ * seq / message_id make retries idempotent: a repeat of the same
+ * device_id + seq (per boot_id, if sent) or message_id within
+ * INGEST_DEDUPE_HOURS is answered with
+ * message "DUPLICATE_IGNORED" and nothing is written. So is a reading
+ * whose device_id + date_time is already stored.
+ *
+ * Readings failing the validation stage (range / rate / spike) are
+ * either written and flagged, or held back with message "QUARANTINED"
+ * (see GET /api/transactions/quarantine).
+ * Otherwise message is "INSERTED".
  */
 router.post("/", async (req, res) => {
   try {
-    const { device_id, tank_no, location, ultra_height, date_time } = req.body;
+    const {
+      device_id,
+      tank_no,
+      location,
+      ultra_height,
+      lidar_height,
+      ul_status,
+      date_time,
+      seq,
+      boot_id,
+      message_id,
+    } = req.body;
 
     // Basic validation
     if (!device_id || !tank_no || !location) {
@@ -21,76 +79,124 @@ router.post("/", async (req, res) => {
       });
     }
 
-    // Check device exists
-    const [devRows] = await pool.query(
-      "SELECT 1 FROM Master_Tables WHERE device_id = ? LIMIT 1",
-      [device_id]
-    );
+    // Transaction_Table + tank_status in one DB transaction
+    // (services/ingest.js – same path as the MQTT subscriber)
+    const result = await recordReading({
+      device_id,
+      tank_no,
+      location,
+      ultra_height,
+      lidar_height,
+      ul_status,
+      date_time,
+      seq,
+      boot_id,
+      message_id,
+    });
 
-    if (devRows.length === 0) {
-      console.warn("[transactions] UNKNOWN_DEVICE:", device_id);
+    if (!result.accepted) {
+      console.warn(`[transactions] ${result.error}:`, device_id);
       return res.status(400).json({
         ok: false,
-        error: "UNKNOWN_DEVICE_ID",
+        error: result.error,
         device_id,
       });
     }
 
-    // Insert or update the transaction row
-    const sql = `
-      INSERT INTO Transaction_Table
-        (device_id, tank_no, location, ultra_height, date_time)
-      VALUES
-        (?, ?, ?, ?, COALESCE(?, NOW()))
-      ON DUPLICATE KEY UPDATE
-        tank_no      = VALUES(tank_no),
-        location     = VALUES(location),
-        ultra_height = VALUES(ultra_height),
-        date_time    = VALUES(date_time);
-    `;
-
-    const [result] = await pool.query(sql, [
-      device_id,
-      tank_no,
-      location,
-      ultra_height ?? null,
-      date_time ?? null,
-    ]);
+    return res.json({
+      ok: true,
+      affectedRows: result.affectedRows,
+      message: result.result,
+      tank_status: result.tank_status,
+      tank_alert_message: result.tank_alert_message,
+      alarm_level: result.alarm_level,
+      severity: result.severity,
+      quarantine_id: result.quarantine_id,
+      validation: result.validation,
+    });
+  } catch (err) {
+    console.error("POST /api/transactions fatal error:", err);
+    return res.status(500).json({
+      ok: false,
+      error: "DB_WRITE_FAILED",
+      details: String(err),
+    });
+  }
+});
 
-    // =======================================================================
-    // 🔥 NON-BLOCKING call to /api/update-data (to populate tank_status)
-    // =======================================================================
+/**
+ * POST /api/transactions/batch
+ *
+ * Body:
+ *   - JSON array:   [{ device_id, tank_no?, location?, ultra_height, date_time,
+ *                      seq?, boot_id?, message_id? }, ...]
+ *   - JSON object:  { "readings": [ ... ] }
+ *   - NDJSON (Content-Type: application/x-ndjson): one reading per line
+ *
+ * tank_no / location default to the Master_Tables row of device_id;
+ * date_time is required (MISSING_DATE_TIME otherwise), same format as
+ * POST /api/transactions.
+ * Returns one result per item (same order):
+ *   ACCEPTED / DUPLICATE_IGNORED (seq, message_id or date_time seen before)
+ *   / QUARANTINED (failed validation) / REJECTED + reason.
+ */
+router.post("/batch", async (req, res) => {
+  try {
+    let items;
+    if (typeof req.body === "string") {
+      items = parseNdjson(req.body);
+    } else if (Array.isArray(req.body)) {
+      items = req.body;
+    } else if (Array.isArray(req.body?.readings)) {
+      items = req.body.readings;
+    }
 
-    const baseUrl = `http://127.0.0.1:${process.env.PORT || 3000}`;
-    const payload = {
-      device_id,
-      tank_no,
-      location,
-      ultra_height,
-      date_time,
-    };
-
-    // Non-blocking fire-and-forget call
-    axios
-      .post(`${baseUrl}/api/update-data`, payload)
-      .then((resp) => {
-        console.log("[transactions] ✔ update-data triggered:", resp.data);
-      })
-      .catch((err) => {
-        console.error("[transactions] ❌ update-data FAILED:", err.message);
+    if (!items || items.length === 0) {
+      return res.status(400).json({
+        ok: false,
+        error: "EMPTY_BATCH",
+        details: "send a JSON array, { readings: [...] } or NDJSON lines",
       });
+    }
+
+    if (items.length > MAX_BATCH_ITEMS) {
+      return res.status(413).json({
+        ok: false,
+        error: "BATCH_TOO_LARGE",
+        max_items: MAX_BATCH_ITEMS,
+      });
+    }
 
-    // =======================================================================
+    const parseFailed = new Set();
+    const readings = items.map((item, idx) => {
+      if (item?.__parseError) {
+        parseFailed.add(idx);
+        return null;
+      }
+      return item;
+    });
+
+    const batch = await recordReadingsBatch(readings);
+
+    parseFailed.forEach((idx) => {
+      batch.results[idx].error = "INVALID_JSON";
+    });
+
+    console.log(
+      `[transactions][batch] items=${items.length}, accepted=${batch.accepted}, duplicates=${batch.duplicates}, quarantined=${batch.quarantined}, rejected=${batch.rejected}`
+    );
 
     return res.json({
       ok: true,
-      affectedRows: result.affectedRows,
-      message:
-        result.affectedRows === 1 ? "INSERTED" : "UPDATED_EXISTING_ROW",
-      updateDataTriggered: true,
+      total: items.length,
+      accepted: batch.accepted,
+      duplicates: batch.duplicates,
+      quarantined: batch.quarantined,
+      rejected: batch.rejected,
+      results: batch.results,
     });
   } catch (err) {
-    console.error("POST /api/transactions fatal error:", err);
+    console.error("POST /api/transactions/batch fatal error:", err);
     return res.status(500).json({
       ok: false,
       error: "DB_WRITE_FAILED",
@@ -99,6 +205,91 @@ router.post("/", async (req, res) => {
   }
 });
 
+/**
+ * GET /api/transactions/quarantine
+ *
+ * Query:
+ *  - status    (QUARANTINED default | FLAGGED | ACCEPTED | DISCARDED | ALL)
+ *  - tank_no   (optional)
+ *  - device_id (optional)
+ *  - limit     (default 100, max 1000)
+ */
+router.get("/quarantine", async (req, res) => {
+  try {
+    const statusRaw = String(req.query.status || "QUARANTINED").toUpperCase();
+
+    if (statusRaw !== "ALL" && !QUARANTINE_STATUSES.includes(statusRaw)) {
+      return res.status(400).json({
+        ok: false,
+        error: "INVALID_STATUS",
+        allowed: [...QUARANTINE_STATUSES, "ALL"],
+      });
+    }
+
+    const rows = await listQuarantine({
+      status: statusRaw === "ALL" ? null : statusRaw,
+      tank_no: req.query.tank_no ? String(req.query.tank_no).trim() : null,
+      device_id: req.query.device_id
+        ? String(req.query.device_id).trim()
+        : null,
+      limit: Math.min(Number(req.query.limit || 100) || 100, 1000),
+    });
+
+    return res.json({ ok: true, count: rows.length, data: rows });
+  } catch (err) {
+    console.error("GET /api/transactions/quarantine error:", err);
+    return res.status(500).json({
+      ok: false,
+      error: "DB_READ_FAILED",
+      details: String(err),
+    });
+  }
+});
+
+/**
+ * POST /api/transactions/quarantine/:id/accept   (replay into Transaction_Table)
+ * POST /api/transactions/quarantine/:id/discard  (drop, kept for audit)
+ * body: { resolved_by?, note? }
+ * accept answers 409 ALREADY_STORED when the device has a reading at
+ * that date_time by now.
+ */
+function quarantineAction(action) {
+  return async (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      if (!Number.isInteger(id) || id <= 0) {
+        return res.status(400).json({ ok: false, error: "INVALID_ID" });
+      }
+
+      const { resolved_by, note } = req.body || {};
+      const result = await action(id, resolved_by, note);
+
+      if (!result.ok) {
+        return res
+          .status(result.error === "NOT_FOUND" ? 404 : 409)
+          .json(result);
+      }
+      return res.json(result);
+    } catch (err) {
+      console.error(`POST ${req.originalUrl} error:`, err);
+      return res.status(500).json({
+        ok: false,
+        error: "DB_WRITE_FAILED",
+        details: String(err),
+      });
+    }
+  };
+}
+
+router.post(
+  "/quarantine/:id/accept",
+  quarantineAction(acceptQuarantinedReading)
+);
+router.post(
+  "/quarantine/:id/discard",
+  quarantineAction(discardQuarantinedReading)
+);
+
 /**
  * GET /api/transactions?limit=50
  */
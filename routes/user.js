@@ -1,11 +1,24 @@
 import { pool } from "../db.js";
 import express from "express";
+import {
+  validateSubscription,
+  userExists,
+  listSubscriptions,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+} from "../services/subscriptions.js";
+import {
+  validateDigestSettings,
+  getDigestSettings,
+  saveDigestSettings,
+} from "../services/digest.js";
 
 const userRouter = express.Router();
 
 userRouter.get("/", async (req, res) => {
   try {
-    const [rows] = await pool.query("SELECT id, name, phone FROM users");
+    const [rows] = await pool.query("SELECT id, name, phone, email FROM users");
     res.status(200).json({
       ok: true,
       count: rows.length,
@@ -23,12 +36,22 @@ userRouter.get("/", async (req, res) => {
 userRouter.put("/:id", async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, phone } = req.body;
+    const { name, phone, email } = req.body;
 
-    if (!name && !phone) {
+    if (!name && !phone && email === undefined) {
       return res.status(400).json({
         ok: false,
-        message: "At least one field (name or phone) is required",
+        message: "At least one field (name, phone or email) is required",
+      });
+    }
+
+    // email: address for the "email" subscription channel, "" / null clears it
+    const cleanEmail =
+      email === undefined || email === null ? email : String(email).trim();
+    if (cleanEmail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(cleanEmail)) {
+      return res.status(400).json({
+        ok: false,
+        error: "INVALID_EMAIL",
       });
     }
 
@@ -45,6 +68,11 @@ userRouter.put("/:id", async (req, res) => {
       values.push(phone);
     }
 
+    if (cleanEmail !== undefined) {
+      fields.push("email = ?");
+      values.push(cleanEmail || null);
+    }
+
     values.push(id);
 
     const query = `
@@ -75,4 +103,199 @@ userRouter.put("/:id", async (req, res) => {
   }
 });
 
+/* ==========================
+   SUBSCRIPTIONS
+   Which tanks a contact hears about (services/subscriptions.js).
+
+   GET    /api/user/:id/subscriptions
+   POST   /api/user/:id/subscriptions
+   PUT    /api/user/:id/subscriptions/:subId
+   DELETE /api/user/:id/subscriptions/:subId
+
+   Body (POST / PUT):
+   {
+     "tank_no": "BS-7A",            // or "location": "Plant 2",
+                                    // neither = every tank
+     "channels": ["sms", "email"],  // email needs users.email
+     "min_severity": "warning",     // warning | critical
+     "quiet_hours": { "start": "22:00", "end": "06:00",
+                      "allow_critical": true },   // or null
+     "enabled": true
+   }
+========================== */
+
+function parseIds(req, res) {
+  const userId = Number(req.params.id);
+  const subId =
+    req.params.subId !== undefined ? Number(req.params.subId) : null;
+
+  if (
+    !Number.isInteger(userId) ||
+    (subId !== null && (!Number.isInteger(subId) || subId <= 0))
+  ) {
+    res.status(400).json({ ok: false, error: "INVALID_ID" });
+    return null;
+  }
+  return { userId, subId };
+}
+
+async function checkTank(tankNo, res) {
+  if (!tankNo) return true;
+  const [rows] = await pool.query(
+    "SELECT tank_no FROM Master_Tables WHERE tank_no = ? LIMIT 1",
+    [tankNo]
+  );
+  if (rows.length) return true;
+  res.status(404).json({ ok: false, error: "TANK_NOT_FOUND", tank_no: tankNo });
+  return false;
+}
+
+userRouter.get("/:id/subscriptions", async (req, res) => {
+  const ids = parseIds(req, res);
+  if (!ids) return;
+
+  try {
+    if (!(await userExists(ids.userId))) {
+      return res.status(404).json({ ok: false, error: "USER_NOT_FOUND" });
+    }
+    const data = await listSubscriptions(ids.userId);
+    res.status(200).json({ ok: true, count: data.length, data });
+  } catch (error) {
+    console.error("SUBSCRIPTIONS FETCH ERROR:", error);
+    res.status(500).json({
+      ok: false,
+      message: "Failed to fetch subscriptions",
+    });
+  }
+});
+
+userRouter.post("/:id/subscriptions", async (req, res) => {
+  const ids = parseIds(req, res);
+  if (!ids) return;
+
+  const { values, error, details } = validateSubscription(req.body || {});
+  if (error) return res.status(400).json({ ok: false, error, details });
+
+  try {
+    if (!(await userExists(ids.userId))) {
+      return res.status(404).json({ ok: false, error: "USER_NOT_FOUND" });
+    }
+    if (!(await checkTank(values.tank_no, res))) return;
+
+    const data = await createSubscription(ids.userId, values);
+    res.status(201).json({ ok: true, data });
+  } catch (error) {
+    console.error("SUBSCRIPTION CREATE ERROR:", error);
+    res.status(500).json({
+      ok: false,
+      message: "Failed to create subscription",
+    });
+  }
+});
+
+userRouter.put("/:id/subscriptions/:subId", async (req, res) => {
+  const ids = parseIds(req, res);
+  if (!ids) return;
+
+  const { values, error, details } = validateSubscription(req.body || {}, {
+    partial: true,
+  });
+  if (error) return res.status(400).json({ ok: false, error, details });
+
+  try {
+    if (!(await checkTank(values.tank_no, res))) return;
+
+    const data = await updateSubscription(ids.userId, ids.subId, values);
+    if (!data) {
+      return res
+        .status(404)
+        .json({ ok: false, error: "SUBSCRIPTION_NOT_FOUND" });
+    }
+    res.status(200).json({ ok: true, data });
+  } catch (error) {
+    console.error("SUBSCRIPTION UPDATE ERROR:", error);
+    res.status(500).json({
+      ok: false,
+      message: "Failed to update subscription",
+    });
+  }
+});
+
+userRouter.delete("/:id/subscriptions/:subId", async (req, res) => {
+  const ids = parseIds(req, res);
+  if (!ids) return;
+
+  try {
+    const deleted = await deleteSubscription(ids.userId, ids.subId);
+    if (!deleted) {
+      return res
+        .status(404)
+        .json({ ok: false, error: "SUBSCRIPTION_NOT_FOUND" });
+    }
+    res.status(200).json({ ok: true, message: "Subscription deleted" });
+  } catch (error) {
+    console.error("SUBSCRIPTION DELETE ERROR:", error);
+    res.status(500).json({
+      ok: false,
+      message: "Failed to delete subscription",
+    });
+  }
+});
+
+/* ==========================
+   DIGEST
+   Daily / per-shift summary instead of a flood of messages
+   (services/digest.js). Covers the contact's subscribed tanks.
+
+   GET /api/user/:id/digest
+   PUT /api/user/:id/digest
+   {
+     "enabled": true,
+     "channels": ["email"],                      // email | sms
+     "send_times": ["07:00"]                     // or ["06:00","14:00","22:00"]
+   }
+   Preview: GET /api/digest/preview?user_id=:id&date=YYYY-MM-DD
+========================== */
+
+userRouter.get("/:id/digest", async (req, res) => {
+  const ids = parseIds(req, res);
+  if (!ids) return;
+
+  try {
+    if (!(await userExists(ids.userId))) {
+      return res.status(404).json({ ok: false, error: "USER_NOT_FOUND" });
+    }
+    const data = await getDigestSettings(ids.userId);
+    res.status(200).json({ ok: true, data });
+  } catch (error) {
+    console.error("DIGEST FETCH ERROR:", error);
+    res.status(500).json({
+      ok: false,
+      message: "Failed to fetch digest settings",
+    });
+  }
+});
+
+userRouter.put("/:id/digest", async (req, res) => {
+  const ids = parseIds(req, res);
+  if (!ids) return;
+
+  const { values, error, details } = validateDigestSettings(req.body || {});
+  if (error) return res.status(400).json({ ok: false, error, details });
+
+  try {
+    if (!(await userExists(ids.userId))) {
+      return res.status(404).json({ ok: false, error: "USER_NOT_FOUND" });
+    }
+    const data = await saveDigestSettings(ids.userId, values);
+    res.status(200).json({ ok: true, data });
+  } catch (error) {
+    console.error("DIGEST UPDATE ERROR:", error);
+    res.status(500).json({
+      ok: false,
+      message: "Failed to update digest settings",
+    });
+  }
+});
+
 export default userRouter;
@@ -0,0 +1,157 @@
+// routes/webhooks.js
+import express from "express";
+import {
+  validateWebhook,
+  listWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+} from "../services/webhooks.js";
+import { enqueueWebhookTest } from "../services/notificationQueue.js";
+
+const router = express.Router();
+
+function parseId(req, res) {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) {
+    res.status(400).json({ ok: false, error: "INVALID_ID" });
+    return null;
+  }
+  return id;
+}
+
+function dbError(res, req, err, error) {
+  console.error(`${req.method} ${req.originalUrl} error:`, err);
+  return res.status(500).json({ ok: false, error, details: String(err) });
+}
+
+/**
+ * GET /api/webhooks
+ * Every endpoint (secrets masked).
+ */
+router.get("/", async (req, res) => {
+  try {
+    const rows = await listWebhooks();
+    return res.json({ ok: true, count: rows.length, data: rows });
+  } catch (err) {
+    return dbError(res, req, err, "DB_READ_FAILED");
+  }
+});
+
+/**
+ * GET /api/webhooks/:id
+ */
+router.get("/:id", async (req, res) => {
+  const id = parseId(req, res);
+  if (id == null) return;
+
+  try {
+    const webhook = await getWebhook(id);
+    if (!webhook) {
+      return res.status(404).json({ ok: false, error: "NOT_FOUND" });
+    }
+    return res.json({ ok: true, data: webhook });
+  } catch (err) {
+    return dbError(res, req, err, "DB_READ_FAILED");
+  }
+});
+
+/**
+ * POST /api/webhooks
+ *
+ * body:
+ * {
+ *   "name": "SCADA bridge",
+ *   "url": "https://scada.local/hooks/tanks",
+ *   "secret": "…",                  // optional, generated if missing
+ *   "tank_no": "T-01",              // or "location", or neither = all tanks
+ *   "events": ["RAISED", "CLEARED"], // default RAISED, LEVEL_CHANGED, CLEARED
+ *   "min_severity": "warning",
+ *   "enabled": true
+ * }
+ *
+ * Longer than the columns → 400: url 500, secret 16–255, tank_no 50,
+ * location 100 characters.
+ *
+ * The response carries the full secret – store it, lists mask it.
+ * Receivers verify X-Webhook-Signature = "sha256=" +
+ * hex(HMAC-SHA256(secret, X-Webhook-Timestamp + "." + raw body)).
+ */
+router.post("/", async (req, res) => {
+  const { values, error, details } = validateWebhook(req.body || {});
+  if (error) return res.status(400).json({ ok: false, error, details });
+
+  try {
+    const webhook = await createWebhook(values);
+    return res.status(201).json({ ok: true, data: webhook });
+  } catch (err) {
+    return dbError(res, req, err, "DB_WRITE_FAILED");
+  }
+});
+
+/**
+ * PUT /api/webhooks/:id
+ * Any POST field; only those present change.
+ */
+router.put("/:id", async (req, res) => {
+  const id = parseId(req, res);
+  if (id == null) return;
+
+  const { values, error, details } = validateWebhook(req.body || {}, {
+    partial: true,
+  });
+  if (error) return res.status(400).json({ ok: false, error, details });
+
+  try {
+    const webhook = await updateWebhook(id, values);
+    if (!webhook) {
+      return res.status(404).json({ ok: false, error: "NOT_FOUND" });
+    }
+    return res.json({ ok: true, data: webhook });
+  } catch (err) {
+    return dbError(res, req, err, "DB_WRITE_FAILED");
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ * Queued calls to it fail permanently; the delivery log stays.
+ */
+router.delete("/:id", async (req, res) => {
+  const id = parseId(req, res);
+  if (id == null) return;
+
+  try {
+    const deleted = await deleteWebhook(id);
+    if (!deleted) {
+      return res.status(404).json({ ok: false, error: "NOT_FOUND" });
+    }
+    return res.json({ ok: true, deleted: id });
+  } catch (err) {
+    return dbError(res, req, err, "DB_WRITE_FAILED");
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/test
+ * Queue a TEST event for the endpoint; follow it in
+ * /api/notifications/deliveries/:delivery_id.
+ */
+router.post("/:id/test", async (req, res) => {
+  const id = parseId(req, res);
+  if (id == null) return;
+
+  try {
+    const webhook = await getWebhook(id);
+    if (!webhook) {
+      return res.status(404).json({ ok: false, error: "NOT_FOUND" });
+    }
+    const deliveryId = await enqueueWebhookTest(webhook);
+    return res.status(202).json({ ok: true, delivery_id: deliveryId });
+  } catch (err) {
+    return dbError(res, req, err, "DB_WRITE_FAILED");
+  }
+});
+
+export default router;
@@ -0,0 +1,536 @@
+// services/alarms.js
+import { pool } from "../db.js";
+import { normalizeAlarmLevel, alarmLevelStatus } from "../utils/safeLimits.js";
+import { enqueueAlarmSms } from "./smsQueue.js";
+import { enqueueAlarmEmail, enqueueAlarmWebhooks } from "./notificationQueue.js";
+
+/**
+ * Alarm lifecycle on top of the graded tank_status levels
+ * (tables: alarms, alarm_events – migrations/011_alarms).
+ *
+ *   NORMAL → H/HH/L/LL          RAISED        (state ACTIVE)
+ *   H ↔ HH, L ↔ LL              LEVEL_CHANGED (worse again => ACTIVE)
+ *   → NORMAL                    CLEARED
+ *   H/HH ↔ L/LL                 CLEARED + RAISED (new excursion)
+ *
+ * Operators (JWT user) acknowledge or shelve an open alarm; a shelved
+ * alarm goes back to ACKED / ACTIVE when shelved_until passes.
+ *
+ * RAISED and a LEVEL_CHANGED to a worse severity queue an SMS
+ * (services/smsQueue.js) and an email unless the alarm is shelved.
+ * Webhooks (services/notificationQueue.js) get every RAISED,
+ * LEVEL_CHANGED and CLEARED, except level changes while shelved.
+ * Nothing is sent while the tank is suppressed (maintenance window or
+ * alerts disabled – services/alertSuppression.js).
+ */
+
+export const ALARM_STATES = ["ACTIVE", "ACKED", "SHELVED", "CLEARED"];
+
+const SEVERITY_RANK = { ok: 0, warning: 1, critical: 2 };
+
+const MAX_SHELVE_MINUTES = Number(process.env.ALARM_MAX_SHELVE_MINUTES || 1440);
+
+// ack_comment, shelve_comment, alarm_events.comment are VARCHAR(255)
+const MAX_COMMENT_LENGTH = 255;
+
+// operator comment: optional string up to MAX_COMMENT_LENGTH
+function commentError(comment) {
+  if (comment === undefined || comment === null) return null;
+  if (typeof comment !== "string" || comment.length > MAX_COMMENT_LENGTH) {
+    return {
+      ok: false,
+      error: "INVALID_COMMENT",
+      details: `comment: text of at most ${MAX_COMMENT_LENGTH} characters`,
+    };
+  }
+  return null;
+}
+
+function direction(level) {
+  if (level === "H" || level === "HH") return "HIGH";
+  if (level === "L" || level === "LL") return "LOW";
+  return null;
+}
+
+function formatAlarm(r) {
+  return {
+    id: r.id,
+    tank_no: r.tank_no,
+    alarm_level: r.alarm_level,
+    peak_level: r.peak_level,
+    severity: r.severity,
+    message: r.message,
+    state: r.state,
+    raised_at: r.raised_at,
+    updated_at: r.updated_at,
+    ack: r.acked_at
+      ? {
+          at: r.acked_at,
+          user_id: r.acked_by_id,
+          username: r.acked_by,
+          comment: r.ack_comment,
+        }
+      : null,
+    shelve: r.shelved_at
+      ? {
+          at: r.shelved_at,
+          until: r.shelved_until,
+          user_id: r.shelved_by_id,
+          username: r.shelved_by,
+          comment: r.shelve_comment,
+        }
+      : null,
+    cleared_at: r.cleared_at,
+  };
+}
+
+export async function addAlarmEvent(db, alarmId, event, { level, user, comment, at } = {}) {
+  await db.query(
+    `
+      INSERT INTO alarm_events
+        (alarm_id, event, alarm_level, user_id, username, comment, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?);
+    `,
+    [
+      alarmId,
+      event,
+      level ?? null,
+      user?.id ?? null,
+      user?.username ?? null,
+      comment == null ? null : String(comment).slice(0, MAX_COMMENT_LENGTH),
+      at ?? new Date(),
+    ]
+  );
+}
+
+async function loadOpenAlarm(tankNo, db) {
+  const [rows] = await db.query(
+    `
+      SELECT *
+      FROM alarms
+      WHERE tank_no = ? AND state <> 'CLEARED'
+      LIMIT 1
+      FOR UPDATE;
+    `,
+    [tankNo]
+  );
+  return rows[0] || null;
+}
+
+async function clearAlarm(db, alarm, now, suppressed) {
+  await db.query(
+    `
+      UPDATE alarms
+      SET state = 'CLEARED', cleared_at = ?, updated_at = ?
+      WHERE id = ?;
+    `,
+    [now, now, alarm.id]
+  );
+  await addAlarmEvent(db, alarm.id, "CLEARED", { level: "NORMAL", at: now });
+  if (suppressed) return;
+  await enqueueAlarmWebhooks(
+    {
+      alarm_id: alarm.id,
+      tank_no: alarm.tank_no,
+      alarm_level: "NORMAL",
+      severity: alarm.severity,
+      message: "Back to normal",
+      at: now,
+    },
+    "CLEARED",
+    db
+  );
+}
+
+async function raiseAlarm(db, tankNo, level, now, statusId, suppressed) {
+  const status = alarmLevelStatus(level);
+  const [result] = await db.query(
+    `
+      INSERT INTO alarms
+        (tank_no, alarm_level, peak_level, severity, message, state,
+         raised_at, raised_status_id, updated_at)
+      VALUES (?, ?, ?, ?, ?, 'ACTIVE', ?, ?, ?);
+    `,
+    [
+      tankNo,
+      level,
+      level,
+      status.severity,
+      status.tank_alert_message,
+      now,
+      statusId ?? null,
+      now,
+    ]
+  );
+  await addAlarmEvent(db, result.insertId, "RAISED", { level, at: now });
+  if (suppressed) {
+    console.log(`[alarms] #${result.insertId} ${tankNo} ${level}: notifications suppressed`);
+  } else {
+    await notifyAlarm(db, result.insertId, tankNo, level, now, "RAISED");
+  }
+  return result.insertId;
+}
+
+function alarmNotice(alarmId, tankNo, level, now) {
+  const status = alarmLevelStatus(level);
+  return {
+    alarm_id: alarmId,
+    tank_no: tankNo,
+    alarm_level: level,
+    severity: status.severity,
+    message: status.tank_alert_message,
+    at: now,
+  };
+}
+
+async function notifyAlarm(db, alarmId, tankNo, level, now, event) {
+  const notice = alarmNotice(alarmId, tankNo, level, now);
+  const sms = await enqueueAlarmSms(notice, db);
+  const emails = await enqueueAlarmEmail(notice, event, db);
+  const hooks = await enqueueAlarmWebhooks(notice, event, db);
+  console.log(
+    `[alarms] #${alarmId} ${tankNo} ${level}: ${sms} SMS, ${emails} email, ${hooks} webhook queued`
+  );
+}
+
+/**
+ * Bring the tank's open alarm in line with its current level.
+ * Called by deriveTankStatus for every reading with data
+ * (db = the ingest connection, inside its transaction).
+ * suppressed: the tank is under maintenance / has alerts disabled.
+ *
+ * returns { action: "NONE" | "RAISED" | "LEVEL_CHANGED" | "CLEARED", alarm_id }
+ */
+export async function syncAlarm(
+  tankNo,
+  alarmLevel,
+  { now = new Date(), statusId = null, suppressed = false } = {},
+  db = pool
+) {
+  const level = normalizeAlarmLevel(alarmLevel);
+  if (!tankNo || !level) return { action: "NONE", alarm_id: null };
+
+  const open = await loadOpenAlarm(tankNo, db);
+  const dir = direction(level);
+
+  if (!open) {
+    if (!dir) return { action: "NONE", alarm_id: null };
+    const id = await raiseAlarm(db, tankNo, level, now, statusId, suppressed);
+    console.log(`[alarms] RAISED #${id} ${tankNo} ${level}`);
+    return { action: "RAISED", alarm_id: id };
+  }
+
+  if (dir !== direction(open.alarm_level)) {
+    await clearAlarm(db, open, now, suppressed);
+    console.log(`[alarms] CLEARED #${open.id} ${tankNo}`);
+    if (!dir) return { action: "CLEARED", alarm_id: open.id };
+
+    const id = await raiseAlarm(db, tankNo, level, now, statusId, suppressed);
+    console.log(`[alarms] RAISED #${id} ${tankNo} ${level}`);
+    return { action: "RAISED", alarm_id: id };
+  }
+
+  if (level === open.alarm_level) return { action: "NONE", alarm_id: open.id };
+
+  // same side, other level (H ↔ HH, L ↔ LL)
+  const status = alarmLevelStatus(level);
+  const worse = SEVERITY_RANK[status.severity] > SEVERITY_RANK[open.severity];
+  const peak =
+    SEVERITY_RANK[status.severity] >
+    SEVERITY_RANK[alarmLevelStatus(open.peak_level).severity]
+      ? level
+      : open.peak_level;
+
+  await db.query(
+    `
+      UPDATE alarms
+      SET
+        alarm_level = ?,
+        peak_level  = ?,
+        severity    = ?,
+        message     = ?,
+        state       = IF(? AND state = 'ACKED', 'ACTIVE', state),
+        updated_at  = ?
+      WHERE id = ?;
+    `,
+    [
+      level,
+      peak,
+      status.severity,
+      status.tank_alert_message,
+      worse ? 1 : 0,
+      now,
+      open.id,
+    ]
+  );
+  await addAlarmEvent(db, open.id, "LEVEL_CHANGED", { level, at: now });
+  if (open.state !== "SHELVED" && !suppressed) {
+    if (worse) {
+      await notifyAlarm(db, open.id, tankNo, level, now, "LEVEL_CHANGED");
+    } else {
+      await enqueueAlarmWebhooks(
+        alarmNotice(open.id, tankNo, level, now),
+        "LEVEL_CHANGED",
+        db
+      );
+    }
+  }
+
+  return { action: "LEVEL_CHANGED", alarm_id: open.id };
+}
+
+/**
+ * Shelves whose time is up go back to ACKED (if acknowledged) or ACTIVE.
+ */
+export async function expireShelvedAlarms(db = pool) {
+  const [rows] = await db.query(
+    `
+      SELECT id, alarm_level
+      FROM alarms
+      WHERE state = 'SHELVED' AND shelved_until <= NOW();
+    `
+  );
+  if (rows.length === 0) return 0;
+
+  await db.query(
+    `
+      UPDATE alarms
+      SET state = IF(acked_at IS NULL, 'ACTIVE', 'ACKED'), updated_at = NOW()
+      WHERE id IN (?) AND state = 'SHELVED';
+    `,
+    [rows.map((r) => r.id)]
+  );
+  for (const r of rows) {
+    await addAlarmEvent(db, r.id, "UNSHELVED", {
+      level: r.alarm_level,
+      comment: "shelve expired",
+    });
+  }
+  return rows.length;
+}
+
+/**
+ * filters = { states?, tank_no?, severities?, limit }
+ */
+export async function listAlarms({ states, tank_no, severities, limit }) {
+  await expireShelvedAlarms();
+
+  const where = [];
+  const params = [];
+
+  if (states && states.length) {
+    where.push("a.state IN (?)");
+    params.push(states);
+  }
+  if (tank_no) {
+    where.push("a.tank_no = ?");
+    params.push(tank_no);
+  }
+  if (severities && severities.length) {
+    where.push("a.severity IN (?)");
+    params.push(severities);
+  }
+
+  const whereSql = where.length ? "WHERE " + where.join(" AND ") : "";
+  params.push(limit);
+
+  const [rows] = await pool.query(
+    `
+      SELECT a.*
+      FROM alarms a
+      ${whereSql}
+      ORDER BY a.raised_at DESC, a.id DESC
+      LIMIT ?;
+    `,
+    params
+  );
+
+  return rows.map(formatAlarm);
+}
+
+/**
+ * One alarm with its event history and escalation steps, null if unknown.
+ */
+export async function getAlarm(id) {
+  await expireShelvedAlarms();
+
+  const [rows] = await pool.query("SELECT * FROM alarms WHERE id = ? LIMIT 1", [
+    id,
+  ]);
+  if (!rows.length) return null;
+
+  const [events] = await pool.query(
+    `
+      SELECT event, alarm_level, user_id, username, comment, created_at
+      FROM alarm_events
+      WHERE alarm_id = ?
+      ORDER BY id ASC;
+    `,
+    [id]
+  );
+
+  const [escalations] = await pool.query(
+    `
+      SELECT policy_id, step_no, label, recipients, notified_at
+      FROM alarm_escalations
+      WHERE alarm_id = ?
+      ORDER BY step_no ASC;
+    `,
+    [id]
+  );
+
+  return { ...formatAlarm(rows[0]), events, escalations };
+}
+
+// run `fn(conn, alarm)` on a locked, still-open alarm
+async function withOpenAlarm(id, fn) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    await expireShelvedAlarms(conn);
+
+    const [rows] = await conn.query(
+      "SELECT * FROM alarms WHERE id = ? LIMIT 1 FOR UPDATE",
+      [id]
+    );
+    const alarm = rows[0];
+
+    if (!alarm) {
+      await conn.rollback();
+      return { ok: false, error: "NOT_FOUND" };
+    }
+    if (alarm.state === "CLEARED") {
+      await conn.rollback();
+      return { ok: false, error: "ALARM_CLEARED", state: alarm.state };
+    }
+
+    const result = await fn(conn, alarm);
+    if (!result.ok) {
+      await conn.rollback();
+      return result;
+    }
+
+    await conn.commit();
+
+    const [after] = await pool.query("SELECT * FROM alarms WHERE id = ?", [id]);
+    return { ok: true, alarm: formatAlarm(after[0]) };
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Acknowledge an open alarm. user = JWT payload { id, username }.
+ * A shelved alarm stays shelved (the ack is recorded for when it returns).
+ */
+export async function acknowledgeAlarm(id, user, comment) {
+  const invalid = commentError(comment);
+  if (invalid) return invalid;
+
+  return withOpenAlarm(id, async (conn, alarm) => {
+    if (alarm.acked_at && alarm.state !== "ACTIVE") {
+      return { ok: false, error: "ALREADY_ACKNOWLEDGED", state: alarm.state };
+    }
+
+    const now = new Date();
+    await conn.query(
+      `
+        UPDATE alarms
+        SET
+          state       = IF(state = 'ACTIVE', 'ACKED', state),
+          acked_at    = ?,
+          acked_by_id = ?,
+          acked_by    = ?,
+          ack_comment = ?,
+          updated_at  = ?
+        WHERE id = ?;
+      `,
+      [now, user?.id ?? null, user?.username ?? null, comment ?? null, now, id]
+    );
+    await addAlarmEvent(conn, id, "ACKED", {
+      level: alarm.alarm_level,
+      user,
+      comment,
+      at: now,
+    });
+    return { ok: true };
+  });
+}
+
+/**
+ * Shelve an open alarm for `minutes` (whole, 1 .. ALARM_MAX_SHELVE_MINUTES).
+ */
+export async function shelveAlarm(id, user, minutes, comment) {
+  const m = Number(minutes);
+  if (!Number.isInteger(m) || m < 1 || m > MAX_SHELVE_MINUTES) {
+    return {
+      ok: false,
+      error: "INVALID_SHELVE_DURATION",
+      details: `minutes must be a whole number between 1 and ${MAX_SHELVE_MINUTES}`,
+    };
+  }
+  const invalid = commentError(comment);
+  if (invalid) return invalid;
+
+  return withOpenAlarm(id, async (conn, alarm) => {
+    const now = new Date();
+    const until = new Date(now.getTime() + m * 60 * 1000);
+
+    await conn.query(
+      `
+        UPDATE alarms
+        SET
+          state          = 'SHELVED',
+          shelved_at     = ?,
+          shelved_until  = ?,
+          shelved_by_id  = ?,
+          shelved_by     = ?,
+          shelve_comment = ?,
+          updated_at     = ?
+        WHERE id = ?;
+      `,
+      [now, until, user?.id ?? null, user?.username ?? null, comment ?? null, now, id]
+    );
+    await addAlarmEvent(conn, id, "SHELVED", {
+      level: alarm.alarm_level,
+      user,
+      comment: comment ?? `until ${until.toISOString()}`,
+      at: now,
+    });
+    return { ok: true };
+  });
+}
+
+/**
+ * End a shelve early.
+ */
+export async function unshelveAlarm(id, user, comment) {
+  const invalid = commentError(comment);
+  if (invalid) return invalid;
+
+  return withOpenAlarm(id, async (conn, alarm) => {
+    if (alarm.state !== "SHELVED") {
+      return { ok: false, error: "NOT_SHELVED", state: alarm.state };
+    }
+
+    const now = new Date();
+    await conn.query(
+      `
+        UPDATE alarms
+        SET state = IF(acked_at IS NULL, 'ACTIVE', 'ACKED'), updated_at = ?
+        WHERE id = ?;
+      `,
+      [now, id]
+    );
+    await addAlarmEvent(conn, id, "UNSHELVED", {
+      level: alarm.alarm_level,
+      user,
+      comment,
+      at: now,
+    });
+    return { ok: true };
+  });
+}
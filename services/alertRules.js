@@ -0,0 +1,572 @@
+// services/alertRules.js
+import { pool } from "../db.js";
+import { checkRule } from "../utils/alertRules.js";
+import { enqueueTankNotice } from "./notificationQueue.js";
+import { suppressionReason } from "./alertSuppression.js";
+
+/**
+ * User-defined alert rules (tables: alert_rules, alert_rule_hits –
+ * migrations/018); rule types and checks live in utils/alertRules.js.
+ *
+ * deriveTankStatus runs evaluateAlertRules for every reading, after the
+ * tank_status row is written. Unlike escalation policies every matching
+ * rule applies (tank, location and all-tanks ones alike). A rule whose
+ * condition becomes true opens a hit; it stays open – nothing more is
+ * sent – until a later reading finds the condition false.
+ *
+ * NO_READING cannot wait for a reading: the scheduler
+ * (startAlertRuleScheduler) checks every tank's last reading, the next
+ * reading taken within the rule's window closes the hit.
+ *
+ * A new hit is queued as SMS + email to the contacts subscribed to the
+ * tank (min_severity, quiet hours as for alarms) unless the rule has
+ * notify off or the tank is suppressed (services/alertSuppression.js).
+ *
+ * Env:
+ *   ALERT_RULES_INTERVAL_MS  NO_READING scheduler period (default 60000)
+ */
+
+const FIELDS = [
+  "name",
+  "rule_type",
+  "tank_no",
+  "location",
+  "threshold",
+  "window_minutes",
+  "severity",
+  "message",
+  "notify",
+  "enabled",
+];
+
+function formatRule(r) {
+  return {
+    id: r.id,
+    name: r.name,
+    rule_type: r.rule_type,
+    scope: r.tank_no ? "tank" : r.location ? "location" : "all",
+    tank_no: r.tank_no,
+    location: r.location,
+    threshold: r.threshold == null ? null : Number(r.threshold),
+    window_minutes: r.window_minutes,
+    severity: r.severity,
+    message: r.message,
+    notify: !!r.notify,
+    enabled: !!r.enabled,
+    created_by: { id: r.created_by_id, username: r.created_by },
+    created_at: r.created_at,
+    updated_at: r.updated_at,
+  };
+}
+
+function formatHit(r) {
+  return {
+    id: r.id,
+    rule_id: r.rule_id,
+    rule_name: r.rule_name ?? null,
+    rule_type: r.rule_type,
+    tank_no: r.tank_no,
+    location: r.location ?? null,
+    severity: r.severity,
+    message: r.message,
+    value: r.value == null ? null : Number(r.value),
+    state: r.cleared_at ? "CLEARED" : "OPEN",
+    status_id: r.status_id,
+    suppressed: !!r.suppressed,
+    notified: r.notified,
+    raised_at: r.raised_at,
+    cleared_at: r.cleared_at,
+  };
+}
+
+/* ---------- CRUD ---------- */
+
+export async function listRules() {
+  const [rows] = await pool.query("SELECT * FROM alert_rules ORDER BY id ASC");
+  return rows.map(formatRule);
+}
+
+export async function getRule(id) {
+  const [rows] = await pool.query(
+    "SELECT * FROM alert_rules WHERE id = ? LIMIT 1",
+    [id]
+  );
+  return rows.length ? formatRule(rows[0]) : null;
+}
+
+export async function createRule(values, user) {
+  const [result] = await pool.query(
+    `
+      INSERT INTO alert_rules (${FIELDS.join(", ")}, created_by_id, created_by)
+      VALUES (${FIELDS.map(() => "?").join(", ")}, ?, ?);
+    `,
+    [...FIELDS.map((f) => values[f]), user?.id ?? null, user?.username ?? null]
+  );
+  return getRule(result.insertId);
+}
+
+// open hits of a rule that no longer applies are closed, not left hanging
+async function closeOpenHits(db, ruleId) {
+  await db.query(
+    `
+      UPDATE alert_rule_hits
+      SET cleared_at = NOW()
+      WHERE rule_id = ? AND cleared_at IS NULL;
+    `,
+    [ruleId]
+  );
+}
+
+// fields whose change makes the open hits meaningless
+const RESTART_FIELDS = [
+  "rule_type",
+  "tank_no",
+  "location",
+  "threshold",
+  "window_minutes",
+  "enabled",
+];
+
+function restartValue(field, v) {
+  if (field === "enabled") return v ? 1 : 0;
+  if (field === "threshold" || field === "window_minutes") {
+    return v == null ? null : Number(v);
+  }
+  return v ?? null;
+}
+
+function ruleRestarts(stored, values) {
+  return RESTART_FIELDS.some(
+    (f) => restartValue(f, stored[f]) !== restartValue(f, values[f])
+  );
+}
+
+/**
+ * Replace a rule (values = validateRule of the stored rule + body).
+ * A changed type, scope, threshold, window or enabled flag starts over:
+ * open hits are closed. Renaming or rewording leaves them open.
+ * returns the rule, null if it does not exist
+ */
+export async function updateRule(id, values) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [[stored]] = await conn.query(
+      "SELECT * FROM alert_rules WHERE id = ? FOR UPDATE",
+      [id]
+    );
+    if (!stored) {
+      await conn.rollback();
+      return null;
+    }
+
+    await conn.query(
+      `
+        UPDATE alert_rules
+        SET ${FIELDS.map((f) => `${f} = ?`).join(", ")}
+        WHERE id = ?;
+      `,
+      [...FIELDS.map((f) => values[f]), id]
+    );
+    if (ruleRestarts(stored, values)) await closeOpenHits(conn, id);
+
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+  return getRule(id);
+}
+
+/**
+ * Hits already recorded stay (closed) for the history.
+ */
+export async function deleteRule(id) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [result] = await conn.query("DELETE FROM alert_rules WHERE id = ?", [id]);
+    await closeOpenHits(conn, id);
+    await conn.commit();
+    return result.affectedRows > 0;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * filters = { rule_id?, tank_no?, location?, open?, severities?,
+ *             include_suppressed?, since_days?, limit }
+ */
+export async function listHits({
+  rule_id,
+  tank_no,
+  location,
+  open,
+  severities,
+  include_suppressed = true,
+  since_days,
+  limit,
+}) {
+  const where = [];
+  const params = [];
+
+  if (rule_id) {
+    where.push("h.rule_id = ?");
+    params.push(rule_id);
+  }
+  if (tank_no) {
+    where.push("h.tank_no = ?");
+    params.push(tank_no);
+  }
+  if (location) {
+    where.push("m.location = ?");
+    params.push(location);
+  }
+  if (open) where.push("h.cleared_at IS NULL");
+  if (severities) {
+    where.push("h.severity IN (?)");
+    params.push(severities);
+  }
+  if (!include_suppressed) where.push("h.suppressed = 0");
+  if (since_days) {
+    where.push("h.raised_at >= (NOW() - INTERVAL ? DAY)");
+    params.push(since_days);
+  }
+
+  const [rows] = await pool.query(
+    `
+      SELECT h.*, r.name AS rule_name, m.location
+      FROM alert_rule_hits h
+      LEFT JOIN alert_rules r   ON r.id = h.rule_id
+      LEFT JOIN (
+        SELECT tank_no, MAX(location) AS location
+        FROM Master_Tables
+        GROUP BY tank_no
+      ) m ON m.tank_no = h.tank_no
+      ${where.length ? "WHERE " + where.join(" AND ") : ""}
+      ORDER BY h.raised_at DESC, h.id DESC
+      LIMIT ?;
+    `,
+    [...params, limit]
+  );
+  return rows.map(formatHit);
+}
+
+/* ---------- evaluation ---------- */
+
+/**
+ * Enabled rules that apply to a tank (any scope).
+ * types = only these rule types (default all)
+ */
+async function findRules({ tank_no, location }, db, types = null) {
+  const [rows] = await db.query(
+    `
+      SELECT *
+      FROM alert_rules
+      WHERE enabled = 1
+        ${types ? "AND rule_type IN (?)" : ""}
+        AND (
+          tank_no = ?
+          OR (tank_no IS NULL AND location = ?)
+          OR (tank_no IS NULL AND location IS NULL)
+        )
+      ORDER BY id;
+    `,
+    types ? [types, tank_no, location ?? null] : [tank_no, location ?? null]
+  );
+  return rows;
+}
+
+/**
+ * What a rule needs to know about the reading (utils/alertRules.js
+ * checkRule). ctx = evaluateAlertRules' reading.
+ */
+async function readingFacts(rule, ctx, db) {
+  switch (rule.rule_type) {
+    case "FILL_DROP": {
+      if (!ctx.has_level) return {};
+      // window by reading time up to this reading, so a backfill compares
+      // readings as they were taken; "Inactive" rows carry no level
+      const start = new Date(ctx.now.getTime() - rule.window_minutes * 60000);
+      const [[row]] = await db.query(
+        `
+          SELECT MAX(fillPercentage) AS peak
+          FROM tank_status
+          WHERE tank_no = ?
+            AND reading_time BETWEEN ? AND ?
+            AND flowStatus <> 'Inactive';
+        `,
+        [ctx.tank_no, start, ctx.now]
+      );
+      return {
+        fill_percentage: ctx.fill_percentage,
+        max_fill_percentage: row?.peak ?? null,
+      };
+    }
+
+    case "BELOW_REQUIRED_VOLUME":
+      return ctx.has_level
+        ? { current_level: ctx.current_level, required_volume: ctx.required_volume }
+        : {};
+
+    case "NO_READING":
+      // this reading is the proof of life, unless it is older than the
+      // window (backfill, accepted quarantine): an open hit stays open
+      if (Date.now() - ctx.now.getTime() > rule.window_minutes * 60000) return {};
+      return { minutes_since_reading: 0 };
+
+    case "STUCK_SENSOR": {
+      // every reading since the last one at or before the window start,
+      // so the value has to hold across the whole window
+      const start = new Date(ctx.now.getTime() - rule.window_minutes * 60000);
+      const [[row]] = await db.query(
+        `
+          SELECT
+            COUNT(*)          AS readings,
+            MIN(ultra_height) AS min_height,
+            MAX(ultra_height) AS max_height
+          FROM Transaction_Table
+          WHERE tank_no = ?
+            AND ultra_height IS NOT NULL
+            AND date_time <= ?
+            AND date_time >= (
+              SELECT MAX(date_time)
+              FROM Transaction_Table
+              WHERE tank_no = ? AND ultra_height IS NOT NULL AND date_time <= ?
+            );
+        `,
+        [ctx.tank_no, ctx.now, ctx.tank_no, start]
+      );
+      return {
+        readings: Number(row?.readings) || 0,
+        min_height: row?.min_height ?? null,
+        max_height: row?.max_height ?? null,
+      };
+    }
+
+    default:
+      return {};
+  }
+}
+
+/**
+ * Open / close hits of `rules` for one tank.
+ * factsFor(rule) → facts for checkRule
+ * returns [new hits]
+ */
+async function applyRules(db, rules, tank, factsFor, { now, statusId, suppressed }) {
+  const [openRows] = await db.query(
+    `
+      SELECT id, rule_id
+      FROM alert_rule_hits
+      WHERE tank_no = ? AND cleared_at IS NULL
+      FOR UPDATE;
+    `,
+    [tank.tank_no]
+  );
+  const openByRule = new Map(openRows.map((h) => [h.rule_id, h]));
+  const raised = [];
+
+  for (const rule of rules) {
+    const result = checkRule(rule, await factsFor(rule));
+    if (!result) continue;
+
+    const open = openByRule.get(rule.id);
+
+    if (!result.hit) {
+      if (open) {
+        await db.query("UPDATE alert_rule_hits SET cleared_at = ? WHERE id = ?", [
+          now,
+          open.id,
+        ]);
+        console.log(`[alert-rules] CLEARED hit #${open.id} rule #${rule.id} ${tank.tank_no}`);
+      }
+      continue;
+    }
+    if (open) continue;
+
+    const hit = {
+      rule_id: rule.id,
+      rule_name: rule.name,
+      rule_type: rule.rule_type,
+      tank_no: tank.tank_no,
+      severity: rule.severity,
+      message: String(result.message).slice(0, 255),
+      value: result.value,
+    };
+
+    const [ins] = await db.query(
+      `
+        INSERT INTO alert_rule_hits
+          (rule_id, tank_no, rule_type, severity, message, value, status_id,
+           suppressed, raised_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?);
+      `,
+      [
+        hit.rule_id,
+        hit.tank_no,
+        hit.rule_type,
+        hit.severity,
+        hit.message,
+        hit.value,
+        statusId ?? null,
+        suppressed ? 1 : 0,
+        now,
+      ]
+    );
+    hit.id = ins.insertId;
+
+    hit.notified =
+      rule.notify && !suppressed
+        ? await enqueueTankNotice(
+            {
+              tank_no: tank.tank_no,
+              location: tank.location,
+              severity: hit.severity,
+              message: hit.message,
+              subject: `[${hit.severity.toUpperCase()}] Tank ${tank.tank_no}: ${rule.name}`,
+              detail: `Rule: ${rule.name} (${rule.rule_type})`,
+              at: now,
+            },
+            "RULE",
+            db
+          )
+        : 0;
+    if (hit.notified) {
+      await db.query("UPDATE alert_rule_hits SET notified = ? WHERE id = ?", [
+        hit.notified,
+        hit.id,
+      ]);
+    }
+
+    console.log(
+      `[alert-rules] HIT #${hit.id} rule #${rule.id} ${tank.tank_no}: ${hit.message}` +
+        (suppressed ? " (suppressed)" : `, ${hit.notified} queued`)
+    );
+    raised.push(hit);
+  }
+
+  return raised;
+}
+
+/**
+ * Evaluate the tank's rules against a reading that was just written.
+ * Called by deriveTankStatus (db = the ingest connection).
+ *
+ * reading = { tank_no, location, now, status_id, has_level,
+ *             fill_percentage, current_level, required_volume, suppressed }
+ * returns [{ id, rule_id, rule_name, rule_type, severity, message, value,
+ *            notified }] – hits opened by this reading
+ */
+export async function evaluateAlertRules(reading, db = pool) {
+  const rules = await findRules(reading, db);
+  if (!rules.length) return [];
+
+  return applyRules(db, rules, reading, (rule) => readingFacts(rule, reading, db), {
+    now: reading.now,
+    statusId: reading.status_id,
+    suppressed: reading.suppressed,
+  });
+}
+
+/**
+ * One NO_READING pass over every tank that ever reported.
+ * returns { tanks, hits }
+ */
+export async function runNoReadingRules(now = new Date()) {
+  const [[{ n }]] = await pool.query(
+    "SELECT COUNT(*) AS n FROM alert_rules WHERE enabled = 1 AND rule_type = 'NO_READING'"
+  );
+  if (!n) return { tanks: 0, hits: 0 };
+
+  const [tanks] = await pool.query(
+    `
+      SELECT
+        m.tank_no,
+        MAX(m.location) AS location,
+        (
+          SELECT MAX(t.date_time)
+          FROM Transaction_Table t
+          WHERE t.tank_no = m.tank_no
+        ) AS last_reading
+      FROM Master_Tables m
+      WHERE m.tank_no IS NOT NULL
+      GROUP BY m.tank_no;
+    `
+  );
+
+  let hits = 0;
+
+  for (const tank of tanks) {
+    if (!tank.last_reading) continue;
+
+    const rules = await findRules(tank, pool, ["NO_READING"]);
+    if (!rules.length) continue;
+
+    const minutes = (now.getTime() - new Date(tank.last_reading).getTime()) / 60000;
+    const suppressed = !!(await suppressionReason(tank.tank_no));
+
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const raised = await applyRules(
+        conn,
+        rules,
+        tank,
+        () => ({ minutes_since_reading: minutes }),
+        { now, statusId: null, suppressed }
+      );
+      await conn.commit();
+      hits += raised.length;
+    } catch (err) {
+      await conn.rollback();
+      console.error(`[alert-rules] ${tank.tank_no} FAILED:`, err.message || err);
+    } finally {
+      conn.release();
+    }
+  }
+
+  return { tanks: tanks.length, hits };
+}
+
+/* ---------- scheduler ---------- */
+
+let timer = null;
+let running = false;
+
+export function startAlertRuleScheduler() {
+  if (timer) return timer;
+
+  const intervalMs = Math.max(
+    5000,
+    Number(process.env.ALERT_RULES_INTERVAL_MS || 60000)
+  );
+
+  timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runNoReadingRules();
+    } catch (err) {
+      console.error("[alert-rules] run FAILED:", err.message || err);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref?.();
+
+  console.log(`[alert-rules] scheduler started (every ${intervalMs} ms)`);
+  return timer;
+}
+
+export function stopAlertRuleScheduler() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
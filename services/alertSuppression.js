@@ -0,0 +1,303 @@
+// services/alertSuppression.js
+import { pool } from "../db.js";
+
+/**
+ * Per-tank alert suppression (tables: tank_maintenance_windows,
+ * tank_alert_settings – migrations/016).
+ *
+ *   under_maintenance  a maintenance window covers the moment
+ *   disable_alert      alerts switched off for the tank until switched on
+ *
+ * deriveTankStatus copies both into every tank_status row. While either
+ * is set the alarm lifecycle keeps running, but SMS / email / webhooks
+ * and escalation stay quiet, and queued messages are not sent
+ * (status SUPPRESSED).
+ */
+
+// longest window the API accepts
+const MAX_WINDOW_DAYS = Number(process.env.MAINTENANCE_MAX_DAYS || 30);
+
+function formatWindow(r, now = new Date()) {
+  const starts = new Date(r.starts_at);
+  const ends = new Date(r.ends_at);
+  return {
+    id: r.id,
+    tank_no: r.tank_no,
+    starts_at: r.starts_at,
+    ends_at: r.ends_at,
+    reason: r.reason,
+    state: r.cancelled_at
+      ? "CANCELLED"
+      : now < starts
+        ? "SCHEDULED"
+        : now < ends
+          ? "ACTIVE"
+          : "ENDED",
+    created_by: { id: r.created_by_id, username: r.created_by },
+    created_at: r.created_at,
+    cancelled: r.cancelled_at
+      ? {
+          at: r.cancelled_at,
+          user_id: r.cancelled_by_id,
+          username: r.cancelled_by,
+        }
+      : null,
+  };
+}
+
+function parseDate(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? undefined : d;
+}
+
+/**
+ * Body → { values } or { error, details }.
+ * body = { starts_at? (default now), ends_at, reason? }
+ * partial = PUT, only the fields present; `current` = the stored window.
+ */
+export function validateWindow(body = {}, { partial = false, current = null } = {}) {
+  const values = {};
+
+  if (body.starts_at !== undefined || !partial) {
+    const starts = parseDate(body.starts_at);
+    if (starts === undefined) {
+      return { error: "INVALID_STARTS_AT", details: "expected an ISO date-time" };
+    }
+    values.starts_at = starts ?? new Date();
+  }
+
+  if (body.ends_at !== undefined || !partial) {
+    const ends = parseDate(body.ends_at);
+    if (!ends) {
+      return { error: "INVALID_ENDS_AT", details: "expected an ISO date-time" };
+    }
+    values.ends_at = ends;
+  }
+
+  if (body.reason !== undefined) {
+    const reason = String(body.reason ?? "").trim();
+    values.reason = reason ? reason.slice(0, 255) : null;
+  }
+
+  if (partial && Object.keys(values).length === 0) {
+    return { error: "NO_FIELDS_TO_UPDATE" };
+  }
+
+  const starts = values.starts_at ?? new Date(current?.starts_at);
+  const ends = values.ends_at ?? new Date(current?.ends_at);
+  if (ends <= starts) {
+    return { error: "INVALID_WINDOW", details: "ends_at must be after starts_at" };
+  }
+  if (ends - starts > MAX_WINDOW_DAYS * 86400000) {
+    return {
+      error: "INVALID_WINDOW",
+      details: `a window may last at most ${MAX_WINDOW_DAYS} days`,
+    };
+  }
+  if (!partial && ends <= new Date()) {
+    return { error: "INVALID_WINDOW", details: "ends_at is in the past" };
+  }
+
+  return { values };
+}
+
+/**
+ * Suppression state of a tank at `at`.
+ *
+ * returns {
+ *   under_maintenance: 0 | 1, disable_alert: 0 | 1, suppressed,
+ *   maintenance: window | null,
+ *   alerts: { disabled, reason, updated_by, updated_at }
+ * }
+ */
+export async function tankSuppression(tankNo, at = new Date(), db = pool) {
+  const [windows] = await db.query(
+    `
+      SELECT *
+      FROM tank_maintenance_windows
+      WHERE tank_no = ?
+        AND cancelled_at IS NULL
+        AND starts_at <= ? AND ends_at > ?
+      ORDER BY ends_at DESC
+      LIMIT 1;
+    `,
+    [tankNo, at, at]
+  );
+  const [settings] = await db.query(
+    "SELECT * FROM tank_alert_settings WHERE tank_no = ? LIMIT 1",
+    [tankNo]
+  );
+
+  const s = settings[0];
+  const underMaintenance = windows.length ? 1 : 0;
+  const disableAlert = s?.alerts_disabled ? 1 : 0;
+
+  return {
+    under_maintenance: underMaintenance,
+    disable_alert: disableAlert,
+    suppressed: !!(underMaintenance || disableAlert),
+    maintenance: windows.length ? formatWindow(windows[0], at) : null,
+    alerts: {
+      disabled: !!disableAlert,
+      reason: s?.reason ?? null,
+      updated_by: s ? { id: s.updated_by_id, username: s.updated_by } : null,
+      updated_at: s?.updated_at ?? null,
+    },
+  };
+}
+
+/**
+ * Why a message for this tank must not go out now (null = send it).
+ */
+export async function suppressionReason(tankNo, db = pool) {
+  if (!tankNo) return null;
+  const s = await tankSuppression(tankNo, new Date(), db);
+  if (s.under_maintenance) return "tank under maintenance";
+  if (s.disable_alert) return "alerts disabled for tank";
+  return null;
+}
+
+/**
+ * Turn a tank's alerts off (disabled = true) or back on.
+ */
+export async function setAlertsDisabled(tankNo, disabled, reason, user) {
+  await pool.query(
+    `
+      INSERT INTO tank_alert_settings
+        (tank_no, alerts_disabled, reason, updated_by_id, updated_by)
+      VALUES (?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE
+        alerts_disabled = VALUES(alerts_disabled),
+        reason          = VALUES(reason),
+        updated_by_id   = VALUES(updated_by_id),
+        updated_by      = VALUES(updated_by);
+    `,
+    [
+      tankNo,
+      disabled ? 1 : 0,
+      reason ? String(reason).trim().slice(0, 255) : null,
+      user?.id ?? null,
+      user?.username ?? null,
+    ]
+  );
+  console.log(
+    `[suppression] ${tankNo} alerts ${disabled ? "DISABLED" : "enabled"} by ${user?.username ?? "?"}`
+  );
+  return tankSuppression(tankNo);
+}
+
+/**
+ * Windows of a tank, latest start first. all = false: only the ones
+ * still ahead or running.
+ */
+export async function listWindows(tankNo, { all = false } = {}) {
+  const [rows] = await pool.query(
+    `
+      SELECT *
+      FROM tank_maintenance_windows
+      WHERE tank_no = ?
+        ${all ? "" : "AND cancelled_at IS NULL AND ends_at > NOW()"}
+      ORDER BY starts_at DESC, id DESC;
+    `,
+    [tankNo]
+  );
+  const now = new Date();
+  return rows.map((r) => formatWindow(r, now));
+}
+
+async function loadWindow(tankNo, id) {
+  const [rows] = await pool.query(
+    "SELECT * FROM tank_maintenance_windows WHERE id = ? AND tank_no = ? LIMIT 1",
+    [id, tankNo]
+  );
+  return rows[0] || null;
+}
+
+export async function getWindow(tankNo, id) {
+  const row = await loadWindow(tankNo, id);
+  return row ? formatWindow(row) : null;
+}
+
+export async function createWindow(tankNo, values, user) {
+  const [result] = await pool.query(
+    `
+      INSERT INTO tank_maintenance_windows
+        (tank_no, starts_at, ends_at, reason, created_by_id, created_by)
+      VALUES (?, ?, ?, ?, ?, ?);
+    `,
+    [
+      tankNo,
+      values.starts_at,
+      values.ends_at,
+      values.reason ?? null,
+      user?.id ?? null,
+      user?.username ?? null,
+    ]
+  );
+  console.log(
+    `[suppression] ${tankNo} maintenance #${result.insertId} ${values.starts_at.toISOString()} → ${values.ends_at.toISOString()}`
+  );
+  return getWindow(tankNo, result.insertId);
+}
+
+/**
+ * Change a window that has not ended.
+ * returns { ok: true, data } | { ok: false, error, details? }
+ */
+export async function updateWindow(tankNo, id, body) {
+  const row = await loadWindow(tankNo, id);
+  if (!row) return { ok: false, error: "NOT_FOUND" };
+
+  const state = formatWindow(row).state;
+  if (state === "CANCELLED" || state === "ENDED") {
+    return { ok: false, error: "WINDOW_CLOSED", state };
+  }
+
+  const { values, error, details } = validateWindow(body, {
+    partial: true,
+    current: row,
+  });
+  if (error) return { ok: false, error, details };
+
+  const cols = ["starts_at", "ends_at", "reason"].filter(
+    (c) => values[c] !== undefined
+  );
+  await pool.query(
+    `
+      UPDATE tank_maintenance_windows
+      SET ${cols.map((c) => `${c} = ?`).join(", ")}
+      WHERE id = ?;
+    `,
+    [...cols.map((c) => values[c]), id]
+  );
+  return { ok: true, data: await getWindow(tankNo, id) };
+}
+
+/**
+ * Call a window off. A running one ends now; a scheduled one never starts.
+ * returns { ok: true, data } | { ok: false, error }
+ */
+export async function cancelWindow(tankNo, id, user) {
+  const row = await loadWindow(tankNo, id);
+  if (!row) return { ok: false, error: "NOT_FOUND" };
+
+  const state = formatWindow(row).state;
+  if (state === "CANCELLED" || state === "ENDED") {
+    return { ok: false, error: "WINDOW_CLOSED", state };
+  }
+
+  await pool.query(
+    `
+      UPDATE tank_maintenance_windows
+      SET cancelled_at = NOW(), cancelled_by_id = ?, cancelled_by = ?,
+          ends_at = LEAST(ends_at, GREATEST(starts_at, NOW()))
+      WHERE id = ?;
+    `,
+    [user?.id ?? null, user?.username ?? null, id]
+  );
+  console.log(
+    `[suppression] ${tankNo} maintenance #${id} cancelled by ${user?.username ?? "?"}`
+  );
+  return { ok: true, data: await getWindow(tankNo, id) };
+}
@@ -0,0 +1,466 @@
+// services/anomalies.js
+import { pool } from "../db.js";
+import {
+  detectAnomalies,
+  parseOperatingHours,
+  formatOperatingHours,
+} from "../utils/anomalies.js";
+import { loadVolumeSeries } from "./volumeHistory.js";
+import { suppressionReason } from "./alertSuppression.js";
+import { enqueueTankNotice } from "./notificationQueue.js";
+
+/**
+ * Leak / theft findings (tables: tank_anomaly_settings, tank_anomalies –
+ * migrations/019); the detection itself is utils/anomalies.js.
+ *
+ * The scanner (startAnomalyScanner) runs the detector over the last
+ * ANOMALY_LOOKBACK_HOURS of every tank. A finding that overlaps one
+ * already stored for the tank (same kind) widens it; a new one is stored
+ * and queued as SMS + email to the tank's subscribers, unless the tank is
+ * suppressed (services/alertSuppression.js). Maintenance windows are not
+ * scanned at all – draining a tank for work is not a leak.
+ *
+ * Env (defaults for tanks without their own settings):
+ *   ANOMALY_OPERATING_HOURS        default "06:00-22:00"
+ *   ANOMALY_STEADY_WINDOW_MINUTES  default 120
+ *   ANOMALY_STEADY_RATE_PCT        % of tank_volume per hour (default 0.5)
+ *   ANOMALY_STEP_MINUTES           default 15
+ *   ANOMALY_STEP_LOSS_PCT          % of tank_volume (default 2)
+ *   ANOMALY_LOOKBACK_HOURS         scanned per run (default 24)
+ *   ANOMALY_SCAN_INTERVAL_MS       scanner period (default 900000)
+ */
+
+const defaults = () => ({
+  operating_hours: process.env.ANOMALY_OPERATING_HOURS ?? "06:00-22:00",
+  steady_window_minutes: Number(process.env.ANOMALY_STEADY_WINDOW_MINUTES || 120),
+  steady_rate_pct: Number(process.env.ANOMALY_STEADY_RATE_PCT || 0.5),
+  step_minutes: Number(process.env.ANOMALY_STEP_MINUTES || 15),
+  step_loss_pct: Number(process.env.ANOMALY_STEP_LOSS_PCT || 2),
+});
+
+// longest range GET /anomalies?live=1 will scan
+export const MAX_LIVE_SCAN_DAYS = 31;
+
+function formatFinding(r) {
+  return {
+    id: r.id ?? null,
+    tank_no: r.tank_no,
+    kind: r.kind,
+    severity: r.severity,
+    started_at: r.started_at,
+    ended_at: r.ended_at,
+    volume_start_l: Number(r.volume_start_l),
+    volume_end_l: Number(r.volume_end_l),
+    loss_l: Number(r.loss_l),
+    rate_lph: r.rate_lph == null ? null : Number(r.rate_lph),
+    readings: r.readings,
+    suppressed: !!r.suppressed,
+    notified: r.notified ?? 0,
+    detected_at: r.detected_at ?? null,
+  };
+}
+
+/* ---------- settings ---------- */
+
+const SETTING_FIELDS = [
+  "enabled",
+  "operating_hours",
+  "steady_window_minutes",
+  "steady_rate_lph",
+  "step_minutes",
+  "step_loss_l",
+];
+
+/**
+ * Body → column values (only the fields present; null = back to the
+ * default) or { error, details }.
+ */
+export function validateAnomalySettings(body = {}) {
+  const values = {};
+
+  if (body.enabled !== undefined) values.enabled = body.enabled ? 1 : 0;
+
+  if (body.operating_hours !== undefined) {
+    if (body.operating_hours === null) {
+      values.operating_hours = null;
+    } else {
+      const ranges = parseOperatingHours(body.operating_hours);
+      if (!ranges) {
+        return {
+          error: "INVALID_OPERATING_HOURS",
+          details: 'expected "HH:MM-HH:MM,…" ("" = none)',
+        };
+      }
+      values.operating_hours = formatOperatingHours(ranges);
+    }
+  }
+
+  const numbers = {
+    steady_window_minutes: { integer: true, min: 15, max: 24 * 60 },
+    steady_rate_lph: { min: 0.001 },
+    step_minutes: { integer: true, min: 1, max: 24 * 60 },
+    step_loss_l: { min: 0.001 },
+  };
+  for (const [field, rule] of Object.entries(numbers)) {
+    const raw = body[field];
+    if (raw === undefined) continue;
+    if (raw === null || raw === "") {
+      values[field] = null;
+      continue;
+    }
+    const n = Number(raw);
+    if (
+      !Number.isFinite(n) ||
+      (rule.integer && !Number.isInteger(n)) ||
+      n < rule.min ||
+      (rule.max != null && n > rule.max)
+    ) {
+      return {
+        error: "INVALID_" + field.toUpperCase(),
+        details: rule.max != null ? `${rule.min} to ${rule.max}` : `> 0`,
+      };
+    }
+    values[field] = n;
+  }
+
+  if (Object.keys(values).length === 0) return { error: "NO_FIELDS_TO_UPDATE" };
+  return { values };
+}
+
+/**
+ * Stored settings of a tank and what the detector actually uses.
+ * capacityL = Tank_Parameters.tank_volume (for the % defaults)
+ */
+export async function getAnomalySettings(tankNo, capacityL, db = pool) {
+  const [rows] = await db.query(
+    "SELECT * FROM tank_anomaly_settings WHERE tank_no = ? LIMIT 1",
+    [tankNo]
+  );
+  const s = rows[0] || {};
+  const d = defaults();
+  const capacity = Number(capacityL) || 0;
+  const pick = (v, fallback) => (v == null ? fallback : Number(v));
+
+  const operating = parseOperatingHours(s.operating_hours ?? d.operating_hours) ?? [];
+
+  return {
+    tank_no: tankNo,
+    stored: rows.length
+      ? Object.fromEntries(SETTING_FIELDS.map((f) => [f, s[f] ?? null]))
+      : null,
+    effective: {
+      enabled: s.enabled === undefined ? true : !!s.enabled,
+      operating_hours: formatOperatingHours(operating),
+      steady_window_minutes: pick(s.steady_window_minutes, d.steady_window_minutes),
+      steady_rate_lph: pick(s.steady_rate_lph, (capacity * d.steady_rate_pct) / 100),
+      step_minutes: pick(s.step_minutes, d.step_minutes),
+      step_loss_l: pick(s.step_loss_l, (capacity * d.step_loss_pct) / 100),
+    },
+    updated_by: s.updated_by ? { id: s.updated_by_id, username: s.updated_by } : null,
+    updated_at: s.updated_at ?? null,
+  };
+}
+
+export async function saveAnomalySettings(tankNo, values, user) {
+  const cols = SETTING_FIELDS.filter((f) => values[f] !== undefined);
+  await pool.query(
+    `
+      INSERT INTO tank_anomaly_settings
+        (tank_no, ${cols.join(", ")}, updated_by_id, updated_by)
+      VALUES (?, ${cols.map(() => "?").join(", ")}, ?, ?)
+      ON DUPLICATE KEY UPDATE
+        ${[...cols, "updated_by_id", "updated_by"]
+          .map((c) => `${c} = VALUES(${c})`)
+          .join(",\n        ")};
+    `,
+    [tankNo, ...cols.map((c) => values[c]), user?.id ?? null, user?.username ?? null]
+  );
+}
+
+/* ---------- detection ---------- */
+
+async function maintenanceWindows(tankNo, from, to, db) {
+  const [rows] = await db.query(
+    `
+      SELECT starts_at, COALESCE(cancelled_at, ends_at) AS ends_at
+      FROM tank_maintenance_windows
+      WHERE tank_no = ?
+        AND starts_at < ?
+        AND COALESCE(cancelled_at, ends_at) > ?
+        AND (cancelled_at IS NULL OR cancelled_at > starts_at);
+    `,
+    [tankNo, to, from]
+  );
+  return rows.map((w) => ({ from: new Date(w.starts_at), to: new Date(w.ends_at) }));
+}
+
+/**
+ * Run the detector over [from, to] without storing anything.
+ * returns null if the tank has no Tank_Parameters, else
+ * { settings, volume_source, readings, findings }
+ */
+export async function scanTank(tankNo, { from, to }, db = pool) {
+  const series = await loadVolumeSeries(tankNo, { from, to }, db);
+  if (!series) return null;
+
+  const settings = await getAnomalySettings(tankNo, series.capacity_l, db);
+  const cfg = settings.effective;
+
+  const findings =
+    cfg.steady_rate_lph > 0 && cfg.step_loss_l > 0
+      ? detectAnomalies(series.points, {
+          ...cfg,
+          operating_hours: parseOperatingHours(cfg.operating_hours),
+          excluded: await maintenanceWindows(tankNo, from, to, db),
+        })
+      : [];
+
+  return {
+    settings,
+    volume_source: series.volume_source,
+    readings: series.points.length,
+    findings: findings.map((f) => formatFinding({ ...f, tank_no: tankNo })),
+  };
+}
+
+/**
+ * Store findings: widen an overlapping stored one, else insert and
+ * notify. returns [new findings]
+ */
+async function recordFindings(conn, tankNo, location, findings) {
+  const created = [];
+
+  for (const f of findings) {
+    const [existing] = await conn.query(
+      `
+        SELECT id, started_at, ended_at
+        FROM tank_anomalies
+        WHERE tank_no = ? AND kind = ? AND started_at <= ? AND ended_at >= ?
+        ORDER BY started_at ASC
+        LIMIT 1
+        FOR UPDATE;
+      `,
+      [tankNo, f.kind, f.ended_at, f.started_at]
+    );
+
+    if (existing.length) {
+      const row = existing[0];
+      // same drop seen again: keep the earliest start, the latest end and
+      // the bigger loss (assignments run left to right: volumes first)
+      await conn.query(
+        `
+          UPDATE tank_anomalies
+          SET
+            volume_start_l = IF(? < started_at, ?, volume_start_l),
+            volume_end_l   = IF(? > ended_at, ?, volume_end_l),
+            started_at     = LEAST(started_at, ?),
+            ended_at       = GREATEST(ended_at, ?),
+            loss_l         = GREATEST(loss_l, ?),
+            rate_lph       = ?,
+            readings       = GREATEST(readings, ?)
+          WHERE id = ?;
+        `,
+        [
+          f.started_at,
+          f.volume_start_l,
+          f.ended_at,
+          f.volume_end_l,
+          f.started_at,
+          f.ended_at,
+          f.loss_l,
+          f.rate_lph,
+          f.readings,
+          row.id,
+        ]
+      );
+      continue;
+    }
+
+    const suppressed = !!(await suppressionReason(tankNo, conn));
+    const [ins] = await conn.query(
+      `
+        INSERT INTO tank_anomalies
+          (tank_no, kind, severity, started_at, ended_at, volume_start_l,
+           volume_end_l, loss_l, rate_lph, readings, suppressed)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?);
+      `,
+      [
+        tankNo,
+        f.kind,
+        f.severity,
+        f.started_at,
+        f.ended_at,
+        f.volume_start_l,
+        f.volume_end_l,
+        f.loss_l,
+        f.rate_lph,
+        f.readings,
+        suppressed ? 1 : 0,
+      ]
+    );
+
+    const what = f.kind === "STEP_LOSS" ? "Sudden loss" : "Steady drop";
+    const notified = suppressed
+      ? 0
+      : await enqueueTankNotice(
+          {
+            tank_no: tankNo,
+            location,
+            severity: f.severity,
+            message:
+              `${what} of ${Math.round(f.loss_l)} L outside operating hours` +
+              (f.rate_lph != null ? ` (${Math.round(f.rate_lph)} L/h)` : ""),
+            subject: `[${f.severity.toUpperCase()}] Tank ${tankNo}: possible ${
+              f.kind === "STEP_LOSS" ? "theft" : "leak"
+            }`,
+            detail:
+              `Volume ${f.volume_start_l} L → ${f.volume_end_l} L ` +
+              `between ${f.started_at.toISOString()} and ${f.ended_at.toISOString()} ` +
+              `(${f.readings} readings).`,
+            at: f.ended_at,
+          },
+          "ANOMALY",
+          conn
+        );
+    if (notified) {
+      await conn.query("UPDATE tank_anomalies SET notified = ? WHERE id = ?", [
+        notified,
+        ins.insertId,
+      ]);
+    }
+
+    console.log(
+      `[anomalies] #${ins.insertId} ${tankNo} ${f.kind} ${f.loss_l} L` +
+        (suppressed ? " (suppressed)" : `, ${notified} queued`)
+    );
+    created.push({ ...f, id: ins.insertId, suppressed, notified });
+  }
+
+  return created;
+}
+
+/**
+ * Scan one tank's last `hours` and store what is found.
+ * returns { findings, created } | null (no Tank_Parameters)
+ */
+export async function scanAndRecord(tankNo, { hours, now = new Date() } = {}) {
+  const lookback = hours ?? Number(process.env.ANOMALY_LOOKBACK_HOURS || 24);
+  const from = new Date(now.getTime() - lookback * 3600000);
+
+  const scan = await scanTank(tankNo, { from, to: now });
+  if (!scan) return null;
+  if (!scan.settings.effective.enabled) return { findings: [], created: [] };
+
+  const [[master]] = await pool.query(
+    "SELECT location FROM Master_Tables WHERE tank_no = ? LIMIT 1",
+    [tankNo]
+  );
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const created = await recordFindings(
+      conn,
+      tankNo,
+      master?.location ?? null,
+      scan.findings.map((f) => ({
+        ...f,
+        started_at: new Date(f.started_at),
+        ended_at: new Date(f.ended_at),
+      }))
+    );
+    await conn.commit();
+    return { findings: scan.findings, created };
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Stored findings of a tank, newest first.
+ * filters = { from, to, kinds?, limit }
+ */
+export async function listAnomalies(tankNo, { from, to, kinds, limit }) {
+  const where = ["tank_no = ?", "ended_at >= ?", "started_at <= ?"];
+  const params = [tankNo, from, to];
+  if (kinds) {
+    where.push("kind IN (?)");
+    params.push(kinds);
+  }
+
+  const [rows] = await pool.query(
+    `
+      SELECT *
+      FROM tank_anomalies
+      WHERE ${where.join(" AND ")}
+      ORDER BY started_at DESC, id DESC
+      LIMIT ?;
+    `,
+    [...params, limit]
+  );
+  return rows.map(formatFinding);
+}
+
+/**
+ * One scanner pass over every tank with parameters.
+ * returns { tanks, created }
+ */
+export async function runAnomalyScan(now = new Date()) {
+  const [tanks] = await pool.query(
+    `
+      SELECT p.tank_no
+      FROM Tank_Parameters p
+      LEFT JOIN tank_anomaly_settings s ON s.tank_no = p.tank_no
+      WHERE COALESCE(s.enabled, 1) = 1;
+    `
+  );
+
+  let created = 0;
+  for (const { tank_no } of tanks) {
+    try {
+      const result = await scanAndRecord(tank_no, { now });
+      created += result?.created.length ?? 0;
+    } catch (err) {
+      console.error(`[anomalies] ${tank_no} FAILED:`, err.message || err);
+    }
+  }
+  return { tanks: tanks.length, created };
+}
+
+/* ---------- scanner ---------- */
+
+let timer = null;
+let running = false;
+
+export function startAnomalyScanner() {
+  if (timer) return timer;
+
+  const intervalMs = Math.max(
+    60000,
+    Number(process.env.ANOMALY_SCAN_INTERVAL_MS || 900000)
+  );
+
+  timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runAnomalyScan();
+    } catch (err) {
+      console.error("[anomalies] scan FAILED:", err.message || err);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref?.();
+
+  console.log(`[anomalies] scanner started (every ${intervalMs} ms)`);
+  return timer;
+}
+
+export function stopAnomalyScanner() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
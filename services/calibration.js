@@ -0,0 +1,102 @@
+// services/calibration.js
+import { pool } from "../db.js";
+
+/**
+ * Storage for per-tank strapping tables (table: tank_calibration).
+ * Pure parsing / interpolation lives in utils/calibration.js.
+ */
+
+function toPoint(row) {
+  return {
+    depth_mm: Number(row.depth_mm),
+    volume_l: Number(row.volume_l),
+  };
+}
+
+/**
+ * Chart for one tank, sorted by depth. Empty array if none.
+ */
+export async function loadCalibrationChart(tankNo, db = pool) {
+  const [rows] = await db.query(
+    `
+      SELECT depth_mm, volume_l
+      FROM tank_calibration
+      WHERE tank_no = ?
+      ORDER BY depth_mm ASC;
+    `,
+    [tankNo]
+  );
+  return rows.map(toPoint);
+}
+
+/**
+ * Charts for many tanks in one query.
+ * returns Map<tank_no, chart>; tanks without a chart are absent.
+ */
+export async function loadCalibrationCharts(tankNos, db = pool) {
+  const charts = new Map();
+  const list = [...new Set((tankNos || []).filter(Boolean))];
+  if (list.length === 0) return charts;
+
+  const [rows] = await db.query(
+    `
+      SELECT tank_no, depth_mm, volume_l
+      FROM tank_calibration
+      WHERE tank_no IN (?)
+      ORDER BY tank_no ASC, depth_mm ASC;
+    `,
+    [list]
+  );
+
+  for (const r of rows) {
+    if (!charts.has(r.tank_no)) charts.set(r.tank_no, []);
+    charts.get(r.tank_no).push(toPoint(r));
+  }
+  return charts;
+}
+
+/**
+ * Replace the whole chart of a tank (points must already be normalized).
+ * returns number of stored points
+ */
+export async function replaceCalibrationChart(tankNo, points, source = null) {
+  const conn = await pool.getConnection();
+
+  try {
+    await conn.beginTransaction();
+
+    await conn.query("DELETE FROM tank_calibration WHERE tank_no = ?", [
+      tankNo,
+    ]);
+
+    if (points.length > 0) {
+      await conn.query(
+        `
+          INSERT INTO tank_calibration (tank_no, depth_mm, volume_l, source)
+          VALUES ?
+        `,
+        [points.map((p) => [tankNo, p.depth_mm, p.volume_l, source])]
+      );
+    }
+
+    await conn.commit();
+    return points.length;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Remove a tank's chart (volume falls back to geometry).
+ * returns number of deleted points
+ */
+export async function deleteCalibrationChart(tankNo) {
+  const [result] = await pool.query(
+    "DELETE FROM tank_calibration WHERE tank_no = ?",
+    [tankNo]
+  );
+  return result.affectedRows;
+}
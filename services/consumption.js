@@ -0,0 +1,114 @@
+// services/consumption.js
+import { pool } from "../db.js";
+import {
+  segmentEvents,
+  dailyTotals,
+  sumDaily,
+  summarizeEvents,
+} from "../utils/consumption.js";
+import { loadVolumeSeries } from "./volumeHistory.js";
+
+/**
+ * Fill / draw / idle events and daily consumption per tank and location
+ * (segmentation: utils/consumption.js). Computed from Transaction_Table
+ * on request, nothing is stored.
+ *
+ * Env (defaults, as a share of tank_volume; tanks without a capacity use
+ * 50 L/h and 20 L):
+ *   CONSUMPTION_MIN_FLOW_PCT   % of capacity per hour that counts as flow (1)
+ *   CONSUMPTION_MIN_EVENT_PCT  smallest fill / draw, % of capacity (0.5)
+ *   CONSUMPTION_MERGE_MINUTES  pauses shorter than this do not split (15)
+ */
+
+/**
+ * Segmentation thresholds for a tank: overrides win, else % of capacity.
+ * overrides = { min_flow_lph?, min_event_l?, merge_minutes? }
+ */
+export function segmentationConfig(capacityL, overrides = {}) {
+  const capacity = Number(capacityL) || 0;
+  const flowPct = Number(process.env.CONSUMPTION_MIN_FLOW_PCT || 1);
+  const eventPct = Number(process.env.CONSUMPTION_MIN_EVENT_PCT || 0.5);
+
+  return {
+    min_flow_lph:
+      overrides.min_flow_lph ?? (capacity > 0 ? (capacity * flowPct) / 100 : 50),
+    min_event_l:
+      overrides.min_event_l ?? (capacity > 0 ? (capacity * eventPct) / 100 : 20),
+    merge_minutes:
+      overrides.merge_minutes ?? Number(process.env.CONSUMPTION_MERGE_MINUTES || 15),
+  };
+}
+
+/**
+ * Events of one tank in [from, to].
+ * returns null if the tank has no Tank_Parameters, else
+ * { tank_no, capacity_l, volume_source, readings, thresholds, summary,
+ *   daily, events }
+ */
+export async function tankEvents(tankNo, { from, to, overrides = {} }, db = pool) {
+  const series = await loadVolumeSeries(tankNo, { from, to }, db);
+  if (!series) return null;
+
+  const thresholds = segmentationConfig(series.capacity_l, overrides);
+  const events = segmentEvents(series.points, thresholds);
+
+  return {
+    tank_no: tankNo,
+    capacity_l: series.capacity_l,
+    volume_source: series.volume_source,
+    readings: series.points.length,
+    thresholds,
+    summary: summarizeEvents(events),
+    daily: dailyTotals(events),
+    events,
+  };
+}
+
+/**
+ * Daily consumption / refill of every tank at a location (all tanks
+ * when location is null), per tank and summed.
+ *
+ * returns { tanks: [{ tank_no, location, capacity_l, summary, daily }],
+ *           totals, daily }
+ */
+export async function locationConsumption({ location, from, to, overrides = {} }) {
+  const [tanks] = await pool.query(
+    `
+      SELECT p.tank_no, MAX(m.location) AS location
+      FROM Tank_Parameters p
+      LEFT JOIN Master_Tables m ON m.tank_no = p.tank_no
+      ${location ? "WHERE m.location = ?" : ""}
+      GROUP BY p.tank_no
+      ORDER BY p.tank_no;
+    `,
+    location ? [location] : []
+  );
+
+  const perTank = [];
+  for (const t of tanks) {
+    const result = await tankEvents(t.tank_no, { from, to, overrides });
+    if (!result) continue;
+    perTank.push({
+      tank_no: t.tank_no,
+      location: t.location ?? null,
+      capacity_l: result.capacity_l,
+      readings: result.readings,
+      summary: result.summary,
+      daily: result.daily,
+    });
+  }
+
+  const total = (field) =>
+    Number(perTank.reduce((acc, t) => acc + t.summary[field], 0).toFixed(1));
+
+  return {
+    tanks: perTank,
+    totals: {
+      consumed_l: total("consumed_l"),
+      refilled_l: total("refilled_l"),
+      draws: total("draws"),
+      fills: total("fills"),
+    },
+    daily: sumDaily(perTank.map((t) => t.daily)),
+  };
+}
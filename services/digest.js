@@ -0,0 +1,474 @@
+// services/digest.js
+import { pool } from "../db.js";
+import { alarmLevelStatus } from "../utils/safeLimits.js";
+import {
+  parseSendTimes,
+  formatSendTimes,
+  digestPeriod,
+  digestHeadline,
+  renderDigestText,
+  renderDigestHtml,
+  renderDigestSms,
+} from "../utils/digest.js";
+import { subscribedTanks } from "./subscriptions.js";
+import { enqueueSms } from "./smsQueue.js";
+import { enqueueNotification } from "./notificationQueue.js";
+
+/**
+ * Alert digests (table: digest_settings – migrations/017).
+ *
+ * Instead of (or next to) one message per alarm, a contact gets a
+ * summary at each of their send_times covering the tanks they are
+ * subscribed to (services/subscriptions.js):
+ *   - alarms raised in the period (alarms, derived from tank_status)
+ *   - tanks low / high at the end of it (last tank_status row)
+ *   - tanks offline now and offline periods (Transaction_Table gaps,
+ *     same rule as /api/tank/logs)
+ *   - top consumers (drops of tank_status.currentLevel)
+ *   - maintenance windows touching the period
+ * rendered as text + HTML (email) or a short text (sms).
+ *
+ * Env:
+ *   DIGEST_INTERVAL_MS      scheduler period (default 60000)
+ *   DIGEST_OFFLINE_MINUTES  no reading for this long = offline (default 120)
+ *   DIGEST_TOP_CONSUMERS    default 5
+ */
+
+export const DIGEST_CHANNELS = ["email", "sms"];
+
+const DEFAULT_SEND_TIMES = "07:00";
+
+const cfg = () => ({
+  intervalMs: Math.max(5000, Number(process.env.DIGEST_INTERVAL_MS || 60000)),
+  offlineMinutes: Math.max(1, Number(process.env.DIGEST_OFFLINE_MINUTES || 120)),
+  topConsumers: Math.max(1, Number(process.env.DIGEST_TOP_CONSUMERS || 5)),
+});
+
+/* ---------- settings ---------- */
+
+function formatSettings(r, userId) {
+  return {
+    user_id: userId,
+    enabled: r ? !!r.enabled : false,
+    channels: String(r?.channels || "email")
+      .split(",")
+      .filter(Boolean),
+    send_times: String(r?.send_times || DEFAULT_SEND_TIMES).split(","),
+    last_period_end: r?.last_period_end ?? null,
+    configured: !!r,
+  };
+}
+
+/**
+ * Body → column values (PUT, only the fields present).
+ * body = { enabled?, channels?: ["email","sms"], send_times?: ["07:00"] }
+ * returns { values } or { error, details }
+ */
+export function validateDigestSettings(body = {}) {
+  const values = {};
+
+  if (body.enabled !== undefined) values.enabled = body.enabled ? 1 : 0;
+
+  if (body.channels !== undefined) {
+    const list = (Array.isArray(body.channels)
+      ? body.channels
+      : String(body.channels || "").split(",")
+    )
+      .map((c) => String(c).trim().toLowerCase())
+      .filter(Boolean);
+    if (!list.length || !list.every((c) => DIGEST_CHANNELS.includes(c))) {
+      return { error: "INVALID_CHANNELS", details: { allowed: DIGEST_CHANNELS } };
+    }
+    values.channels = [...new Set(list)].join(",");
+  }
+
+  if (body.send_times !== undefined) {
+    const times = parseSendTimes(body.send_times);
+    if (!times || times.length > 6) {
+      return {
+        error: "INVALID_SEND_TIMES",
+        details: 'expected 1–6 times like ["07:00"] or ["06:00","14:00","22:00"]',
+      };
+    }
+    values.send_times = formatSendTimes(times);
+  }
+
+  if (Object.keys(values).length === 0) return { error: "NO_FIELDS_TO_UPDATE" };
+  return { values };
+}
+
+export async function getDigestSettings(userId, db = pool) {
+  const [rows] = await db.query(
+    "SELECT * FROM digest_settings WHERE user_id = ? LIMIT 1",
+    [userId]
+  );
+  return formatSettings(rows[0], userId);
+}
+
+export async function saveDigestSettings(userId, values) {
+  const cols = ["enabled", "channels", "send_times"].filter(
+    (c) => values[c] !== undefined
+  );
+  await pool.query(
+    `
+      INSERT INTO digest_settings (user_id${cols.map((c) => `, ${c}`).join("")})
+      VALUES (?${cols.map(() => ", ?").join("")})
+      ON DUPLICATE KEY UPDATE ${cols.map((c) => `${c} = VALUES(${c})`).join(", ")};
+    `,
+    [userId, ...cols.map((c) => values[c])]
+  );
+  return getDigestSettings(userId);
+}
+
+/* ---------- building ---------- */
+
+/**
+ * Digest data for [from, to).
+ * tanks = [{ tank_no, location }] to cover, null = every tank.
+ */
+export async function buildDigest({ from, to, tanks = null }, db = pool) {
+  if (!tanks) {
+    [tanks] = await db.query(
+      "SELECT tank_no, location FROM Master_Tables WHERE tank_no IS NOT NULL ORDER BY tank_no"
+    );
+  }
+
+  const digest = {
+    period: { from, to },
+    tanks_covered: tanks.length,
+    alerts: { total: 0, by_severity: { warning: 0, critical: 0 }, items: [] },
+    levels: [],
+    offline: { now: [], events: [] },
+    top_consumers: [],
+    maintenance: [],
+  };
+  if (!tanks.length) return digest;
+
+  const tankNos = tanks.map((t) => t.tank_no);
+  const locationOf = new Map(tanks.map((t) => [t.tank_no, t.location]));
+  const { offlineMinutes, topConsumers } = cfg();
+
+  // 1) alarms raised in the period
+  const [alarms] = await db.query(
+    `
+      SELECT id, tank_no, alarm_level, peak_level, message, state, raised_at,
+             acked_at, cleared_at
+      FROM alarms
+      WHERE tank_no IN (?) AND raised_at >= ? AND raised_at < ?
+      ORDER BY raised_at ASC, id ASC;
+    `,
+    [tankNos, from, to]
+  );
+  for (const a of alarms) {
+    const peak = alarmLevelStatus(a.peak_level);
+    digest.alerts.by_severity[peak.severity] =
+      (digest.alerts.by_severity[peak.severity] || 0) + 1;
+    digest.alerts.items.push({
+      alarm_id: a.id,
+      tank_no: a.tank_no,
+      peak_level: a.peak_level,
+      severity: peak.severity,
+      message: peak.tank_alert_message,
+      state: a.state,
+      raised_at: a.raised_at,
+      acked_at: a.acked_at,
+      cleared_at: a.cleared_at,
+    });
+  }
+  digest.alerts.total = alarms.length;
+
+  // 2) level at the end of the period
+  const [latest] = await db.query(
+    `
+      SELECT t.tank_no, t.alarm_level, t.severity, t.tank_alert_message,
+             t.fillPercentage, t.currentLevel, t.current_time
+      FROM tank_status t
+      JOIN (
+        SELECT tank_no, MAX(id) AS id
+        FROM tank_status
+        WHERE tank_no IN (?) AND \`current_time\` < ?
+        GROUP BY tank_no
+      ) last ON last.id = t.id
+      ORDER BY t.tank_no;
+    `,
+    [tankNos, to]
+  );
+  digest.levels = latest
+    .filter((r) => r.alarm_level && r.alarm_level !== "NORMAL")
+    .map((r) => ({
+      tank_no: r.tank_no,
+      location: locationOf.get(r.tank_no) ?? null,
+      alarm_level: r.alarm_level,
+      severity: r.severity,
+      message: r.tank_alert_message,
+      fill_percentage: r.fillPercentage != null ? Number(r.fillPercentage) : null,
+      current_level_l: r.currentLevel != null ? Number(r.currentLevel) : null,
+      at: r.current_time,
+    }));
+
+  // 3) offline: last reading too old, and gaps that ended in the period
+  const [seen] = await db.query(
+    `
+      SELECT tank_no, MAX(date_time) AS last_seen
+      FROM Transaction_Table
+      WHERE tank_no IN (?) AND date_time < ?
+      GROUP BY tank_no;
+    `,
+    [tankNos, to]
+  );
+  const lastSeen = new Map(seen.map((r) => [r.tank_no, r.last_seen]));
+  const offlineSince = new Date(to.getTime() - offlineMinutes * 60000);
+  digest.offline.now = tanks
+    .filter((t) => {
+      const last = lastSeen.get(t.tank_no);
+      return !last || new Date(last) < offlineSince;
+    })
+    .map((t) => ({
+      tank_no: t.tank_no,
+      location: t.location ?? null,
+      last_seen: lastSeen.get(t.tank_no) ?? null,
+    }));
+
+  const [gaps] = await db.query(
+    `
+      SELECT tank_no, offline_time, online_time,
+             TIMESTAMPDIFF(MINUTE, offline_time, online_time) AS offline_minutes
+      FROM (
+        SELECT
+          tank_no,
+          date_time AS online_time,
+          LAG(date_time) OVER (PARTITION BY tank_no ORDER BY date_time) AS offline_time
+        FROM Transaction_Table
+        WHERE tank_no IN (?)
+          AND date_time >= ? - INTERVAL 7 DAY
+          AND date_time < ?
+      ) g
+      WHERE online_time >= ?
+        AND offline_time IS NOT NULL
+        AND TIMESTAMPDIFF(MINUTE, offline_time, online_time) >= ?
+      ORDER BY offline_time ASC;
+    `,
+    [tankNos, from, to, from, offlineMinutes]
+  );
+  digest.offline.events = gaps.map((g) => ({
+    tank_no: g.tank_no,
+    offline_time: g.offline_time,
+    online_time: g.online_time,
+    offline_minutes: Number(g.offline_minutes),
+  }));
+
+  // 4) top consumers: sum of level drops between readings with data
+  const [usage] = await db.query(
+    `
+      SELECT
+        tank_no,
+        SUM(GREATEST(prev_level - currentLevel, 0)) AS consumed_l,
+        SUM(GREATEST(currentLevel - prev_level, 0)) AS filled_l
+      FROM (
+        SELECT
+          tank_no,
+          currentLevel,
+          LAG(currentLevel) OVER (PARTITION BY tank_no ORDER BY \`current_time\`, id) AS prev_level
+        FROM tank_status
+        WHERE tank_no IN (?)
+          AND \`current_time\` >= ? AND \`current_time\` < ?
+          AND flowStatus <> 'Inactive'
+      ) x
+      WHERE prev_level IS NOT NULL
+      GROUP BY tank_no
+      HAVING consumed_l > 0
+      ORDER BY consumed_l DESC
+      LIMIT ?;
+    `,
+    [tankNos, from, to, topConsumers]
+  );
+  digest.top_consumers = usage.map((u) => ({
+    tank_no: u.tank_no,
+    location: locationOf.get(u.tank_no) ?? null,
+    consumed_l: Number(u.consumed_l),
+    filled_l: Number(u.filled_l),
+  }));
+
+  // 5) maintenance windows overlapping the period
+  const [windows] = await db.query(
+    `
+      SELECT tank_no, starts_at, ends_at, reason
+      FROM tank_maintenance_windows
+      WHERE tank_no IN (?) AND starts_at < ? AND ends_at > ? AND ends_at > starts_at
+      ORDER BY starts_at ASC;
+    `,
+    [tankNos, to, from]
+  );
+  digest.maintenance = windows;
+
+  return digest;
+}
+
+/**
+ * Digest for one contact (or every tank when userId is null), for the
+ * last period ending on `date` (YYYY-MM-DD, server local) at or before
+ * `time` (default end of day). Used by GET /api/digest/preview.
+ *
+ * returns { ok: true, digest, text, html, sms } | { ok: false, error }
+ */
+export async function previewDigest({ date, time = null, userId = null }) {
+  let sendTimes = parseSendTimes(DEFAULT_SEND_TIMES);
+  let tanks = null;
+
+  if (userId != null) {
+    const [users] = await pool.query("SELECT id FROM users WHERE id = ? LIMIT 1", [
+      userId,
+    ]);
+    if (!users.length) return { ok: false, error: "USER_NOT_FOUND" };
+
+    const settings = await getDigestSettings(userId);
+    sendTimes = parseSendTimes(settings.send_times) || sendTimes;
+    tanks = await subscribedTanks(userId);
+  }
+
+  const at = new Date(`${date}T${time || "23:59:59"}`);
+  const period = digestPeriod(sendTimes, at);
+  const digest = await buildDigest({ ...period, tanks });
+
+  return {
+    ok: true,
+    digest,
+    text: renderDigestText(digest),
+    html: renderDigestHtml(digest),
+    sms: renderDigestSms(digest),
+  };
+}
+
+/* ---------- scheduler ---------- */
+
+// queue one contact's digest; returns the number of messages queued
+async function sendDigest(conn, user, channels, digest) {
+  let queued = 0;
+
+  if (channels.includes("email") && user.email) {
+    await enqueueNotification(
+      {
+        channel: "email",
+        event: "DIGEST",
+        recipient: user.email,
+        subject: digestHeadline(digest),
+        body: renderDigestText(digest),
+        html: renderDigestHtml(digest),
+        user_id: user.id,
+      },
+      conn
+    );
+    queued += 1;
+  }
+
+  if (channels.includes("sms") && user.phone) {
+    await enqueueSms(
+      { phone: user.phone, message: renderDigestSms(digest), user_id: user.id },
+      conn
+    );
+    queued += 1;
+  }
+
+  return queued;
+}
+
+/**
+ * One scheduler pass: every enabled contact whose latest send time has
+ * passed and was not sent yet. returns { due, sent }
+ */
+export async function runDigests(now = new Date()) {
+  const [rows] = await pool.query(
+    `
+      SELECT d.*, u.name, u.phone, u.email
+      FROM digest_settings d
+      JOIN users u ON u.id = d.user_id
+      WHERE d.enabled = 1;
+    `
+  );
+
+  let due = 0;
+  let sent = 0;
+
+  for (const r of rows) {
+    const sendTimes = parseSendTimes(r.send_times);
+    if (!sendTimes) continue;
+
+    const period = digestPeriod(sendTimes, now);
+    if (r.last_period_end && new Date(r.last_period_end) >= period.to) continue;
+    due += 1;
+
+    const tanks = await subscribedTanks(r.user_id);
+    const digest = await buildDigest({ ...period, tanks });
+
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+
+      // another instance may have sent it meanwhile
+      const [[current]] = await conn.query(
+        "SELECT last_period_end FROM digest_settings WHERE user_id = ? FOR UPDATE",
+        [r.user_id]
+      );
+      if (current?.last_period_end && new Date(current.last_period_end) >= period.to) {
+        await conn.rollback();
+        continue;
+      }
+
+      const queued = tanks.length
+        ? await sendDigest(
+            conn,
+            { id: r.user_id, phone: r.phone, email: r.email },
+            String(r.channels).split(","),
+            digest
+          )
+        : 0;
+
+      await conn.query(
+        "UPDATE digest_settings SET last_period_end = ? WHERE user_id = ?",
+        [period.to, r.user_id]
+      );
+      await conn.commit();
+
+      sent += queued ? 1 : 0;
+      console.log(
+        `[digest] user #${r.user_id} ${period.to.toISOString()}: ${tanks.length} tanks, ${queued} message(s) queued`
+      );
+    } catch (err) {
+      await conn.rollback();
+      console.error(`[digest] user #${r.user_id} FAILED:`, err.message || err);
+    } finally {
+      conn.release();
+    }
+  }
+
+  return { due, sent };
+}
+
+let timer = null;
+let running = false;
+
+export function startDigestScheduler() {
+  if (timer) return timer;
+
+  const { intervalMs } = cfg();
+  timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runDigests();
+    } catch (err) {
+      console.error("[digest] run FAILED:", err.message || err);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref?.();
+
+  console.log(`[digest] scheduler started (every ${intervalMs} ms)`);
+  return timer;
+}
+
+export function stopDigestScheduler() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
@@ -0,0 +1,474 @@
+// services/escalation.js
+import { pool } from "../db.js";
+import { SEVERITIES } from "../utils/safeLimits.js";
+import { addAlarmEvent, expireShelvedAlarms } from "./alarms.js";
+import { enqueueSms, alarmSmsText } from "./smsQueue.js";
+import { suppressionReason } from "./alertSuppression.js";
+
+/**
+ * Escalation policies (tables: escalation_policies, escalation_steps,
+ * alarm_escalations – migrations/014).
+ *
+ *   policy "Fire water"  tank_no FW-1
+ *     step 1  after  0 min  shift operator
+ *     step 2  after 15 min  supervisor
+ *     step 3  after 30 min  plant manager
+ *
+ * The scheduler (startEscalationScheduler) looks at every ACTIVE alarm –
+ * raised, not acknowledged, not shelved – and fires each step whose
+ * delay since raised_at has passed, once. Step recipients are named
+ * contacts: they are notified regardless of their subscriptions. Tanks
+ * under maintenance or with alerts disabled do not escalate: steps that
+ * come due meanwhile are recorded with no recipients (alarm event
+ * ESCALATION_SKIPPED) and are not sent later.
+ *
+ * Env:
+ *   ESCALATION_INTERVAL_MS  scheduler period (default 60000)
+ */
+
+const ALERT_SEVERITIES = SEVERITIES.filter((s) => s !== "ok");
+
+// escalation_steps.user_ids is a comma list in a VARCHAR(255)
+const USER_IDS_MAX_LENGTH = 255;
+
+function formatPolicy(p, steps) {
+  return {
+    id: p.id,
+    name: p.name,
+    scope: p.tank_no ? "tank" : p.location ? "location" : "all",
+    tank_no: p.tank_no,
+    location: p.location,
+    min_severity: p.min_severity,
+    enabled: !!p.enabled,
+    steps: steps
+      .filter((s) => s.policy_id === p.id)
+      .map((s) => ({
+        step_no: s.step_no,
+        delay_minutes: s.delay_minutes,
+        label: s.label,
+        user_ids: String(s.user_ids)
+          .split(",")
+          .filter(Boolean)
+          .map(Number),
+      })),
+    created_at: p.created_at,
+    updated_at: p.updated_at,
+  };
+}
+
+/**
+ * Body → { values, steps } or { error, details }.
+ *
+ * body = { name, tank_no?, location?, min_severity?, enabled?,
+ *          steps: [{ delay_minutes, user_ids: [..], label? }] }
+ * Steps are numbered by delay.
+ */
+export function validatePolicy(body = {}) {
+  const name = String(body.name ?? "").trim();
+  if (!name) return { error: "NAME_REQUIRED" };
+
+  const minSeverity = String(body.min_severity ?? "warning")
+    .trim()
+    .toLowerCase();
+  if (!ALERT_SEVERITIES.includes(minSeverity)) {
+    return {
+      error: "INVALID_MIN_SEVERITY",
+      details: { allowed: ALERT_SEVERITIES },
+    };
+  }
+
+  if (!Array.isArray(body.steps) || body.steps.length === 0) {
+    return { error: "STEPS_REQUIRED" };
+  }
+
+  const steps = [];
+  for (const [i, s] of body.steps.entries()) {
+    const delay = Number(s?.delay_minutes);
+    const userIds = Array.isArray(s?.user_ids) ? s.user_ids.map(Number) : [];
+
+    if (!Number.isInteger(delay) || delay < 0) {
+      return {
+        error: "INVALID_STEP",
+        details: `steps[${i}].delay_minutes must be a whole number >= 0`,
+      };
+    }
+    if (!userIds.length || !userIds.every(Number.isInteger)) {
+      return {
+        error: "INVALID_STEP",
+        details: `steps[${i}].user_ids must list at least one contact id`,
+      };
+    }
+    const unique = [...new Set(userIds)];
+    if (unique.join(",").length > USER_IDS_MAX_LENGTH) {
+      return {
+        error: "INVALID_STEP",
+        details: `steps[${i}].user_ids lists too many contacts (${unique.length})`,
+      };
+    }
+    steps.push({
+      delay_minutes: delay,
+      user_ids: unique,
+      label: s.label ? String(s.label).trim().slice(0, 100) : null,
+    });
+  }
+
+  steps.sort((a, b) => a.delay_minutes - b.delay_minutes);
+  steps.forEach((s, i) => (s.step_no = i + 1));
+
+  const blank = (v) =>
+    v === undefined || v === null || String(v).trim() === ""
+      ? null
+      : String(v).trim();
+
+  return {
+    values: {
+      name,
+      tank_no: blank(body.tank_no),
+      location: blank(body.location),
+      min_severity: minSeverity,
+      enabled: body.enabled === undefined ? 1 : body.enabled ? 1 : 0,
+    },
+    steps,
+  };
+}
+
+/**
+ * Contact ids in `steps` that are not in users.
+ */
+export async function unknownStepUsers(steps) {
+  const ids = [...new Set(steps.flatMap((s) => s.user_ids))];
+  const [rows] = await pool.query("SELECT id FROM users WHERE id IN (?)", [ids]);
+  const known = new Set(rows.map((r) => Number(r.id)));
+  return ids.filter((id) => !known.has(id));
+}
+
+export async function listPolicies() {
+  const [policies] = await pool.query(
+    "SELECT * FROM escalation_policies ORDER BY id ASC"
+  );
+  const [steps] = await pool.query(
+    "SELECT * FROM escalation_steps ORDER BY policy_id, step_no"
+  );
+  return policies.map((p) => formatPolicy(p, steps));
+}
+
+export async function getPolicy(id, db = pool) {
+  const [policies] = await db.query(
+    "SELECT * FROM escalation_policies WHERE id = ? LIMIT 1",
+    [id]
+  );
+  if (!policies.length) return null;
+
+  const [steps] = await db.query(
+    "SELECT * FROM escalation_steps WHERE policy_id = ? ORDER BY step_no",
+    [id]
+  );
+  return formatPolicy(policies[0], steps);
+}
+
+async function writeSteps(conn, policyId, steps) {
+  await conn.query("DELETE FROM escalation_steps WHERE policy_id = ?", [
+    policyId,
+  ]);
+  for (const s of steps) {
+    await conn.query(
+      `
+        INSERT INTO escalation_steps
+          (policy_id, step_no, delay_minutes, label, user_ids)
+        VALUES (?, ?, ?, ?, ?);
+      `,
+      [policyId, s.step_no, s.delay_minutes, s.label, s.user_ids.join(",")]
+    );
+  }
+}
+
+/**
+ * Create (id = null) or replace a policy with its steps.
+ * returns the saved policy, null if `id` does not exist
+ */
+export async function savePolicy(id, values, steps) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    let policyId = id;
+    if (id == null) {
+      const [result] = await conn.query(
+        `
+          INSERT INTO escalation_policies
+            (name, tank_no, location, min_severity, enabled)
+          VALUES (?, ?, ?, ?, ?);
+        `,
+        [
+          values.name,
+          values.tank_no,
+          values.location,
+          values.min_severity,
+          values.enabled,
+        ]
+      );
+      policyId = result.insertId;
+    } else {
+      const [result] = await conn.query(
+        `
+          UPDATE escalation_policies
+          SET name = ?, tank_no = ?, location = ?, min_severity = ?, enabled = ?
+          WHERE id = ?;
+        `,
+        [
+          values.name,
+          values.tank_no,
+          values.location,
+          values.min_severity,
+          values.enabled,
+          id,
+        ]
+      );
+      if (result.affectedRows === 0) {
+        await conn.rollback();
+        return null;
+      }
+    }
+
+    await writeSteps(conn, policyId, steps);
+    await conn.commit();
+    return getPolicy(policyId);
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+export async function deletePolicy(id) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [result] = await conn.query(
+      "DELETE FROM escalation_policies WHERE id = ?",
+      [id]
+    );
+    await conn.query("DELETE FROM escalation_steps WHERE policy_id = ?", [id]);
+    await conn.commit();
+    return result.affectedRows > 0;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Most specific enabled policy for a tank (tank > location > all),
+ * with its steps. null if none applies.
+ */
+export async function findPolicy({ tank_no, location, severity }, db = pool) {
+  const [rows] = await db.query(
+    `
+      SELECT *
+      FROM escalation_policies
+      WHERE enabled = 1
+        AND (
+          tank_no = ?
+          OR (tank_no IS NULL AND location = ?)
+          OR (tank_no IS NULL AND location IS NULL)
+        )
+      ORDER BY tank_no IS NULL, location IS NULL, id
+      LIMIT 1;
+    `,
+    [tank_no, location ?? null]
+  );
+  if (!rows.length) return null;
+
+  const policy = await getPolicy(rows[0].id, db);
+  const applies =
+    ALERT_SEVERITIES.indexOf(severity) >=
+    ALERT_SEVERITIES.indexOf(policy.min_severity);
+  return applies ? policy : null;
+}
+
+// a step that came due while the tank was suppressed is recorded
+// without recipients, so it does not fire when the suppression ends
+async function skipStep(conn, alarm, policy, step, now, reason) {
+  const [claim] = await conn.query(
+    `
+      INSERT IGNORE INTO alarm_escalations
+        (alarm_id, policy_id, step_no, label, recipients, notified_at)
+      VALUES (?, ?, ?, ?, 0, ?);
+    `,
+    [alarm.id, policy.id, step.step_no, step.label, now]
+  );
+  if (claim.affectedRows === 0) return 0;
+
+  const label = step.label ? ` ${step.label}` : "";
+  await addAlarmEvent(conn, alarm.id, "ESCALATION_SKIPPED", {
+    level: alarm.alarm_level,
+    comment: `step ${step.step_no}${label} (${policy.name}): ${reason}`,
+    at: now,
+  });
+  console.log(
+    `[escalation] alarm #${alarm.id} ${alarm.tank_no} step ${step.step_no}${label}: skipped (${reason})`
+  );
+  return 1;
+}
+
+// fire one step for one alarm (inside `conn`'s transaction)
+async function fireStep(conn, alarm, policy, step, now) {
+  const [claim] = await conn.query(
+    `
+      INSERT IGNORE INTO alarm_escalations
+        (alarm_id, policy_id, step_no, label, recipients, notified_at)
+      VALUES (?, ?, ?, ?, 0, ?);
+    `,
+    [alarm.id, policy.id, step.step_no, step.label, now]
+  );
+  if (claim.affectedRows === 0) return 0; // already fired
+
+  const [users] = await conn.query(
+    "SELECT id, phone FROM users WHERE id IN (?) AND phone IS NOT NULL AND phone <> ''",
+    [step.user_ids]
+  );
+
+  const label = step.label ? ` ${step.label}` : "";
+  const message =
+    `ESCALATION ${step.step_no}${label}: ` +
+    alarmSmsText({
+      tank_no: alarm.tank_no,
+      location: alarm.location,
+      message: `${alarm.message} not acknowledged`,
+      severity: alarm.severity,
+      at: alarm.raised_at,
+    });
+
+  for (const u of users) {
+    await enqueueSms(
+      {
+        phone: u.phone,
+        message,
+        tank_no: alarm.tank_no,
+        alarm_id: alarm.id,
+        alarm_level: alarm.alarm_level,
+        severity: alarm.severity,
+        user_id: u.id,
+      },
+      conn
+    );
+  }
+
+  await conn.query(
+    "UPDATE alarm_escalations SET recipients = ? WHERE alarm_id = ? AND step_no = ?",
+    [users.length, alarm.id, step.step_no]
+  );
+  await addAlarmEvent(conn, alarm.id, "ESCALATED", {
+    level: alarm.alarm_level,
+    comment: `step ${step.step_no}${label} (${policy.name}): ${users.length} contact(s)`,
+    at: now,
+  });
+
+  console.log(
+    `[escalation] alarm #${alarm.id} ${alarm.tank_no} step ${step.step_no}${label}: ${users.length} SMS queued`
+  );
+  return 1;
+}
+
+/**
+ * One scheduler pass. returns { alarms, steps_fired }
+ */
+export async function runEscalations(now = new Date()) {
+  // a shelve that ran out puts the alarm back on the clock
+  await expireShelvedAlarms();
+
+  const [alarms] = await pool.query(
+    `
+      SELECT a.*, m.location
+      FROM alarms a
+      LEFT JOIN (
+        SELECT tank_no, MAX(location) AS location
+        FROM Master_Tables
+        GROUP BY tank_no
+      ) m ON m.tank_no = a.tank_no
+      WHERE a.state = 'ACTIVE';
+    `
+  );
+
+  let fired = 0;
+
+  for (const alarm of alarms) {
+    const policy = await findPolicy(alarm);
+    if (!policy) continue;
+
+    // maintenance / alerts disabled: steps coming due are skipped, the
+    // later ones still fire once the suppression ends
+    const suppressed = await suppressionReason(alarm.tank_no);
+
+    const elapsedMin = (now.getTime() - new Date(alarm.raised_at).getTime()) / 60000;
+    const due = policy.steps.filter((s) => s.delay_minutes <= elapsedMin);
+    if (!due.length) continue;
+
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+
+      // still ACTIVE? (an operator may have acknowledged it meanwhile)
+      const [[current]] = await conn.query(
+        "SELECT state FROM alarms WHERE id = ? FOR UPDATE",
+        [alarm.id]
+      );
+      if (current?.state === "ACTIVE") {
+        for (const step of due) {
+          if (suppressed) {
+            await skipStep(conn, alarm, policy, step, now, suppressed);
+          } else {
+            fired += await fireStep(conn, alarm, policy, step, now);
+          }
+        }
+      }
+
+      await conn.commit();
+    } catch (err) {
+      await conn.rollback();
+      console.error(`[escalation] alarm #${alarm.id} FAILED:`, err.message || err);
+    } finally {
+      conn.release();
+    }
+  }
+
+  return { alarms: alarms.length, steps_fired: fired };
+}
+
+/* ---------- scheduler ---------- */
+
+let timer = null;
+let running = false;
+
+export function startEscalationScheduler() {
+  if (timer) return timer;
+
+  const intervalMs = Math.max(
+    5000,
+    Number(process.env.ESCALATION_INTERVAL_MS || 60000)
+  );
+
+  timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runEscalations();
+    } catch (err) {
+      console.error("[escalation] run FAILED:", err.message || err);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref?.();
+
+  console.log(`[escalation] scheduler started (every ${intervalMs} ms)`);
+  return timer;
+}
+
+export function stopEscalationScheduler() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
@@ -0,0 +1,151 @@
+// services/forecast.js
+import { pool } from "../db.js";
+import { segmentEvents, dailyTotals } from "../utils/consumption.js";
+import { usageDays, forecastTank } from "../utils/forecast.js";
+import { limitContext, safeLimits } from "../utils/safeLimits.js";
+import { loadVolumeSeries } from "./volumeHistory.js";
+import { segmentationConfig } from "./consumption.js";
+
+/**
+ * Time to the Low limit, empty and full for a tank (projection:
+ * utils/forecast.js), fitted on the complete days of the lookback.
+ *
+ * Env:
+ *   FORECAST_LOOKBACK_DAYS  days of history fitted (14)
+ *   FORECAST_MAX_DAYS       horizon; later times are BEYOND_HORIZON (90)
+ *   FORECAST_SEASONAL       1 = per-weekday rates by default (0)
+ *   FORECAST_CACHE_MS       how long /api/tank-current/all?forecast=1
+ *                           reuses a forecast (600000, 0 = never)
+ */
+
+export const MAX_LOOKBACK_DAYS = 90;
+
+export function forecastDefaults() {
+  return {
+    lookback_days: Number(process.env.FORECAST_LOOKBACK_DAYS || 14),
+    max_days: Number(process.env.FORECAST_MAX_DAYS || 90),
+    seasonal: process.env.FORECAST_SEASONAL === "1",
+  };
+}
+
+/**
+ * Forecast of one tank.
+ * opts = { lookback_days?, seasonal?, max_days? } (defaults: forecastDefaults)
+ *
+ * returns null if the tank has no Tank_Parameters, else
+ * {
+ *   tank_no, computed_at,
+ *   lookback: { from, to, days, usable_days },
+ *   current: { volume_l, at } | null,     // null = no reading in the lookback
+ *   targets: { low_l, full_l },
+ *   confidence, fit, net_fit, filling,
+ *   time_to_low, time_to_empty, time_to_full,
+ *   samples: [{ date, weekday, consumed_l, refilled_l, covered_hours, usable }]
+ * }
+ */
+export async function tankForecast(tankNo, opts = {}, db = pool) {
+  const cfg = { ...forecastDefaults(), ...opts };
+  const now = new Date();
+  const until = new Date(now);
+  until.setHours(0, 0, 0, 0);
+  const from = new Date(until);
+  from.setDate(from.getDate() - cfg.lookback_days);
+
+  const series = await loadVolumeSeries(tankNo, { from, to: now }, db);
+  if (!series) return null;
+
+  const ctx = limitContext(series.params, series.chart);
+  const limits = safeLimits(series.params, ctx);
+  const targets = { low_l: limits.lower_l, full_l: ctx.capacityL };
+
+  const events = segmentEvents(series.points, segmentationConfig(series.capacity_l));
+  const days = usageDays(series.points, dailyTotals(events), { from, until });
+  const last = series.points[series.points.length - 1];
+
+  const base = {
+    tank_no: tankNo,
+    computed_at: now,
+    lookback: {
+      from,
+      to: until,
+      days: cfg.lookback_days,
+      usable_days: days.filter((d) => d.usable).length,
+    },
+    current: last
+      ? { volume_l: Number(last.volume_l.toFixed(1)), at: last.date_time }
+      : null,
+    targets,
+  };
+
+  if (!last) {
+    return {
+      ...base,
+      confidence: null,
+      fit: null,
+      net_fit: null,
+      filling: null,
+      time_to_low: null,
+      time_to_empty: null,
+      time_to_full: null,
+      samples: days,
+    };
+  }
+
+  const forecast = forecastTank(
+    { volume_l: last.volume_l, at: last.date_time, ...targets },
+    days,
+    events,
+    { seasonal: cfg.seasonal, max_days: cfg.max_days, now }
+  );
+
+  return { ...base, ...forecast, samples: days };
+}
+
+// compact form for the tank list
+function summary(f) {
+  const eta = (t) =>
+    t && {
+      status: t.status,
+      expected_at: t.expected_at,
+      earliest_at: t.earliest_at,
+      latest_at: t.latest_at,
+      hours: t.hours,
+    };
+  return {
+    computed_at: f.computed_at,
+    mean_l_per_day: f.fit?.mean_l_per_day ?? null,
+    filling: f.filling != null,
+    time_to_low: eta(f.time_to_low),
+    time_to_empty: eta(f.time_to_empty),
+    time_to_full: eta(f.time_to_full),
+  };
+}
+
+const cache = new Map(); // tank_no -> { at, value }
+
+/**
+ * Default forecasts of several tanks (compact form), reused for
+ * FORECAST_CACHE_MS. A tank whose forecast fails is logged and left out.
+ * returns Map tank_no -> summary | null
+ */
+export async function forecastSummaries(tankNos) {
+  const ttl = Number(process.env.FORECAST_CACHE_MS ?? 600000);
+  const out = new Map();
+
+  for (const tankNo of new Set(tankNos.filter(Boolean))) {
+    const hit = cache.get(tankNo);
+    if (hit && Date.now() - hit.at < ttl) {
+      out.set(tankNo, hit.value);
+      continue;
+    }
+    try {
+      const f = await tankForecast(tankNo);
+      const value = f && f.current ? summary(f) : null;
+      cache.set(tankNo, { at: Date.now(), value });
+      out.set(tankNo, value);
+    } catch (err) {
+      console.error(`[forecast] ${tankNo} failed:`, err.message);
+    }
+  }
+  return out;
+}
@@ -0,0 +1,798 @@
+// services/ingest.js
+import crypto from "crypto";
+import { pool } from "../db.js";
+import { deriveTankStatus } from "./tankStatus.js";
+import { markRollupsStale } from "./rollups.js";
+import {
+  checkReading,
+  loadTankValidation,
+  loadReadingHistory,
+  insertQuarantine,
+  getQuarantine,
+  resolveQuarantine,
+} from "./readingValidation.js";
+import { validateReading } from "../utils/readingValidation.js";
+import { parseReadingTime } from "../utils/readingTime.js";
+
+// how long a seq / message_id is remembered (ingest_dedupe.received_at)
+const DEDUPE_HOURS = Math.max(1, Number(process.env.INGEST_DEDUPE_HOURS || 72));
+
+/**
+ * Dedupe key of a reading: message_id wins over seq.
+ *
+ * seq is scoped to the device session: with boot_id (the device's boot
+ * counter or a random id per power-up) the key is "seq:<boot_id>:<seq>",
+ * so a counter that restarts after a reboot is not taken for repeats.
+ * Without boot_id, seq only dedupes within the retention window below.
+ *
+ * Keys are remembered for INGEST_DEDUPE_HOURS (default 72): an older key
+ * is claimed afresh and pruneIngestDedupe deletes it. Later repeats of
+ * a stored reading are still caught by device_id + date_time.
+ *
+ * returns { key } | { key: null } | { error }
+ */
+export function messageKey(reading) {
+  const messageId = reading?.message_id;
+  const seq = reading?.seq;
+  const bootId = reading?.boot_id;
+
+  if (messageId !== undefined && messageId !== null && messageId !== "") {
+    const id = String(messageId).trim();
+    if (!id || id.length > 100) return { error: "INVALID_MESSAGE_ID" };
+    return { key: `id:${id}` };
+  }
+
+  if (seq !== undefined && seq !== null && seq !== "") {
+    const n = Number(seq);
+    if (!Number.isSafeInteger(n) || n < 0) return { error: "INVALID_SEQ" };
+    if (bootId === undefined || bootId === null || bootId === "") {
+      return { key: `seq:${n}` };
+    }
+    const boot = String(bootId).trim();
+    if (!boot || boot.length > 64) return { error: "INVALID_BOOT_ID" };
+    return { key: `seq:${boot}:${n}` };
+  }
+
+  return { key: null };
+}
+
+/**
+ * date_time of a reading: absent (required = false: the server time is
+ * used) or a strict date-time (utils/readingTime.js). The parsed Date is
+ * what gets stored and compared, never the raw input.
+ * returns { date_time: Date | null } | { error }
+ */
+export function checkDateTime(value, { required = false } = {}) {
+  if (value === undefined || value === null || value === "") {
+    return required ? { error: "MISSING_DATE_TIME" } : { date_time: null };
+  }
+  const dateTime = parseReadingTime(value);
+  return dateTime ? { date_time: dateTime } : { error: "INVALID_DATE_TIME" };
+}
+
+/**
+ * Claims keys in ingest_dedupe: [device_id, message_key, tank_no,
+ * date_time, batch_id] rows. A key claimed within DEDUPE_HOURS is left
+ * alone (affectedRows 0), an expired one is taken over (affectedRows 2).
+ */
+async function claimKeys(conn, rows) {
+  const expired = "received_at < NOW() - INTERVAL ? HOUR";
+  const [result] = await conn.query(
+    `
+      INSERT INTO ingest_dedupe
+        (device_id, message_key, tank_no, date_time, batch_id)
+      VALUES ?
+      ON DUPLICATE KEY UPDATE
+        tank_no     = IF(${expired}, VALUES(tank_no), tank_no),
+        date_time   = IF(${expired}, VALUES(date_time), date_time),
+        batch_id    = IF(${expired}, VALUES(batch_id), batch_id),
+        received_at = IF(${expired}, NOW(), received_at);
+    `,
+    [rows, DEDUPE_HOURS, DEDUPE_HOURS, DEDUPE_HOURS, DEDUPE_HOURS]
+  );
+  return result;
+}
+
+// the device already has a reading at that date_time (primary key)
+const isDuplicate = (err) => err?.code === "ER_DUP_ENTRY" || err?.errno === 1062;
+
+/**
+ * Plain multi-row INSERT into Transaction_Table, so bad values fail the
+ * statement instead of being coerced; a duplicate key throws
+ * ER_DUP_ENTRY (isDuplicate) and writes none of the rows.
+ */
+async function insertReadings(conn, rows) {
+  await conn.query(
+    `
+      INSERT INTO Transaction_Table
+        (device_id, tank_no, location, ultra_height, lidar_height, ul_status,
+         date_time)
+      VALUES
+        ${rows.map(() => "(?, ?, ?, ?, ?, ?, COALESCE(?, NOW()))").join(",\n        ")};
+    `,
+    rows.flatMap((r) => [
+      r.device_id,
+      r.tank_no,
+      r.location,
+      r.ultra_height ?? null,
+      r.lidar_height ?? null,
+      r.ul_status ?? null,
+      r.date_time ?? null,
+    ])
+  );
+}
+
+/**
+ * Transaction_Table row + tank_status for one (validated) reading.
+ * Must run on a connection inside a transaction.
+ *
+ * Stored history is never rewritten: when the device already has a
+ * reading at date_time, nothing is written and status is null
+ * (affectedRows 0).
+ */
+async function writeReading(conn, r) {
+  try {
+    await insertReadings(conn, [r]);
+  } catch (err) {
+    if (isDuplicate(err)) return { affectedRows: 0, status: null };
+    throw err;
+  }
+
+  // without date_time the reading is NOW(), never behind the rollups
+  if (r.date_time) await markRollupsStale(r.tank_no, r.date_time, conn);
+
+  const status = await deriveTankStatus(
+    {
+      tank_no: r.tank_no,
+      location: r.location,
+      ultra_height: r.ultra_height,
+      lidar_height: r.lidar_height,
+      ul_status: r.ul_status,
+      date_time: r.date_time,
+    },
+    conn
+  );
+
+  return { affectedRows: 1, status };
+}
+
+/**
+ * In-process ingestion of one device reading:
+ *   1) validate device_id against Master_Tables
+ *      (tank_no / location default to the master row)
+ *   2) validation stage (range / rate of change / spike,
+ *      see services/readingValidation.js)
+ *   3) claim seq / message_id in ingest_dedupe (if the reading has one)
+ *   4) write Transaction_Table
+ *   5) derive tank_status
+ *
+ * Steps 3-5 run in ONE DB transaction, so a reading is never stored
+ * without its status row (and vice versa). A retransmitted packet
+ * (same device_id + seq / message_id, or a device_id + date_time that
+ * is already stored) is answered with result "DUPLICATE_IGNORED" and
+ * touches nothing.
+ *
+ * A suspicious reading is either written and FLAGGED, or held back in
+ * reading_quarantine (result "QUARANTINED"), depending on the tank's
+ * validation_mode.
+ *
+ * Used by POST /api/transactions and the MQTT subscriber.
+ * Bad input (unknown device, bad seq, ...) is returned as
+ * { accepted: false, error }, DB failures are thrown (after rollback).
+ */
+export async function recordReading(reading) {
+  const { device_id, ultra_height, lidar_height, ul_status, date_time } =
+    reading || {};
+
+  if (!device_id) {
+    return { accepted: false, error: "MISSING_DEVICE_ID" };
+  }
+
+  const dedupe = messageKey(reading);
+  if (dedupe.error) {
+    return { accepted: false, error: dedupe.error, device_id };
+  }
+
+  const time = checkDateTime(date_time);
+  if (time.error) {
+    return { accepted: false, error: time.error, device_id };
+  }
+
+  const [devRows] = await pool.query(
+    "SELECT tank_no, location FROM Master_Tables WHERE device_id = ? LIMIT 1",
+    [device_id]
+  );
+
+  if (devRows.length === 0) {
+    return { accepted: false, error: "UNKNOWN_DEVICE_ID", device_id };
+  }
+
+  const tank_no = reading.tank_no || devRows[0].tank_no;
+  const location = reading.location || devRows[0].location;
+
+  if (!tank_no || !location) {
+    return { accepted: false, error: "MISSING_FIELDS", device_id };
+  }
+
+  const r = {
+    device_id,
+    tank_no,
+    location,
+    ultra_height: ultra_height ?? null,
+    lidar_height: lidar_height ?? null,
+    ul_status: ul_status ?? null,
+    date_time: time.date_time,
+    message_key: dedupe.key,
+  };
+
+  const validation = await checkReading(r);
+
+  const conn = await pool.getConnection();
+
+  try {
+    await conn.beginTransaction();
+
+    if (dedupe.key) {
+      const claim = await claimKeys(conn, [
+        [device_id, dedupe.key, tank_no, r.date_time, null],
+      ]);
+
+      if (claim.affectedRows === 0) {
+        await conn.commit();
+        return {
+          accepted: true,
+          result: "DUPLICATE_IGNORED",
+          device_id,
+          tank_no,
+          message_key: dedupe.key,
+          affectedRows: 0,
+        };
+      }
+    }
+
+    if (!validation.ok && validation.mode === "quarantine") {
+      const quarantineId = await insertQuarantine(
+        conn,
+        r,
+        "QUARANTINED",
+        validation.reasons
+      );
+      await conn.commit();
+
+      console.warn("[ingest] reading QUARANTINED:", {
+        device_id,
+        tank_no,
+        ultra_height,
+        reasons: validation.reasons.map((x) => x.code),
+      });
+
+      return {
+        accepted: true,
+        result: "QUARANTINED",
+        device_id,
+        tank_no,
+        message_key: dedupe.key,
+        affectedRows: 0,
+        quarantine_id: quarantineId,
+        validation,
+      };
+    }
+
+    const { affectedRows, status } = await writeReading(conn, r);
+
+    if (affectedRows === 0) {
+      await conn.commit();
+      return {
+        accepted: true,
+        result: "DUPLICATE_IGNORED",
+        device_id,
+        tank_no,
+        message_key: dedupe.key,
+        affectedRows: 0,
+      };
+    }
+
+    if (!validation.ok) {
+      await insertQuarantine(conn, r, "FLAGGED", validation.reasons);
+    }
+
+    await conn.commit();
+
+    return {
+      accepted: true,
+      result: "INSERTED",
+      device_id,
+      tank_no,
+      message_key: dedupe.key,
+      affectedRows,
+      tank_status: status.debug.tankStatus,
+      tank_alert_message: status.debug.tankAlertMessage,
+      alarm_level: status.status.alarm_level,
+      severity: status.status.severity,
+      validation,
+    };
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+// rows per multi-row INSERT statement
+const BATCH_INSERT_CHUNK = 500;
+
+/**
+ * Batch ingestion for gateways flushing buffered readings.
+ *
+ * - every item is validated (device_id known in Master_Tables,
+ *   tank_no / location defaulted from the master row, date_time
+ *   required: buffered readings need their own time)
+ * - items carrying seq / message_id are claimed in ingest_dedupe;
+ *   repeats (in this batch or earlier) become DUPLICATE_IGNORED
+ * - so do items whose device_id + date_time is already stored or
+ *   came earlier in the batch (stored history is never rewritten)
+ * - new items go through the validation stage oldest first, each one
+ *   compared with the readings before it (stored + earlier in the batch);
+ *   suspicious ones are FLAGGED or QUARANTINED per validation_mode
+ * - the rest are written with multi-row INSERTs
+ * - tank_status is derived for each written item, oldest first
+ * - tank rollups go back to the oldest written item (markRollupsStale)
+ *
+ * Writes run in ONE DB transaction (all new items or none).
+ *
+ * returns {
+ *   accepted, duplicates, quarantined, rejected,
+ *   results: [{ index, device_id,
+ *               result: "ACCEPTED" | "DUPLICATE_IGNORED" | "QUARANTINED"
+ *                       | "REJECTED",
+ *               error?, flags?, reasons?, tank_status?, tank_alert_message?,
+ *               alarm_level?, severity? }]
+ * }
+ */
+export async function recordReadingsBatch(readings) {
+  const items = Array.isArray(readings) ? readings : [];
+  const results = items.map((r, index) => ({
+    index,
+    device_id: r?.device_id ?? null,
+    result: "REJECTED",
+  }));
+
+  // ---------- 1) validate against Master_Tables (one query) ----------
+  const deviceIds = [
+    ...new Set(items.map((r) => r?.device_id).filter(Boolean)),
+  ];
+  const masters = new Map();
+
+  if (deviceIds.length > 0) {
+    const [devRows] = await pool.query(
+      "SELECT device_id, tank_no, location FROM Master_Tables WHERE device_id IN (?)",
+      [deviceIds]
+    );
+    devRows.forEach((d) => masters.set(String(d.device_id), d));
+  }
+
+  const valid = [];
+  const seenKeys = new Set();
+  const seenTimes = new Set();
+
+  items.forEach((r, index) => {
+    if (!r || typeof r !== "object" || Array.isArray(r)) {
+      results[index].error = "INVALID_ITEM";
+      return;
+    }
+    if (!r.device_id) {
+      results[index].error = "MISSING_DEVICE_ID";
+      return;
+    }
+
+    const dedupe = messageKey(r);
+    if (dedupe.error) {
+      results[index].error = dedupe.error;
+      return;
+    }
+
+    const master = masters.get(String(r.device_id));
+    if (!master) {
+      results[index].error = "UNKNOWN_DEVICE_ID";
+      return;
+    }
+
+    const tank_no = r.tank_no || master.tank_no;
+    const location = r.location || master.location;
+    if (!tank_no || !location) {
+      results[index].error = "MISSING_FIELDS";
+      return;
+    }
+
+    const time = checkDateTime(r.date_time, { required: true });
+    if (time.error) {
+      results[index].error = time.error;
+      return;
+    }
+
+    // same packet twice in one flush
+    if (dedupe.key) {
+      const seen = `${r.device_id}\u0000${dedupe.key}`;
+      if (seenKeys.has(seen)) {
+        results[index].result = "DUPLICATE_IGNORED";
+        return;
+      }
+      seenKeys.add(seen);
+    }
+
+    // same reading time twice in one flush (Transaction_Table key)
+    const seenTime = `${r.device_id}\u0000${time.date_time.getTime()}`;
+    if (seenTimes.has(seenTime)) {
+      results[index].result = "DUPLICATE_IGNORED";
+      return;
+    }
+    seenTimes.add(seenTime);
+
+    valid.push({
+      index,
+      device_id: r.device_id,
+      message_key: dedupe.key,
+      tank_no,
+      location,
+      ultra_height: r.ultra_height ?? null,
+      lidar_height: r.lidar_height ?? null,
+      ul_status: r.ul_status ?? null,
+      date_time: time.date_time,
+    });
+  });
+
+  const summary = () => ({
+    accepted: results.filter((r) => r.result === "ACCEPTED").length,
+    duplicates: results.filter((r) => r.result === "DUPLICATE_IGNORED").length,
+    quarantined: results.filter((r) => r.result === "QUARANTINED").length,
+    rejected: results.filter((r) => r.result === "REJECTED").length,
+    results,
+  });
+
+  if (valid.length === 0) return summary();
+
+  const conn = await pool.getConnection();
+
+  try {
+    await conn.beginTransaction();
+
+    // ---------- 2) claim seq / message_id keys ----------
+    // claimKeys tagged with a batch id, then read back which keys
+    // this batch actually owns (the others were seen before).
+    const keyed = valid.filter((v) => v.message_key);
+    let fresh = valid;
+
+    if (keyed.length > 0) {
+      const batchId = crypto.randomUUID();
+
+      for (let i = 0; i < keyed.length; i += BATCH_INSERT_CHUNK) {
+        const chunk = keyed.slice(i, i + BATCH_INSERT_CHUNK);
+        await claimKeys(
+          conn,
+          chunk.map((k) => [
+            k.device_id,
+            k.message_key,
+            k.tank_no,
+            k.date_time,
+            batchId,
+          ])
+        );
+      }
+
+      const [claimed] = await conn.query(
+        "SELECT device_id, message_key FROM ingest_dedupe WHERE batch_id = ?",
+        [batchId]
+      );
+      const owned = new Set(
+        claimed.map((c) => `${c.device_id}\u0000${c.message_key}`)
+      );
+
+      fresh = valid.filter((v) => {
+        if (!v.message_key) return true;
+        if (owned.has(`${v.device_id}\u0000${v.message_key}`)) return true;
+        results[v.index].result = "DUPLICATE_IGNORED";
+        return false;
+      });
+    }
+
+    // ---------- 3) drop readings already stored ----------
+    const stored = new Set();
+
+    for (let i = 0; i < fresh.length; i += BATCH_INSERT_CHUNK) {
+      const chunk = fresh.slice(i, i + BATCH_INSERT_CHUNK);
+      const [rows] = await conn.query(
+        `
+          SELECT device_id, date_time
+          FROM Transaction_Table
+          WHERE (device_id, date_time) IN (?);
+        `,
+        [chunk.map((v) => [v.device_id, v.date_time])]
+      );
+      rows.forEach((row) =>
+        stored.add(`${row.device_id}\u0000${new Date(row.date_time).getTime()}`)
+      );
+    }
+
+    if (stored.size > 0) {
+      fresh = fresh.filter((v) => {
+        if (!stored.has(`${v.device_id}\u0000${v.date_time.getTime()}`)) {
+          return true;
+        }
+        results[v.index].result = "DUPLICATE_IGNORED";
+        return false;
+      });
+    }
+
+    // status rows are derived oldest → newest so the latest one wins
+    const chronological = [...fresh].sort(
+      (a, b) =>
+        a.date_time - b.date_time || a.index - b.index
+    );
+
+    // ---------- 4) validation stage (oldest first, per device) ----------
+    const ordered = [];
+    const tankValidation = new Map();
+    const deviceHistory = new Map();
+
+    for (const a of chronological) {
+      if (!tankValidation.has(a.tank_no)) {
+        tankValidation.set(a.tank_no, await loadTankValidation(a.tank_no, conn));
+      }
+      const { cfg, maxDistanceM } = tankValidation.get(a.tank_no);
+
+      if (cfg.mode === "off") {
+        ordered.push(a);
+        continue;
+      }
+
+      if (!deviceHistory.has(a.device_id)) {
+        deviceHistory.set(
+          a.device_id,
+          await loadReadingHistory(
+            a.device_id,
+            a.date_time,
+            Math.max(cfg.spikeWindow, 1),
+            conn
+          )
+        );
+      }
+      const history = deviceHistory.get(a.device_id);
+
+      const verdict = validateReading(a, maxDistanceM, history, cfg);
+
+      // raw history: later items of this batch compare against this one
+      history.unshift({
+        ultra_height: a.ultra_height,
+        date_time: a.date_time,
+      });
+
+      if (verdict.ok) {
+        ordered.push(a);
+      } else if (cfg.mode === "quarantine") {
+        const quarantineId = await insertQuarantine(
+          conn,
+          a,
+          "QUARANTINED",
+          verdict.reasons
+        );
+        Object.assign(results[a.index], {
+          result: "QUARANTINED",
+          tank_no: a.tank_no,
+          quarantine_id: quarantineId,
+          reasons: verdict.reasons,
+        });
+      } else {
+        await insertQuarantine(conn, a, "FLAGGED", verdict.reasons);
+        results[a.index].flags = verdict.reasons;
+        ordered.push(a);
+      }
+    }
+
+    // ---------- 5) write Transaction_Table + tank_status ----------
+    // a duplicate here was stored by another writer since step 3: that
+    // chunk is written again row by row
+    const written = [];
+    for (let i = 0; i < ordered.length; i += BATCH_INSERT_CHUNK) {
+      const chunk = ordered.slice(i, i + BATCH_INSERT_CHUNK);
+      try {
+        await insertReadings(conn, chunk);
+        written.push(...chunk);
+      } catch (err) {
+        if (!isDuplicate(err)) throw err;
+        for (const a of chunk) {
+          try {
+            await insertReadings(conn, [a]);
+            written.push(a);
+          } catch (rowErr) {
+            if (!isDuplicate(rowErr)) throw rowErr;
+            results[a.index].result = "DUPLICATE_IGNORED";
+          }
+        }
+      }
+    }
+
+    // late readings: rollups of the tank go back to the oldest one
+    const oldest = new Map();
+    for (const a of written) {
+      const t = a.date_time;
+      if (!(oldest.get(a.tank_no) <= t)) oldest.set(a.tank_no, t);
+    }
+    for (const [tankNo, t] of oldest) {
+      await markRollupsStale(tankNo, t, conn);
+    }
+
+    for (const a of written) {
+      const status = await deriveTankStatus(
+        {
+          tank_no: a.tank_no,
+          location: a.location,
+          ultra_height: a.ultra_height,
+          lidar_height: a.lidar_height,
+          ul_status: a.ul_status,
+          date_time: a.date_time,
+        },
+        conn
+      );
+
+      Object.assign(results[a.index], {
+        result: "ACCEPTED",
+        tank_no: a.tank_no,
+        tank_status: status.debug.tankStatus,
+        tank_alert_message: status.debug.tankAlertMessage,
+        alarm_level: status.status.alarm_level,
+        severity: status.status.severity,
+      });
+    }
+
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+
+  return summary();
+}
+
+/**
+ * Operator "accept" on a quarantined reading: write it to
+ * Transaction_Table + tank_status as if it had passed validation.
+ *
+ * returns { ok, error?, ... }
+ */
+export async function acceptQuarantinedReading(id, resolvedBy, note) {
+  const conn = await pool.getConnection();
+
+  try {
+    await conn.beginTransaction();
+
+    const q = await getQuarantine(id, conn, true);
+    if (!q) {
+      await conn.rollback();
+      return { ok: false, error: "NOT_FOUND" };
+    }
+    if (q.status !== "QUARANTINED") {
+      await conn.rollback();
+      return { ok: false, error: "NOT_QUARANTINED", status: q.status };
+    }
+
+    const { affectedRows, status } = await writeReading(conn, q);
+    if (affectedRows === 0) {
+      await conn.rollback();
+      return { ok: false, error: "ALREADY_STORED", date_time: q.date_time };
+    }
+    await resolveQuarantine(conn, id, "ACCEPTED", resolvedBy, note);
+
+    await conn.commit();
+
+    return {
+      ok: true,
+      id: q.id,
+      device_id: q.device_id,
+      tank_no: q.tank_no,
+      affectedRows,
+      tank_status: status.debug.tankStatus,
+      tank_alert_message: status.debug.tankAlertMessage,
+    };
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Operator "discard" on a quarantined reading (kept for audit).
+ */
+export async function discardQuarantinedReading(id, resolvedBy, note) {
+  const conn = await pool.getConnection();
+
+  try {
+    await conn.beginTransaction();
+
+    const q = await getQuarantine(id, conn, true);
+    if (!q) {
+      await conn.rollback();
+      return { ok: false, error: "NOT_FOUND" };
+    }
+    if (q.status !== "QUARANTINED") {
+      await conn.rollback();
+      return { ok: false, error: "NOT_QUARANTINED", status: q.status };
+    }
+
+    await resolveQuarantine(conn, id, "DISCARDED", resolvedBy, note);
+    await conn.commit();
+
+    return { ok: true, id: q.id };
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+// rows per DELETE of the dedupe pruner
+const PRUNE_CHUNK = 5000;
+
+/**
+ * Deletes ingest_dedupe keys older than INGEST_DEDUPE_HOURS.
+ * returns the number of rows deleted
+ */
+export async function pruneIngestDedupe() {
+  let total = 0;
+  for (;;) {
+    const [result] = await pool.query(
+      `
+        DELETE FROM ingest_dedupe
+        WHERE received_at < NOW() - INTERVAL ? HOUR
+        LIMIT ?;
+      `,
+      [DEDUPE_HOURS, PRUNE_CHUNK]
+    );
+    total += result.affectedRows;
+    if (result.affectedRows < PRUNE_CHUNK) return total;
+  }
+}
+
+let pruneTimer = null;
+let pruning = false;
+
+/**
+ * Prunes ingest_dedupe every INGEST_DEDUPE_PRUNE_MS (default 1 h).
+ */
+export function startDedupePruner() {
+  if (pruneTimer) return pruneTimer;
+
+  const intervalMs = Math.max(
+    60000,
+    Number(process.env.INGEST_DEDUPE_PRUNE_MS || 3600000)
+  );
+
+  pruneTimer = setInterval(async () => {
+    if (pruning) return;
+    pruning = true;
+    try {
+      const deleted = await pruneIngestDedupe();
+      if (deleted > 0) console.log(`[ingest] pruned ${deleted} dedupe keys`);
+    } catch (err) {
+      console.error("[ingest] dedupe prune FAILED:", err.message || err);
+    } finally {
+      pruning = false;
+    }
+  }, intervalMs);
+  pruneTimer.unref?.();
+
+  console.log(
+    `[ingest] dedupe pruner started (every ${intervalMs} ms, keep ${DEDUPE_HOURS} h)`
+  );
+  return pruneTimer;
+}
+
+export function stopDedupePruner() {
+  if (pruneTimer) clearInterval(pruneTimer);
+  pruneTimer = null;
+}
@@ -0,0 +1,286 @@
+// services/migrations.js
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+
+/**
+ * Versioned schema migrations.
+ *
+ * migrations/NNN_name.up.sql    applied by "up", in version order
+ * migrations/NNN_name.down.sql  reverts it (optional => irreversible)
+ *
+ * Applied versions are recorded in schema_migrations together with a
+ * checksum of the up script, so an edited migration shows up in
+ * "status". MySQL commits DDL implicitly, so a migration is NOT atomic:
+ * keep each one small, and write it so a re-run after a failure is safe
+ * where possible (IF NOT EXISTS etc.).
+ *
+ * Every function takes a connection opened with multipleStatements
+ * (see migrate.js) – the app pool does not allow that.
+ */
+
+export const MIGRATIONS_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "migrations"
+);
+
+const FILE_RE = /^(\d{3,})_([a-z0-9_]+)\.(up|down)\.sql$/;
+const LOCK_NAME = "schema_migrations";
+
+function checksum(sql) {
+  return crypto.createHash("sha256").update(sql).digest("hex");
+}
+
+// "-- comment only" files would make MySQL fail with "Query was empty"
+function hasStatements(sql) {
+  return sql
+    .replace(/\/\*[\s\S]*?\*\//g, "")
+    .split(/\r?\n/)
+    .some((line) => {
+      const t = line.trim();
+      return t && !t.startsWith("--") && !t.startsWith("#");
+    });
+}
+
+/**
+ * Migration files on disk, sorted by version.
+ * returns [{ version, name, upFile, downFile, checksum }]
+ */
+export async function listMigrations(dir = MIGRATIONS_DIR) {
+  const files = await fs.readdir(dir);
+  const byVersion = new Map();
+
+  for (const file of files) {
+    const m = FILE_RE.exec(file);
+    if (!m) continue;
+
+    const version = Number(m[1]);
+    const entry = byVersion.get(version) || { version, name: m[2] };
+
+    if (entry.name !== m[2]) {
+      throw new Error(
+        `migration ${m[1]} has two names: ${entry.name} and ${m[2]}`
+      );
+    }
+    entry[m[3] === "up" ? "upFile" : "downFile"] = path.join(dir, file);
+    byVersion.set(version, entry);
+  }
+
+  const migrations = [...byVersion.values()].sort(
+    (a, b) => a.version - b.version
+  );
+
+  for (const m of migrations) {
+    if (!m.upFile) {
+      throw new Error(`migration ${m.version}_${m.name} has no .up.sql`);
+    }
+    m.checksum = checksum(await fs.readFile(m.upFile, "utf8"));
+    m.downFile = m.downFile || null;
+  }
+
+  return migrations;
+}
+
+export async function ensureMigrationsTable(conn) {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version    INT          NOT NULL PRIMARY KEY,
+      name       VARCHAR(100) NOT NULL,
+      checksum   CHAR(64)     NOT NULL,
+      applied_at TIMESTAMP    NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+/**
+ * Map version → schema_migrations row
+ */
+export async function loadAppliedMigrations(conn) {
+  await ensureMigrationsTable(conn);
+  const [rows] = await conn.query(
+    "SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version"
+  );
+  return new Map(rows.map((r) => [Number(r.version), r]));
+}
+
+// one runner per database at a time
+async function withLock(conn, fn) {
+  const [[{ got }]] = await conn.query("SELECT GET_LOCK(?, 30) AS got", [
+    LOCK_NAME,
+  ]);
+  if (got !== 1) {
+    throw new Error("another migration run holds the schema_migrations lock");
+  }
+  try {
+    return await fn();
+  } finally {
+    await conn.query("SELECT RELEASE_LOCK(?)", [LOCK_NAME]);
+  }
+}
+
+async function runFile(conn, file) {
+  const sql = await fs.readFile(file, "utf8");
+  if (hasStatements(sql)) await conn.query(sql);
+}
+
+/**
+ * returns [{ version, name, applied, applied_at, changed }] plus
+ * applied versions whose files are gone (missing: true)
+ */
+export async function migrationStatus(conn, dir = MIGRATIONS_DIR) {
+  const migrations = await listMigrations(dir);
+  const applied = await loadAppliedMigrations(conn);
+
+  const rows = migrations.map((m) => {
+    const a = applied.get(m.version);
+    return {
+      version: m.version,
+      name: m.name,
+      applied: !!a,
+      applied_at: a ? a.applied_at : null,
+      changed: !!a && a.checksum !== m.checksum,
+      reversible: !!m.downFile,
+    };
+  });
+
+  for (const [version, a] of applied) {
+    if (!migrations.some((m) => m.version === version)) {
+      rows.push({
+        version,
+        name: a.name,
+        applied: true,
+        applied_at: a.applied_at,
+        missing: true,
+      });
+    }
+  }
+
+  return rows.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Apply pending migrations up to and including `to` (default: all).
+ * returns the applied [{ version, name }]
+ */
+export async function migrateUp(
+  conn,
+  { to = Infinity, dir = MIGRATIONS_DIR, log = console.log } = {}
+) {
+  return withLock(conn, async () => {
+    const migrations = await listMigrations(dir);
+    const applied = await loadAppliedMigrations(conn);
+    const done = [];
+
+    for (const m of migrations) {
+      if (m.version > to || applied.has(m.version)) continue;
+
+      log(`[migrate] up   ${m.version}_${m.name}`);
+      await runFile(conn, m.upFile);
+      await conn.query(
+        "INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)",
+        [m.version, m.name, m.checksum]
+      );
+      done.push({ version: m.version, name: m.name });
+    }
+
+    return done;
+  });
+}
+
+/**
+ * Revert the last `steps` applied migrations, or every applied one
+ * above `to`. returns the reverted [{ version, name }]
+ */
+export async function migrateDown(
+  conn,
+  { steps = 1, to = null, dir = MIGRATIONS_DIR, log = console.log } = {}
+) {
+  return withLock(conn, async () => {
+    const migrations = new Map(
+      (await listMigrations(dir)).map((m) => [m.version, m])
+    );
+    const applied = [...(await loadAppliedMigrations(conn)).keys()].sort(
+      (a, b) => b - a
+    );
+
+    const targets =
+      to != null ? applied.filter((v) => v > to) : applied.slice(0, steps);
+
+    // check everything first so we never stop halfway for a missing file
+    for (const version of targets) {
+      const m = migrations.get(version);
+      if (!m) {
+        throw new Error(`migration ${version} is applied but its files are missing`);
+      }
+      if (!m.downFile) {
+        throw new Error(
+          `migration ${version}_${m.name} is irreversible (no .down.sql)`
+        );
+      }
+    }
+
+    const done = [];
+    for (const version of targets) {
+      const m = migrations.get(version);
+      log(`[migrate] down ${m.version}_${m.name}`);
+      await runFile(conn, m.downFile);
+      await conn.query("DELETE FROM schema_migrations WHERE version = ?", [
+        version,
+      ]);
+      done.push({ version, name: m.name });
+    }
+
+    return done;
+  });
+}
+
+/**
+ * Record every migration up to `to` as applied WITHOUT running it –
+ * for databases that already have that schema (e.g. created by hand
+ * before this tool existed). returns the marked [{ version, name }]
+ */
+export async function markApplied(conn, { to, dir = MIGRATIONS_DIR } = {}) {
+  return withLock(conn, async () => {
+    const migrations = await listMigrations(dir);
+    const applied = await loadAppliedMigrations(conn);
+    const done = [];
+
+    for (const m of migrations) {
+      if (m.version > to || applied.has(m.version)) continue;
+      await conn.query(
+        "INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)",
+        [m.version, m.name, m.checksum]
+      );
+      done.push({ version: m.version, name: m.name });
+    }
+
+    return done;
+  });
+}
+
+/**
+ * Scaffold the next NNN_name.up.sql / .down.sql pair.
+ * returns { version, upFile, downFile }
+ */
+export async function createMigration(name, dir = MIGRATIONS_DIR) {
+  const slug = String(name || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+  if (!slug) throw new Error("migration name is required");
+
+  const migrations = await listMigrations(dir);
+  const version = (migrations.at(-1)?.version ?? 0) + 1;
+  const base = `${String(version).padStart(3, "0")}_${slug}`;
+
+  const upFile = path.join(dir, `${base}.up.sql`);
+  const downFile = path.join(dir, `${base}.down.sql`);
+
+  await fs.writeFile(upFile, `-- migrations/${base}.up.sql\n\n`, { flag: "wx" });
+  await fs.writeFile(downFile, `-- migrations/${base}.down.sql\n\n`, { flag: "wx" });
+
+  return { version, upFile, downFile };
+}
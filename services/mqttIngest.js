@@ -0,0 +1,270 @@
+// services/mqttIngest.js
+import mqtt from "mqtt";
+import { recordReading } from "./ingest.js";
+import {
+  PAYLOAD_MAPPERS,
+  parseMapperConfig,
+  mapperNameForTopic,
+} from "../utils/mqttMappers.js";
+
+/**
+ * In-process MQTT subscriber (replaces the external HTTP bridge).
+ *
+ * Env:
+ *   MQTT_URL               mqtt://127.0.0.1:1883   (unset => disabled)
+ *   MQTT_TOPIC             one or more topic filters, comma separated
+ *   MQTT_MAPPERS           "<filter>=<mapper>,..."  (see utils/mqttMappers.js)
+ *   MQTT_USERNAME / MQTT_PASSWORD
+ *   MQTT_RECONNECT_MIN_MS  first reconnect delay   (default 1000)
+ *   MQTT_RECONNECT_MAX_MS  backoff ceiling         (default 60000)
+ *
+ * Each message: mapper → recordReading (Master_Tables check,
+ * Transaction_Table insert, tank_status derivation).
+ */
+
+let client = null;
+let mapperRules = [];
+let queue = Promise.resolve();
+
+const state = {
+  enabled: false,
+  connected: false,
+  url: null,
+  topics: [],
+  mappers: [],
+  reconnects: 0,
+  nextReconnectMs: null,
+  connectedAt: null,
+  disconnectedAt: null,
+  lastMessageAt: null,
+  lastError: null,
+  counters: {
+    received: 0,
+    accepted: 0,
+    duplicates: 0,
+    quarantined: 0,
+    rejected: 0,
+    failed: 0,
+  },
+  byTopic: {},
+};
+
+// never expose credentials in the status endpoint
+function redactUrl(url) {
+  try {
+    const u = new URL(url);
+    if (u.password) u.password = "***";
+    return u.toString();
+  } catch {
+    return String(url);
+  }
+}
+
+function topicCounters(topic) {
+  if (!state.byTopic[topic]) {
+    state.byTopic[topic] = {
+      received: 0,
+      accepted: 0,
+      duplicates: 0,
+      quarantined: 0,
+      rejected: 0,
+      failed: 0,
+      lastMessageAt: null,
+      lastError: null,
+    };
+  }
+  return state.byTopic[topic];
+}
+
+function count(topic, key, error = null) {
+  state.counters[key] += 1;
+  const t = topicCounters(topic);
+  t[key] += 1;
+  if (error) {
+    t.lastError = error;
+    state.lastError = { topic, error, at: new Date().toISOString() };
+  }
+}
+
+/**
+ * Process one MQTT message. Exported so it can be driven directly
+ * (e.g. from an in-memory broker or a test harness).
+ */
+export async function handleMqttMessage(topic, payload) {
+  const buf = Buffer.isBuffer(payload) ? payload : Buffer.from(String(payload));
+  const now = new Date().toISOString();
+
+  count(topic, "received");
+  state.lastMessageAt = now;
+  topicCounters(topic).lastMessageAt = now;
+
+  const mapperName = mapperNameForTopic(mapperRules, topic);
+
+  let reading;
+  try {
+    reading = PAYLOAD_MAPPERS[mapperName](topic, buf);
+  } catch (err) {
+    console.warn(`[mqtt] ${topic} rejected (${mapperName}):`, err.message);
+    count(topic, "rejected", err.message);
+    return { accepted: false, error: err.message };
+  }
+
+  try {
+    const result = await recordReading(reading);
+
+    if (!result.accepted) {
+      console.warn(`[mqtt] ${topic} rejected:`, result.error, reading);
+      count(topic, "rejected", result.error);
+    } else if (result.result === "DUPLICATE_IGNORED") {
+      count(topic, "duplicates");
+    } else if (result.result === "QUARANTINED") {
+      count(topic, "quarantined");
+    } else {
+      count(topic, "accepted");
+    }
+    return result;
+  } catch (err) {
+    console.error(`[mqtt] ${topic} ingest FAILED:`, err);
+    count(topic, "failed", String(err.message || err));
+    return { accepted: false, error: "INGEST_FAILED" };
+  }
+}
+
+/**
+ * Connect + subscribe. Returns the client, or null when MQTT_URL is unset.
+ *
+ * options.connect can replace mqtt.connect (e.g. to attach to an
+ * in-memory broker); all other options default to the env vars above.
+ */
+export function startMqttIngest(options = {}) {
+  const url = options.url ?? process.env.MQTT_URL;
+  if (!url) {
+    console.log("[mqtt] MQTT_URL not set, subscriber disabled");
+    return null;
+  }
+  if (client) return client;
+
+  const topics = (options.topics ?? String(process.env.MQTT_TOPIC || ""))
+    .toString()
+    .split(",")
+    .map((t) => t.trim())
+    .filter(Boolean);
+
+  if (topics.length === 0) {
+    console.warn("[mqtt] MQTT_TOPIC not set, subscriber disabled");
+    return null;
+  }
+
+  const { rules, errors } = parseMapperConfig(
+    options.mappers ?? process.env.MQTT_MAPPERS
+  );
+  if (errors.length) {
+    console.warn("[mqtt] ignoring MQTT_MAPPERS entries:", errors);
+  }
+  mapperRules = rules;
+
+  const minDelay = Number(
+    options.reconnectMinMs ?? process.env.MQTT_RECONNECT_MIN_MS ?? 1000
+  );
+  const maxDelay = Number(
+    options.reconnectMaxMs ?? process.env.MQTT_RECONNECT_MAX_MS ?? 60000
+  );
+
+  state.enabled = true;
+  state.url = redactUrl(url);
+  state.topics = topics;
+  state.mappers = rules;
+  state.nextReconnectMs = minDelay;
+
+  const connect = options.connect || mqtt.connect;
+
+  client = connect(url, {
+    username: options.username ?? process.env.MQTT_USERNAME,
+    password: options.password ?? process.env.MQTT_PASSWORD,
+    clientId:
+      options.clientId ??
+      `tank-api-${process.pid}-${Math.random().toString(16).slice(2, 8)}`,
+    reconnectPeriod: minDelay,
+    clean: true,
+  });
+
+  client.on("connect", () => {
+    console.log(`[mqtt] connected to ${state.url}`);
+    state.connected = true;
+    state.connectedAt = new Date().toISOString();
+
+    // reset backoff after a successful connect
+    client.options.reconnectPeriod = minDelay;
+    state.nextReconnectMs = minDelay;
+
+    client.subscribe(topics, { qos: 1 }, (err) => {
+      if (err) {
+        console.error("[mqtt] subscribe FAILED:", err.message);
+        state.lastError = {
+          topic: null,
+          error: `SUBSCRIBE_FAILED: ${err.message}`,
+          at: new Date().toISOString(),
+        };
+        return;
+      }
+      console.log("[mqtt] subscribed:", topics.join(", "));
+    });
+  });
+
+  client.on("reconnect", () => {
+    state.reconnects += 1;
+
+    // exponential backoff for the NEXT attempt
+    const next = Math.min(client.options.reconnectPeriod * 2, maxDelay);
+    client.options.reconnectPeriod = next;
+    state.nextReconnectMs = next;
+
+    console.log(
+      `[mqtt] reconnect attempt #${state.reconnects} (next in ${next} ms)`
+    );
+  });
+
+  client.on("close", () => {
+    if (state.connected) {
+      console.warn("[mqtt] connection closed");
+      state.disconnectedAt = new Date().toISOString();
+    }
+    state.connected = false;
+  });
+
+  client.on("error", (err) => {
+    console.error("[mqtt] client error:", err.message);
+    state.lastError = {
+      topic: null,
+      error: String(err.message || err),
+      at: new Date().toISOString(),
+    };
+  });
+
+  // process messages one at a time, in arrival order
+  client.on("message", (topic, payload) => {
+    queue = queue.then(() => handleMqttMessage(topic, payload));
+  });
+
+  return client;
+}
+
+/**
+ * Disconnect (used on shutdown / in tests).
+ */
+export async function stopMqttIngest() {
+  if (!client) return;
+  const c = client;
+  client = null;
+  await queue;
+  await c.endAsync();
+  state.connected = false;
+  state.enabled = false;
+}
+
+/**
+ * Snapshot for GET /api/mqtt/status
+ */
+export function getMqttStatus() {
+  return JSON.parse(JSON.stringify(state));
+}
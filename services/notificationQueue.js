@@ -0,0 +1,581 @@
+// services/notificationQueue.js
+import { pool } from "../db.js";
+import { getTransport } from "./notificationTransports.js";
+import { findSubscribers, quietHoldUntil } from "./subscriptions.js";
+import { enqueueSms, alarmSmsText } from "./smsQueue.js";
+import { suppressionReason } from "./alertSuppression.js";
+import { findWebhooks } from "./webhooks.js";
+import {
+  DEFAULT_TEMPLATES,
+  NOTIFICATION_EVENTS,
+  templateVars,
+  renderTemplate,
+} from "../utils/notificationTemplates.js";
+
+/**
+ * Email + webhook alarm notifications (tables: notification_log,
+ * notification_attempts, notification_templates – migrations/015).
+ *
+ * Works like the SMS queue (services/smsQueue.js): enqueue* only insert
+ * QUEUED rows inside the caller's transaction, the worker
+ * (startNotificationWorker) delivers due rows through the channel's
+ * transport (services/notificationTransports.js), retries with backoff
+ * and records every attempt.
+ *
+ * Env:
+ *   NOTIFY_MAX_ATTEMPTS        default 5
+ *   NOTIFY_RETRY_BASE_S        first retry delay, doubled per attempt (default 30)
+ *   NOTIFY_WORKER_INTERVAL_MS  default 10000
+ *   NOTIFY_BATCH_SIZE          rows per worker run (default 20)
+ */
+
+export const NOTIFICATION_CHANNELS = ["email", "webhook"];
+
+// notification_log.event: alarm events, webhook tests, digests (services/digest.js),
+// alert rule hits (services/alertRules.js), leak / theft findings (services/anomalies.js)
+export const DELIVERY_EVENTS = [
+  ...NOTIFICATION_EVENTS,
+  "TEST",
+  "DIGEST",
+  "RULE",
+  "ANOMALY",
+];
+export const NOTIFICATION_STATUSES = [
+  "QUEUED",
+  "SENDING",
+  "RETRY",
+  "SENT",
+  "FAILED",
+  "SUPPRESSED", // tank under maintenance / alerts disabled when due
+];
+
+// a SENDING row this old was left behind by a crashed worker
+const STUCK_SENDING_MINUTES = 5;
+
+const cfg = () => ({
+  maxAttempts: Math.max(1, Number(process.env.NOTIFY_MAX_ATTEMPTS || 5)),
+  retryBaseS: Math.max(1, Number(process.env.NOTIFY_RETRY_BASE_S || 30)),
+  intervalMs: Math.max(1000, Number(process.env.NOTIFY_WORKER_INTERVAL_MS || 10000)),
+  batchSize: Math.max(1, Number(process.env.NOTIFY_BATCH_SIZE || 20)),
+});
+
+function truncate(s, n) {
+  if (s === null || s === undefined) return null;
+  const str = String(s);
+  return str.length > n ? str.slice(0, n - 1) + "…" : str;
+}
+
+/* ---------- templates ---------- */
+
+/**
+ * Effective template for a channel + event: the notification_templates
+ * row if there is one, else the built-in default.
+ * returns { channel, event, subject, body, custom }
+ */
+export async function getTemplate(channel, event, db = pool) {
+  const [rows] = await db.query(
+    "SELECT subject, body FROM notification_templates WHERE channel = ? AND event = ? LIMIT 1",
+    [channel, event]
+  );
+  const t = rows[0] || DEFAULT_TEMPLATES[channel][event];
+  return { channel, event, subject: t.subject, body: t.body, custom: !!rows[0] };
+}
+
+export async function listTemplates() {
+  const out = [];
+  for (const channel of NOTIFICATION_CHANNELS) {
+    for (const event of NOTIFICATION_EVENTS) {
+      out.push(await getTemplate(channel, event));
+    }
+  }
+  return out;
+}
+
+export async function saveTemplate(channel, event, { subject, body }) {
+  await pool.query(
+    `
+      INSERT INTO notification_templates (channel, event, subject, body)
+      VALUES (?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE subject = VALUES(subject), body = VALUES(body);
+    `,
+    [channel, event, subject ?? null, body]
+  );
+  return getTemplate(channel, event);
+}
+
+/**
+ * Back to the built-in default.
+ */
+export async function resetTemplate(channel, event) {
+  await pool.query(
+    "DELETE FROM notification_templates WHERE channel = ? AND event = ?",
+    [channel, event]
+  );
+  return getTemplate(channel, event);
+}
+
+/* ---------- enqueue ---------- */
+
+/**
+ * Queue one notification.
+ * n = { channel, event, recipient, subject?, body, html?, tank_no?, alarm_id?,
+ *       alarm_level?, severity?, user_id?, subscription_id?, webhook_id?,
+ *       not_before? (Date, default now) }
+ * returns the notification_log id
+ */
+export async function enqueueNotification(n, db = pool) {
+  const [result] = await db.query(
+    `
+      INSERT INTO notification_log
+        (channel, event, alarm_id, tank_no, alarm_level, severity, user_id,
+         subscription_id, webhook_id, recipient, subject, body, html, status,
+         max_attempts, next_attempt_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'QUEUED', ?, COALESCE(?, NOW()));
+    `,
+    [
+      n.channel,
+      n.event,
+      n.alarm_id ?? null,
+      n.tank_no ?? null,
+      n.alarm_level ?? null,
+      n.severity ?? null,
+      n.user_id ?? null,
+      n.subscription_id ?? null,
+      n.webhook_id ?? null,
+      String(n.recipient).trim(),
+      truncate(n.subject, 255),
+      n.body,
+      n.html ?? null,
+      cfg().maxAttempts,
+      n.not_before ?? null,
+    ]
+  );
+  return result.insertId;
+}
+
+/**
+ * JSON body of a webhook call.
+ */
+export function webhookPayload(alarm, event, text) {
+  return JSON.stringify({
+    event,
+    alarm: {
+      id: alarm.alarm_id ?? null,
+      tank_no: alarm.tank_no,
+      location: alarm.location ?? null,
+      alarm_level: alarm.alarm_level ?? null,
+      severity: alarm.severity ?? null,
+      message: alarm.message ?? null,
+    },
+    at: templateVars(alarm, event).at,
+    text,
+  });
+}
+
+async function tankLocation(tankNo, db) {
+  const [rows] = await db.query(
+    "SELECT location FROM Master_Tables WHERE tank_no = ? LIMIT 1",
+    [tankNo]
+  );
+  return rows[0]?.location ?? null;
+}
+
+/**
+ * Queue an email for every contact subscribed to the tank with the
+ * "email" channel (quiet hours as for SMS).
+ *
+ * alarm = { alarm_id, tank_no, alarm_level, severity, message, at }
+ * returns the number of emails queued
+ */
+export async function enqueueAlarmEmail(alarm, event, db = pool) {
+  const location = await tankLocation(alarm.tank_no, db);
+  const contacts = await findSubscribers(
+    {
+      tank_no: alarm.tank_no,
+      location,
+      severity: alarm.severity,
+      channel: "email",
+    },
+    db
+  );
+  if (!contacts.length) return 0;
+
+  const [users] = await db.query(
+    "SELECT id, email FROM users WHERE id IN (?)",
+    [contacts.map((c) => c.user_id)]
+  );
+  const emailOf = new Map(users.map((u) => [u.id, u.email]));
+
+  const template = await getTemplate("email", event, db);
+  const vars = templateVars({ ...alarm, location }, event);
+  const now = new Date();
+  let queued = 0;
+
+  for (const c of contacts) {
+    const email = emailOf.get(c.user_id);
+    if (!email) continue;
+
+    await enqueueNotification(
+      {
+        channel: "email",
+        event,
+        recipient: email,
+        subject: renderTemplate(template.subject, vars),
+        body: renderTemplate(template.body, vars),
+        tank_no: alarm.tank_no,
+        alarm_id: alarm.alarm_id,
+        alarm_level: alarm.alarm_level,
+        severity: alarm.severity,
+        user_id: c.user_id,
+        subscription_id: c.subscription.id,
+        not_before: quietHoldUntil(c.subscription, alarm.severity, now),
+      },
+      db
+    );
+    queued += 1;
+  }
+  return queued;
+}
+
+/**
+ * Queue an SMS and an email for a tank alert that is not an alarm (rule
+ * hits, leak / theft findings) to every contact subscribed to the tank
+ * on that channel; quiet hours as for alarms.
+ *
+ * notice = { tank_no, location, severity, message, subject, detail?, at }
+ * event  = notification_log.event of the email
+ * returns the number of messages queued
+ */
+export async function enqueueTankNotice(notice, event, db = pool) {
+  const alert = {
+    tank_no: notice.tank_no,
+    location: notice.location,
+    severity: notice.severity,
+  };
+  const text = alarmSmsText({ ...alert, message: notice.message, at: notice.at });
+  const now = new Date();
+  let queued = 0;
+
+  for (const c of await findSubscribers({ ...alert, channel: "sms" }, db)) {
+    if (!c.phone) continue;
+    await enqueueSms(
+      {
+        phone: c.phone,
+        message: text,
+        tank_no: notice.tank_no,
+        severity: notice.severity,
+        user_id: c.user_id,
+        subscription_id: c.subscription.id,
+        not_before: quietHoldUntil(c.subscription, notice.severity, now),
+      },
+      db
+    );
+    queued += 1;
+  }
+
+  const contacts = await findSubscribers({ ...alert, channel: "email" }, db);
+  if (!contacts.length) return queued;
+
+  const [users] = await db.query(
+    "SELECT id, email FROM users WHERE id IN (?)",
+    [contacts.map((c) => c.user_id)]
+  );
+  const emailOf = new Map(users.map((u) => [u.id, u.email]));
+
+  for (const c of contacts) {
+    const email = emailOf.get(c.user_id);
+    if (!email) continue;
+    await enqueueNotification(
+      {
+        channel: "email",
+        event,
+        recipient: email,
+        subject: notice.subject,
+        body: notice.detail ? `${text}\n\n${notice.detail}` : text,
+        tank_no: notice.tank_no,
+        severity: notice.severity,
+        user_id: c.user_id,
+        subscription_id: c.subscription.id,
+        not_before: quietHoldUntil(c.subscription, notice.severity, now),
+      },
+      db
+    );
+    queued += 1;
+  }
+  return queued;
+}
+
+/**
+ * Queue a call to every webhook endpoint that wants this event.
+ * For CLEARED, alarm.severity is the alarm's last severity.
+ * returns the number of calls queued
+ */
+export async function enqueueAlarmWebhooks(alarm, event, db = pool) {
+  const location = await tankLocation(alarm.tank_no, db);
+  const endpoints = await findWebhooks(
+    { tank_no: alarm.tank_no, location, severity: alarm.severity, event },
+    db
+  );
+  if (!endpoints.length) return 0;
+
+  const template = await getTemplate("webhook", event, db);
+  const withLocation = { ...alarm, location };
+  const body = webhookPayload(
+    withLocation,
+    event,
+    renderTemplate(template.body, templateVars(withLocation, event))
+  );
+
+  for (const w of endpoints) {
+    await enqueueNotification(
+      {
+        channel: "webhook",
+        event,
+        recipient: w.url,
+        body,
+        tank_no: alarm.tank_no,
+        alarm_id: alarm.alarm_id,
+        alarm_level: alarm.alarm_level,
+        severity: alarm.severity,
+        webhook_id: w.id,
+      },
+      db
+    );
+  }
+  return endpoints.length;
+}
+
+/**
+ * Queue a TEST call to one endpoint (POST /api/webhooks/:id/test).
+ * returns the notification_log id
+ */
+export async function enqueueWebhookTest(webhook) {
+  const sample = {
+    tank_no: webhook.tank_no || "TEST",
+    location: webhook.location,
+    alarm_level: "H",
+    severity: "warning",
+    message: "Test notification",
+    at: new Date(),
+  };
+  return enqueueNotification({
+    channel: "webhook",
+    event: "TEST",
+    recipient: webhook.url,
+    body: webhookPayload(sample, "TEST", `Test delivery to webhook "${webhook.name}"`),
+    webhook_id: webhook.id,
+  });
+}
+
+/* ---------- worker ---------- */
+
+// rows due now, claimed as SENDING so a second worker skips them
+async function claimDue(limit) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    await conn.query(
+      `
+        UPDATE notification_log
+        SET status = 'RETRY', next_attempt_at = NOW()
+        WHERE status = 'SENDING'
+          AND updated_at < NOW() - INTERVAL ${STUCK_SENDING_MINUTES} MINUTE;
+      `
+    );
+
+    const [rows] = await conn.query(
+      `
+        SELECT n.*, w.secret AS webhook_secret
+        FROM notification_log n
+        LEFT JOIN webhook_endpoints w ON w.id = n.webhook_id
+        WHERE n.status IN ('QUEUED', 'RETRY') AND n.next_attempt_at <= NOW()
+        ORDER BY n.next_attempt_at ASC, n.id ASC
+        LIMIT ?
+        FOR UPDATE OF n SKIP LOCKED;
+      `,
+      [limit]
+    );
+
+    if (rows.length) {
+      await conn.query(
+        "UPDATE notification_log SET status = 'SENDING' WHERE id IN (?)",
+        [rows.map((r) => r.id)]
+      );
+    }
+
+    await conn.commit();
+    return rows;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+async function sendOne(row) {
+  // the tank went into maintenance / had alerts disabled meanwhile
+  const suppressed = await suppressionReason(row.tank_no);
+  if (suppressed) {
+    await pool.query(
+      "UPDATE notification_log SET status = 'SUPPRESSED', last_error = ? WHERE id = ?",
+      [suppressed, row.id]
+    );
+    console.log(`[notify] #${row.id} → ${row.recipient} not sent: ${suppressed}`);
+    return "SUPPRESSED";
+  }
+
+  const attempt = row.attempts + 1;
+  const started = Date.now();
+
+  let outcome;
+  try {
+    outcome = await getTransport(row.channel).send({
+      to: row.recipient,
+      subject: row.subject,
+      body: row.body,
+      html: row.html,
+      event: row.event,
+      secret: row.webhook_secret,
+      delivery_id: row.id,
+    });
+  } catch (err) {
+    outcome = { ok: false, error: String(err.message || err) };
+  }
+
+  const duration = Date.now() - started;
+
+  await pool.query(
+    `
+      INSERT INTO notification_attempts
+        (notification_id, attempt, status, response_code, response, error, duration_ms)
+      VALUES (?, ?, ?, ?, ?, ?, ?);
+    `,
+    [
+      row.id,
+      attempt,
+      outcome.ok ? "SENT" : "FAILED",
+      outcome.response_code ?? null,
+      truncate(outcome.response, 2000),
+      outcome.ok ? null : truncate(outcome.error, 255),
+      duration,
+    ]
+  );
+
+  if (outcome.ok) {
+    await pool.query(
+      `
+        UPDATE notification_log
+        SET status = 'SENT', attempts = ?, provider_message_id = ?,
+            last_error = NULL, sent_at = NOW()
+        WHERE id = ?;
+      `,
+      [attempt, truncate(outcome.message_id, 255), row.id]
+    );
+    return "SENT";
+  }
+
+  const giveUp = outcome.permanent || attempt >= row.max_attempts;
+  const delayS = cfg().retryBaseS * 2 ** (attempt - 1);
+
+  await pool.query(
+    `
+      UPDATE notification_log
+      SET status = ?, attempts = ?, last_error = ?,
+          next_attempt_at = NOW() + INTERVAL ? SECOND
+      WHERE id = ?;
+    `,
+    [
+      giveUp ? "FAILED" : "RETRY",
+      attempt,
+      truncate(outcome.error, 255),
+      giveUp ? 0 : delayS,
+      row.id,
+    ]
+  );
+
+  console.warn(
+    `[notify] ${row.channel} #${row.id} → ${row.recipient} attempt ${attempt} failed: ${outcome.error}` +
+      (giveUp ? " (giving up)" : ` (retry in ${delayS}s)`)
+  );
+  return giveUp ? "FAILED" : "RETRY";
+}
+
+/**
+ * Deliver everything that is due. returns { claimed, sent, retry, failed, suppressed }
+ */
+export async function processNotificationQueue({ limit = cfg().batchSize } = {}) {
+  const rows = await claimDue(limit);
+  const summary = {
+    claimed: rows.length,
+    sent: 0,
+    retry: 0,
+    failed: 0,
+    suppressed: 0,
+  };
+
+  for (const row of rows) {
+    const status = await sendOne(row);
+    if (status === "SENT") summary.sent += 1;
+    else if (status === "RETRY") summary.retry += 1;
+    else if (status === "SUPPRESSED") summary.suppressed += 1;
+    else summary.failed += 1;
+  }
+
+  if (rows.length) console.log("[notify] queue run:", summary);
+  return summary;
+}
+
+/**
+ * Put a FAILED notification back in the queue with a fresh attempt budget.
+ */
+export async function retryNotification(id) {
+  const [result] = await pool.query(
+    `
+      UPDATE notification_log
+      SET status = 'QUEUED', next_attempt_at = NOW(),
+          max_attempts = attempts + ?
+      WHERE id = ? AND status = 'FAILED';
+    `,
+    [cfg().maxAttempts, id]
+  );
+  if (result.affectedRows === 1) return { ok: true };
+
+  const [rows] = await pool.query(
+    "SELECT status FROM notification_log WHERE id = ?",
+    [id]
+  );
+  return rows.length
+    ? { ok: false, error: "NOT_FAILED", status: rows[0].status }
+    : { ok: false, error: "NOT_FOUND" };
+}
+
+let timer = null;
+let running = false;
+
+export function startNotificationWorker() {
+  if (timer) return timer;
+
+  const { intervalMs } = cfg();
+  timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processNotificationQueue();
+    } catch (err) {
+      console.error("[notify] queue run FAILED:", err.message || err);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref?.();
+
+  console.log(`[notify] worker started (email + webhook, every ${intervalMs} ms)`);
+  return timer;
+}
+
+export function stopNotificationWorker() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
@@ -0,0 +1,140 @@
+// services/notificationTransports.js
+import crypto from "crypto";
+import axios from "axios";
+import nodemailer from "nodemailer";
+
+/**
+ * Transports for services/notificationQueue.js, one per channel.
+ * send() resolves like an SMS provider (services/smsProviders.js):
+ *   { ok: true,  message_id?, response?, response_code? }
+ *   { ok: false, error, response?, response_code?, permanent? }
+ * Throwing counts as a retryable failure.
+ */
+
+/* ---------- email: SMTP ----------
+ * SMTP_HOST     default localhost (e.g. MailHog / smtp4dev for testing)
+ * SMTP_PORT     default 25 (465 implies TLS)
+ * SMTP_SECURE   1 = TLS from the start (default: only when port is 465)
+ * SMTP_USER / SMTP_PASS   optional login
+ * MAIL_FROM     default "Tank alarms <alarms@localhost>"
+ * SMTP_TIMEOUT_MS         default 10000
+ */
+
+let mailer = null;
+
+function getMailer() {
+  if (mailer) return mailer;
+
+  const port = Number(process.env.SMTP_PORT || 25);
+  const timeout = Number(process.env.SMTP_TIMEOUT_MS || 10000);
+
+  mailer = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || "localhost",
+    port,
+    secure: process.env.SMTP_SECURE
+      ? process.env.SMTP_SECURE === "1"
+      : port === 465,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS || "" }
+      : undefined,
+    connectionTimeout: timeout,
+    greetingTimeout: timeout,
+    socketTimeout: timeout,
+  });
+  return mailer;
+}
+
+const emailTransport = {
+  name: "email",
+  async send({ to, subject, body, html }) {
+    try {
+      const info = await getMailer().sendMail({
+        from: process.env.MAIL_FROM || "Tank alarms <alarms@localhost>",
+        to,
+        subject: subject || "(no subject)",
+        text: body,
+        html: html || undefined,
+      });
+      return {
+        ok: true,
+        message_id: info.messageId ?? null,
+        response: info.response ?? null,
+      };
+    } catch (err) {
+      // SMTP 5xx: the server refused this message for good
+      const code = Number(err.responseCode) || null;
+      return {
+        ok: false,
+        error: String(err.message || err),
+        response: err.response ?? null,
+        response_code: code,
+        permanent: code != null && code >= 500,
+      };
+    }
+  },
+};
+
+/* ---------- webhook: HMAC-signed JSON POST ----------
+ * Headers:
+ *   X-Webhook-Event      RAISED | LEVEL_CHANGED | CLEARED | TEST
+ *   X-Webhook-Delivery   notification_log id
+ *   X-Webhook-Timestamp  unix seconds
+ *   X-Webhook-Signature  sha256=<hex HMAC-SHA256(secret, "<timestamp>.<body>")>
+ * WEBHOOK_TIMEOUT_MS (default 10000)
+ *
+ * 2xx = delivered, 4xx other than 408/429 = permanent failure.
+ */
+
+export function signWebhook(secret, timestamp, body) {
+  return (
+    "sha256=" +
+    crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")
+  );
+}
+
+const webhookTransport = {
+  name: "webhook",
+  async send({ to, body, secret, event, delivery_id }) {
+    if (!secret) {
+      return { ok: false, error: "webhook endpoint no longer exists", permanent: true };
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    const res = await axios.post(to, body, {
+      timeout: Number(process.env.WEBHOOK_TIMEOUT_MS || 10000),
+      headers: {
+        "Content-Type": "application/json",
+        "X-Webhook-Event": event,
+        "X-Webhook-Delivery": String(delivery_id),
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Signature": signWebhook(secret, timestamp, body),
+      },
+      // send the stored JSON byte for byte, the signature covers it
+      transformRequest: [(data) => data],
+      validateStatus: () => true,
+    });
+
+    const response =
+      typeof res.data === "string" ? res.data : JSON.stringify(res.data);
+
+    if (res.status >= 200 && res.status < 300) {
+      return { ok: true, response, response_code: res.status };
+    }
+
+    return {
+      ok: false,
+      error: `HTTP ${res.status}`,
+      response,
+      response_code: res.status,
+      permanent: res.status >= 400 && res.status < 500 && ![408, 429].includes(res.status),
+    };
+  },
+};
+
+const transports = { email: emailTransport, webhook: webhookTransport };
+
+export function getTransport(channel) {
+  const transport = transports[channel];
+  if (!transport) throw new Error(`unknown notification channel "${channel}"`);
+  return transport;
+}
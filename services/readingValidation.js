@@ -0,0 +1,230 @@
+// services/readingValidation.js
+import { pool } from "../db.js";
+import { tankMaxDepth, sensorMounting } from "../utils/geometry.js";
+import { calibrationMaxDepthM } from "../utils/calibration.js";
+import { validationConfig, validateReading } from "../utils/readingValidation.js";
+import { loadCalibrationChart } from "./calibration.js";
+
+/**
+ * DB side of the ingest validation stage:
+ *   - per-tank config + physical range from Tank_Parameters
+ *   - raw reading history per device (stored + quarantined)
+ *   - reading_quarantine storage
+ *
+ * Statuses in reading_quarantine:
+ *   QUARANTINED : held back, NOT in Transaction_Table
+ *   FLAGGED     : suspicious but written (validation_mode = flag)
+ *   ACCEPTED    : quarantined, then replayed by an operator
+ *   DISCARDED   : quarantined, then dropped by an operator
+ */
+
+export const QUARANTINE_STATUSES = [
+  "QUARANTINED",
+  "FLAGGED",
+  "ACCEPTED",
+  "DISCARDED",
+];
+
+/**
+ * Validation config + max sensor distance (face → bottom) for one tank.
+ */
+export async function loadTankValidation(tankNo, db = pool) {
+  const [rows] = await db.query(
+    `
+      SELECT
+        shape,
+        diameter_breadth,
+        length,
+        height,
+        head_depth,
+        cone_height,
+        nozzle_height_m,
+        sensor_offset_m,
+        blind_zone_m,
+        validation_mode,
+        max_rate_m_per_min,
+        spike_window,
+        spike_threshold_m
+      FROM Tank_Parameters
+      WHERE tank_no = ?
+      LIMIT 1;
+    `,
+    [tankNo]
+  );
+
+  const params = rows[0] || {};
+  let maxDepthM = tankMaxDepth(params);
+
+  if (maxDepthM == null) {
+    const chart = await loadCalibrationChart(tankNo, db);
+    maxDepthM = calibrationMaxDepthM(chart);
+  }
+
+  // the sensor can see down to the bottom, plus its nozzle / offset
+  const maxDistanceM =
+    maxDepthM != null ? maxDepthM + sensorMounting(params).mountHeightM : null;
+
+  return { cfg: validationConfig(params), maxDistanceM };
+}
+
+/**
+ * Last `limit` raw readings of a device before `before` (newest first).
+ * Quarantined readings count too, so a genuine level step stops being
+ * a "spike" once enough readings agree with it.
+ */
+export async function loadReadingHistory(deviceId, before, limit, db = pool) {
+  if (limit <= 0) return [];
+
+  const [rows] = await db.query(
+    `
+      SELECT ultra_height, date_time
+      FROM (
+        (
+          SELECT ultra_height, date_time
+          FROM Transaction_Table
+          WHERE device_id = ?
+            AND ultra_height IS NOT NULL
+            AND date_time < COALESCE(?, NOW())
+          ORDER BY date_time DESC
+          LIMIT ?
+        )
+        UNION ALL
+        (
+          SELECT ultra_height, date_time
+          FROM reading_quarantine
+          WHERE device_id = ?
+            AND status = 'QUARANTINED'
+            AND date_time < COALESCE(?, NOW())
+          ORDER BY date_time DESC
+          LIMIT ?
+        )
+      ) h
+      ORDER BY date_time DESC
+      LIMIT ?;
+    `,
+    [deviceId, before ?? null, limit, deviceId, before ?? null, limit, limit]
+  );
+
+  return rows;
+}
+
+/**
+ * Run the validation stage for one reading.
+ * returns { mode, ok, reasons }
+ */
+export async function checkReading(reading, db = pool) {
+  const { cfg, maxDistanceM } = await loadTankValidation(reading.tank_no, db);
+
+  if (cfg.mode === "off") return { mode: "off", ok: true, reasons: [] };
+
+  const history = await loadReadingHistory(
+    reading.device_id,
+    reading.date_time ?? null,
+    Math.max(cfg.spikeWindow, 1),
+    db
+  );
+
+  return { mode: cfg.mode, ...validateReading(reading, maxDistanceM, history, cfg) };
+}
+
+/**
+ * Store a suspicious reading. returns insertId
+ */
+export async function insertQuarantine(db, reading, status, reasons) {
+  const [result] = await db.query(
+    `
+      INSERT INTO reading_quarantine (
+        device_id,
+        tank_no,
+        location,
+        ultra_height,
+        lidar_height,
+        ul_status,
+        date_time,
+        message_key,
+        reasons,
+        status
+      ) VALUES (?, ?, ?, ?, ?, ?, COALESCE(?, NOW()), ?, ?, ?);
+    `,
+    [
+      reading.device_id,
+      reading.tank_no,
+      reading.location,
+      reading.ultra_height ?? null,
+      reading.lidar_height ?? null,
+      reading.ul_status ?? null,
+      reading.date_time ?? null,
+      reading.message_key ?? null,
+      JSON.stringify(reasons || []),
+      status,
+    ]
+  );
+  return result.insertId;
+}
+
+function formatQuarantineRow(r) {
+  let reasons = r.reasons;
+  if (typeof reasons === "string") {
+    try {
+      reasons = JSON.parse(reasons);
+    } catch {
+      reasons = [{ code: "UNKNOWN", message: reasons }];
+    }
+  }
+  return { ...r, reasons: reasons || [] };
+}
+
+export async function listQuarantine({ status, tank_no, device_id, limit }) {
+  const where = [];
+  const params = [];
+
+  if (status) {
+    where.push("q.status = ?");
+    params.push(status);
+  }
+  if (tank_no) {
+    where.push("q.tank_no = ?");
+    params.push(tank_no);
+  }
+  if (device_id) {
+    where.push("q.device_id = ?");
+    params.push(device_id);
+  }
+
+  const whereSql = where.length ? "WHERE " + where.join(" AND ") : "";
+  params.push(limit);
+
+  const [rows] = await pool.query(
+    `
+      SELECT q.*
+      FROM reading_quarantine q
+      ${whereSql}
+      ORDER BY q.date_time DESC, q.id DESC
+      LIMIT ?;
+    `,
+    params
+  );
+
+  return rows.map(formatQuarantineRow);
+}
+
+export async function getQuarantine(id, db = pool, forUpdate = false) {
+  const [rows] = await db.query(
+    `SELECT * FROM reading_quarantine WHERE id = ? LIMIT 1 ${
+      forUpdate ? "FOR UPDATE" : ""
+    }`,
+    [id]
+  );
+  return rows.length ? formatQuarantineRow(rows[0]) : null;
+}
+
+export async function resolveQuarantine(db, id, status, resolvedBy, note) {
+  await db.query(
+    `
+      UPDATE reading_quarantine
+      SET status = ?, resolved_at = NOW(), resolved_by = ?, resolution_note = ?
+      WHERE id = ?;
+    `,
+    [status, resolvedBy ?? null, note ?? null, id]
+  );
+}
@@ -0,0 +1,405 @@
+// services/rollups.js
+import { pool } from "../db.js";
+import { hourStart, dayStart, sixHourStart, hourlyBuckets, mergeBuckets } from "../utils/rollups.js";
+import { loadTankParams, loadVolumeSeries } from "./volumeHistory.js";
+
+/**
+ * Hourly and daily statistics per tank in tank_rollups (bucket maths:
+ * utils/rollups.js), maintained by a background job.
+ *
+ * Every run rolls each tank forward from its watermark
+ * (tank_rollup_state.rolled_until) up to the last complete hour, at most
+ * ROLLUP_BATCH_HOURS per run, so a backfill of years proceeds in steps
+ * and a restart picks up where it stopped. The last ROLLUP_OVERLAP_HOURS
+ * before the watermark are rolled again each time. Readings that arrive
+ * later than that (gateway flushes, accepted quarantine) move the
+ * watermark back to their hour on ingest (markRollupsStale), so the job
+ * redoes those hours. Rows are upserted, so rolling a range twice is
+ * harmless.
+ *
+ * Env:
+ *   ROLLUP_INTERVAL_MS          job period (300000)
+ *   ROLLUP_BATCH_HOURS          hours per tank per run (168)
+ *   ROLLUP_OVERLAP_HOURS        hours rolled again each run (2)
+ *   ROLLUP_UPTIME_GAP_MINUTES   readings further apart are downtime (30)
+ *   ROLLUP_HISTORY_MIN_DAYS     history ranges at least this long are
+ *                               served from rollups (7)
+ *   ROLLUP_MAX_LAG_HOURS        ...unless the tank's rollups are further
+ *                               behind than this (48)
+ */
+
+const HOUR_MS = 3600000;
+
+function env(name, fallback) {
+  return Number(process.env[name] || fallback);
+}
+
+const num = (v) => (v == null ? null : Number(v));
+
+// tank_rollups row -> bucket (DECIMAL columns arrive as strings)
+function fromRow(r) {
+  return {
+    bucket_start: new Date(r.bucket_start),
+    samples: Number(r.samples),
+    min_volume_l: num(r.min_volume_l),
+    max_volume_l: num(r.max_volume_l),
+    avg_volume_l: num(r.avg_volume_l),
+    volume_samples: Number(r.volume_samples),
+    first_at: new Date(r.first_at),
+    last_at: new Date(r.last_at),
+    first_level_m: num(r.first_level_m),
+    last_level_m: num(r.last_level_m),
+    first_volume_l: num(r.first_volume_l),
+    last_volume_l: num(r.last_volume_l),
+    uptime_minutes: Number(r.uptime_minutes),
+  };
+}
+
+async function upsertBuckets(conn, tankNo, period, buckets) {
+  for (const b of buckets) {
+    await conn.query(
+      `
+        INSERT INTO tank_rollups
+          (tank_no, period, bucket_start, samples, min_volume_l, max_volume_l,
+           avg_volume_l, volume_samples, first_at, last_at, first_level_m,
+           last_level_m, first_volume_l, last_volume_l, uptime_minutes)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE
+          samples = VALUES(samples),
+          min_volume_l = VALUES(min_volume_l),
+          max_volume_l = VALUES(max_volume_l),
+          avg_volume_l = VALUES(avg_volume_l),
+          volume_samples = VALUES(volume_samples),
+          first_at = VALUES(first_at),
+          last_at = VALUES(last_at),
+          first_level_m = VALUES(first_level_m),
+          last_level_m = VALUES(last_level_m),
+          first_volume_l = VALUES(first_volume_l),
+          last_volume_l = VALUES(last_volume_l),
+          uptime_minutes = VALUES(uptime_minutes);
+      `,
+      [
+        tankNo,
+        period,
+        b.bucket_start,
+        b.samples,
+        b.min_volume_l,
+        b.max_volume_l,
+        b.avg_volume_l,
+        b.volume_samples,
+        b.first_at,
+        b.last_at,
+        b.first_level_m,
+        b.last_level_m,
+        b.first_volume_l,
+        b.last_volume_l,
+        b.uptime_minutes,
+      ]
+    );
+  }
+}
+
+/**
+ * Hourly statistics of a tank in [from, to), computed from the readings
+ * (not stored).
+ */
+export async function computeHourly(tankNo, { from, to }, db = pool) {
+  const gap = env("ROLLUP_UPTIME_GAP_MINUTES", 30) * 60000;
+  // a reading either side of the window counts towards uptime
+  const series = await loadVolumeSeries(
+    tankNo,
+    { from: new Date(from.getTime() - gap), to: new Date(to.getTime() + gap), keepEmpty: true },
+    db
+  );
+  if (!series) return null;
+  return hourlyBuckets(series.points, { from, to, gapMinutes: gap / 60000 });
+}
+
+/**
+ * One step of the job for one tank.
+ * returns { from, to, hours } of what was rolled, or null when the tank
+ * is up to date / has no readings
+ */
+export async function rollupTank(tankNo) {
+  const [[state]] = await pool.query(
+    "SELECT rolled_until FROM tank_rollup_state WHERE tank_no = ?",
+    [tankNo]
+  );
+
+  let from;
+  if (state) {
+    from = new Date(
+      new Date(state.rolled_until).getTime() - env("ROLLUP_OVERLAP_HOURS", 2) * HOUR_MS
+    );
+  } else {
+    const [[first]] = await pool.query(
+      "SELECT MIN(date_time) AS first_at FROM Transaction_Table WHERE tank_no = ?",
+      [tankNo]
+    );
+    if (!first?.first_at) return null;
+    from = hourStart(first.first_at);
+  }
+
+  const end = hourStart(new Date());
+  const to = new Date(
+    Math.min(end.getTime(), from.getTime() + env("ROLLUP_BATCH_HOURS", 168) * HOUR_MS)
+  );
+  if (from >= to || (state && new Date(state.rolled_until) >= end)) return null;
+
+  const hours = await computeHourly(tankNo, { from, to });
+  if (!hours) return null;
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    await upsertBuckets(conn, tankNo, "hour", hours);
+
+    // the days touched, again from all their hours
+    const [rows] = await conn.query(
+      `
+        SELECT * FROM tank_rollups
+        WHERE tank_no = ? AND period = 'hour'
+          AND bucket_start >= ? AND bucket_start < ?
+        ORDER BY bucket_start ASC;
+      `,
+      [tankNo, dayStart(from), to]
+    );
+    await upsertBuckets(conn, tankNo, "day", mergeBuckets(rows.map(fromRow), dayStart));
+
+    // the hours were computed outside this transaction: the watermark
+    // only advances if nothing moved it back meanwhile (markRollupsStale,
+    // rebuildRollups), else the next run redoes the range
+    if (state) {
+      await conn.query(
+        `
+          UPDATE tank_rollup_state SET rolled_until = ?
+          WHERE tank_no = ? AND rolled_until = ?;
+        `,
+        [to, tankNo, state.rolled_until]
+      );
+    } else {
+      await conn.query(
+        `
+          INSERT INTO tank_rollup_state (tank_no, rolled_until) VALUES (?, ?)
+          ON DUPLICATE KEY UPDATE rolled_until = LEAST(rolled_until, VALUES(rolled_until));
+        `,
+        [tankNo, to]
+      );
+    }
+
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+
+  return { from, to, hours: hours.length };
+}
+
+/**
+ * One run of the job over every tank.
+ */
+export async function runRollups() {
+  const [tanks] = await pool.query("SELECT tank_no FROM Tank_Parameters ORDER BY tank_no");
+
+  let rolled = 0;
+  for (const { tank_no } of tanks) {
+    try {
+      if (await rollupTank(tank_no)) rolled += 1;
+    } catch (err) {
+      console.error(`[rollups] ${tank_no} FAILED:`, err.message || err);
+    }
+  }
+  return { tanks: tanks.length, rolled };
+}
+
+/**
+ * Stored rows of a tank, oldest first.
+ * returns { rolled_until, data }
+ */
+export async function listRollups(tankNo, { period, from, to }, db = pool) {
+  const [[state]] = await db.query(
+    "SELECT rolled_until FROM tank_rollup_state WHERE tank_no = ?",
+    [tankNo]
+  );
+  const [rows] = await db.query(
+    `
+      SELECT * FROM tank_rollups
+      WHERE tank_no = ? AND period = ? AND bucket_start BETWEEN ? AND ?
+      ORDER BY bucket_start ASC;
+    `,
+    [tankNo, period, from, to]
+  );
+  return {
+    rolled_until: state ? new Date(state.rolled_until) : null,
+    data: rows.map(fromRow),
+  };
+}
+
+/**
+ * Roll a tank again from `from` on: the watermark goes back and the job
+ * redoes the range over its next runs (e.g. after a calibration change).
+ */
+export async function rebuildRollups(tankNo, from) {
+  const [result] = await pool.query(
+    `
+      INSERT INTO tank_rollup_state (tank_no, rolled_until) VALUES (?, ?)
+      ON DUPLICATE KEY UPDATE rolled_until = LEAST(rolled_until, VALUES(rolled_until));
+    `,
+    [tankNo, hourStart(from)]
+  );
+  return result.affectedRows;
+}
+
+/**
+ * A reading at dateTime was stored (services/ingest.js): if its hour is
+ * rolled up already, the watermark goes back to it. Tanks never rolled
+ * up are left alone, the job starts them at their first reading anyway.
+ */
+export async function markRollupsStale(tankNo, dateTime, db = pool) {
+  const hour = hourStart(dateTime);
+  await db.query(
+    `
+      UPDATE tank_rollup_state SET rolled_until = ?
+      WHERE tank_no = ? AND rolled_until > ?;
+    `,
+    [hour, tankNo, hour]
+  );
+}
+
+const INTERVAL_START = { "1h": hourStart, "6h": sixHourStart, "1d": dayStart };
+
+// which bucket volume stands for the bucket in the history routes
+const AGG_VOLUME = {
+  avg: "avg_volume_l",
+  min: "min_volume_l",
+  max: "max_volume_l",
+  last: "last_volume_l",
+};
+
+// a bucket as a point of the history routes
+function historyPoint(b, agg, capacityL, idx) {
+  const volumeL = b[AGG_VOLUME[agg]];
+  return {
+    id: idx + 1,
+    date_time: agg === "last" ? b.last_at : b.bucket_start,
+    bucket_start: b.bucket_start,
+    samples: b.samples,
+    level_m: agg === "last" ? b.last_level_m : null,
+    tank_volume_l: capacityL,
+    water_volume_l: volumeL != null ? Number(volumeL.toFixed(1)) : null,
+    volume_percentage:
+      volumeL != null && capacityL > 0 ? Number(((volumeL / capacityL) * 100).toFixed(1)) : null,
+    min_volume_l: b.min_volume_l,
+    max_volume_l: b.max_volume_l,
+    avg_volume_l: b.avg_volume_l,
+    uptime_minutes: b.uptime_minutes,
+  };
+}
+
+/**
+ * History of a tank from the rollups, or null when the history routes
+ * should read Transaction_Table: the range is shorter than
+ * ROLLUP_HISTORY_MIN_DAYS, the interval is finer than an hour, the tank
+ * has no parameters, or its rollups lag more than ROLLUP_MAX_LAG_HOURS.
+ * Hours after the watermark are computed from the readings the same way.
+ *
+ * interval = "1h" | "6h" | "1d" | null (null = 1h), agg as for the
+ * history routes (default avg)
+ * returns null | { interval, agg, rolled_until, points }
+ */
+export async function rollupHistory(tankNo, { from, to, interval, agg }, db = pool) {
+  const useInterval = interval || "1h";
+  const useAgg = agg || "avg";
+  if (!INTERVAL_START[useInterval]) return null;
+  if (!(to - from >= env("ROLLUP_HISTORY_MIN_DAYS", 7) * 24 * HOUR_MS)) return null;
+
+  const [[state]] = await db.query(
+    "SELECT rolled_until FROM tank_rollup_state WHERE tank_no = ?",
+    [tankNo]
+  );
+  if (!state) return null;
+  const rolledUntil = new Date(state.rolled_until);
+  if (to - rolledUntil > env("ROLLUP_MAX_LAG_HOURS", 48) * HOUR_MS) return null;
+
+  const params = await loadTankParams(tankNo, db);
+  if (!params) return null;
+
+  const startOf = INTERVAL_START[useInterval];
+  const rolledTo = new Date(Math.min(rolledUntil.getTime(), to.getTime()));
+
+  // whole days from the daily rows, the rest from the hours
+  const split = useInterval === "1d" ? dayStart(rolledTo) : hourStart(from);
+  let days = [];
+  if (useInterval === "1d" && split > from) {
+    const [rows] = await db.query(
+      `
+        SELECT * FROM tank_rollups
+        WHERE tank_no = ? AND period = 'day' AND bucket_start >= ? AND bucket_start < ?
+        ORDER BY bucket_start ASC;
+      `,
+      [tankNo, dayStart(from), split]
+    );
+    days = rows.map(fromRow);
+  }
+
+  const hoursFrom = new Date(Math.max(hourStart(from).getTime(), split.getTime()));
+  const [rows] = await db.query(
+    `
+      SELECT * FROM tank_rollups
+      WHERE tank_no = ? AND period = 'hour' AND bucket_start >= ? AND bucket_start < ?
+      ORDER BY bucket_start ASC;
+    `,
+    [tankNo, hoursFrom, rolledTo]
+  );
+  const hours = rows.map(fromRow);
+
+  if (rolledUntil < to) {
+    const tailFrom = new Date(Math.max(rolledUntil.getTime(), hoursFrom.getTime()));
+    hours.push(...((await computeHourly(tankNo, { from: tailFrom, to }, db)) || []));
+  }
+
+  const capacityL = Number(params.tank_volume) || 0;
+  const buckets = [...days, ...mergeBuckets(hours, startOf)];
+  return {
+    interval: useInterval,
+    agg: useAgg,
+    rolled_until: rolledUntil,
+    points: buckets.map((b, idx) => historyPoint(b, useAgg, capacityL, idx)),
+  };
+}
+
+/* ---------- job ---------- */
+
+let timer = null;
+let running = false;
+
+export function startRollupJob() {
+  if (timer) return timer;
+
+  const intervalMs = Math.max(60000, env("ROLLUP_INTERVAL_MS", 300000));
+
+  timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runRollups();
+    } catch (err) {
+      console.error("[rollups] run FAILED:", err.message || err);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref?.();
+
+  console.log(`[rollups] job started (every ${intervalMs} ms)`);
+  return timer;
+}
+
+export function stopRollupJob() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
@@ -0,0 +1,106 @@
+// services/smsProviders.js
+import fs from "fs/promises";
+import axios from "axios";
+
+/**
+ * SMS providers for services/smsQueue.js.
+ *
+ * A provider is { name, send({ to, message, meta }) } where send resolves
+ *   { ok: true,  message_id?, response? }                 accepted
+ *   { ok: false, error, response?, permanent? }           failed
+ * (permanent: retrying will not help, e.g. a rejected number).
+ * Throwing counts as a retryable failure.
+ *
+ * SMS_PROVIDER picks one: console (default) | file | http, or any name
+ * added with registerSmsProvider().
+ */
+
+const providers = new Map();
+
+export function registerSmsProvider(provider) {
+  if (!provider?.name || typeof provider.send !== "function") {
+    throw new Error("SMS provider needs a name and a send() function");
+  }
+  providers.set(provider.name, provider);
+}
+
+export function getSmsProvider(name = process.env.SMS_PROVIDER || "console") {
+  const provider = providers.get(name);
+  if (!provider) throw new Error(`unknown SMS provider "${name}"`);
+  return provider;
+}
+
+export function listSmsProviders() {
+  return [...providers.keys()];
+}
+
+/* ---------- console: log only (development) ---------- */
+registerSmsProvider({
+  name: "console",
+  async send({ to, message }) {
+    console.log(`[sms][console] → ${to}: ${message}`);
+    return { ok: true, message_id: `console-${Date.now()}`, response: "logged" };
+  },
+});
+
+/* ---------- file: one JSON line per message (SMS_FILE_PATH) ---------- */
+registerSmsProvider({
+  name: "file",
+  async send({ to, message, meta }) {
+    const file = process.env.SMS_FILE_PATH || "sms-outbox.ndjson";
+    const id = `file-${Date.now()}-${Math.random().toString(16).slice(2, 8)}`;
+    await fs.appendFile(
+      file,
+      JSON.stringify({ id, to, message, meta, at: new Date().toISOString() }) +
+        "\n"
+    );
+    return { ok: true, message_id: id, response: `appended to ${file}` };
+  },
+});
+
+/* ---------- http: generic JSON gateway ----------
+ * SMS_HTTP_URL     POST target
+ * SMS_HTTP_TOKEN   sent as "Authorization: Bearer <token>" (optional)
+ * SMS_SENDER_ID    "sender" field (optional)
+ * SMS_HTTP_TIMEOUT_MS (default 10000)
+ *
+ * Body: { to, message, sender }. 2xx = accepted (id / message_id from the
+ * response body if present), 4xx other than 408/429 = permanent failure.
+ */
+registerSmsProvider({
+  name: "http",
+  async send({ to, message }) {
+    const url = process.env.SMS_HTTP_URL;
+    if (!url) return { ok: false, error: "SMS_HTTP_URL not set", permanent: true };
+
+    const res = await axios.post(
+      url,
+      { to, message, sender: process.env.SMS_SENDER_ID || undefined },
+      {
+        timeout: Number(process.env.SMS_HTTP_TIMEOUT_MS || 10000),
+        headers: process.env.SMS_HTTP_TOKEN
+          ? { Authorization: `Bearer ${process.env.SMS_HTTP_TOKEN}` }
+          : {},
+        validateStatus: () => true,
+      }
+    );
+
+    const response =
+      typeof res.data === "string" ? res.data : JSON.stringify(res.data);
+
+    if (res.status >= 200 && res.status < 300) {
+      return {
+        ok: true,
+        message_id: res.data?.message_id ?? res.data?.id ?? null,
+        response,
+      };
+    }
+
+    return {
+      ok: false,
+      error: `HTTP ${res.status}`,
+      response,
+      permanent: res.status >= 400 && res.status < 500 && ![408, 429].includes(res.status),
+    };
+  },
+});
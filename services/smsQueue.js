@@ -0,0 +1,356 @@
+// services/smsQueue.js
+import { pool } from "../db.js";
+import { getSmsProvider } from "./smsProviders.js";
+import { findSubscribers, quietHoldUntil } from "./subscriptions.js";
+import { suppressionReason } from "./alertSuppression.js";
+
+/**
+ * Outbound SMS queue (tables: sms_log, sms_attempts – migrations/012).
+ *
+ * enqueueSms() only inserts a QUEUED row, so it can run inside the
+ * ingest transaction: an alarm and its messages commit (or roll back)
+ * together. The worker (startSmsWorker) sends due rows through the
+ * provider from services/smsProviders.js and records every attempt.
+ *
+ * Env:
+ *   SMS_PROVIDER            console | file | http   (default console)
+ *   SMS_MAX_ATTEMPTS        default 5
+ *   SMS_RETRY_BASE_S        first retry delay, doubled per attempt (default 30)
+ *   SMS_WORKER_INTERVAL_MS  default 10000
+ *   SMS_BATCH_SIZE          rows per worker run (default 20)
+ */
+
+export const SMS_STATUSES = [
+  "QUEUED",
+  "SENDING",
+  "RETRY",
+  "SENT",
+  "FAILED",
+  "SUPPRESSED", // tank under maintenance / alerts disabled when due
+];
+
+// a SENDING row this old was left behind by a crashed worker
+const STUCK_SENDING_MINUTES = 5;
+
+const cfg = () => ({
+  maxAttempts: Math.max(1, Number(process.env.SMS_MAX_ATTEMPTS || 5)),
+  retryBaseS: Math.max(1, Number(process.env.SMS_RETRY_BASE_S || 30)),
+  intervalMs: Math.max(1000, Number(process.env.SMS_WORKER_INTERVAL_MS || 10000)),
+  batchSize: Math.max(1, Number(process.env.SMS_BATCH_SIZE || 20)),
+});
+
+function truncate(s, n) {
+  if (s === null || s === undefined) return null;
+  const str = String(s);
+  return str.length > n ? str.slice(0, n - 1) + "…" : str;
+}
+
+/**
+ * Queue one message.
+ * sms = { phone, message, tank_no?, alarm_id?, alarm_level?, severity?,
+ *         user_id?, subscription_id?, not_before? (Date, default now) }
+ * returns the sms_log id
+ */
+export async function enqueueSms(sms, db = pool) {
+  const [result] = await db.query(
+    `
+      INSERT INTO sms_log
+        (alarm_id, tank_no, alarm_level, severity, user_id, subscription_id,
+         phone, message, status, max_attempts, next_attempt_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'QUEUED', ?, COALESCE(?, NOW()));
+    `,
+    [
+      sms.alarm_id ?? null,
+      sms.tank_no ?? null,
+      sms.alarm_level ?? null,
+      sms.severity ?? null,
+      sms.user_id ?? null,
+      sms.subscription_id ?? null,
+      String(sms.phone).trim(),
+      truncate(sms.message, 480),
+      cfg().maxAttempts,
+      sms.not_before ?? null,
+    ]
+  );
+  return result.insertId;
+}
+
+/**
+ * Text for an alarm message.
+ */
+export function alarmSmsText({ tank_no, location, message, severity, at }) {
+  const when = (at instanceof Date ? at : new Date(at || Date.now()))
+    .toISOString()
+    .slice(0, 16)
+    .replace("T", " ");
+  const where = location ? ` (${location})` : "";
+  return `[${String(severity || "").toUpperCase()}] Tank ${tank_no}${where}: ${message} at ${when} UTC`;
+}
+
+/**
+ * Queue an alarm SMS for every contact subscribed to the tank
+ * (services/subscriptions.js). Inside a contact's quiet hours the
+ * message waits until they end – critical ones go out at once when
+ * the subscription allows it.
+ *
+ * alarm = { alarm_id, tank_no, alarm_level, severity, message, at }
+ * returns the number of messages queued
+ */
+export async function enqueueAlarmSms(alarm, db = pool) {
+  const [tanks] = await db.query(
+    "SELECT location FROM Master_Tables WHERE tank_no = ? LIMIT 1",
+    [alarm.tank_no]
+  );
+  const location = tanks[0]?.location ?? null;
+
+  const contacts = await findSubscribers(
+    {
+      tank_no: alarm.tank_no,
+      location,
+      severity: alarm.severity,
+      channel: "sms",
+    },
+    db
+  );
+
+  const message = alarmSmsText({ ...alarm, location });
+  const now = new Date();
+  let queued = 0;
+
+  for (const c of contacts) {
+    if (!c.phone) continue;
+
+    await enqueueSms(
+      {
+        phone: c.phone,
+        message,
+        tank_no: alarm.tank_no,
+        alarm_id: alarm.alarm_id,
+        alarm_level: alarm.alarm_level,
+        severity: alarm.severity,
+        user_id: c.user_id,
+        subscription_id: c.subscription.id,
+        not_before: quietHoldUntil(c.subscription, alarm.severity, now),
+      },
+      db
+    );
+    queued += 1;
+  }
+  return queued;
+}
+
+// rows due now, claimed as SENDING so a second worker skips them
+async function claimDue(limit) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    await conn.query(
+      `
+        UPDATE sms_log
+        SET status = 'RETRY', next_attempt_at = NOW()
+        WHERE status = 'SENDING'
+          AND updated_at < NOW() - INTERVAL ${STUCK_SENDING_MINUTES} MINUTE;
+      `
+    );
+
+    const [rows] = await conn.query(
+      `
+        SELECT *
+        FROM sms_log
+        WHERE status IN ('QUEUED', 'RETRY') AND next_attempt_at <= NOW()
+        ORDER BY next_attempt_at ASC, id ASC
+        LIMIT ?
+        FOR UPDATE SKIP LOCKED;
+      `,
+      [limit]
+    );
+
+    if (rows.length) {
+      await conn.query(
+        "UPDATE sms_log SET status = 'SENDING' WHERE id IN (?)",
+        [rows.map((r) => r.id)]
+      );
+    }
+
+    await conn.commit();
+    return rows;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+async function sendOne(row, provider) {
+  // the tank went into maintenance / had alerts disabled meanwhile
+  const suppressed = await suppressionReason(row.tank_no);
+  if (suppressed) {
+    await pool.query(
+      "UPDATE sms_log SET status = 'SUPPRESSED', last_error = ? WHERE id = ?",
+      [suppressed, row.id]
+    );
+    console.log(`[sms] #${row.id} → ${row.phone} not sent: ${suppressed}`);
+    return "SUPPRESSED";
+  }
+
+  const attempt = row.attempts + 1;
+  const started = Date.now();
+
+  let outcome;
+  try {
+    outcome = await provider.send({
+      to: row.phone,
+      message: row.message,
+      meta: { sms_id: row.id, tank_no: row.tank_no, alarm_id: row.alarm_id },
+    });
+  } catch (err) {
+    outcome = { ok: false, error: String(err.message || err) };
+  }
+
+  const duration = Date.now() - started;
+
+  await pool.query(
+    `
+      INSERT INTO sms_attempts
+        (sms_id, attempt, provider, status, provider_response, error, duration_ms)
+      VALUES (?, ?, ?, ?, ?, ?, ?);
+    `,
+    [
+      row.id,
+      attempt,
+      provider.name,
+      outcome.ok ? "SENT" : "FAILED",
+      truncate(outcome.response, 2000),
+      outcome.ok ? null : truncate(outcome.error, 255),
+      duration,
+    ]
+  );
+
+  if (outcome.ok) {
+    await pool.query(
+      `
+        UPDATE sms_log
+        SET status = 'SENT', attempts = ?, provider = ?, provider_message_id = ?,
+            last_error = NULL, sent_at = NOW()
+        WHERE id = ?;
+      `,
+      [attempt, provider.name, truncate(outcome.message_id, 100), row.id]
+    );
+    return "SENT";
+  }
+
+  const giveUp = outcome.permanent || attempt >= row.max_attempts;
+  const delayS = cfg().retryBaseS * 2 ** (attempt - 1);
+
+  await pool.query(
+    `
+      UPDATE sms_log
+      SET status = ?, attempts = ?, provider = ?, last_error = ?,
+          next_attempt_at = NOW() + INTERVAL ? SECOND
+      WHERE id = ?;
+    `,
+    [
+      giveUp ? "FAILED" : "RETRY",
+      attempt,
+      provider.name,
+      truncate(outcome.error, 255),
+      giveUp ? 0 : delayS,
+      row.id,
+    ]
+  );
+
+  console.warn(
+    `[sms] #${row.id} → ${row.phone} attempt ${attempt} failed: ${outcome.error}` +
+      (giveUp ? " (giving up)" : ` (retry in ${delayS}s)`)
+  );
+  return giveUp ? "FAILED" : "RETRY";
+}
+
+/**
+ * Send everything that is due. returns { claimed, sent, retry, failed, suppressed }
+ */
+export async function processSmsQueue({ limit = cfg().batchSize } = {}) {
+  const provider = getSmsProvider();
+  const rows = await claimDue(limit);
+  const summary = {
+    claimed: rows.length,
+    sent: 0,
+    retry: 0,
+    failed: 0,
+    suppressed: 0,
+  };
+
+  for (const row of rows) {
+    const status = await sendOne(row, provider);
+    if (status === "SENT") summary.sent += 1;
+    else if (status === "RETRY") summary.retry += 1;
+    else if (status === "SUPPRESSED") summary.suppressed += 1;
+    else summary.failed += 1;
+  }
+
+  if (rows.length) console.log("[sms] queue run:", summary);
+  return summary;
+}
+
+/**
+ * Put a FAILED message back in the queue with a fresh attempt budget.
+ */
+export async function retrySms(id) {
+  const [result] = await pool.query(
+    `
+      UPDATE sms_log
+      SET status = 'QUEUED', next_attempt_at = NOW(),
+          max_attempts = attempts + ?
+      WHERE id = ? AND status = 'FAILED';
+    `,
+    [cfg().maxAttempts, id]
+  );
+  if (result.affectedRows === 1) return { ok: true };
+
+  const [rows] = await pool.query("SELECT status FROM sms_log WHERE id = ?", [id]);
+  return rows.length
+    ? { ok: false, error: "NOT_FAILED", status: rows[0].status }
+    : { ok: false, error: "NOT_FOUND" };
+}
+
+/* ---------- worker ---------- */
+
+let timer = null;
+let running = false;
+
+export function startSmsWorker() {
+  if (timer) return timer;
+
+  try {
+    getSmsProvider();
+  } catch (err) {
+    console.error("[sms] worker not started:", err.message);
+    return null;
+  }
+
+  const { intervalMs } = cfg();
+  timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processSmsQueue();
+    } catch (err) {
+      console.error("[sms] queue run FAILED:", err.message || err);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref?.();
+
+  console.log(
+    `[sms] worker started (provider ${process.env.SMS_PROVIDER || "console"}, every ${intervalMs} ms)`
+  );
+  return timer;
+}
+
+export function stopSmsWorker() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
@@ -0,0 +1,267 @@
+// services/subscriptions.js
+import { pool } from "../db.js";
+import { SEVERITIES } from "../utils/safeLimits.js";
+import { isValidTimeOfDay, quietHoursEnd } from "../utils/quietHours.js";
+
+/**
+ * Contact → tank subscriptions (table: contact_subscriptions).
+ *
+ * A subscription covers one tank (tank_no), every tank at a location
+ * (location), or every tank (neither). findSubscribers() picks, per
+ * contact, the most specific matching subscription: tank > location > all.
+ * Every contact is subscribed to all tanks when the table is created
+ * (migrations/013), matching the old "everyone gets everything".
+ */
+
+export const SUBSCRIPTION_CHANNELS = ["sms", "email"];
+
+// "ok" is not something anyone subscribes to
+const ALERT_SEVERITIES = SEVERITIES.filter((s) => s !== "ok");
+
+const FIELDS = [
+  "tank_no",
+  "location",
+  "channels",
+  "min_severity",
+  "quiet_start",
+  "quiet_end",
+  "quiet_allow_critical",
+  "enabled",
+];
+
+function formatSubscription(r) {
+  return {
+    id: r.id,
+    user_id: r.user_id,
+    scope: r.tank_no ? "tank" : r.location ? "location" : "all",
+    tank_no: r.tank_no,
+    location: r.location,
+    channels: String(r.channels || "")
+      .split(",")
+      .filter(Boolean),
+    min_severity: r.min_severity,
+    quiet_hours:
+      r.quiet_start && r.quiet_end
+        ? {
+            start: String(r.quiet_start).slice(0, 5),
+            end: String(r.quiet_end).slice(0, 5),
+            allow_critical: !!r.quiet_allow_critical,
+          }
+        : null,
+    enabled: !!r.enabled,
+    created_at: r.created_at,
+    updated_at: r.updated_at,
+  };
+}
+
+const blankToNull = (v) =>
+  v === undefined ? undefined : v === null || String(v).trim() === "" ? null : String(v).trim();
+
+/**
+ * Body → column values. partial = only the fields present (PUT).
+ * returns { values } or { error, details }
+ */
+export function validateSubscription(body = {}, { partial = false } = {}) {
+  const values = {};
+
+  if (body.tank_no !== undefined) values.tank_no = blankToNull(body.tank_no);
+  if (body.location !== undefined) values.location = blankToNull(body.location);
+
+  if (body.channels !== undefined) {
+    const list = (Array.isArray(body.channels)
+      ? body.channels
+      : String(body.channels || "").split(",")
+    )
+      .map((c) => String(c).trim().toLowerCase())
+      .filter(Boolean);
+
+    if (!list.length || !list.every((c) => SUBSCRIPTION_CHANNELS.includes(c))) {
+      return {
+        error: "INVALID_CHANNELS",
+        details: { allowed: SUBSCRIPTION_CHANNELS },
+      };
+    }
+    values.channels = [...new Set(list)].join(",");
+  }
+
+  if (body.min_severity !== undefined) {
+    const sev = String(body.min_severity).trim().toLowerCase();
+    if (!ALERT_SEVERITIES.includes(sev)) {
+      return {
+        error: "INVALID_MIN_SEVERITY",
+        details: { allowed: ALERT_SEVERITIES },
+      };
+    }
+    values.min_severity = sev;
+  }
+
+  // quiet_hours: { start, end, allow_critical? } or null
+  if (body.quiet_hours !== undefined) {
+    const q = body.quiet_hours;
+    if (q === null) {
+      values.quiet_start = null;
+      values.quiet_end = null;
+    } else if (!isValidTimeOfDay(q?.start) || !isValidTimeOfDay(q?.end)) {
+      return {
+        error: "INVALID_QUIET_HOURS",
+        details: 'expected { "start": "HH:MM", "end": "HH:MM" }',
+      };
+    } else {
+      values.quiet_start = String(q.start).trim();
+      values.quiet_end = String(q.end).trim();
+      if (q.allow_critical !== undefined) {
+        values.quiet_allow_critical = q.allow_critical ? 1 : 0;
+      }
+    }
+  }
+
+  if (body.enabled !== undefined) values.enabled = body.enabled ? 1 : 0;
+
+  if (partial && Object.keys(values).length === 0) {
+    return { error: "NO_FIELDS_TO_UPDATE" };
+  }
+
+  return { values };
+}
+
+export async function userExists(userId) {
+  const [rows] = await pool.query("SELECT id FROM users WHERE id = ? LIMIT 1", [
+    userId,
+  ]);
+  return rows.length > 0;
+}
+
+export async function listSubscriptions(userId) {
+  const [rows] = await pool.query(
+    "SELECT * FROM contact_subscriptions WHERE user_id = ? ORDER BY id ASC",
+    [userId]
+  );
+  return rows.map(formatSubscription);
+}
+
+export async function getSubscription(userId, id) {
+  const [rows] = await pool.query(
+    "SELECT * FROM contact_subscriptions WHERE id = ? AND user_id = ? LIMIT 1",
+    [id, userId]
+  );
+  return rows.length ? formatSubscription(rows[0]) : null;
+}
+
+export async function createSubscription(userId, values) {
+  const cols = FIELDS.filter((f) => values[f] !== undefined);
+  const [result] = await pool.query(
+    `
+      INSERT INTO contact_subscriptions (user_id${cols.map((c) => `, ${c}`).join("")})
+      VALUES (?${cols.map(() => ", ?").join("")});
+    `,
+    [userId, ...cols.map((c) => values[c])]
+  );
+  return getSubscription(userId, result.insertId);
+}
+
+/**
+ * returns the updated subscription, null if it does not belong to the user
+ */
+export async function updateSubscription(userId, id, values) {
+  const cols = FIELDS.filter((f) => values[f] !== undefined);
+  const [result] = await pool.query(
+    `
+      UPDATE contact_subscriptions
+      SET ${cols.map((c) => `${c} = ?`).join(", ")}
+      WHERE id = ? AND user_id = ?;
+    `,
+    [...cols.map((c) => values[c]), id, userId]
+  );
+  return result.affectedRows ? getSubscription(userId, id) : null;
+}
+
+export async function deleteSubscription(userId, id) {
+  const [result] = await pool.query(
+    "DELETE FROM contact_subscriptions WHERE id = ? AND user_id = ?",
+    [id, userId]
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * Contacts to notify about an alert.
+ *
+ * alert = { tank_no, location, severity, channel }
+ * returns [{ user_id, name, phone, subscription }] – one per contact
+ */
+export async function findSubscribers(alert, db = pool) {
+  const [rows] = await db.query(
+    `
+      SELECT
+        s.*,
+        u.name,
+        u.phone
+      FROM contact_subscriptions s
+      JOIN users u ON u.id = s.user_id
+      WHERE FIND_IN_SET(?, s.channels) > 0
+        AND (
+          s.tank_no = ?
+          OR (s.tank_no IS NULL AND s.location = ?)
+          OR (s.tank_no IS NULL AND s.location IS NULL)
+        )
+      ORDER BY s.user_id, s.tank_no IS NULL, s.location IS NULL, s.id;
+    `,
+    [alert.channel, alert.tank_no, alert.location ?? null]
+  );
+
+  const rank = ALERT_SEVERITIES.indexOf(alert.severity);
+  const byUser = new Map();
+
+  for (const r of rows) {
+    // rows come most specific first per user
+    if (byUser.has(r.user_id)) continue;
+    byUser.set(r.user_id, r);
+  }
+
+  // a disabled tank subscription mutes that tank, it does not fall
+  // back to the contact's location / all-tanks one
+  return [...byUser.values()]
+    .filter((r) => r.enabled && rank >= ALERT_SEVERITIES.indexOf(r.min_severity))
+    .map((r) => ({
+      user_id: r.user_id,
+      name: r.name,
+      phone: r.phone,
+      subscription: formatSubscription(r),
+    }));
+}
+
+/**
+ * When a message for this subscription may go out: the end of its quiet
+ * hours if `now` is inside them, else null (send now). Critical alerts
+ * skip quiet hours when the subscription allows it.
+ */
+export function quietHoldUntil(subscription, severity, now = new Date()) {
+  const quiet = subscription.quiet_hours;
+  if (!quiet || (severity === "critical" && quiet.allow_critical)) return null;
+  return quietHoursEnd(now, quiet.start, quiet.end);
+}
+
+/**
+ * Tanks a contact hears about on any channel: for each tank the most
+ * specific subscription decides (a disabled one mutes the tank).
+ * returns [{ tank_no, location }]
+ */
+export async function subscribedTanks(userId, db = pool) {
+  const [subs] = await db.query(
+    "SELECT tank_no, location, enabled FROM contact_subscriptions WHERE user_id = ? ORDER BY id",
+    [userId]
+  );
+  if (!subs.length) return [];
+
+  const [tanks] = await db.query(
+    "SELECT tank_no, location FROM Master_Tables WHERE tank_no IS NOT NULL ORDER BY tank_no"
+  );
+
+  return tanks.filter((t) => {
+    const rule =
+      subs.find((s) => s.tank_no === t.tank_no) ||
+      subs.find((s) => !s.tank_no && s.location && s.location === t.location) ||
+      subs.find((s) => !s.tank_no && !s.location);
+    return !!rule?.enabled;
+  });
+}
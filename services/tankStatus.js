@@ -0,0 +1,349 @@
+// services/tankStatus.js
+import { pool } from "../db.js";
+import { computeTankLevel } from "../utils/geometry.js";
+import { fusionConfig, fuseLevelReading } from "../utils/sensorFusion.js";
+import { evaluateSafeLimits } from "../utils/safeLimits.js";
+import { loadCalibrationChart } from "./calibration.js";
+import { syncAlarm } from "./alarms.js";
+import { tankSuppression } from "./alertSuppression.js";
+import { evaluateAlertRules } from "./alertRules.js";
+
+/**
+ * Resolve location for a tank_status row when the reading has none:
+ * last tank_status row → last Transaction_Table row → "Unknown"
+ * (the column is NOT NULL).
+ */
+async function resolveLocation(tankNo, location, db) {
+  if (location != null) return location;
+
+  const [statusRows] = await db.query(
+    `
+      SELECT location
+      FROM tank_status
+      WHERE tank_no = ?
+      ORDER BY id DESC
+      LIMIT 1;
+    `,
+    [tankNo]
+  );
+  if (statusRows.length > 0 && statusRows[0].location != null) {
+    return statusRows[0].location;
+  }
+
+  const [txRows] = await db.query(
+    `
+      SELECT location
+      FROM Transaction_Table
+      WHERE tank_no = ?
+      ORDER BY date_time DESC
+      LIMIT 1;
+    `,
+    [tankNo]
+  );
+  if (txRows.length > 0 && txRows[0].location != null) {
+    return txRows[0].location;
+  }
+
+  return "Unknown";
+}
+
+/**
+ * tank_alarm_state row for a tank (null if it never had a level).
+ */
+async function loadAlarmState(tankNo, db) {
+  const [rows] = await db.query(
+    `
+      SELECT alarm_level, pending_level, pending_since, changed_at
+      FROM tank_alarm_state
+      WHERE tank_no = ?
+      FOR UPDATE;
+    `,
+    [tankNo]
+  );
+  return rows[0] || null;
+}
+
+async function saveAlarmState(tankNo, state, now, db) {
+  await db.query(
+    `
+      INSERT INTO tank_alarm_state
+        (tank_no, alarm_level, pending_level, pending_since, changed_at)
+      VALUES (?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE
+        alarm_level   = VALUES(alarm_level),
+        pending_level = VALUES(pending_level),
+        pending_since = VALUES(pending_since),
+        changed_at    = IF(?, VALUES(changed_at), changed_at);
+    `,
+    [
+      tankNo,
+      state.alarm_level,
+      state.pending_level,
+      state.pending_since,
+      now,
+      state.changed ? 1 : 0,
+    ]
+  );
+}
+
+// readings older than this still move alarms and rules, but notify nobody
+const NOTIFY_MAX_AGE_MS =
+  Number(process.env.ALARM_NOTIFY_MAX_AGE_MINUTES || 15) * 60000;
+
+// reading time of the tank's newest tank_status row
+async function latestReadingTime(tankNo, db) {
+  const [[row]] = await db.query(
+    "SELECT MAX(reading_time) AS latest FROM tank_status WHERE tank_no = ?",
+    [tankNo]
+  );
+  return row?.latest ? new Date(row.latest) : null;
+}
+
+function readingTime(dateTime) {
+  const t = dateTime ? new Date(dateTime) : null;
+  return t && !Number.isNaN(t.getTime()) ? t : new Date();
+}
+
+/**
+ * Derive tank_status from one reading and insert it.
+ *
+ * reading = { tank_no, location?, ultra_height, lidar_height?, ul_status?,
+ *             date_time? }
+ * db      = pool or a connection inside a transaction
+ *
+ * Alarms and alert rules follow the newest reading only: one older than
+ * the tank's latest reading_time is stored without touching them, and
+ * one older than ALARM_NOTIFY_MAX_AGE_MINUTES (15) notifies nobody.
+ *
+ * returns {
+ *   insertedRows,
+ *   status: { tank_status, tank_alert_message, alarm_level, severity,
+ *             alarm_id, alarm_action, under_maintenance, disable_alert,
+ *             rule_hits },
+ *   debug
+ * }
+ */
+export async function deriveTankStatus(reading, db = pool) {
+  const { tank_no, location } = reading || {};
+
+  // ----------------------------------------------------
+  // 0) Resolve location if not provided
+  // ----------------------------------------------------
+  const locValue = await resolveLocation(tank_no, location ?? null, db);
+
+  // ----------------------------------------------------
+  // 1) Fetch tank parameters
+  // ----------------------------------------------------
+  const [paramRows] = await db.query(
+    `
+      SELECT
+        tank_no,
+        shape,
+        diameter_breadth,
+        length,
+        height,
+        head_depth,
+        cone_height,
+        nozzle_height_m,
+        sensor_offset_m,
+        blind_zone_m,
+        tank_volume,
+        required_volume,
+        upper_safe_limit_pct,
+        lower_safe_limit_pct,
+        safe_limit_unit,
+        low_low_limit,
+        high_high_limit,
+        alarm_hysteresis,
+        alarm_dwell_s,
+        sensor_fusion,
+        fusion_threshold_m
+      FROM Tank_Parameters
+      WHERE tank_no = ?
+      LIMIT 1;
+    `,
+    [tank_no]
+  );
+
+  if (paramRows.length === 0) {
+    console.warn("[tank-status] No Tank_Parameters row for tank_no:", tank_no);
+  }
+
+  const params = paramRows[0] || {};
+  const capacityLitres = Number(params.tank_volume) || 0;
+
+  // ----------------------------------------------------
+  // 2) Compute depth, volume & fill%
+  // ----------------------------------------------------
+  // ultrasonic / lidar per Tank_Parameters.sensor_fusion
+  const fused = fuseLevelReading(reading, fusionConfig(params));
+  const ultraH = fused.distance_m != null ? fused.distance_m : NaN;
+  let currentLevelLitres = 0;
+  let fillPercentage = 0;
+
+  // Strapping chart wins when present, else Tank_Parameters.shape
+  const chart = await loadCalibrationChart(tank_no, db);
+  const level = computeTankLevel(params, ultraH, chart);
+
+  if (level.volume_l != null) {
+    currentLevelLitres = level.volume_l;
+
+    if (capacityLitres > 0) {
+      fillPercentage = (currentLevelLitres / capacityLitres) * 100;
+    }
+  }
+
+  // ----------------------------------------------------
+  // 3) Decide status & alert: LL / L / H / HH with hysteresis and
+  //    dwell time (utils/safeLimits.js – same decision as every other
+  //    route). No data leaves the stored level alone.
+  // ----------------------------------------------------
+  const now = readingTime(reading?.date_time);
+  const alarmState = await loadAlarmState(tank_no, db);
+  const verdict = evaluateSafeLimits(params, level, chart, alarmState, now);
+
+  // a backfilled reading (older than one already derived) gets its
+  // status row, but leaves alarm state, alarms and rules to the newer ones
+  const latest = await latestReadingTime(tank_no, db);
+  const backfill = latest != null && now < latest;
+
+  if (verdict.state && !backfill) {
+    await saveAlarmState(tank_no, verdict.state, now, db);
+  }
+
+  const tankStatus = verdict.tank_status;
+  const tankAlertMessage = verdict.tank_alert_message;
+  const flowStatus = verdict.decision === "NO_DATA" ? "Inactive" : "Normal";
+
+  // maintenance window / alerts disabled at the time of the reading
+  const suppression = await tankSuppression(tank_no, now, db);
+
+  // ----------------------------------------------------
+  // 4) Insert into tank_status
+  // ----------------------------------------------------
+  const sql = `
+    INSERT INTO tank_status (
+      tank_no,
+      location,
+      currentLevel,
+      fillPercentage,
+      flowStatus,
+      tank_status,
+      tank_alert_message,
+      alarm_level,
+      severity,
+      under_maintenance,
+      disable_alert,
+      reading_time
+    ) VALUES (
+      ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?
+    );
+  `;
+
+  const insertParams = [
+    tank_no,
+    locValue, // <-- guaranteed NON-NULL
+    currentLevelLitres,
+    Number.isFinite(fillPercentage) ? fillPercentage : 0,
+    flowStatus,
+    tankStatus,
+    tankAlertMessage,
+    verdict.alarm_level,
+    verdict.severity,
+    suppression.under_maintenance,
+    suppression.disable_alert,
+    now,
+  ];
+
+  console.log("[tank-status] tank_status insert:", {
+    tank_no,
+    location: locValue,
+    currentLevelLitres,
+    fillPercentage,
+    flowStatus,
+    tankStatus,
+    tankAlertMessage,
+    alarmLevel: verdict.alarm_level,
+    suppressed: suppression.suppressed,
+  });
+
+  const [result] = await db.query(sql, insertParams);
+
+  // a suppressed tank's alarms and hits notify nobody, nor do readings
+  // that arrive late (gateway flush)
+  const silent =
+    suppression.suppressed || Date.now() - now.getTime() > NOTIFY_MAX_AGE_MS;
+
+  // raise / update / clear the tank's alarm (no data leaves it alone)
+  const alarm = backfill
+    ? { action: "NONE", alarm_id: null }
+    : await syncAlarm(
+        tank_no,
+        verdict.alarm_level,
+        { now, statusId: result.insertId, suppressed: silent },
+        db
+      );
+
+  // user-defined rules (services/alertRules.js); hits opened by this reading
+  const ruleHits = backfill
+    ? []
+    : await evaluateAlertRules(
+        {
+          tank_no,
+          location: locValue,
+          now,
+          status_id: result.insertId,
+          has_level: level.volume_l != null,
+          fill_percentage: fillPercentage,
+          current_level: currentLevelLitres,
+          required_volume:
+            params.required_volume == null ? null : Number(params.required_volume),
+          suppressed: silent,
+        },
+        db
+      );
+
+  return {
+    insertedRows: result.affectedRows,
+    status: {
+      tank_status: tankStatus,
+      tank_alert_message: tankAlertMessage,
+      alarm_level: verdict.alarm_level,
+      severity: verdict.severity,
+      alarm_id: alarm.alarm_id,
+      alarm_action: alarm.action,
+      under_maintenance: suppression.under_maintenance,
+      disable_alert: suppression.disable_alert,
+      rule_hits: ruleHits.map((h) => ({
+        id: h.id,
+        rule_id: h.rule_id,
+        rule_type: h.rule_type,
+        severity: h.severity,
+        message: h.message,
+      })),
+    },
+    debug: {
+      capacityLitres,
+      upperSafeLitres: verdict.limits.upper_l,
+      lowerSafeLitres: verdict.limits.lower_l,
+      safeLimitUnit: verdict.limits.unit,
+      lowLowLimitLitres: verdict.limits.low_low_l,
+      highHighLimitLitres: verdict.limits.high_high_l,
+      alarmLevel: verdict.alarm_level,
+      candidateAlarmLevel: verdict.candidate_level,
+      pendingAlarmLevel: verdict.state?.pending_level ?? null,
+      severity: verdict.severity,
+      shape: level.shape,
+      volumeSource: level.volume_source,
+      levelSource: fused.source,
+      sensorDisagreementM: fused.disagreement_m,
+      waterDepthM: level.depth_m,
+      levelState: level.level_state,
+      currentLevelLitres,
+      fillPercentage,
+      tankStatus,
+      tankAlertMessage,
+      location: locValue,
+    },
+  };
+}
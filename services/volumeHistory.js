@@ -0,0 +1,198 @@
+// services/volumeHistory.js
+import { pool } from "../db.js";
+import { computeTankLevel } from "../utils/geometry.js";
+import { fusionConfig, fuseLevelReading } from "../utils/sensorFusion.js";
+import { HISTORY_INTERVALS } from "../utils/downsample.js";
+import { loadCalibrationChart } from "./calibration.js";
+
+/**
+ * A tank's raw readings (Transaction_Table) turned into volumes with the
+ * same engine as tank_status (strapping chart, else Tank_Parameters
+ * shape; ultrasonic / lidar per sensor_fusion).
+ */
+
+const PARAM_COLUMNS = `
+  tank_no, shape, diameter_breadth, length, height, head_depth,
+  cone_height, nozzle_height_m, sensor_offset_m, blind_zone_m,
+  tank_volume, required_volume, sensor_fusion, fusion_threshold_m,
+  upper_safe_limit_pct, lower_safe_limit_pct, safe_limit_unit,
+  low_low_limit, high_high_limit
+`;
+
+/**
+ * Tank_Parameters row of a tank, null if there is none.
+ */
+export async function loadTankParams(tankNo, db = pool) {
+  const [rows] = await db.query(
+    `SELECT ${PARAM_COLUMNS} FROM Tank_Parameters WHERE tank_no = ? LIMIT 1`,
+    [tankNo]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Volume of every reading of a tank in [from, to], oldest first.
+ * Readings that give no volume (no sensor value, incomplete dimensions)
+ * are left out, or kept with volume_l null when keepEmpty is set.
+ *
+ * returns null if the tank has no Tank_Parameters, else
+ * {
+ *   params, chart, capacity_l, volume_source: "calibration" | "geometry",
+ *   points: [{ date_time, level_m, depth_m, volume_l }]
+ * }
+ */
+export async function loadVolumeSeries(tankNo, { from, to, keepEmpty = false }, db = pool) {
+  const params = await loadTankParams(tankNo, db);
+  if (!params) return null;
+
+  const [rows] = await db.query(
+    `
+      SELECT ultra_height, lidar_height, ul_status, date_time
+      FROM Transaction_Table
+      WHERE tank_no = ? AND date_time BETWEEN ? AND ?
+      ORDER BY date_time ASC;
+    `,
+    [tankNo, from, to]
+  );
+
+  const chart = await loadCalibrationChart(tankNo, db);
+  const fusion = fusionConfig(params);
+  const points = [];
+
+  for (const r of rows) {
+    const fused = fuseLevelReading(r, fusion);
+    const level = computeTankLevel(params, fused.distance_m, chart);
+    if (level.volume_l == null && !keepEmpty) continue;
+
+    points.push({
+      date_time: new Date(r.date_time),
+      level_m: fused.distance_m,
+      depth_m: level.depth_m,
+      volume_l: level.volume_l,
+    });
+  }
+
+  return {
+    params,
+    chart,
+    capacity_l: Number(params.tank_volume) || null,
+    volume_source: chart.length ? "calibration" : "geometry",
+    points,
+  };
+}
+
+// bucket start of a Transaction_Table date_time column; days are local
+// (DATE()), shorter buckets are cut from the epoch
+function bucketExpr(column, interval) {
+  const secs = HISTORY_INTERVALS[interval];
+  return interval === "1d"
+    ? `TIMESTAMP(DATE(${column}))`
+    : `FROM_UNIXTIME(FLOOR(UNIX_TIMESTAMP(${column}) / ${secs}) * ${secs})`;
+}
+
+// agg is about the liquid level and the sensor looks down: the lowest
+// level is the largest distance
+const DISTANCE_AGG = { avg: "AVG", min: "MAX", max: "MIN" };
+
+/**
+ * Readings of one tank or device (key = "tank_no" | "device_id"), raw or
+ * one row per interval bucket aggregated in SQL (rows then carry
+ * bucket_start and samples):
+ *   last      the bucket's latest reading as it was
+ *   avg       mean sensor distances, date_time = bucket start
+ *   min / max the distance of the lowest / highest level
+ * avg of distances is the avg volume only for straight-sided tanks, and
+ * ul_status is not aggregated (null: fused as if the ultrasonic had no
+ * fault).
+ *
+ * opts = { from?, to?, interval?, agg = "avg", newestFirst = false, limit? }
+ */
+export async function selectReadings(
+  key,
+  value,
+  { from = null, to = null, interval = null, agg = "avg", newestFirst = false, limit = null },
+  db = pool
+) {
+  const range = from && to ? "AND date_time BETWEEN ? AND ?" : "";
+  const args = from && to ? [value, from, to] : [value];
+  const order = newestFirst ? "DESC" : "ASC";
+  const limitSql = limit ? `LIMIT ${Number(limit)}` : "";
+
+  if (!interval) {
+    const [rows] = await db.query(
+      `
+        SELECT device_id, tank_no, location, ultra_height, lidar_height,
+               ul_status, date_time
+        FROM Transaction_Table
+        WHERE ${key} = ? ${range}
+        ORDER BY date_time ${order}
+        ${limitSql};
+      `,
+      args
+    );
+    return rows;
+  }
+
+  if (agg === "last") {
+    const [rows] = await db.query(
+      `
+        SELECT tt.device_id, tt.tank_no, tt.location, tt.ultra_height,
+               tt.lidar_height, tt.ul_status, tt.date_time,
+               b.bucket_start, b.samples
+        FROM Transaction_Table tt
+        JOIN (
+          SELECT ${bucketExpr("date_time", interval)} AS bucket_start,
+                 MAX(date_time) AS last_at,
+                 COUNT(*) AS samples
+          FROM Transaction_Table
+          WHERE ${key} = ? ${range}
+          GROUP BY bucket_start
+        ) b
+          ON tt.date_time = b.last_at
+        WHERE tt.${key} = ?
+        ORDER BY tt.date_time ${order}
+        ${limitSql};
+      `,
+      [...args, value]
+    );
+    // two readings with the same timestamp: keep one
+    return rows.filter(
+      (r, i) => i === 0 || String(r.date_time) !== String(rows[i - 1].date_time)
+    );
+  }
+
+  const fn = DISTANCE_AGG[agg];
+  const [rows] = await db.query(
+    `
+      SELECT ${bucketExpr("date_time", interval)} AS bucket_start,
+             COUNT(*) AS samples,
+             MAX(device_id) AS device_id,
+             MAX(tank_no) AS tank_no,
+             MAX(location) AS location,
+             ${fn}(ultra_height) AS ultra_height,
+             ${fn}(lidar_height) AS lidar_height
+      FROM Transaction_Table
+      WHERE ${key} = ? ${range}
+      GROUP BY bucket_start
+      ORDER BY bucket_start ${order}
+      ${limitSql};
+    `,
+    args
+  );
+  return rows.map((r) => ({ ...r, ul_status: null, date_time: r.bucket_start }));
+}
+
+/**
+ * Readings of a tank in [from, to] for the history charts (raw, or
+ * bucketed by interval / agg as in selectReadings), each merged with the
+ * tank's Tank_Parameters so computeTankLevel / fusionConfig take it as is.
+ *
+ * returns [] if the tank has no Tank_Parameters
+ */
+export async function loadReadingRows(tankNo, { from, to, interval = null, agg = "avg" }, db = pool) {
+  const params = await loadTankParams(tankNo, db);
+  if (!params) return [];
+
+  const rows = await selectReadings("tank_no", tankNo, { from, to, interval, agg }, db);
+  return rows.map((r) => ({ ...params, ...r }));
+}
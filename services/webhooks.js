@@ -0,0 +1,229 @@
+// services/webhooks.js
+import crypto from "crypto";
+import { pool } from "../db.js";
+import { SEVERITIES } from "../utils/safeLimits.js";
+import { NOTIFICATION_EVENTS } from "../utils/notificationTemplates.js";
+
+/**
+ * Outbound webhook endpoints (table: webhook_endpoints – migrations/015).
+ *
+ * Unlike contact subscriptions every matching endpoint is called: one
+ * for the tank, one for its location and an all-tanks one all fire.
+ * The secret is only returned in full when the endpoint is created (or
+ * the secret replaced); lists show a masked copy.
+ */
+
+const ALERT_SEVERITIES = SEVERITIES.filter((s) => s !== "ok");
+
+const FIELDS = [
+  "name",
+  "url",
+  "secret",
+  "tank_no",
+  "location",
+  "events",
+  "min_severity",
+  "enabled",
+];
+
+function maskSecret(secret) {
+  const s = String(secret || "");
+  return s.length > 8 ? `${s.slice(0, 4)}…${s.slice(-4)}` : "••••";
+}
+
+function formatWebhook(r, { revealSecret = false } = {}) {
+  return {
+    id: r.id,
+    name: r.name,
+    url: r.url,
+    secret: revealSecret ? r.secret : maskSecret(r.secret),
+    scope: r.tank_no ? "tank" : r.location ? "location" : "all",
+    tank_no: r.tank_no,
+    location: r.location,
+    events: String(r.events || "")
+      .split(",")
+      .filter(Boolean),
+    min_severity: r.min_severity,
+    enabled: !!r.enabled,
+    created_at: r.created_at,
+    updated_at: r.updated_at,
+  };
+}
+
+// webhook_endpoints column sizes (migrations/015)
+const MAX_LENGTH = { url: 500, secret: 255, tank_no: 50, location: 100 };
+
+function tooLong(field, value) {
+  return value != null && value.length > MAX_LENGTH[field]
+    ? {
+        error: `INVALID_${field.toUpperCase()}`,
+        details: `${field}: at most ${MAX_LENGTH[field]} characters`,
+      }
+    : null;
+}
+
+const blankToNull = (v) =>
+  v === undefined ? undefined : v === null || String(v).trim() === "" ? null : String(v).trim();
+
+/**
+ * Body → column values. partial = only the fields present (PUT).
+ * A new endpoint without a secret gets a random one.
+ * returns { values } or { error, details }
+ */
+export function validateWebhook(body = {}, { partial = false } = {}) {
+  const values = {};
+
+  if (body.name !== undefined || !partial) {
+    const name = String(body.name ?? "").trim();
+    if (!name) return { error: "NAME_REQUIRED" };
+    values.name = name.slice(0, 100);
+  }
+
+  if (body.url !== undefined || !partial) {
+    let url;
+    try {
+      url = new URL(String(body.url ?? "").trim());
+    } catch {
+      url = null;
+    }
+    if (!url || !["http:", "https:"].includes(url.protocol)) {
+      return { error: "INVALID_URL", details: "expected an http(s) URL" };
+    }
+    values.url = url.toString();
+    const err = tooLong("url", values.url);
+    if (err) return err;
+  }
+
+  if (body.secret !== undefined) {
+    const secret = String(body.secret ?? "").trim();
+    if (secret.length < 16) {
+      return { error: "INVALID_SECRET", details: "at least 16 characters" };
+    }
+    const err = tooLong("secret", secret);
+    if (err) return err;
+    values.secret = secret;
+  } else if (!partial) {
+    values.secret = crypto.randomBytes(24).toString("hex");
+  }
+
+  for (const field of ["tank_no", "location"]) {
+    if (body[field] === undefined) continue;
+    values[field] = blankToNull(body[field]);
+    const err = tooLong(field, values[field]);
+    if (err) return err;
+  }
+
+  if (body.events !== undefined) {
+    const list = (Array.isArray(body.events)
+      ? body.events
+      : String(body.events || "").split(",")
+    )
+      .map((e) => String(e).trim().toUpperCase())
+      .filter(Boolean);
+
+    if (!list.length || !list.every((e) => NOTIFICATION_EVENTS.includes(e))) {
+      return {
+        error: "INVALID_EVENTS",
+        details: { allowed: NOTIFICATION_EVENTS },
+      };
+    }
+    values.events = [...new Set(list)].join(",");
+  }
+
+  if (body.min_severity !== undefined) {
+    const sev = String(body.min_severity).trim().toLowerCase();
+    if (!ALERT_SEVERITIES.includes(sev)) {
+      return {
+        error: "INVALID_MIN_SEVERITY",
+        details: { allowed: ALERT_SEVERITIES },
+      };
+    }
+    values.min_severity = sev;
+  }
+
+  if (body.enabled !== undefined) values.enabled = body.enabled ? 1 : 0;
+
+  if (partial && Object.keys(values).length === 0) {
+    return { error: "NO_FIELDS_TO_UPDATE" };
+  }
+
+  return { values };
+}
+
+export async function listWebhooks() {
+  const [rows] = await pool.query(
+    "SELECT * FROM webhook_endpoints ORDER BY id ASC"
+  );
+  return rows.map((r) => formatWebhook(r));
+}
+
+export async function getWebhook(id, { revealSecret = false } = {}) {
+  const [rows] = await pool.query(
+    "SELECT * FROM webhook_endpoints WHERE id = ? LIMIT 1",
+    [id]
+  );
+  return rows.length ? formatWebhook(rows[0], { revealSecret }) : null;
+}
+
+export async function createWebhook(values) {
+  const cols = FIELDS.filter((f) => values[f] !== undefined);
+  const [result] = await pool.query(
+    `
+      INSERT INTO webhook_endpoints (${cols.join(", ")})
+      VALUES (${cols.map(() => "?").join(", ")});
+    `,
+    cols.map((c) => values[c])
+  );
+  return getWebhook(result.insertId, { revealSecret: true });
+}
+
+/**
+ * returns the updated endpoint, null if it does not exist
+ */
+export async function updateWebhook(id, values) {
+  const cols = FIELDS.filter((f) => values[f] !== undefined);
+  const [result] = await pool.query(
+    `
+      UPDATE webhook_endpoints
+      SET ${cols.map((c) => `${c} = ?`).join(", ")}
+      WHERE id = ?;
+    `,
+    [...cols.map((c) => values[c]), id]
+  );
+  return result.affectedRows
+    ? getWebhook(id, { revealSecret: values.secret !== undefined })
+    : null;
+}
+
+export async function deleteWebhook(id) {
+  const [result] = await pool.query(
+    "DELETE FROM webhook_endpoints WHERE id = ?",
+    [id]
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * Enabled endpoints that want this alarm event.
+ * alert = { tank_no, location, severity, event }
+ */
+export async function findWebhooks(alert, db = pool) {
+  const [rows] = await db.query(
+    `
+      SELECT *
+      FROM webhook_endpoints
+      WHERE enabled = 1
+        AND FIND_IN_SET(?, events) > 0
+        AND (
+          tank_no = ?
+          OR (tank_no IS NULL AND location = ?)
+          OR (tank_no IS NULL AND location IS NULL)
+        )
+      ORDER BY id;
+    `,
+    [alert.event, alert.tank_no, alert.location ?? null]
+  );
+
+  const rank = ALERT_SEVERITIES.indexOf(alert.severity);
+  return rows.filter((r) => rank >= ALERT_SEVERITIES.indexOf(r.min_severity));
+}
@@ -0,0 +1,197 @@
+// utils/alertRules.js
+import { SEVERITIES } from "./safeLimits.js";
+
+/**
+ * Alert rule types, their parameters and the pure checks
+ * (services/alertRules.js gathers the facts and records hits).
+ *
+ *   FILL_DROP              threshold = % points, window_minutes (60)
+ *   BELOW_REQUIRED_VOLUME  no parameters – Tank_Parameters.required_volume
+ *   NO_READING             window_minutes = N
+ *   STUCK_SENSOR           threshold = tolerance in m (0.005),
+ *                          window_minutes (60)
+ */
+export const RULE_TYPES = {
+  FILL_DROP: {
+    threshold: { required: true, min: 0.1, max: 100 },
+    window_minutes: { default: 60 },
+  },
+  BELOW_REQUIRED_VOLUME: {},
+  NO_READING: {
+    window_minutes: { required: true },
+  },
+  STUCK_SENSOR: {
+    threshold: { default: 0.005, min: 0, max: 1 },
+    window_minutes: { default: 60 },
+  },
+};
+
+export const RULE_TYPE_NAMES = Object.keys(RULE_TYPES);
+
+const ALERT_SEVERITIES = SEVERITIES.filter((s) => s !== "ok");
+
+// a week: longer windows make every check scan too much history
+const MAX_WINDOW_MINUTES = 7 * 24 * 60;
+
+// a stuck sensor needs this many readings in the window, not one
+// reading at each end of a gap
+export const STUCK_MIN_READINGS = 3;
+
+const blank = (v) =>
+  v === undefined || v === null || String(v).trim() === "" ? null : String(v).trim();
+
+/**
+ * Body → column values or { error, details }.
+ * PUT passes the stored rule merged with the body, so every rule is
+ * validated whole (a new rule_type re-checks its parameters).
+ *
+ * body = { name, rule_type, tank_no?, location?, threshold?,
+ *          window_minutes?, severity?, message?, notify?, enabled? }
+ */
+export function validateRule(body = {}) {
+  const name = String(body.name ?? "").trim();
+  if (!name) return { error: "NAME_REQUIRED" };
+
+  const ruleType = String(body.rule_type ?? "").trim().toUpperCase();
+  const spec = RULE_TYPES[ruleType];
+  if (!spec) {
+    return { error: "INVALID_RULE_TYPE", details: { allowed: RULE_TYPE_NAMES } };
+  }
+
+  let threshold = null;
+  if (spec.threshold) {
+    const raw = blank(body.threshold);
+    if (raw == null && spec.threshold.required) {
+      return { error: "THRESHOLD_REQUIRED", details: `${ruleType} needs a threshold` };
+    }
+    threshold = raw == null ? spec.threshold.default : Number(raw);
+    if (
+      !Number.isFinite(threshold) ||
+      threshold < spec.threshold.min ||
+      threshold > spec.threshold.max
+    ) {
+      return {
+        error: "INVALID_THRESHOLD",
+        details: `between ${spec.threshold.min} and ${spec.threshold.max}`,
+      };
+    }
+  }
+
+  let windowMinutes = null;
+  if (spec.window_minutes) {
+    const raw = blank(body.window_minutes);
+    if (raw == null && spec.window_minutes.required) {
+      return {
+        error: "WINDOW_MINUTES_REQUIRED",
+        details: `${ruleType} needs window_minutes`,
+      };
+    }
+    windowMinutes = raw == null ? spec.window_minutes.default : Number(raw);
+    if (
+      !Number.isInteger(windowMinutes) ||
+      windowMinutes < 1 ||
+      windowMinutes > MAX_WINDOW_MINUTES
+    ) {
+      return {
+        error: "INVALID_WINDOW_MINUTES",
+        details: `whole minutes, 1 to ${MAX_WINDOW_MINUTES}`,
+      };
+    }
+  }
+
+  const severity = String(body.severity ?? "warning").trim().toLowerCase();
+  if (!ALERT_SEVERITIES.includes(severity)) {
+    return { error: "INVALID_SEVERITY", details: { allowed: ALERT_SEVERITIES } };
+  }
+
+  return {
+    values: {
+      name: name.slice(0, 100),
+      rule_type: ruleType,
+      tank_no: blank(body.tank_no),
+      location: blank(body.location),
+      threshold,
+      window_minutes: windowMinutes,
+      severity,
+      message: blank(body.message)?.slice(0, 255) ?? null,
+      notify: body.notify === undefined ? 1 : body.notify ? 1 : 0,
+      enabled: body.enabled === undefined ? 1 : body.enabled ? 1 : 0,
+    },
+  };
+}
+
+const fixed = (v, digits) => Number(Number(v).toFixed(digits));
+
+/**
+ * Does the rule's condition hold?
+ *
+ * facts (only what the rule type needs):
+ *   FILL_DROP              { fill_percentage, max_fill_percentage }
+ *   BELOW_REQUIRED_VOLUME  { current_level, required_volume }
+ *   NO_READING             { minutes_since_reading }
+ *   STUCK_SENSOR           { readings, min_height, max_height }
+ *
+ * returns { hit: true, value, message } | { hit: false }
+ *         | null (not enough data to tell – an open hit stays open)
+ */
+export function checkRule(rule, facts) {
+  const threshold = rule.threshold == null ? null : Number(rule.threshold);
+  const windowMinutes = rule.window_minutes;
+  const hit = (value, text) => ({
+    hit: true,
+    value,
+    message: rule.message || text,
+  });
+
+  switch (rule.rule_type) {
+    case "FILL_DROP": {
+      const { fill_percentage: fill, max_fill_percentage: peak } = facts;
+      if (fill == null || peak == null) return null;
+      const drop = Number(peak) - Number(fill);
+      return drop >= threshold
+        ? hit(
+            fixed(drop, 2),
+            `Fill dropped ${drop.toFixed(1)}% in ${windowMinutes} min ` +
+              `(${Number(peak).toFixed(1)}% → ${Number(fill).toFixed(1)}%)`
+          )
+        : { hit: false };
+    }
+
+    case "BELOW_REQUIRED_VOLUME": {
+      const { current_level: level, required_volume: required } = facts;
+      if (level == null || required == null || Number(required) <= 0) return null;
+      return Number(level) < Number(required)
+        ? hit(
+            fixed(level, 3),
+            `Volume ${Math.round(level)} L below required ${Math.round(required)} L`
+          )
+        : { hit: false };
+    }
+
+    case "NO_READING": {
+      const { minutes_since_reading: minutes } = facts;
+      if (minutes == null) return null;
+      return minutes >= windowMinutes
+        ? hit(fixed(minutes, 1), `No reading for ${Math.floor(minutes)} min`)
+        : { hit: false };
+    }
+
+    case "STUCK_SENSOR": {
+      const { readings, min_height: low, max_height: high } = facts;
+      if (!readings || readings < STUCK_MIN_READINGS || low == null || high == null) {
+        return null;
+      }
+      const spread = Number(high) - Number(low);
+      return spread <= threshold
+        ? hit(
+            fixed(high, 3),
+            `Sensor stuck at ${Number(high).toFixed(3)} m for ${windowMinutes} min ` +
+              `(${readings} readings)`
+          )
+        : { hit: false };
+    }
+
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,200 @@
+// utils/anomalies.js
+import { parseTimeOfDay } from "./quietHours.js";
+
+/**
+ * Leak / theft detection on a volume series (services/volumeHistory.js).
+ *
+ * Only readings outside the tank's operating hours (and outside
+ * maintenance windows) are looked at – that is when nothing should draw
+ * from the tank. Two patterns are reported:
+ *
+ *   STEADY_DROP  over at least steady_window_minutes the volume fell at
+ *                steady_rate_lph or faster, mostly reading by reading
+ *                (a slow leak)
+ *   STEP_LOSS    step_loss_l or more gone within step_minutes
+ *                (theft, a burst line, an open valve)
+ */
+
+export const ANOMALY_KINDS = ["STEADY_DROP", "STEP_LOSS"];
+
+export const ANOMALY_SEVERITY = { STEADY_DROP: "warning", STEP_LOSS: "critical" };
+
+// a gap longer than this splits the series: no claims across missing data
+const MAX_GAP_MINUTES = 60;
+
+// share of falling (or flat) steps that makes a drop "steady"
+const STEADY_SHARE = 0.75;
+
+/* ---------- operating hours ---------- */
+
+/**
+ * "06:00-18:00, 20:00-22:00" → [[360, 1080], [1200, 1320]]
+ * (minutes after midnight; end before start wraps past midnight).
+ * "" → [] (no operating hours: every hour is watched).
+ * null if any range is invalid.
+ */
+export function parseOperatingHours(value) {
+  const list = Array.isArray(value) ? value : String(value ?? "").split(",");
+  const ranges = [];
+
+  for (const item of list.map((s) => String(s).trim()).filter(Boolean)) {
+    const [start, end, extra] = item.split("-").map((s) => s.trim());
+    const s = parseTimeOfDay(start);
+    const e = parseTimeOfDay(end);
+    if (extra !== undefined || s == null || e == null || s === e) return null;
+    ranges.push([s, e]);
+  }
+  return ranges;
+}
+
+const hhmm = (m) =>
+  `${String(Math.floor(m / 60)).padStart(2, "0")}:${String(m % 60).padStart(2, "0")}`;
+
+export function formatOperatingHours(ranges) {
+  return ranges.map(([s, e]) => `${hhmm(s)}-${hhmm(e)}`).join(",");
+}
+
+export function inOperatingHours(date, ranges) {
+  const t = date.getHours() * 60 + date.getMinutes();
+  return ranges.some(([s, e]) => (s < e ? t >= s && t < e : t >= s || t < e));
+}
+
+/* ---------- detection ---------- */
+
+// median of 3 – one bad echo must not look like a step
+function smooth(points) {
+  return points.map((p, i) => {
+    if (i === 0 || i === points.length - 1) return p.volume_l;
+    const trio = [points[i - 1].volume_l, p.volume_l, points[i + 1].volume_l];
+    return trio.sort((a, b) => a - b)[1];
+  });
+}
+
+// watched runs of points without long gaps
+function watchedSegments(points, cfg) {
+  const segments = [];
+  let current = [];
+
+  for (const p of points) {
+    const t = p.date_time;
+    const watched =
+      !inOperatingHours(t, cfg.operating_hours) &&
+      !(cfg.excluded || []).some((w) => t >= w.from && t < w.to);
+
+    const last = current[current.length - 1];
+    if (!watched || (last && t - last.date_time > MAX_GAP_MINUTES * 60000)) {
+      if (current.length > 1) segments.push(current);
+      current = [];
+    }
+    if (watched) current.push(p);
+  }
+  if (current.length > 1) segments.push(current);
+
+  return segments.map((seg) => {
+    const v = smooth(seg);
+    return seg.map((p, i) => ({ t: p.date_time, v: v[i] }));
+  });
+}
+
+// overlapping [start, end] index spans → merged spans
+function mergeSpans(spans) {
+  const merged = [];
+  for (const [s, e] of spans.sort((a, b) => a[0] - b[0])) {
+    const last = merged[merged.length - 1];
+    if (last && s <= last[1]) last[1] = Math.max(last[1], e);
+    else merged.push([s, e]);
+  }
+  return merged;
+}
+
+function finding(kind, seg, [s, e]) {
+  const hours = (seg[e].t - seg[s].t) / 3600000;
+  const loss = seg[s].v - seg[e].v;
+  return {
+    kind,
+    severity: ANOMALY_SEVERITY[kind],
+    started_at: seg[s].t,
+    ended_at: seg[e].t,
+    volume_start_l: Number(seg[s].v.toFixed(1)),
+    volume_end_l: Number(seg[e].v.toFixed(1)),
+    loss_l: Number(loss.toFixed(1)),
+    rate_lph: hours > 0 ? Number((loss / hours).toFixed(1)) : null,
+    readings: e - s + 1,
+  };
+}
+
+// index spans of STEP_LOSS in a segment
+function stepSpans(seg, cfg) {
+  const spans = [];
+  let j = 0;
+
+  for (let i = 1; i < seg.length; i++) {
+    while (seg[i].t - seg[j].t > cfg.step_minutes * 60000) j++;
+
+    let peak = j;
+    for (let k = j + 1; k < i; k++) if (seg[k].v > seg[peak].v) peak = k;
+
+    if (seg[peak].v - seg[i].v >= cfg.step_loss_l) spans.push([peak, i]);
+  }
+
+  return mergeSpans(spans);
+}
+
+// index spans of STEADY_DROP; windows holding a step loss are the step's
+function steadySpans(seg, cfg, steps) {
+  const windowMs = cfg.steady_window_minutes * 60000;
+  const spans = [];
+  let j = 0;
+
+  for (let i = 1; i < seg.length; i++) {
+    // latest start that still gives a full window
+    if (seg[i].t - seg[0].t < windowMs) continue;
+    while (j + 1 < i && seg[i].t - seg[j + 1].t >= windowMs) j++;
+
+    const loss = seg[j].v - seg[i].v;
+    const hours = (seg[i].t - seg[j].t) / 3600000;
+    if (loss <= 0 || loss / hours < cfg.steady_rate_lph) continue;
+    if (steps.some(([a, b]) => a < i && b > j)) continue;
+
+    let falling = 0;
+    let biggest = 0;
+    for (let k = j + 1; k <= i; k++) {
+      const d = seg[k - 1].v - seg[k].v;
+      if (d >= 0) falling++;
+      if (d > biggest) biggest = d;
+    }
+    // one big step is a STEP_LOSS, not a leak
+    if (falling / (i - j) < STEADY_SHARE || biggest > loss / 2) continue;
+
+    spans.push([j, i]);
+  }
+
+  return mergeSpans(spans);
+}
+
+/**
+ * Findings in a volume series.
+ *
+ * points = [{ date_time: Date, volume_l }] oldest first
+ * cfg = {
+ *   operating_hours: parseOperatingHours() output,
+ *   excluded: [{ from: Date, to: Date }]   (maintenance windows),
+ *   steady_window_minutes, steady_rate_lph,
+ *   step_minutes, step_loss_l
+ * }
+ * returns [{ kind, severity, started_at, ended_at, volume_start_l,
+ *            volume_end_l, loss_l, rate_lph, readings }] oldest first
+ */
+export function detectAnomalies(points, cfg) {
+  const out = [];
+
+  for (const seg of watchedSegments(points, cfg)) {
+    const steps = stepSpans(seg, cfg);
+    out.push(
+      ...steps.map((span) => finding("STEP_LOSS", seg, span)),
+      ...steadySpans(seg, cfg, steps).map((span) => finding("STEADY_DROP", seg, span))
+    );
+  }
+
+  return out.sort((a, b) => a.started_at - b.started_at);
+}
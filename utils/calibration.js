@@ -0,0 +1,136 @@
+// utils/calibration.js
+
+/**
+ * Strapping-table (calibration chart) helpers.
+ *
+ * A chart is an array of points sorted by depth:
+ *   [{ depth_mm: 0, volume_l: 0 }, { depth_mm: 100, volume_l: 412.5 }, ...]
+ *
+ * depth_mm = liquid depth from the tank bottom (mm)
+ * volume_l = vendor volume at that depth (litres)
+ */
+
+/**
+ * Validate + sort raw points (from JSON or CSV).
+ * returns { points, errors }
+ */
+export function normalizeCalibrationPoints(raw) {
+  const errors = [];
+
+  if (!Array.isArray(raw)) {
+    return { points: [], errors: ["points must be an array"] };
+  }
+
+  const points = [];
+  raw.forEach((item, idx) => {
+    const depth = Number(item?.depth_mm);
+    const volume = Number(item?.volume_l);
+
+    if (!Number.isFinite(depth) || depth < 0) {
+      errors.push(`row ${idx + 1}: invalid depth_mm`);
+      return;
+    }
+    if (!Number.isFinite(volume) || volume < 0) {
+      errors.push(`row ${idx + 1}: invalid volume_l`);
+      return;
+    }
+
+    points.push({ depth_mm: depth, volume_l: volume });
+  });
+
+  points.sort((a, b) => a.depth_mm - b.depth_mm);
+
+  for (let i = 1; i < points.length; i++) {
+    if (points[i].depth_mm === points[i - 1].depth_mm) {
+      errors.push(`duplicate depth_mm ${points[i].depth_mm}`);
+    } else if (points[i].volume_l < points[i - 1].volume_l) {
+      errors.push(
+        `volume_l decreases between ${points[i - 1].depth_mm} mm and ${points[i].depth_mm} mm`
+      );
+    }
+  }
+
+  if (points.length < 2) {
+    errors.push("at least 2 points are required");
+  }
+
+  return { points, errors };
+}
+
+/**
+ * Parse a vendor CSV: "depth_mm,volume_l" per line.
+ * - header line is optional
+ * - ',' ';' or TAB separated
+ * - blank lines and lines starting with '#' are skipped
+ */
+export function parseCalibrationCsv(text) {
+  const rows = [];
+  const errors = [];
+
+  String(text || "")
+    .split(/\r?\n/)
+    .forEach((line, idx) => {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith("#")) return;
+
+      const cells = trimmed.split(/[,;\t]/).map((c) => c.trim());
+
+      // header row (e.g. "depth_mm,volume_l")
+      if (rows.length === 0 && !Number.isFinite(Number(cells[0]))) return;
+
+      if (cells.length < 2) {
+        errors.push(`line ${idx + 1}: expected depth_mm,volume_l`);
+        return;
+      }
+
+      rows.push({ depth_mm: cells[0], volume_l: cells[1] });
+    });
+
+  return { rows, errors };
+}
+
+/**
+ * Linear interpolation of litres at depthMm.
+ * Below the first point we interpolate from (0 mm, 0 L),
+ * above the last point the last volume is returned.
+ * returns null for an empty chart / invalid depth.
+ */
+export function interpolateCalibrationVolume(chart, depthMm) {
+  if (!Array.isArray(chart) || chart.length === 0) return null;
+
+  const d = Number(depthMm);
+  if (!Number.isFinite(d)) return null;
+  if (d <= 0) return 0;
+
+  const first = chart[0];
+  if (d <= first.depth_mm) {
+    if (first.depth_mm <= 0) return first.volume_l;
+    return (first.volume_l * d) / first.depth_mm;
+  }
+
+  const last = chart[chart.length - 1];
+  if (d >= last.depth_mm) return last.volume_l;
+
+  // binary search for the segment [lo, hi] containing d
+  let lo = 0;
+  let hi = chart.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (chart[mid].depth_mm <= d) lo = mid;
+    else hi = mid;
+  }
+
+  const a = chart[lo];
+  const b = chart[hi];
+  const t = (d - a.depth_mm) / (b.depth_mm - a.depth_mm);
+  return a.volume_l + t * (b.volume_l - a.volume_l);
+}
+
+/**
+ * Deepest point of the chart in meters (used as tank height when
+ * Tank_Parameters has no usable dimensions).
+ */
+export function calibrationMaxDepthM(chart) {
+  if (!Array.isArray(chart) || chart.length === 0) return null;
+  return chart[chart.length - 1].depth_mm / 1000;
+}
@@ -0,0 +1,217 @@
+// utils/consumption.js
+
+/**
+ * Fill / draw / idle segmentation of a volume series
+ * (services/volumeHistory.js) and daily consumption totals.
+ *
+ * Each step between two readings is a FILL (rising faster than
+ * min_flow_lph), a DRAW (falling faster) or IDLE. Runs of the same kind
+ * make an event; a FILL / DRAW moving less than min_event_l is noise and
+ * becomes IDLE, and an IDLE run shorter than merge_minutes between two
+ * events of the same kind is folded into them (a pump pausing).
+ */
+
+export const EVENT_TYPES = ["FILL", "DRAW", "IDLE"];
+
+// a step across a longer gap is still counted (the water did move), but
+// the event is marked data_gap: its flow rate is an average over the gap
+const MAX_GAP_MINUTES = 60;
+
+// median of 3 – one bad echo must not look like a fill and a draw
+export function smoothVolumes(points) {
+  return points.map((p, i) => {
+    if (i === 0 || i === points.length - 1) return p.volume_l;
+    const trio = [points[i - 1].volume_l, p.volume_l, points[i + 1].volume_l];
+    return trio.sort((a, b) => a - b)[1];
+  });
+}
+
+function stepType(dv, hours, minFlow) {
+  if (hours <= 0) return "IDLE";
+  const rate = dv / hours;
+  return rate >= minFlow ? "FILL" : rate <= -minFlow ? "DRAW" : "IDLE";
+}
+
+// merge neighbouring runs of the same type
+function coalesce(runs) {
+  const out = [];
+  for (const r of runs) {
+    const last = out[out.length - 1];
+    if (last && last.type === r.type) {
+      last.end = r.end;
+      last.gap = last.gap || r.gap;
+    } else {
+      out.push({ ...r });
+    }
+  }
+  return out;
+}
+
+function toEvent(run, t, v) {
+  const hours = (t[run.end] - t[run.start]) / 3600000;
+  const moved = v[run.end] - v[run.start];
+  const litres = run.type === "IDLE" ? moved : Math.abs(moved);
+  return {
+    type: run.type,
+    started_at: t[run.start],
+    ended_at: t[run.end],
+    duration_min: Number((hours * 60).toFixed(1)),
+    volume_start_l: Number(v[run.start].toFixed(1)),
+    volume_end_l: Number(v[run.end].toFixed(1)),
+    // FILL / DRAW: litres moved (positive); IDLE: net drift (signed)
+    litres: Number(litres.toFixed(1)),
+    avg_flow_lph:
+      run.type === "IDLE" || hours <= 0 ? null : Number((Math.abs(moved) / hours).toFixed(1)),
+    data_gap: run.gap,
+  };
+}
+
+/**
+ * points = [{ date_time: Date, volume_l }] oldest first
+ * cfg    = { min_flow_lph, min_event_l, merge_minutes }
+ * returns [{ type, started_at, ended_at, duration_min, volume_start_l,
+ *            volume_end_l, litres, avg_flow_lph, data_gap }]
+ */
+export function segmentEvents(points, cfg) {
+  if (points.length < 2) return [];
+
+  const t = points.map((p) => p.date_time);
+  const v = smoothVolumes(points);
+
+  // 1) one run per step, then runs of the same type
+  let runs = [];
+  for (let i = 1; i < points.length; i++) {
+    const hours = (t[i] - t[i - 1]) / 3600000;
+    runs.push({
+      type: stepType(v[i] - v[i - 1], hours, cfg.min_flow_lph),
+      start: i - 1,
+      end: i,
+      gap: hours * 60 > MAX_GAP_MINUTES,
+    });
+  }
+  runs = coalesce(runs);
+
+  // 2) short pauses inside a fill / draw belong to it
+  runs = coalesce(
+    runs.map((r, k) => {
+      const before = runs[k - 1];
+      const after = runs[k + 1];
+      const minutes = (t[r.end] - t[r.start]) / 60000;
+      return r.type === "IDLE" &&
+        before &&
+        after &&
+        before.type === after.type &&
+        minutes < cfg.merge_minutes
+        ? { ...r, type: before.type }
+        : r;
+    })
+  );
+
+  // 3) fills / draws too small to be real are idle
+  runs = coalesce(
+    runs.map((r) =>
+      r.type !== "IDLE" && Math.abs(v[r.end] - v[r.start]) < cfg.min_event_l
+        ? { ...r, type: "IDLE" }
+        : r
+    )
+  );
+
+  return runs.map((r) => toEvent(r, t, v));
+}
+
+const dayKey = (d) =>
+  `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+
+function nextMidnight(d) {
+  const m = new Date(d);
+  m.setHours(24, 0, 0, 0);
+  return m;
+}
+
+/**
+ * Daily totals (server local days). An event crossing midnight is split
+ * in proportion to its time on each side.
+ *
+ * returns [{ date, consumed_l, refilled_l, draws, fills }] oldest first;
+ * an event is counted in the draws / fills of the day it started
+ */
+export function dailyTotals(events) {
+  const days = new Map();
+  const day = (key) => {
+    if (!days.has(key)) {
+      days.set(key, { date: key, consumed_l: 0, refilled_l: 0, draws: 0, fills: 0 });
+    }
+    return days.get(key);
+  };
+
+  for (const e of events) {
+    if (e.type === "IDLE") continue;
+    const field = e.type === "DRAW" ? "consumed_l" : "refilled_l";
+    day(dayKey(e.started_at))[e.type === "DRAW" ? "draws" : "fills"] += 1;
+
+    const total = e.ended_at - e.started_at;
+    if (total <= 0) {
+      day(dayKey(e.started_at))[field] += e.litres;
+      continue;
+    }
+
+    let from = e.started_at;
+    while (from < e.ended_at) {
+      const to = new Date(Math.min(nextMidnight(from), e.ended_at));
+      day(dayKey(from))[field] += (e.litres * (to - from)) / total;
+      from = to;
+    }
+  }
+
+  return [...days.values()]
+    .sort((a, b) => (a.date < b.date ? -1 : 1))
+    .map((d) => ({
+      ...d,
+      consumed_l: Number(d.consumed_l.toFixed(1)),
+      refilled_l: Number(d.refilled_l.toFixed(1)),
+    }));
+}
+
+/**
+ * Daily rows of several tanks summed by date.
+ */
+export function sumDaily(lists) {
+  const days = new Map();
+  for (const d of lists.flat()) {
+    const cur = days.get(d.date) || {
+      date: d.date,
+      consumed_l: 0,
+      refilled_l: 0,
+      draws: 0,
+      fills: 0,
+    };
+    cur.consumed_l += d.consumed_l;
+    cur.refilled_l += d.refilled_l;
+    cur.draws += d.draws;
+    cur.fills += d.fills;
+    days.set(d.date, cur);
+  }
+
+  return [...days.values()]
+    .sort((a, b) => (a.date < b.date ? -1 : 1))
+    .map((d) => ({
+      ...d,
+      consumed_l: Number(d.consumed_l.toFixed(1)),
+      refilled_l: Number(d.refilled_l.toFixed(1)),
+    }));
+}
+
+/**
+ * Totals of a list of events.
+ */
+export function summarizeEvents(events) {
+  const sum = (type, f) =>
+    events.filter((e) => e.type === type).reduce((acc, e) => acc + f(e), 0);
+  return {
+    consumed_l: Number(sum("DRAW", (e) => e.litres).toFixed(1)),
+    refilled_l: Number(sum("FILL", (e) => e.litres).toFixed(1)),
+    draws: events.filter((e) => e.type === "DRAW").length,
+    fills: events.filter((e) => e.type === "FILL").length,
+    idle_minutes: Number(sum("IDLE", (e) => e.duration_min).toFixed(1)),
+  };
+}
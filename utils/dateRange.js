@@ -0,0 +1,39 @@
+// utils/dateRange.js
+
+/**
+ * from / to query parameters of the history and analysis routes.
+ * Either may be a date ("2024-05-01" = the whole day, server local time)
+ * or any date-time Date() understands.
+ */
+
+function parseBound(value, endOfDay) {
+  const s = String(value).trim();
+  const d = /^\d{4}-\d{2}-\d{2}$/.test(s)
+    ? new Date(`${s}T${endOfDay ? "23:59:59" : "00:00:00"}`)
+    : new Date(s);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * query = { from?, to? }
+ * defaultDays = range ending now when from is missing
+ * maxDays     = longest range accepted (null = any)
+ * returns { from, to } | { error, details }
+ */
+export function parseDateRange(query = {}, { defaultDays = 7, maxDays = null } = {}) {
+  const to = query.to ? parseBound(query.to, true) : new Date();
+  const from = query.from
+    ? parseBound(query.from, false)
+    : to && new Date(to.getTime() - defaultDays * 86400000);
+
+  if (!from || !to || from > to) {
+    return {
+      error: "INVALID_RANGE",
+      details: "from / to: YYYY-MM-DD or a date-time, from before to",
+    };
+  }
+  if (maxDays != null && to - from > maxDays * 86400000) {
+    return { error: "RANGE_TOO_LONG", details: `at most ${maxDays} days` };
+  }
+  return { from, to };
+}
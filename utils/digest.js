@@ -0,0 +1,193 @@
+// utils/digest.js
+import { parseTimeOfDay } from "./quietHours.js";
+
+/**
+ * Digest periods and rendering (services/digest.js builds the data).
+ *
+ * A contact's send_times ("07:00" or "06:00,14:00,22:00", server local
+ * time) cut the day into periods; each digest covers the time from the
+ * previous send time to this one.
+ */
+
+/**
+ * "06:00, 14:00" → sorted minutes after midnight, null if any is invalid.
+ */
+export function parseSendTimes(value) {
+  const list = (Array.isArray(value) ? value : String(value ?? "").split(","))
+    .map((t) => String(t).trim())
+    .filter(Boolean);
+  if (!list.length) return null;
+
+  const minutes = list.map(parseTimeOfDay);
+  if (minutes.some((m) => m == null)) return null;
+  return [...new Set(minutes)].sort((a, b) => a - b);
+}
+
+export function formatSendTimes(minutes) {
+  return minutes
+    .map((m) => `${String(Math.floor(m / 60)).padStart(2, "0")}:${String(m % 60).padStart(2, "0")}`)
+    .join(",");
+}
+
+function atMinutes(day, minutes, dayOffset = 0) {
+  const d = new Date(day);
+  d.setDate(d.getDate() + dayOffset);
+  d.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+  return d;
+}
+
+/**
+ * Latest period that ended at or before `at`.
+ * sendTimes = parseSendTimes() output
+ * returns { from, to }
+ */
+export function digestPeriod(sendTimes, at = new Date()) {
+  // every slot of yesterday and today, newest last
+  const slots = [-1, 0].flatMap((offset) =>
+    sendTimes.map((m) => atMinutes(at, m, offset))
+  );
+  const past = slots.filter((s) => s <= at);
+  const to = past[past.length - 1];
+  const from =
+    past.length > 1 && sendTimes.length > 1
+      ? past[past.length - 2]
+      : new Date(to.getTime() - 86400000);
+  return { from, to };
+}
+
+/* ---------- rendering ---------- */
+
+function fmtTime(value) {
+  const d = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(d.getTime())
+    ? "-"
+    : `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")} ` +
+        `${String(d.getHours()).padStart(2, "0")}:${String(d.getMinutes()).padStart(2, "0")}`;
+}
+
+function fmtLitres(value) {
+  return `${Math.round(Number(value) || 0).toLocaleString("en-US")} L`;
+}
+
+function fmtMinutes(minutes) {
+  const m = Math.round(Number(minutes) || 0);
+  return m >= 60 ? `${Math.floor(m / 60)} hr ${m % 60} min` : `${m} min`;
+}
+
+export function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * One-line summary, also the email subject.
+ */
+export function digestHeadline(d) {
+  return (
+    `Tank digest ${fmtTime(d.period.to)}: ` +
+    `${d.alerts.total} alert${d.alerts.total === 1 ? "" : "s"}, ` +
+    `${d.levels.length} low/high, ${d.offline.now.length} offline`
+  );
+}
+
+/**
+ * The sections every rendering shows, as [title, rows[]] with rows of
+ * plain strings.
+ */
+function sections(d) {
+  return [
+    [
+      `Alerts raised (${d.alerts.total}: ${d.alerts.by_severity.critical} critical, ${d.alerts.by_severity.warning} warning)`,
+      d.alerts.items.map(
+        (a) =>
+          `${fmtTime(a.raised_at)}  ${a.tank_no}  ${a.peak_level}  ${a.message ?? ""}  [${a.state}]`
+      ),
+    ],
+    [
+      `Tanks low / high now (${d.levels.length})`,
+      d.levels.map(
+        (t) =>
+          `${t.tank_no} (${t.location ?? "-"})  ${t.alarm_level}  ${t.message ?? ""}  ` +
+          `${Number(t.fill_percentage ?? 0).toFixed(1)}%`
+      ),
+    ],
+    [
+      `Tanks offline now (${d.offline.now.length})`,
+      d.offline.now.map(
+        (t) =>
+          `${t.tank_no} (${t.location ?? "-"})  last reading ${t.last_seen ? fmtTime(t.last_seen) : "never"}`
+      ),
+    ],
+    [
+      `Offline periods (${d.offline.events.length})`,
+      d.offline.events.map(
+        (e) =>
+          `${e.tank_no}  ${fmtTime(e.offline_time)} → ${fmtTime(e.online_time)}  (${fmtMinutes(e.offline_minutes)})`
+      ),
+    ],
+    [
+      "Top consumers",
+      d.top_consumers.map(
+        (c, i) =>
+          `${i + 1}. ${c.tank_no} (${c.location ?? "-"})  ${fmtLitres(c.consumed_l)} drawn, ${fmtLitres(c.filled_l)} filled`
+      ),
+    ],
+    [
+      `Maintenance (${d.maintenance.length})`,
+      d.maintenance.map(
+        (m) =>
+          `${m.tank_no}  ${fmtTime(m.starts_at)} → ${fmtTime(m.ends_at)}  ${m.reason ?? ""}`
+      ),
+    ],
+  ];
+}
+
+export function renderDigestText(d) {
+  const lines = [
+    digestHeadline(d),
+    `Period: ${fmtTime(d.period.from)} → ${fmtTime(d.period.to)} (${d.tanks_covered} tanks)`,
+  ];
+  for (const [title, rows] of sections(d)) {
+    lines.push("", title, "-".repeat(title.length));
+    lines.push(...(rows.length ? rows : ["none"]));
+  }
+  return lines.join("\n");
+}
+
+export function renderDigestHtml(d) {
+  const parts = [
+    "<!doctype html><html><body style=\"font-family:Arial,sans-serif;font-size:14px\">",
+    `<h2>${escapeHtml(digestHeadline(d))}</h2>`,
+    `<p>Period: ${escapeHtml(fmtTime(d.period.from))} → ${escapeHtml(fmtTime(d.period.to))} ` +
+      `(${d.tanks_covered} tanks)</p>`,
+  ];
+  for (const [title, rows] of sections(d)) {
+    parts.push(`<h3>${escapeHtml(title)}</h3>`);
+    parts.push(
+      rows.length
+        ? `<ul>${rows.map((r) => `<li>${escapeHtml(r)}</li>`).join("")}</ul>`
+        : "<p><em>none</em></p>"
+    );
+  }
+  parts.push("</body></html>");
+  return parts.join("\n");
+}
+
+/**
+ * Short version for SMS.
+ */
+export function renderDigestSms(d) {
+  const low = d.levels.map((t) => `${t.tank_no} ${t.alarm_level}`).slice(0, 5);
+  const off = d.offline.now.map((t) => t.tank_no).slice(0, 5);
+  return [
+    digestHeadline(d),
+    low.length ? `Low/high: ${low.join(", ")}` : null,
+    off.length ? `Offline: ${off.join(", ")}` : null,
+  ]
+    .filter(Boolean)
+    .join(". ");
+}
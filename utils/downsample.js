@@ -0,0 +1,119 @@
+// utils/downsample.js
+
+/**
+ * Chart-sized history: fixed time buckets (aggregated in SQL, see
+ * services/volumeHistory.js selectReadings) and LTTB downsampling to a
+ * target point count.
+ */
+
+// bucket width in seconds
+export const HISTORY_INTERVALS = {
+  "1m": 60,
+  "5m": 300,
+  "15m": 900,
+  "30m": 1800,
+  "1h": 3600,
+  "6h": 21600,
+  "1d": 86400,
+};
+
+export const HISTORY_AGGS = ["avg", "min", "max", "last"];
+
+export const MIN_POINTS = 3;
+export const MAX_POINTS = 10000;
+
+/**
+ * interval / agg / points query parameters of the history routes.
+ * returns { interval, agg, points } (null = not asked for) | { error, details }
+ */
+export function parseHistoryOptions(query = {}) {
+  const interval = query.interval ? String(query.interval).trim().toLowerCase() : null;
+  if (interval && !HISTORY_INTERVALS[interval]) {
+    return {
+      error: "INVALID_INTERVAL",
+      details: `one of ${Object.keys(HISTORY_INTERVALS).join(", ")}`,
+    };
+  }
+
+  const agg = query.agg ? String(query.agg).trim().toLowerCase() : null;
+  if (agg && !HISTORY_AGGS.includes(agg)) {
+    return { error: "INVALID_AGG", details: `one of ${HISTORY_AGGS.join(", ")}` };
+  }
+  if (agg && !interval) {
+    return { error: "INVALID_AGG", details: "agg needs an interval" };
+  }
+
+  let points = null;
+  if (query.points !== undefined && query.points !== "") {
+    points = parseInt(query.points);
+    if (!(points >= MIN_POINTS && points <= MAX_POINTS)) {
+      return { error: "INVALID_POINTS", details: `${MIN_POINTS} to ${MAX_POINTS}` };
+    }
+  }
+
+  return { interval, agg: interval ? agg || "avg" : null, points };
+}
+
+/**
+ * History points of the tank history routes down to `target` with LTTB on
+ * water_volume_l; points without a volume cannot be placed and are dropped.
+ */
+export function downsampleHistory(points, target) {
+  return lttb(
+    points.filter((p) => p.water_volume_l != null),
+    target,
+    (p) => new Date(p.date_time).getTime(),
+    (p) => p.water_volume_l
+  );
+}
+
+/**
+ * Largest-Triangle-Three-Buckets: keeps `threshold` of `data` (first and
+ * last always) so the line still shows the peaks and dips.
+ * x(d), y(d) must be numbers; callers drop points without a y first.
+ */
+export function lttb(data, threshold, x, y) {
+  if (threshold >= data.length || threshold < MIN_POINTS) return data;
+
+  const out = [data[0]];
+  const every = (data.length - 2) / (threshold - 2);
+  let a = 0;
+
+  for (let i = 0; i < threshold - 2; i++) {
+    // average of the next bucket is the third corner
+    const nextStart = Math.floor((i + 1) * every) + 1;
+    const nextEnd = Math.min(Math.floor((i + 2) * every) + 1, data.length);
+    let avgX = 0;
+    let avgY = 0;
+    for (let j = nextStart; j < nextEnd; j++) {
+      avgX += x(data[j]);
+      avgY += y(data[j]);
+    }
+    const n = nextEnd - nextStart || 1;
+    avgX /= n;
+    avgY /= n;
+
+    // point of this bucket with the largest triangle
+    const start = Math.floor(i * every) + 1;
+    const end = Math.floor((i + 1) * every) + 1;
+    const ax = x(data[a]);
+    const ay = y(data[a]);
+    let best = start;
+    let bestArea = -1;
+    for (let j = start; j < end; j++) {
+      const area = Math.abs(
+        (ax - avgX) * (y(data[j]) - ay) - (ax - x(data[j])) * (avgY - ay)
+      );
+      if (area > bestArea) {
+        bestArea = area;
+        best = j;
+      }
+    }
+
+    out.push(data[best]);
+    a = best;
+  }
+
+  out.push(data[data.length - 1]);
+  return out;
+}
@@ -0,0 +1,319 @@
+// utils/forecast.js
+
+import { smoothVolumes } from "./consumption.js";
+
+/**
+ * Time-to-low / empty / full projection from a tank's recent daily usage
+ * (events: utils/consumption.js).
+ *
+ * Each complete day of the lookback gives one sample: litres refilled
+ * (FILL events) and litres used = refilled – the day's net change, so slow
+ * draw-off below the event flow threshold still counts. The fit is their
+ * mean and spread, optionally per weekday.
+ * Time to empty walks forward hour by hour adding the expected draw-off,
+ * assuming nobody refills; days are taken as independent, so after k days
+ * the cumulative use is mean·k ± z·sd·√k and the bounds are where those
+ * two curves reach the target.
+ */
+
+// two-sided 90 %
+export const CONFIDENCE = 0.9;
+const Z = 1.645;
+
+// a day with readings in fewer hours than this is not a sample
+export const MIN_COVERED_HOURS = 18;
+
+// seasonality needs this many samples of every weekday
+export const MIN_WEEKDAY_SAMPLES = 2;
+
+export const FORECAST_STATUSES = ["REACHED", "EXPECTED", "BEYOND_HORIZON", "NOT_TRENDING"];
+
+const HOUR_MS = 3600000;
+
+const dayKey = (d) =>
+  `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+
+const round1 = (n) => (n == null ? null : Number(n.toFixed(1)));
+
+// smoothed volume at time t, linear between the readings around it
+function volumeAt(t, times, volumes) {
+  const hi = times.findIndex((x) => x >= t);
+  if (hi === -1) return null;
+  if (times[hi] === t) return volumes[hi];
+  if (hi === 0) return null;
+  const lo = hi - 1;
+  const frac = (t - times[lo]) / (times[hi] - times[lo]);
+  return volumes[lo] + frac * (volumes[hi] - volumes[lo]);
+}
+
+/**
+ * Complete local days in [from, until) as samples.
+ *
+ * points = volume series, daily = dailyTotals(events)
+ * returns [{ date, weekday, consumed_l, refilled_l, covered_hours, usable }]
+ */
+export function usageDays(points, daily, { from, until }) {
+  const times = points.map((p) => p.date_time.getTime());
+  const volumes = smoothVolumes(points);
+  const hours = new Map();
+  for (const p of points) {
+    const key = dayKey(p.date_time);
+    if (!hours.has(key)) hours.set(key, new Set());
+    hours.get(key).add(p.date_time.getHours());
+  }
+  const totals = new Map(daily.map((d) => [d.date, d]));
+
+  const days = [];
+  const d = new Date(from);
+  d.setHours(0, 0, 0, 0);
+  while (d < until) {
+    const key = dayKey(d);
+    const next = new Date(d);
+    next.setDate(next.getDate() + 1);
+
+    const covered = hours.get(key)?.size ?? 0;
+    const startL = volumeAt(d.getTime(), times, volumes);
+    const endL = volumeAt(next.getTime(), times, volumes);
+    const refilled = totals.get(key)?.refilled_l ?? 0;
+    const consumed =
+      startL != null && endL != null ? Math.max(0, refilled - (endL - startL)) : null;
+
+    days.push({
+      date: key,
+      weekday: d.getDay(),
+      consumed_l: round1(consumed),
+      refilled_l: refilled,
+      covered_hours: covered,
+      usable: consumed != null && covered >= MIN_COVERED_HOURS,
+    });
+    d.setTime(next.getTime());
+  }
+  return days;
+}
+
+function meanSd(values) {
+  const n = values.length;
+  if (!n) return { n: 0, mean: null, sd: null };
+  const mean = values.reduce((a, b) => a + b, 0) / n;
+  const sd =
+    n > 1
+      ? Math.sqrt(values.reduce((a, b) => a + (b - mean) ** 2, 0) / (n - 1))
+      : 0;
+  return { n, mean, sd };
+}
+
+/**
+ * Litres per day of value(day) over the usable days.
+ * seasonal = fit each weekday on its own when every weekday has
+ * MIN_WEEKDAY_SAMPLES samples (else the overall fit, seasonal: false).
+ *
+ * returns null without a usable day, else
+ * { days, mean_l_per_day, sd_l_per_day, seasonal,
+ *   by_weekday: [{ weekday, samples, mean_l_per_day, sd_l_per_day }] | null }
+ */
+export function fitDailyRate(days, value, { seasonal = false } = {}) {
+  const usable = days.filter((d) => d.usable);
+  const all = meanSd(usable.map(value));
+  if (!all.n) return null;
+
+  let byWeekday = null;
+  if (seasonal) {
+    const fits = [0, 1, 2, 3, 4, 5, 6].map((w) =>
+      meanSd(usable.filter((d) => d.weekday === w).map(value))
+    );
+    if (fits.every((f) => f.n >= MIN_WEEKDAY_SAMPLES)) {
+      byWeekday = fits.map((f, w) => ({
+        weekday: w,
+        samples: f.n,
+        mean_l_per_day: round1(f.mean),
+        sd_l_per_day: round1(f.sd),
+        mean: f.mean,
+        sd: f.sd,
+      }));
+    }
+  }
+
+  return {
+    days: all.n,
+    mean_l_per_day: round1(all.mean),
+    sd_l_per_day: round1(all.sd),
+    seasonal: byWeekday != null,
+    by_weekday: byWeekday,
+    mean: all.mean,
+    sd: all.sd,
+  };
+}
+
+// rate of the hour starting at t: { mean, sd } litres per day
+function rateAt(fit, t) {
+  return fit.by_weekday ? fit.by_weekday[new Date(t).getDay()] : fit;
+}
+
+/**
+ * When the cumulative amount of fit (litres per day) reaches `amount`,
+ * walking from `start` for at most maxDays.
+ * returns { expected, earliest, latest } – Dates, null past the horizon
+ */
+function walk(amount, fit, start, maxDays) {
+  const out = { expected: null, earliest: null, latest: null };
+  const value = {
+    expected: (m) => m,
+    earliest: (m, s) => m + Z * s,
+    latest: (m, s) => m - Z * s,
+  };
+
+  let mean = 0;
+  let variance = 0;
+  let t = start.getTime();
+  for (let h = 0; h < maxDays * 24; h++, t += HOUR_MS) {
+    const r = rateAt(fit, t);
+    const nextMean = mean + r.mean / 24;
+    const nextVariance = variance + (r.sd * r.sd) / 24;
+
+    for (const k of Object.keys(out)) {
+      if (out[k]) continue;
+      const a = value[k](mean, Math.sqrt(variance));
+      const b = value[k](nextMean, Math.sqrt(nextVariance));
+      if (b >= amount && b > a) {
+        const frac = Math.max(0, (amount - a) / (b - a));
+        out[k] = new Date(t + frac * HOUR_MS);
+      }
+    }
+    if (out.latest) break;
+
+    mean = nextMean;
+    variance = nextVariance;
+  }
+  return out;
+}
+
+function hoursFrom(now, d) {
+  return d ? round1((d - now) / HOUR_MS) : null;
+}
+
+function result(status, { target_l, remaining_l, times = null, now, basis }) {
+  return {
+    status,
+    target_l: round1(target_l),
+    remaining_l: round1(remaining_l),
+    expected_at: times?.expected ?? null,
+    earliest_at: times?.earliest ?? null,
+    latest_at: times?.latest ?? null,
+    hours: hoursFrom(now, times?.expected),
+    hours_min: hoursFrom(now, times?.earliest),
+    hours_max: hoursFrom(now, times?.latest),
+    basis,
+  };
+}
+
+/**
+ * Time until the volume falls to target_l by draw-off alone.
+ */
+function timeToDrop(volumeL, targetL, fit, at, now, maxDays) {
+  if (targetL == null) return null;
+  const remaining = volumeL - targetL;
+  const ctx = { target_l: targetL, remaining_l: Math.max(remaining, 0), now, basis: "consumption" };
+  if (remaining <= 0) return result("REACHED", ctx);
+
+  const rates = fit?.by_weekday ?? (fit ? [fit] : []);
+  if (!rates.some((r) => r.mean > 0)) return result("NOT_TRENDING", ctx);
+
+  const times = walk(remaining, fit, at, maxDays);
+  return result(times.expected ? "EXPECTED" : "BEYOND_HORIZON", { ...ctx, times });
+}
+
+/**
+ * Time until the volume rises to fullL: at the current flow while a fill
+ * is under way, else at the mean net daily gain (refills – draw-off) if
+ * that is positive.
+ */
+function timeToFull(volumeL, fullL, { fill, fillRates, netFit }, at, now, maxDays) {
+  if (fullL == null) return null;
+  const remaining = fullL - volumeL;
+  const ctx = { target_l: fullL, remaining_l: Math.max(remaining, 0), now };
+  if (remaining <= 0) return result("REACHED", { ...ctx, basis: "current_fill" });
+
+  if (fill?.avg_flow_lph > 0) {
+    // spread of recent fills around the flow of this one
+    const sd = fillRates.n > 1 ? fillRates.sd : 0;
+    const eta = (lph) =>
+      lph > 0 ? new Date(at.getTime() + (remaining / lph) * HOUR_MS) : null;
+    return result("EXPECTED", {
+      ...ctx,
+      basis: "current_fill",
+      times: {
+        expected: eta(fill.avg_flow_lph),
+        earliest: eta(fill.avg_flow_lph + Z * sd),
+        latest: eta(fill.avg_flow_lph - Z * sd),
+      },
+    });
+  }
+
+  if (!netFit || !(netFit.mean > 0)) {
+    return result("NOT_TRENDING", { ...ctx, basis: "net_gain" });
+  }
+  const times = walk(remaining, netFit, at, maxDays);
+  return result(times.expected ? "EXPECTED" : "BEYOND_HORIZON", {
+    ...ctx,
+    basis: "net_gain",
+    times,
+  });
+}
+
+/**
+ * The ongoing fill, if the latest events end in one that runs up to the
+ * last reading.
+ */
+export function currentFill(events, lastAt) {
+  const last = events[events.length - 1];
+  return last && last.type === "FILL" && last.ended_at.getTime() === lastAt.getTime()
+    ? last
+    : null;
+}
+
+/**
+ * state = { volume_l, at (last reading), low_l, full_l }
+ * days  = usageDays(...), events = segmentEvents(...)
+ * opts  = { seasonal, max_days, now }
+ *
+ * returns {
+ *   confidence, fit, net_fit,
+ *   time_to_low, time_to_empty, time_to_full   // null when the target is unknown
+ * }
+ */
+export function forecastTank(state, days, events, { seasonal = false, max_days = 90, now = new Date() } = {}) {
+  const fit = fitDailyRate(days, (d) => d.consumed_l, { seasonal });
+  const netFit = fitDailyRate(days, (d) => d.refilled_l - d.consumed_l, { seasonal });
+  const fill = currentFill(events, state.at);
+  const fillRates = meanSd(
+    events.filter((e) => e.type === "FILL" && e.avg_flow_lph > 0).map((e) => e.avg_flow_lph)
+  );
+
+  const publicFit = (f) =>
+    f && {
+      days: f.days,
+      mean_l_per_day: f.mean_l_per_day,
+      sd_l_per_day: f.sd_l_per_day,
+      seasonal: f.seasonal,
+      by_weekday: f.by_weekday?.map(({ mean, sd, ...w }) => w) ?? null,
+    };
+
+  return {
+    confidence: CONFIDENCE,
+    fit: publicFit(fit),
+    net_fit: publicFit(netFit),
+    filling: fill
+      ? { since: fill.started_at, litres: fill.litres, avg_flow_lph: fill.avg_flow_lph }
+      : null,
+    time_to_low: timeToDrop(state.volume_l, state.low_l, fit, state.at, now, max_days),
+    time_to_empty: timeToDrop(state.volume_l, 0, fit, state.at, now, max_days),
+    time_to_full: timeToFull(
+      state.volume_l,
+      state.full_l,
+      { fill, fillRates, netFit },
+      state.at,
+      now,
+      max_days
+    ),
+  };
+}
@@ -1,4 +1,8 @@
 // utils/geometry.js
+import {
+  interpolateCalibrationVolume,
+  calibrationMaxDepthM,
+} from "./calibration.js";
 
 /**
  * Volume of a horizontal cylinder partly filled
@@ -18,3 +22,276 @@ export function horizontalCylinderVolume(D, L, h) {
 
   return L * area;
 }
+
+/**
+ * Volume of the two end heads of a horizontal tank, partly filled.
+ * Both heads together form an ellipsoid with semi-axes R, R and a
+ * (a = head depth). a = R gives hemispherical heads (a sphere).
+ * D = diameter (m)
+ * a = depth of one head (m)
+ * h = liquid depth from bottom (m)
+ * returns m^3
+ */
+export function ellipsoidalHeadsVolume(D, a, h) {
+  const R = D / 2;
+  if (h <= 0 || a <= 0) return 0;
+  if (h >= D) return (4 / 3) * Math.PI * R * R * a; // full
+
+  // sphere cap pi*h^2*(3R - h)/3, stretched along the axis by a/R
+  return ((Math.PI * h * h * (3 * R - h)) / 3) * (a / R);
+}
+
+/**
+ * Volume of a vertical cone-bottom silo partly filled.
+ * D  = diameter of the straight wall (m)
+ * Hc = height of the cone section (m)
+ * h  = liquid depth measured from the cone apex (m)
+ * returns m^3
+ */
+export function coneBottomVolume(D, Hc, h) {
+  const R = D / 2;
+  if (h <= 0) return 0;
+  if (Hc <= 0) return Math.PI * R * R * h;
+
+  if (h <= Hc) {
+    const r = (R * h) / Hc;
+    return (Math.PI * r * r * h) / 3;
+  }
+
+  const coneM3 = (Math.PI * R * R * Hc) / 3;
+  return coneM3 + Math.PI * R * R * (h - Hc);
+}
+
+/* ---------- shape registry ---------- */
+
+/**
+ * Every supported Tank_Parameters.shape.
+ * All dimensions are in meters and read from Tank_Parameters:
+ *   diameter_breadth, length, height, head_depth, cone_height
+ *
+ * Each entry knows:
+ *   - requires    : columns that must be > 0 for a volume
+ *   - maxDepth(d) : internal height the sensor measures against
+ *   - volumeM3(d, h) : liquid volume at depth h
+ */
+export const TANK_SHAPES = {
+  // classic plant tank lying on its side
+  horizontal_cylinder: {
+    label: "Horizontal cylinder",
+    requires: ["diameter", "length"],
+    maxDepth: (d) => d.diameter,
+    volumeM3: (d, h) => horizontalCylinderVolume(d.diameter, d.length, h),
+  },
+
+  // standing cylinder: cross-section never changes
+  vertical_cylinder: {
+    label: "Vertical cylinder",
+    requires: ["diameter", "height"],
+    maxDepth: (d) => d.height,
+    volumeM3: (d, h) =>
+      Math.PI * (d.diameter / 2) * (d.diameter / 2) * h,
+  },
+
+  // box tank: diameter_breadth = breadth
+  rectangular: {
+    label: "Rectangular",
+    requires: ["diameter", "length", "height"],
+    maxDepth: (d) => d.height,
+    volumeM3: (d, h) => d.diameter * d.length * h,
+  },
+
+  // horizontal cylinder with hemispherical ends, length = straight shell
+  capsule: {
+    label: "Capsule (hemispherical ends)",
+    requires: ["diameter", "length"],
+    maxDepth: (d) => d.diameter,
+    volumeM3: (d, h) =>
+      horizontalCylinderVolume(d.diameter, d.length, h) +
+      ellipsoidalHeadsVolume(d.diameter, d.diameter / 2, h),
+  },
+
+  // horizontal cylinder with dished / 2:1 elliptical heads
+  // length = straight shell, head_depth = depth of ONE head
+  // (defaults to D/4, i.e. a standard 2:1 elliptical head)
+  dished_horizontal_cylinder: {
+    label: "Horizontal cylinder with dished heads",
+    requires: ["diameter", "length"],
+    maxDepth: (d) => d.diameter,
+    volumeM3: (d, h) =>
+      horizontalCylinderVolume(d.diameter, d.length, h) +
+      ellipsoidalHeadsVolume(
+        d.diameter,
+        d.headDepth > 0 ? d.headDepth : d.diameter / 4,
+        h
+      ),
+  },
+
+  // vertical silo, height = total height including the cone
+  cone_bottom_silo: {
+    label: "Cone-bottom silo",
+    requires: ["diameter", "height"],
+    maxDepth: (d) => d.height,
+    volumeM3: (d, h) => coneBottomVolume(d.diameter, d.coneHeight, h),
+  },
+};
+
+export const DEFAULT_TANK_SHAPE = "horizontal_cylinder";
+
+function shapeKey(shape) {
+  return String(shape ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, "_");
+}
+
+/**
+ * Normalise a shape name from the DB / request body
+ * ("Vertical Cylinder", "vertical-cylinder" → "vertical_cylinder").
+ * Unknown or empty values fall back to the horizontal cylinder
+ * (the only shape that existed before the shape column).
+ */
+export function normalizeShape(shape) {
+  const key = shapeKey(shape);
+  return TANK_SHAPES[key] ? key : DEFAULT_TANK_SHAPE;
+}
+
+export function isKnownShape(shape) {
+  return Boolean(TANK_SHAPES[shapeKey(shape)]);
+}
+
+function positiveOrZero(v) {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+/**
+ * Pull the shape + dimensions out of a Tank_Parameters row
+ * (or any row that carries the same column names).
+ */
+export function tankDimensions(p) {
+  return {
+    shape: normalizeShape(p?.shape),
+    diameter: positiveOrZero(p?.diameter_breadth),
+    length: positiveOrZero(p?.length),
+    height: positiveOrZero(p?.height),
+    headDepth: positiveOrZero(p?.head_depth),
+    coneHeight: positiveOrZero(p?.cone_height),
+  };
+}
+
+/**
+ * Internal height (m) of the tank for the given params, or null
+ * if the dimensions needed for it are missing.
+ */
+export function tankMaxDepth(p) {
+  const dims = tankDimensions(p);
+  const max = TANK_SHAPES[dims.shape].maxDepth(dims);
+  return max > 0 ? max : null;
+}
+
+/**
+ * Liquid volume (litres) at depth h (m) for the given params.
+ * Returns null when the shape's required dimensions are missing.
+ */
+export function volumeLitresAtDepth(p, h) {
+  const dims = tankDimensions(p);
+  const shape = TANK_SHAPES[dims.shape];
+
+  if (shape.requires.some((k) => !(dims[k] > 0))) return null;
+
+  const depth = Number(h);
+  if (!Number.isFinite(depth)) return null;
+
+  const max = shape.maxDepth(dims);
+  const clamped = Math.max(0, Math.min(depth, max));
+
+  return shape.volumeM3(dims, clamped) * 1000; // m³ → litres
+}
+
+export const BLIND_ZONE_STATE = "full (blind zone)";
+
+function metresOrZero(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+}
+
+/**
+ * Where the sensor sits relative to the tank crown (Tank_Parameters, m):
+ *   nozzle_height_m : nozzle / standpipe height above the crown
+ *   sensor_offset_m : sensor face above the nozzle top (bracket, flange);
+ *                     negative when the face is recessed into the nozzle
+ *   blind_zone_m    : closest distance the sensor can measure
+ *
+ * returns { mountHeightM, blindZoneM }  (crown → sensor face, blind zone)
+ */
+export function sensorMounting(p) {
+  return {
+    mountHeightM: metresOrZero(p?.nozzle_height_m) + metresOrZero(p?.sensor_offset_m),
+    blindZoneM: Math.max(metresOrZero(p?.blind_zone_m), 0),
+  };
+}
+
+/**
+ * Main entry point used by the routes.
+ *
+ * p           = Tank_Parameters row (shape, diameter_breadth, length, height,
+ *               nozzle_height_m, sensor_offset_m, blind_zone_m, ...)
+ * ultraHeight = distance (m) from the top-mounted sensor face to the
+ *               liquid surface, as reported by the device
+ * chart       = optional strapping table (see utils/calibration.js); when
+ *               present it wins over the shape formula
+ *
+ * A reading inside the sensor's blind zone can't be trusted, but it
+ * means the liquid is at (or above) the sensor's range: the tank is
+ * reported full with level_state "full (blind zone)".
+ *
+ * returns {
+ *   shape,
+ *   volume_source, // "calibration" | "geometry"
+ *   max_depth_m,   // internal height the sensor measures against
+ *   depth_m,       // liquid depth from bottom, clamped to [0, max_depth_m]
+ *   volume_l,      // null if dimensions are incomplete
+ *   level_state    // "full (blind zone)" | null
+ * }
+ */
+export function computeTankLevel(p, ultraHeight, chart = null) {
+  const dims = tankDimensions(p);
+  const hasChart = Array.isArray(chart) && chart.length > 0;
+  const maxDepth =
+    tankMaxDepth(p) ?? (hasChart ? calibrationMaxDepthM(chart) : null);
+  const volumeSource = hasChart ? "calibration" : "geometry";
+  const sensor =
+    ultraHeight === null || ultraHeight === undefined || ultraHeight === ""
+      ? NaN
+      : Number(ultraHeight);
+
+  if (maxDepth == null || !Number.isFinite(sensor)) {
+    return {
+      shape: dims.shape,
+      volume_source: volumeSource,
+      max_depth_m: maxDepth,
+      depth_m: null,
+      volume_l: null,
+      level_state: null,
+    };
+  }
+
+  const { mountHeightM, blindZoneM } = sensorMounting(p);
+  const inBlindZone = blindZoneM > 0 && sensor <= blindZoneM;
+
+  // sensor face → crown is not liquid
+  let depth = inBlindZone ? maxDepth : maxDepth - (sensor - mountHeightM);
+  if (depth < 0) depth = 0;
+  if (depth > maxDepth) depth = maxDepth;
+
+  return {
+    shape: dims.shape,
+    volume_source: volumeSource,
+    max_depth_m: maxDepth,
+    depth_m: depth,
+    volume_l: hasChart
+      ? interpolateCalibrationVolume(chart, depth * 1000)
+      : volumeLitresAtDepth(p, depth),
+    level_state: inBlindZone ? BLIND_ZONE_STATE : null,
+  };
+}
@@ -0,0 +1,188 @@
+// utils/mqttMappers.js
+
+/**
+ * Payload mappers for the MQTT subscriber (services/mqttIngest.js).
+ *
+ * A mapper turns (topic, payloadBuffer) into a reading in the same shape
+ * POST /api/transactions accepts:
+ *   { device_id, tank_no?, location?, ultra_height, lidar_height?, ul_status?,
+ *     date_time?, seq?, boot_id?, message_id? }
+ * or throws an Error with a short message when the payload is unusable.
+ * Epoch timestamps (seconds or milliseconds) arrive as a Date in
+ * date_time.
+ *
+ * Which mapper runs for which topic is configured with MQTT_MAPPERS,
+ * e.g. "dsp/tanks/+/level=raw,dsp/tanks/json=json"  (default: json).
+ */
+
+function pick(obj, keys) {
+  for (const k of keys) {
+    if (obj[k] !== undefined && obj[k] !== null && obj[k] !== "") {
+      return obj[k];
+    }
+  }
+  return undefined;
+}
+
+function toNumberOrNull(v) {
+  if (v === undefined || v === null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+// epoch timestamps accepted: 2000-01-01 up to a day ahead of the clock
+const MIN_EPOCH_MS = Date.UTC(2000, 0, 1);
+const MAX_AHEAD_MS = 86400000;
+
+/**
+ * ts / timestamp as devices send it: epoch seconds or milliseconds
+ * (number or digits) become a Date, anything else is passed on for the
+ * date_time check of services/ingest.js.
+ */
+function toDateTime(v) {
+  if (v === undefined) return undefined;
+  const isNumeric =
+    typeof v === "number" || (typeof v === "string" && /^\d+(\.\d+)?$/.test(v.trim()));
+  if (!isNumeric) return v;
+
+  const n = Number(v);
+  // below 1e11 it can only be seconds (1e11 ms is 1973)
+  const ms = n < 1e11 ? n * 1000 : n;
+  if (!Number.isFinite(ms) || ms < MIN_EPOCH_MS || ms > Date.now() + MAX_AHEAD_MS) {
+    throw new Error("INVALID_TIMESTAMP");
+  }
+  return new Date(ms);
+}
+
+/**
+ * Device id from the topic: second-last segment for
+ * "dsp/tanks/TANK01/level", last segment for shorter topics.
+ */
+function deviceIdFromTopic(topic) {
+  const parts = String(topic).split("/").filter(Boolean);
+  if (parts.length >= 3) return parts[parts.length - 2];
+  return parts[parts.length - 1];
+}
+
+export const PAYLOAD_MAPPERS = {
+  /**
+   * JSON object, field names as in POST /api/transactions.
+   * Common gateway aliases are accepted too.
+   */
+  json(topic, payload) {
+    let obj;
+    try {
+      obj = JSON.parse(payload.toString("utf8"));
+    } catch {
+      throw new Error("INVALID_JSON");
+    }
+    if (!obj || typeof obj !== "object" || Array.isArray(obj)) {
+      throw new Error("JSON_OBJECT_EXPECTED");
+    }
+
+    return {
+      device_id: pick(obj, ["device_id", "deviceId", "device", "id"]),
+      tank_no: pick(obj, ["tank_no", "tankNo", "tank"]),
+      location: pick(obj, ["location", "loc"]),
+      ultra_height: toNumberOrNull(
+        pick(obj, ["ultra_height", "ultraHeight", "distance", "ul"])
+      ),
+      lidar_height: toNumberOrNull(
+        pick(obj, ["lidar_height", "lidarHeight", "lidar"])
+      ),
+      ul_status: pick(obj, ["ul_status", "ulStatus"]),
+      date_time: toDateTime(pick(obj, ["date_time", "dateTime", "ts", "timestamp"])),
+      seq: pick(obj, ["seq", "sequence", "seq_no"]),
+      boot_id: pick(obj, ["boot_id", "bootId", "boot"]),
+      message_id: pick(obj, ["message_id", "messageId", "msg_id"]),
+    };
+  },
+
+  /**
+   * "device_id,ultra_height[,date_time[,lidar_height[,ul_status]]]"
+   */
+  csv(topic, payload) {
+    const cells = payload
+      .toString("utf8")
+      .trim()
+      .split(/[,;]/)
+      .map((c) => c.trim());
+
+    if (cells.length < 2) throw new Error("CSV_FIELDS_MISSING");
+
+    return {
+      device_id: cells[0],
+      ultra_height: toNumberOrNull(cells[1]),
+      date_time: toDateTime(cells[2] || undefined),
+      lidar_height: toNumberOrNull(cells[3]),
+      ul_status: cells[4] || undefined,
+    };
+  },
+
+  /**
+   * Bare number as payload, device id taken from the topic
+   * ("dsp/tanks/<device_id>/level" → "<device_id>").
+   */
+  raw(topic, payload) {
+    const value = toNumberOrNull(payload.toString("utf8").trim());
+    if (value == null) throw new Error("NUMBER_EXPECTED");
+
+    return {
+      device_id: deviceIdFromTopic(topic),
+      ultra_height: value,
+    };
+  },
+};
+
+/**
+ * MQTT topic filter match with + and # wildcards.
+ */
+export function topicMatches(filter, topic) {
+  const f = String(filter).split("/");
+  const t = String(topic).split("/");
+
+  for (let i = 0; i < f.length; i++) {
+    if (f[i] === "#") return true;
+    if (i >= t.length) return false;
+    if (f[i] !== "+" && f[i] !== t[i]) return false;
+  }
+  return f.length === t.length;
+}
+
+/**
+ * Parse "filterA=mapperA,filterB=mapperB" into [{ filter, mapper }].
+ * Unknown mapper names are reported, not silently ignored.
+ */
+export function parseMapperConfig(spec) {
+  const rules = [];
+  const errors = [];
+
+  String(spec || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const idx = entry.lastIndexOf("=");
+      if (idx <= 0) {
+        errors.push(`"${entry}": expected <topic>=<mapper>`);
+        return;
+      }
+      const filter = entry.slice(0, idx).trim();
+      const mapper = entry.slice(idx + 1).trim();
+      if (!PAYLOAD_MAPPERS[mapper]) {
+        errors.push(`"${entry}": unknown mapper "${mapper}"`);
+        return;
+      }
+      rules.push({ filter, mapper });
+    });
+
+  return { rules, errors };
+}
+
+/**
+ * First matching rule wins, otherwise the json mapper.
+ */
+export function mapperNameForTopic(rules, topic) {
+  const rule = (rules || []).find((r) => topicMatches(r.filter, topic));
+  return rule ? rule.mapper : "json";
+}
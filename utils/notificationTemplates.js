@@ -0,0 +1,91 @@
+// utils/notificationTemplates.js
+
+/**
+ * Built-in email / webhook templates, one per channel and alarm event.
+ * Rows in notification_templates override them (services/notificationQueue.js).
+ *
+ * Placeholders: {{tank_no}} {{location}} {{alarm_id}} {{alarm_level}}
+ * {{severity}} {{SEVERITY}} {{message}} {{event}} {{at}} (ISO) and
+ * {{at_utc}} ("2024-05-01 13:45 UTC"). Unknown ones render empty.
+ *
+ * email:   subject + plain-text body
+ * webhook: body is the "text" field of the JSON payload
+ */
+
+export const NOTIFICATION_EVENTS = ["RAISED", "LEVEL_CHANGED", "CLEARED"];
+
+export const DEFAULT_TEMPLATES = {
+  email: {
+    RAISED: {
+      subject: "[{{SEVERITY}}] Tank {{tank_no}}: {{message}}",
+      body: [
+        "Alarm #{{alarm_id}} raised on tank {{tank_no}} ({{location}}).",
+        "",
+        "Level:    {{alarm_level}} – {{message}}",
+        "Severity: {{severity}}",
+        "Time:     {{at_utc}}",
+        "",
+        "Acknowledge it in the dashboard to stop escalation.",
+      ].join("\n"),
+    },
+    LEVEL_CHANGED: {
+      subject: "[{{SEVERITY}}] Tank {{tank_no}} now {{alarm_level}}: {{message}}",
+      body: [
+        "Alarm #{{alarm_id}} on tank {{tank_no}} ({{location}}) changed level.",
+        "",
+        "Level:    {{alarm_level}} – {{message}}",
+        "Severity: {{severity}}",
+        "Time:     {{at_utc}}",
+      ].join("\n"),
+    },
+    CLEARED: {
+      subject: "[CLEARED] Tank {{tank_no}} back to normal",
+      body: [
+        "Alarm #{{alarm_id}} on tank {{tank_no}} ({{location}}) cleared.",
+        "",
+        "Time: {{at_utc}}",
+      ].join("\n"),
+    },
+  },
+  webhook: {
+    RAISED: {
+      subject: null,
+      body: "[{{SEVERITY}}] Tank {{tank_no}} ({{location}}): {{message}} at {{at_utc}}",
+    },
+    LEVEL_CHANGED: {
+      subject: null,
+      body: "[{{SEVERITY}}] Tank {{tank_no}} ({{location}}) now {{alarm_level}}: {{message}} at {{at_utc}}",
+    },
+    CLEARED: {
+      subject: null,
+      body: "[CLEARED] Tank {{tank_no}} ({{location}}) back to normal at {{at_utc}}",
+    },
+  },
+};
+
+/**
+ * Values for the placeholders of one alarm event.
+ * alarm = { alarm_id, tank_no, location, alarm_level, severity, message, at }
+ */
+export function templateVars(alarm, event) {
+  const at = alarm.at instanceof Date ? alarm.at : new Date(alarm.at || Date.now());
+  return {
+    tank_no: alarm.tank_no,
+    location: alarm.location ?? "",
+    alarm_id: alarm.alarm_id ?? "",
+    alarm_level: alarm.alarm_level ?? "",
+    severity: alarm.severity ?? "",
+    SEVERITY: String(alarm.severity ?? "").toUpperCase(),
+    message: alarm.message ?? "",
+    event,
+    at: at.toISOString(),
+    at_utc: at.toISOString().slice(0, 16).replace("T", " ") + " UTC",
+  };
+}
+
+export function renderTemplate(text, vars) {
+  if (text === null || text === undefined) return null;
+  return String(text).replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) =>
+    vars[key] === undefined || vars[key] === null ? "" : String(vars[key])
+  );
+}
@@ -0,0 +1,52 @@
+// utils/quietHours.js
+
+/**
+ * Daily quiet-hours windows ("22:00" – "06:30"), in server local time.
+ * A window whose end is before its start wraps past midnight; equal
+ * start and end means no quiet hours.
+ */
+
+const TIME_RE = /^([01]?\d|2[0-3]):([0-5]\d)(?::([0-5]\d))?$/;
+
+/**
+ * "HH:MM" / "HH:MM:SS" → minutes after midnight, null if invalid.
+ */
+export function parseTimeOfDay(value) {
+  if (value === null || value === undefined) return null;
+  const m = TIME_RE.exec(String(value).trim());
+  if (!m) return null;
+  return Number(m[1]) * 60 + Number(m[2]);
+}
+
+export function isValidTimeOfDay(value) {
+  return parseTimeOfDay(value) != null;
+}
+
+function minutesOfDay(date) {
+  return date.getHours() * 60 + date.getMinutes();
+}
+
+/**
+ * Is `now` inside the start–end window?
+ */
+export function inQuietHours(now, start, end) {
+  const s = parseTimeOfDay(start);
+  const e = parseTimeOfDay(end);
+  if (s == null || e == null || s === e) return false;
+
+  const t = minutesOfDay(now);
+  return s < e ? t >= s && t < e : t >= s || t < e;
+}
+
+/**
+ * When the window `now` is in ends (null if `now` is outside it).
+ */
+export function quietHoursEnd(now, start, end) {
+  if (!inQuietHours(now, start, end)) return null;
+
+  const e = parseTimeOfDay(end);
+  const out = new Date(now);
+  out.setHours(Math.floor(e / 60), e % 60, 0, 0);
+  if (out <= now) out.setDate(out.getDate() + 1);
+  return out;
+}
@@ -0,0 +1,63 @@
+// utils/readingTime.js
+
+/**
+ * date_time of an incoming reading (POST /api/transactions, batches,
+ * MQTT). Strict, so the Date checked here is the one MySQL stores:
+ *
+ *   "YYYY-MM-DD HH:MM[:SS[.fff]]" / "YYYY-MM-DDTHH:MM[:SS[.fff]]"
+ *       server local time, or with "Z" / "±HH:MM" for another zone
+ *   a Date (the MQTT mappers convert epoch timestamps themselves)
+ *
+ * The fields have to exist on the calendar ("2025-02-30" is rejected,
+ * not rolled over). Fractions of a second are dropped: date_time is a
+ * DATETIME, which would round them.
+ */
+
+const DATE_TIME_RE =
+  /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d{1,6})?)?(Z|[+-]\d{2}:\d{2})?$/;
+
+// earliest reading accepted
+const MIN_YEAR = 2000;
+
+function wholeSeconds(d) {
+  return new Date(Math.floor(d.getTime() / 1000) * 1000);
+}
+
+/**
+ * returns a Date, or null when value is not a valid date-time
+ */
+export function parseReadingTime(value) {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) || value.getFullYear() < MIN_YEAR
+      ? null
+      : wholeSeconds(value);
+  }
+  if (typeof value !== "string") return null;
+
+  const m = DATE_TIME_RE.exec(value.trim());
+  if (!m) return null;
+  const [y, mo, d, h, mi, sec = 0] = m.slice(1, 7).map(Number);
+  const zone = m[7];
+  if (y < MIN_YEAR) return null;
+
+  // round trip: the calendar must keep every field as written
+  const fields = new Date(Date.UTC(y, mo - 1, d, h, mi, sec));
+  if (
+    fields.getUTCMonth() !== mo - 1 ||
+    fields.getUTCDate() !== d ||
+    fields.getUTCHours() !== h ||
+    fields.getUTCMinutes() !== mi ||
+    fields.getUTCSeconds() !== sec
+  ) {
+    return null;
+  }
+
+  if (!zone) return new Date(y, mo - 1, d, h, mi, sec);
+
+  const offsetMin =
+    zone === "Z"
+      ? 0
+      : (zone[0] === "-" ? -1 : 1) *
+        (Number(zone.slice(1, 3)) * 60 + Number(zone.slice(4, 6)));
+  return new Date(fields.getTime() - offsetMin * 60000);
+}
@@ -0,0 +1,149 @@
+// utils/readingValidation.js
+
+/**
+ * Plausibility checks for one ultrasonic reading.
+ *
+ * ultra_height is the distance (m) from the top-mounted sensor to the
+ * liquid surface, so for a tank of internal height H with the sensor
+ * face M above the crown (nozzle + offset) it must lie in [0, H + M].
+ * On top of the physical range we reject:
+ *   - RATE_OF_CHANGE : |Δ ultra_height| per minute above max_rate_m_per_min
+ *                      compared with the previous reading
+ *   - SPIKE          : deviation from the median of the last N readings
+ *                      above spike_threshold_m
+ *
+ * Pure functions – loading config / history and storing quarantined
+ * readings is done in services/readingValidation.js.
+ */
+
+export const VALIDATION_MODES = ["off", "flag", "quarantine"];
+
+function numberOr(v, fallback) {
+  if (v === null || v === undefined || v === "") return fallback;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * Env defaults, overridable per tank via Tank_Parameters columns
+ * (validation_mode, max_rate_m_per_min, spike_window, spike_threshold_m).
+ */
+export function validationConfig(params = {}, env = process.env) {
+  const modeRaw = String(
+    params.validation_mode ?? env.READING_VALIDATION_MODE ?? "flag"
+  )
+    .trim()
+    .toLowerCase();
+
+  return {
+    mode: VALIDATION_MODES.includes(modeRaw) ? modeRaw : "flag",
+    maxRateMPerMin: numberOr(
+      params.max_rate_m_per_min,
+      numberOr(env.READING_MAX_RATE_M_PER_MIN, 0.5)
+    ),
+    spikeWindow: Math.max(
+      0,
+      Math.round(
+        numberOr(params.spike_window, numberOr(env.READING_SPIKE_WINDOW, 5))
+      )
+    ),
+    spikeThresholdM: numberOr(
+      params.spike_threshold_m,
+      numberOr(env.READING_SPIKE_THRESHOLD_M, 0.5)
+    ),
+    rangeToleranceM: numberOr(env.READING_RANGE_TOLERANCE_M, 0.05),
+  };
+}
+
+export function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2
+    ? sorted[mid]
+    : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * reading   = { ultra_height, date_time? }
+ * maxDistanceM = sensor face → tank bottom in m (null => no upper range check)
+ * history   = earlier raw readings, NEWEST FIRST: [{ ultra_height, date_time }]
+ * cfg       = validationConfig(...)
+ *
+ * returns { ok, reasons: [{ code, message }] }
+ */
+export function validateReading(reading, maxDistanceM, history, cfg) {
+  const reasons = [];
+
+  if (cfg.mode === "off") return { ok: true, reasons };
+
+  // no level at all is handled downstream as "No Data"
+  if (reading?.ultra_height === null || reading?.ultra_height === undefined) {
+    return { ok: true, reasons };
+  }
+
+  const value = Number(reading.ultra_height);
+  if (!Number.isFinite(value)) {
+    reasons.push({ code: "NOT_A_NUMBER", message: "ultra_height is not numeric" });
+    return { ok: false, reasons };
+  }
+
+  // ---------- physical range ----------
+  if (value < 0) {
+    reasons.push({
+      code: "OUT_OF_RANGE",
+      message: `ultra_height ${value} m is negative`,
+    });
+  } else if (maxDistanceM != null && value > maxDistanceM + cfg.rangeToleranceM) {
+    reasons.push({
+      code: "OUT_OF_RANGE",
+      message: `ultra_height ${value} m exceeds sensor-to-bottom distance ${maxDistanceM} m`,
+    });
+  }
+
+  const past = (history || [])
+    .map((h) => ({
+      value: Number(h.ultra_height),
+      time: h.date_time ? new Date(h.date_time).getTime() : NaN,
+    }))
+    .filter((h) => Number.isFinite(h.value));
+
+  // ---------- max rate of change vs previous reading ----------
+  if (cfg.maxRateMPerMin > 0 && past.length > 0) {
+    const prev = past[0];
+    const now = reading.date_time
+      ? new Date(reading.date_time).getTime()
+      : Date.now();
+
+    // at least one minute, so back-to-back packets don't explode the rate
+    const minutes = Number.isFinite(prev.time)
+      ? Math.max((now - prev.time) / 60000, 1)
+      : 1;
+    const rate = Math.abs(value - prev.value) / minutes;
+
+    if (rate > cfg.maxRateMPerMin) {
+      reasons.push({
+        code: "RATE_OF_CHANGE",
+        message: `changed ${Math.abs(value - prev.value).toFixed(3)} m in ${minutes.toFixed(1)} min (max ${cfg.maxRateMPerMin} m/min)`,
+      });
+    }
+  }
+
+  // ---------- median-of-N spike filter ----------
+  if (cfg.spikeWindow > 0 && cfg.spikeThresholdM > 0) {
+    const window = past.slice(0, cfg.spikeWindow).map((h) => h.value);
+
+    // need a real majority before calling something a spike
+    if (window.length >= Math.min(3, cfg.spikeWindow)) {
+      const med = median(window);
+      if (Math.abs(value - med) > cfg.spikeThresholdM) {
+        reasons.push({
+          code: "SPIKE",
+          message: `${value} m is ${Math.abs(value - med).toFixed(3)} m off the median ${med} m of the last ${window.length} readings`,
+        });
+      }
+    }
+  }
+
+  return { ok: reasons.length === 0, reasons };
+}
@@ -0,0 +1,155 @@
+// utils/rollups.js
+
+/**
+ * Hourly statistics of a reading series and merging them into longer
+ * buckets (6 h, days). Stored by services/rollups.js in tank_rollups.
+ */
+
+export const ROLLUP_PERIODS = ["hour", "day"];
+
+const HOUR_MS = 3600000;
+
+export function hourStart(d) {
+  const h = new Date(d);
+  h.setMinutes(0, 0, 0);
+  return h;
+}
+
+// local midnight
+export function dayStart(d) {
+  const m = new Date(d);
+  m.setHours(0, 0, 0, 0);
+  return m;
+}
+
+// start of the 6-hour block (00, 06, 12, 18 local)
+export function sixHourStart(d) {
+  const s = hourStart(d);
+  s.setHours(s.getHours() - (s.getHours() % 6));
+  return s;
+}
+
+const round = (n, dp) => (n == null ? null : Number(n.toFixed(dp)));
+
+/**
+ * One row per hour of [from, to) that has a reading.
+ *
+ * points = [{ date_time, level_m, volume_l }] oldest first; volume_l may
+ *          be null. Points just outside the window only count towards
+ *          uptime (a reading at 09:58 covers 10:00–10:05 if the next one
+ *          is at 10:05).
+ * gapMinutes = readings further apart than this are not "up" in between
+ *
+ * returns [{ bucket_start, samples, min_volume_l, max_volume_l,
+ *            avg_volume_l, volume_samples, first_at, last_at,
+ *            first_level_m, last_level_m, first_volume_l, last_volume_l,
+ *            uptime_minutes }]
+ */
+export function hourlyBuckets(points, { from, to, gapMinutes = 30 }) {
+  const buckets = new Map();
+  const bucket = (t) => {
+    const key = hourStart(t).getTime();
+    if (!buckets.has(key)) {
+      buckets.set(key, {
+        bucket_start: new Date(key),
+        samples: 0,
+        min_volume_l: null,
+        max_volume_l: null,
+        sum: 0,
+        volume_samples: 0,
+        first: null,
+        last: null,
+        uptime_ms: 0,
+      });
+    }
+    return buckets.get(key);
+  };
+
+  for (const p of points) {
+    if (p.date_time < from || p.date_time >= to) continue;
+    const b = bucket(p.date_time);
+    b.samples += 1;
+    if (!b.first) b.first = p;
+    b.last = p;
+    if (p.volume_l != null) {
+      b.volume_samples += 1;
+      b.sum += p.volume_l;
+      b.min_volume_l = b.min_volume_l == null ? p.volume_l : Math.min(b.min_volume_l, p.volume_l);
+      b.max_volume_l = b.max_volume_l == null ? p.volume_l : Math.max(b.max_volume_l, p.volume_l);
+    }
+  }
+
+  // uptime: each close pair covers the time between, split at the hours
+  for (let i = 1; i < points.length; i++) {
+    if (points[i].date_time - points[i - 1].date_time > gapMinutes * 60000) continue;
+    let a = Math.max(points[i - 1].date_time.getTime(), from.getTime());
+    const b = Math.min(points[i].date_time.getTime(), to.getTime());
+    while (a < b) {
+      const end = Math.min(hourStart(a).getTime() + HOUR_MS, b);
+      const hit = buckets.get(hourStart(a).getTime());
+      if (hit) hit.uptime_ms += end - a;
+      a = end;
+    }
+  }
+
+  return [...buckets.values()]
+    .sort((x, y) => x.bucket_start - y.bucket_start)
+    .map((b) => ({
+      bucket_start: b.bucket_start,
+      samples: b.samples,
+      min_volume_l: round(b.min_volume_l, 3),
+      max_volume_l: round(b.max_volume_l, 3),
+      avg_volume_l: b.volume_samples ? round(b.sum / b.volume_samples, 3) : null,
+      volume_samples: b.volume_samples,
+      first_at: b.first.date_time,
+      last_at: b.last.date_time,
+      first_level_m: round(b.first.level_m, 3),
+      last_level_m: round(b.last.level_m, 3),
+      first_volume_l: round(b.first.volume_l, 3),
+      last_volume_l: round(b.last.volume_l, 3),
+      uptime_minutes: round(b.uptime_ms / 60000, 1),
+    }));
+}
+
+/**
+ * Buckets (hourlyBuckets rows or stored ones) merged by
+ * startOf(bucket_start), e.g. dayStart. The average is weighted by
+ * volume_samples.
+ */
+export function mergeBuckets(rows, startOf) {
+  const merged = new Map();
+  for (const r of rows) {
+    const key = startOf(r.bucket_start).getTime();
+    const m = merged.get(key);
+    if (!m) {
+      merged.set(key, { ...r, bucket_start: new Date(key), sum: (r.avg_volume_l ?? 0) * r.volume_samples });
+      continue;
+    }
+
+    m.samples += r.samples;
+    m.volume_samples += r.volume_samples;
+    m.sum += (r.avg_volume_l ?? 0) * r.volume_samples;
+    m.uptime_minutes = round(m.uptime_minutes + r.uptime_minutes, 1);
+    if (r.min_volume_l != null) {
+      m.min_volume_l = m.min_volume_l == null ? r.min_volume_l : Math.min(m.min_volume_l, r.min_volume_l);
+      m.max_volume_l = m.max_volume_l == null ? r.max_volume_l : Math.max(m.max_volume_l, r.max_volume_l);
+    }
+    if (r.first_at < m.first_at) {
+      m.first_at = r.first_at;
+      m.first_level_m = r.first_level_m;
+      m.first_volume_l = r.first_volume_l;
+    }
+    if (r.last_at > m.last_at) {
+      m.last_at = r.last_at;
+      m.last_level_m = r.last_level_m;
+      m.last_volume_l = r.last_volume_l;
+    }
+  }
+
+  return [...merged.values()]
+    .sort((x, y) => x.bucket_start - y.bucket_start)
+    .map(({ sum, ...m }) => ({
+      ...m,
+      avg_volume_l: m.volume_samples ? round(sum / m.volume_samples, 3) : null,
+    }));
+}
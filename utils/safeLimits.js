@@ -0,0 +1,435 @@
+// utils/safeLimits.js
+import { tankMaxDepth, volumeLitresAtDepth } from "./geometry.js";
+import {
+  interpolateCalibrationVolume,
+  calibrationMaxDepthM,
+} from "./calibration.js";
+
+/**
+ * High / Low safe limits with an explicit unit.
+ *
+ * Tank_Parameters.upper_safe_limit_pct / lower_safe_limit_pct hold the
+ * High / Low values (the column names are historic), high_high_limit /
+ * low_low_limit the HH / LL ones; safe_limit_unit says what all four
+ * (and alarm_hysteresis) are:
+ *   litres   : liquid volume (default – what most routes always assumed)
+ *   percent  : % of tank_volume (the capacity used for fill%)
+ *   depth_mm : liquid depth from the bottom
+ *
+ * Every status-producing route goes through evaluateSafeLimits(), so the
+ * same reading gets the same High / Low decision everywhere.
+ */
+
+export const LIMIT_UNITS = ["litres", "percent", "depth_mm"];
+
+const UNIT_ALIASES = {
+  l: "litres",
+  liter: "litres",
+  liters: "litres",
+  litre: "litres",
+  litres: "litres",
+  "%": "percent",
+  pct: "percent",
+  percent: "percent",
+  mm: "depth_mm",
+  depth_mm: "depth_mm",
+};
+
+/**
+ * Canonical unit name, or null when unknown.
+ */
+export function normalizeLimitUnit(unit) {
+  return UNIT_ALIASES[String(unit ?? "").trim().toLowerCase()] ?? null;
+}
+
+/**
+ * Everything a conversion needs for one tank.
+ *
+ * returns {
+ *   capacityL,        // tank_volume, else the full geometric / chart volume
+ *   maxDepthM,
+ *   volumeAt(depthM)  // litres, chart first, then shape
+ * }
+ */
+export function limitContext(p, chart = null) {
+  const hasChart = Array.isArray(chart) && chart.length > 0;
+  const maxDepthM =
+    tankMaxDepth(p) ?? (hasChart ? calibrationMaxDepthM(chart) : null);
+
+  const volumeAt = (depthM) =>
+    hasChart
+      ? interpolateCalibrationVolume(chart, depthM * 1000)
+      : volumeLitresAtDepth(p, depthM);
+
+  const tankVolume = Number(p?.tank_volume);
+  const fullL = maxDepthM != null ? volumeAt(maxDepthM) : null;
+
+  return {
+    capacityL: tankVolume > 0 ? tankVolume : fullL > 0 ? fullL : null,
+    maxDepthM,
+    volumeAt,
+  };
+}
+
+// volume → depth by bisection (volume grows monotonically with depth)
+function depthAtVolume(volumeL, ctx) {
+  if (ctx.maxDepthM == null) return null;
+  const full = ctx.volumeAt(ctx.maxDepthM);
+  if (full == null) return null;
+  if (volumeL <= 0) return 0;
+  if (volumeL >= full) return ctx.maxDepthM;
+
+  let lo = 0;
+  let hi = ctx.maxDepthM;
+  for (let i = 0; i < 50; i++) {
+    const mid = (lo + hi) / 2;
+    if (ctx.volumeAt(mid) < volumeL) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+/**
+ * value (in `unit`) → litres. null when the tank lacks what the
+ * conversion needs (capacity for percent, dimensions / chart for depth).
+ */
+export function limitToLitres(value, unit, ctx) {
+  if (value === null || value === undefined || value === "") return null;
+  const v = Number(value);
+  if (!Number.isFinite(v)) return null;
+
+  switch (normalizeLimitUnit(unit)) {
+    case "litres":
+      return v;
+    case "percent":
+      return ctx.capacityL != null ? (v / 100) * ctx.capacityL : null;
+    case "depth_mm": {
+      if (ctx.maxDepthM == null) return null;
+      const depth = Math.max(0, Math.min(v / 1000, ctx.maxDepthM));
+      return ctx.volumeAt(depth);
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * litres → value in `unit` (inverse of limitToLitres).
+ */
+export function litresToLimit(litres, unit, ctx) {
+  if (litres === null || litres === undefined) return null;
+  const v = Number(litres);
+  if (!Number.isFinite(v)) return null;
+
+  switch (normalizeLimitUnit(unit)) {
+    case "litres":
+      return v;
+    case "percent":
+      return ctx.capacityL ? (v / ctx.capacityL) * 100 : null;
+    case "depth_mm": {
+      const depth = depthAtVolume(v, ctx);
+      return depth != null ? depth * 1000 : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Convert a limit between any two units.
+ */
+export function convertLimit(value, fromUnit, toUnit, ctx) {
+  // same unit: no round trip through litres (depth → litres → depth is
+  // only as exact as the bisection)
+  if (normalizeLimitUnit(fromUnit) === normalizeLimitUnit(toUnit)) {
+    return limitToLitres(value, "litres", ctx);
+  }
+  return litresToLimit(limitToLitres(value, fromUnit, ctx), toUnit, ctx);
+}
+
+function round(v, digits) {
+  return v != null ? Number(v.toFixed(digits)) : null;
+}
+
+/**
+ * The tank's limits as stored plus in litres.
+ * A limit that is missing or <= 0 counts as "not set".
+ *
+ * returns {
+ *   unit,
+ *   low_low, lower, upper, high_high,              // in `unit`
+ *   low_low_l, lower_l, upper_l, high_high_l,      // litres
+ *   hysteresis,                                     // in `unit`, 0 = none
+ *   dwell_s                                         // 0 = switch at once
+ * }
+ */
+export function safeLimits(p, ctx) {
+  const unit = normalizeLimitUnit(p?.safe_limit_unit) ?? "litres";
+  const raw = (v) => {
+    const n = Number(v);
+    return v !== null && v !== undefined && v !== "" && n > 0 ? n : null;
+  };
+  const litres = (v) => round(limitToLitres(v, unit, ctx), 1);
+
+  const lowLow = raw(p?.low_low_limit);
+  const lower = raw(p?.lower_safe_limit_pct);
+  const upper = raw(p?.upper_safe_limit_pct);
+  const highHigh = raw(p?.high_high_limit);
+
+  return {
+    unit,
+    low_low: lowLow,
+    lower,
+    upper,
+    high_high: highHigh,
+    low_low_l: litres(lowLow),
+    lower_l: litres(lower),
+    upper_l: litres(upper),
+    high_high_l: litres(highHigh),
+    hysteresis: raw(p?.alarm_hysteresis) ?? 0,
+    dwell_s: raw(p?.alarm_dwell_s) ?? 0,
+  };
+}
+
+/**
+ * Limits that are set must be ordered LL <= L <= H <= HH.
+ * returns null when fine, else a message.
+ */
+export function checkLimitOrder(limits) {
+  const set = [
+    ["low_low", limits.low_low],
+    ["lower", limits.lower],
+    ["upper", limits.upper],
+    ["high_high", limits.high_high],
+  ].filter(([, v]) => v != null);
+
+  for (let i = 1; i < set.length; i++) {
+    if (set[i][1] < set[i - 1][1]) {
+      return `${set[i - 1][0]} (${set[i - 1][1]}) must not exceed ${set[i][0]} (${set[i][1]})`;
+    }
+  }
+  return null;
+}
+
+/* ---------- alarm levels ---------- */
+
+/**
+ *   LL     at or below low_low     critical
+ *   L      at or below lower       warning
+ *   NORMAL                         ok
+ *   H      at or above upper       warning
+ *   HH     at or above high_high   critical
+ */
+export const ALARM_LEVELS = ["LL", "L", "NORMAL", "H", "HH"];
+export const SEVERITIES = ["ok", "warning", "critical"];
+
+const LEVEL_RANK = { LL: -2, L: -1, NORMAL: 0, H: 1, HH: 2 };
+
+const LEVEL_STATUS = {
+  LL: {
+    decision: "LOW",
+    severity: "critical",
+    tank_status: "Critical",
+    tank_alert_message: "Low-low level",
+  },
+  L: {
+    decision: "LOW",
+    severity: "warning",
+    tank_status: "Warning",
+    tank_alert_message: "Low level",
+  },
+  NORMAL: {
+    decision: "NORMAL",
+    severity: "ok",
+    tank_status: "OK",
+    tank_alert_message: "Normal",
+  },
+  H: {
+    decision: "HIGH",
+    severity: "warning",
+    tank_status: "Warning",
+    tank_alert_message: "High level",
+  },
+  HH: {
+    decision: "HIGH",
+    severity: "critical",
+    tank_status: "Critical",
+    tank_alert_message: "High-high level",
+  },
+};
+
+const NO_DATA_STATUS = {
+  decision: "NO_DATA",
+  severity: null,
+  tank_status: "No Data",
+  tank_alert_message: "No valid level",
+};
+
+export function normalizeAlarmLevel(level) {
+  const l = String(level ?? "").trim().toUpperCase();
+  return ALARM_LEVELS.includes(l) ? l : null;
+}
+
+/**
+ * decision / severity / tank_status / tank_alert_message for a level
+ * (null => "No Data").
+ */
+export function alarmLevelStatus(level) {
+  const l = normalizeAlarmLevel(level);
+  return l ? { alarm_level: l, ...LEVEL_STATUS[l] } : { alarm_level: null, ...NO_DATA_STATUS };
+}
+
+/**
+ * Severity filter from query params:
+ *   ?severity=warning,critical   exactly these
+ *   ?min_severity=warning        this one and worse
+ * returns the list of severities, `fallback` when neither is given,
+ * or null when a value is unknown.
+ */
+export function severityFilter(query = {}, fallback = null) {
+  if (query.severity !== undefined && query.severity !== "") {
+    const list = String(query.severity)
+      .split(",")
+      .map((s) => s.trim().toLowerCase())
+      .filter(Boolean);
+    return list.every((s) => SEVERITIES.includes(s)) ? list : null;
+  }
+  if (query.min_severity !== undefined && query.min_severity !== "") {
+    const idx = SEVERITIES.indexOf(String(query.min_severity).trim().toLowerCase());
+    return idx === -1 ? null : SEVERITIES.slice(idx);
+  }
+  return fallback;
+}
+
+// the reading in the limits' own unit (hysteresis is in that unit too)
+function readingInUnit(level, unit, ctx) {
+  switch (unit) {
+    case "percent":
+      return ctx.capacityL ? (level.volume_l / ctx.capacityL) * 100 : null;
+    case "depth_mm":
+      return level.depth_m != null ? level.depth_m * 1000 : null;
+    default:
+      return level.volume_l;
+  }
+}
+
+/**
+ * Level for `value` (in limits.unit). `held` is the level currently in
+ * force: a threshold it has already crossed only clears once the value
+ * is back by limits.hysteresis, so a tank sitting on a limit does not
+ * flap.
+ */
+export function classifyAlarmLevel(value, limits, held = null) {
+  const rank = LEVEL_RANK[normalizeAlarmLevel(held) ?? "NORMAL"];
+  const hyst = limits.hysteresis || 0;
+
+  const hh = limits.high_high != null ? limits.high_high - (rank >= 2 ? hyst : 0) : null;
+  const h = limits.upper != null ? limits.upper - (rank >= 1 ? hyst : 0) : null;
+  const l = limits.lower != null ? limits.lower + (rank <= -1 ? hyst : 0) : null;
+  const ll = limits.low_low != null ? limits.low_low + (rank <= -2 ? hyst : 0) : null;
+
+  if (hh != null && value >= hh) return "HH";
+  if (h != null && value >= h) return "H";
+  if (ll != null && value <= ll) return "LL";
+  if (l != null && value <= l) return "L";
+  return "NORMAL";
+}
+
+/**
+ * Minimum dwell time: a new level has to persist for dwellS seconds
+ * before it replaces the current one. The first level a tank ever gets
+ * applies immediately.
+ *
+ * state = { alarm_level, pending_level, pending_since } (tank_alarm_state)
+ *
+ * returns the next state plus `changed`
+ */
+export function applyAlarmDwell(state, candidate, now, dwellS = 0) {
+  const current = normalizeAlarmLevel(state?.alarm_level);
+  const settled = (level, changed) => ({
+    alarm_level: level,
+    pending_level: null,
+    pending_since: null,
+    changed,
+  });
+
+  if (!current) return settled(candidate, true);
+  if (candidate === current) return settled(current, false);
+
+  const since =
+    state.pending_level === candidate && state.pending_since
+      ? new Date(state.pending_since)
+      : now;
+
+  if (!dwellS || now.getTime() - since.getTime() >= dwellS * 1000) {
+    return settled(candidate, true);
+  }
+
+  return {
+    alarm_level: current,
+    pending_level: candidate,
+    pending_since: since,
+    changed: false,
+  };
+}
+
+/**
+ * THE High / Low decision.
+ *
+ * p     = Tank_Parameters row (limits, safe_limit_unit, hysteresis, dwell,
+ *         dimensions, tank_volume)
+ * level = computeTankLevel(...) result
+ * chart = the tank's strapping chart, if any
+ * state = the tank's tank_alarm_state row, if any
+ * now   = time of the reading (dwell clock)
+ *
+ * With the stored state, routes that only read get the same level
+ * tank_status recorded for that reading.
+ *
+ * returns {
+ *   decision,            // "HIGH" | "LOW" | "NORMAL" | "NO_DATA"
+ *   alarm_level,         // "LL" | "L" | "NORMAL" | "H" | "HH" | null
+ *   severity,            // "ok" | "warning" | "critical" | null
+ *   tank_status,         // "Critical" | "Warning" | "OK" | "No Data"
+ *   tank_alert_message,  // "Low-low level" | "Low level" | "Normal" |
+ *                        // "High level" | "High-high level" | "No valid level"
+ *   candidate_level,     // level of this reading before the dwell filter
+ *   state,               // next tank_alarm_state (null for no data)
+ *   limits               // safeLimits(...)
+ * }
+ */
+export function evaluateSafeLimits(
+  p,
+  level,
+  chart = null,
+  state = null,
+  now = new Date()
+) {
+  const ctx = limitContext(p, chart);
+  const limits = safeLimits(p, ctx);
+  const volumeL = level?.volume_l;
+
+  if (volumeL === null || volumeL === undefined || !Number.isFinite(volumeL)) {
+    return {
+      ...alarmLevelStatus(null),
+      candidate_level: null,
+      state: null,
+      limits,
+    };
+  }
+
+  const value = readingInUnit(level, limits.unit, ctx);
+  const candidate =
+    value != null && Number.isFinite(value)
+      ? classifyAlarmLevel(value, limits, state?.alarm_level)
+      : "NORMAL";
+
+  const next = applyAlarmDwell(state, candidate, now, limits.dwell_s);
+
+  return {
+    ...alarmLevelStatus(next.alarm_level),
+    candidate_level: candidate,
+    state: next,
+    limits,
+  };
+}
@@ -0,0 +1,126 @@
+// utils/sensorFusion.js
+
+/**
+ * Pick the level distance (m, sensor → liquid surface) from the two
+ * sensors on a tank: ultrasonic (ultra_height) and lidar (lidar_height).
+ *
+ * Tank_Parameters.sensor_fusion:
+ *   ultrasonic (default) : ultra_height, lidar only if ultra is missing
+ *   lidar                : lidar_height, ultra only if lidar is missing
+ *   average              : mean of both when both are present
+ *   auto                 : ultra_height, switching to lidar_height when
+ *                          ul_status reports a fault or the two sensors
+ *                          disagree by more than fusion_threshold_m
+ */
+
+export const FUSION_MODES = ["ultrasonic", "lidar", "average", "auto"];
+
+const DEFAULT_FAULT_PATTERN = /fault|err|fail|timeout|no[\s_-]?echo|invalid|bad/i;
+
+function toNumberOrNull(v) {
+  if (v === null || v === undefined || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+export function normalizeFusionMode(mode) {
+  const m = String(mode ?? "").trim().toLowerCase();
+  return FUSION_MODES.includes(m) ? m : "ultrasonic";
+}
+
+/**
+ * Fusion settings for a Tank_Parameters row (env fallbacks).
+ */
+export function fusionConfig(params = {}, env = process.env) {
+  const threshold = toNumberOrNull(
+    params.fusion_threshold_m ?? env.SENSOR_DISAGREEMENT_M
+  );
+
+  let faultPattern = DEFAULT_FAULT_PATTERN;
+  if (env.UL_FAULT_PATTERN) {
+    try {
+      faultPattern = new RegExp(env.UL_FAULT_PATTERN, "i");
+    } catch {
+      // keep the default on a bad pattern
+    }
+  }
+
+  return {
+    mode: normalizeFusionMode(params.sensor_fusion ?? env.SENSOR_FUSION_MODE),
+    thresholdM: threshold != null && threshold > 0 ? threshold : 0.1,
+    faultPattern,
+  };
+}
+
+export function isUltrasonicFault(ulStatus, cfg) {
+  if (ulStatus === null || ulStatus === undefined || ulStatus === "") {
+    return false;
+  }
+  return (cfg?.faultPattern || DEFAULT_FAULT_PATTERN).test(String(ulStatus));
+}
+
+/**
+ * reading = { ultra_height, lidar_height, ul_status }
+ * cfg     = fusionConfig(...)
+ *
+ * returns {
+ *   mode,
+ *   distance_m,        // fused value, null if no usable sensor
+ *   source,            // "ultrasonic" | "lidar" | "average" | null
+ *   disagreement_m,    // |ultra - lidar| when both present
+ *   ultrasonic_fault,  // ul_status looked like a fault
+ *   reason             // why this source was chosen
+ * }
+ */
+export function fuseLevelReading(reading, cfg) {
+  const mode = cfg?.mode || "ultrasonic";
+  const ultra = toNumberOrNull(reading?.ultra_height);
+  const lidar = toNumberOrNull(reading?.lidar_height);
+  const fault = isUltrasonicFault(reading?.ul_status, cfg);
+  const disagreement =
+    ultra != null && lidar != null ? Math.abs(ultra - lidar) : null;
+
+  const pick = (source, reason) => ({
+    mode,
+    distance_m:
+      source === "ultrasonic"
+        ? ultra
+        : source === "lidar"
+          ? lidar
+          : source === "average"
+            ? (ultra + lidar) / 2
+            : null,
+    source,
+    disagreement_m:
+      disagreement != null ? Number(disagreement.toFixed(3)) : null,
+    ultrasonic_fault: fault,
+    reason,
+  });
+
+  if (ultra == null && lidar == null) return pick(null, "no reading");
+
+  switch (mode) {
+    case "lidar":
+      if (lidar != null) return pick("lidar", "preferred");
+      return pick("ultrasonic", "lidar missing");
+
+    case "average":
+      if (ultra != null && lidar != null) return pick("average", "both present");
+      return ultra != null
+        ? pick("ultrasonic", "lidar missing")
+        : pick("lidar", "ultrasonic missing");
+
+    case "auto":
+      if (ultra == null) return pick("lidar", "ultrasonic missing");
+      if (lidar == null) return pick("ultrasonic", "lidar missing");
+      if (fault) return pick("lidar", "ul_status fault");
+      if (disagreement > cfg.thresholdM) {
+        return pick("lidar", `sensors disagree > ${cfg.thresholdM} m`);
+      }
+      return pick("ultrasonic", "sensors agree");
+
+    default:
+      if (ultra != null) return pick("ultrasonic", "preferred");
+      return pick("lidar", "ultrasonic missing");
+  }
+}